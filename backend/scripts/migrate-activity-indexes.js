@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Activity Index Migration Script for Tanggapin Backend
+ *
+ * The unique commentId/messageId indexes on activities used to be sparse and
+ * now use a partial filter so records of redelivered webhooks can sit next to
+ * the original. MongoDB refuses to build an index whose key already exists with
+ * other options, so this drops the old indexes and builds the current ones.
+ * Indexes that already match the schema are left alone, so it is safe to run
+ * more than once.
+ *
+ * Usage: node scripts/migrate-activity-indexes.js [--dry-run]
+ */
+
+require('dotenv').config()
+const mongoose = require('mongoose')
+const Activity = require('../src/models/Activity')
+
+const dryRun = process.argv.includes('--dry-run')
+
+const sameKey = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * Existing indexes whose key is declared in the schema with a partial filter
+ * but were built without one
+ */
+const findOutdatedIndexes = async () => {
+  const existing = await Activity.collection.indexes()
+  const partial = Activity.schema.indexes()
+    .filter(([, options]) => options.partialFilterExpression)
+
+  return existing.filter(index => !index.partialFilterExpression &&
+    partial.some(([key]) => sameKey(key, index.key)))
+}
+
+const main = async () => {
+  console.log(`🗂️  Migrating activity indexes${dryRun ? ' - dry run' : ''}`)
+
+  await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false })
+
+  const outdated = await findOutdatedIndexes()
+
+  if (outdated.length === 0) {
+    console.log('✅ Activity indexes already match the schema')
+  }
+
+  for (const index of outdated) {
+    console.log(`🗑️  ${dryRun ? 'Would drop' : 'Dropping'} ${index.name}${index.sparse ? ' (sparse)' : ''}`)
+    if (!dryRun) await Activity.collection.dropIndex(index.name)
+  }
+
+  if (!dryRun) {
+    // Builds the partial unique indexes; fails if existing activities still collide
+    await Activity.createIndexes()
+    console.log(`✅ ${outdated.length} indexes dropped, activity indexes built`)
+  }
+
+  await mongoose.disconnect()
+  process.exit(0)
+}
+
+main().catch(async (error) => {
+  console.error('✗ Activity index migration failed:', error.message)
+  await mongoose.disconnect()
+  process.exit(1)
+})
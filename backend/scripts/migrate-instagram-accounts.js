@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Instagram Account Migration Script for Tanggapin Backend
+ *
+ * Moves the single Instagram account embedded in each user
+ * (users.instagramAccount) into its own InstagramAccount document and links
+ * the user's existing posts and activities to it. The account joins the
+ * user's personal workspace, which is created when missing. Safe to run more
+ * than once.
+ *
+ * Usage: node scripts/migrate-instagram-accounts.js [--dry-run]
+ */
+
+require('dotenv').config()
+const mongoose = require('mongoose')
+const InstagramAccount = require('../src/models/InstagramAccount')
+const Post = require('../src/models/Post')
+const Activity = require('../src/models/Activity')
+const User = require('../src/models/User')
+const Workspace = require('../src/models/Workspace')
+const { decrypt } = require('../src/utils/credentialEncryption')
+
+const dryRun = process.argv.includes('--dry-run')
+
+/**
+ * Create (or find) the InstagramAccount for one user's embedded account
+ */
+const migrateUser = async (user, stats) => {
+  const embedded = user.instagramAccount || {}
+
+  if (!embedded.instagramUserId) {
+    stats.empty++
+  } else {
+    let account = await InstagramAccount.findByInstagramUserId(embedded.instagramUserId)
+
+    if (account && !account.userId.equals(user._id)) {
+      throw new Error(`@${embedded.username || embedded.instagramUserId} already belongs to user ${account.userId}`)
+    }
+
+    if (!account) {
+      let workspace = await Workspace.findOne({ createdBy: user._id, isPersonal: true })
+      if (!workspace && !dryRun) workspace = await Workspace.createPersonal(user)
+
+      account = new InstagramAccount({
+        userId: user._id,
+        workspaceId: workspace?._id,
+        instagramUserId: embedded.instagramUserId,
+        username: embedded.username,
+        accountType: embedded.accountType,
+        // Stored value may be ciphertext or plain text; the setter encrypts it again
+        accessToken: embedded.accessToken ? decrypt(embedded.accessToken) : undefined,
+        tokenExpiresAt: embedded.tokenExpiresAt,
+        isConnected: !!embedded.isConnected,
+        connectedAt: user.createdAt,
+        disconnectedAt: embedded.isConnected ? undefined : user.updatedAt
+      })
+
+      if (!dryRun) await account.save()
+      stats.created++
+    } else {
+      stats.existing++
+    }
+
+    const [posts, activities] = dryRun
+      ? await Promise.all([
+        Post.countDocuments({ userId: user._id, accountId: null }),
+        Activity.countDocuments({ userId: user._id, accountId: null })
+      ])
+      : await Promise.all([
+        Post.updateMany({ userId: user._id, accountId: null }, { $set: { accountId: account._id } })
+          .then(result => result.modifiedCount),
+        Activity.updateMany({ userId: user._id, accountId: null }, { $set: { accountId: account._id } })
+          .then(result => result.modifiedCount)
+      ])
+
+    stats.posts += posts
+    stats.activities += activities
+  }
+
+  if (!dryRun) {
+    await User.collection.updateOne({ _id: user._id }, { $unset: { instagramAccount: '' } })
+  }
+}
+
+const main = async () => {
+  console.log(`📦 Migrating embedded Instagram accounts${dryRun ? ' - dry run' : ''}`)
+
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const stats = { users: 0, created: 0, existing: 0, empty: 0, posts: 0, activities: 0, failed: 0 }
+
+  // Raw driver access: the embedded field is no longer part of the User schema
+  const cursor = User.collection.find(
+    { instagramAccount: { $exists: true } },
+    { projection: { name: 1, instagramAccount: 1, createdAt: 1, updatedAt: 1 } }
+  )
+
+  for await (const user of cursor) {
+    stats.users++
+
+    try {
+      await migrateUser(user, stats)
+    } catch (error) {
+      stats.failed++
+      console.error(`✗ User ${user._id}: ${error.message}`)
+    }
+  }
+
+  console.log(`${stats.failed ? '⚠️ ' : '✅'} ${stats.users} users: ${stats.created} accounts ${dryRun ? 'to create' : 'created'}, ${stats.existing} already migrated, ${stats.empty} without an account, ${stats.failed} failed`)
+  console.log(`🔗 ${stats.posts} posts and ${stats.activities} activities ${dryRun ? 'to link' : 'linked'}`)
+
+  await mongoose.disconnect()
+  process.exit(stats.failed > 0 ? 1 : 0)
+}
+
+main().catch(async (error) => {
+  console.error('✗ Instagram account migration failed:', error.message)
+  await mongoose.disconnect()
+  process.exit(1)
+})
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Workspace Migration Script for Tanggapin Backend
+ *
+ * Gives every user a personal workspace and moves the user's existing
+ * Instagram accounts, posts, keywords and activities into it. Records that
+ * already belong to a workspace are left alone, so it is safe to run more
+ * than once.
+ *
+ * Usage: node scripts/migrate-workspaces.js [--dry-run]
+ */
+
+require('dotenv').config()
+const mongoose = require('mongoose')
+const Workspace = require('../src/models/Workspace')
+const InstagramAccount = require('../src/models/InstagramAccount')
+const Post = require('../src/models/Post')
+const Keyword = require('../src/models/Keyword')
+const Activity = require('../src/models/Activity')
+const User = require('../src/models/User')
+
+const dryRun = process.argv.includes('--dry-run')
+
+// Collections scoped by workspace, keyed by the stats field they count into
+const MODELS = {
+  accounts: InstagramAccount,
+  posts: Post,
+  keywords: Keyword,
+  activities: Activity
+}
+
+/**
+ * Create (or find) one user's personal workspace and link the user's records
+ */
+const migrateUser = async (user, stats) => {
+  let workspace = await Workspace.findOne({ createdBy: user._id, isPersonal: true })
+
+  if (workspace) {
+    stats.existing++
+  } else {
+    if (!dryRun) workspace = await Workspace.createPersonal(user)
+    stats.created++
+  }
+
+  const filter = { userId: user._id, workspaceId: null }
+
+  // Raw driver access: documents without workspaceId no longer pass validation
+  for (const [field, model] of Object.entries(MODELS)) {
+    stats[field] += dryRun
+      ? await model.collection.countDocuments(filter)
+      : (await model.collection.updateMany(filter, { $set: { workspaceId: workspace._id } })).modifiedCount
+  }
+}
+
+const main = async () => {
+  console.log(`📦 Migrating users into personal workspaces${dryRun ? ' - dry run' : ''}`)
+
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const stats = { users: 0, created: 0, existing: 0, failed: 0 }
+  Object.keys(MODELS).forEach(field => { stats[field] = 0 })
+
+  const cursor = User.find({}, 'name email').cursor()
+
+  for await (const user of cursor) {
+    stats.users++
+
+    try {
+      await migrateUser(user, stats)
+    } catch (error) {
+      stats.failed++
+      console.error(`✗ User ${user.email}: ${error.message}`)
+    }
+  }
+
+  console.log(`${stats.failed ? '⚠️ ' : '✅'} ${stats.users} users: ${stats.created} workspaces ${dryRun ? 'to create' : 'created'}, ${stats.existing} already migrated, ${stats.failed} failed`)
+  console.log(`🔗 ${stats.accounts} accounts, ${stats.posts} posts, ${stats.keywords} keywords and ${stats.activities} activities ${dryRun ? 'to link' : 'linked'}`)
+
+  await mongoose.disconnect()
+  process.exit(stats.failed > 0 ? 1 : 0)
+}
+
+main().catch(async (error) => {
+  console.error('✗ Workspace migration failed:', error.message)
+  await mongoose.disconnect()
+  process.exit(1)
+})
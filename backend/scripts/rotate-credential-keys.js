@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Credential Key Rotation Script for Tanggapin Backend
+ *
+ * Re-encrypts every stored credential (Instagram tokens, app secrets and
+ * two-factor secrets) with the current key in
+ * CREDENTIAL_ENCRYPTION_KEYS. Plain-text values left from before encryption
+ * are encrypted as well. Keep the old key listed until this has finished.
+ *
+ * Usage: node scripts/rotate-credential-keys.js [--dry-run]
+ */
+
+require('dotenv').config()
+const mongoose = require('mongoose')
+const InstagramAccount = require('../src/models/InstagramAccount')
+const WebhookSecret = require('../src/models/WebhookSecret')
+const User = require('../src/models/User')
+const {
+  encrypt,
+  decrypt,
+  getKeyVersion,
+  needsRotation,
+  validateKeys
+} = require('../src/utils/credentialEncryption')
+
+// Encrypted credential fields
+const FIELDS = [
+  { model: InstagramAccount, path: 'accessToken' },
+  { model: WebhookSecret, path: 'secret' },
+  { model: User, path: 'twoFactor.secret' },
+  { model: User, path: 'twoFactor.pendingSecret' }
+]
+
+const dryRun = process.argv.includes('--dry-run')
+
+/**
+ * Read a dotted path from a raw document
+ */
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc)
+
+/**
+ * Re-encrypt one field across its collection
+ */
+const rotateField = async ({ model, path }) => {
+  const stats = { scanned: 0, rotated: 0, current: 0, failed: 0 }
+
+  // Raw driver access: the stored ciphertext, without the model's getters and setters
+  const cursor = model.collection.find(
+    { [path]: { $exists: true, $nin: [null, ''] } },
+    { projection: { [path]: 1 } }
+  )
+
+  for await (const doc of cursor) {
+    const stored = getPath(doc, path)
+    stats.scanned++
+
+    if (!needsRotation(stored)) {
+      stats.current++
+      continue
+    }
+
+    try {
+      const rotated = encrypt(decrypt(stored))
+
+      if (!dryRun) {
+        // Compare-and-set so a token refreshed meanwhile is not overwritten
+        await model.collection.updateOne(
+          { _id: doc._id, [path]: stored },
+          { $set: { [path]: rotated } }
+        )
+      }
+
+      stats.rotated++
+    } catch (error) {
+      stats.failed++
+      console.error(`✗ ${model.modelName} ${doc._id} (${getKeyVersion(stored) || 'plain text'}): ${error.message}`)
+    }
+  }
+
+  return stats
+}
+
+const main = async () => {
+  const keys = validateKeys()
+
+  if (!keys.configured) {
+    console.error('✗ CREDENTIAL_ENCRYPTION_KEYS is not configured')
+    process.exit(1)
+  }
+
+  console.log(`🔑 Current key: ${keys.currentVersion} (known: ${keys.versions.join(', ')})${dryRun ? ' - dry run' : ''}`)
+
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  let failed = 0
+
+  for (const field of FIELDS) {
+    const stats = await rotateField(field)
+    failed += stats.failed
+
+    console.log(`${stats.failed ? '⚠️ ' : '✅'} ${field.model.modelName}.${field.path}: ${stats.scanned} scanned, ${stats.rotated} ${dryRun ? 'to rotate' : 'rotated'}, ${stats.current} already current, ${stats.failed} failed`)
+  }
+
+  await mongoose.disconnect()
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+main().catch(async (error) => {
+  console.error('✗ Credential rotation failed:', error.message)
+  await mongoose.disconnect()
+  process.exit(1)
+})
@@ -0,0 +1,184 @@
+/**
+ * Word lists for normalizing Indonesian comments before keyword matching.
+ * Words are looked up in SLANG as written, then again with every repeated
+ * letter collapsed (brppp → brp), so keys need no stretched variants.
+ */
+
+// Common chat abbreviations and slang, mapped to the standard word
+const SLANG = {
+  // Questions
+  brp: 'berapa',
+  brapa: 'berapa',
+  berapah: 'berapa',
+  gmn: 'gimana',
+  gmna: 'gimana',
+  gimn: 'gimana',
+  bgmn: 'bagaimana',
+  knp: 'kenapa',
+  dmn: 'dimana',
+  dmna: 'dimana',
+  kpn: 'kapan',
+  ap: 'apa',
+  apkh: 'apakah',
+  sy: 'saya',
+  // Prices and ordering
+  hrg: 'harga',
+  hrga: 'harga',
+  hrgnya: 'harganya',
+  rb: 'ribu',
+  rbu: 'ribu',
+  jt: 'juta',
+  ongkr: 'ongkir',
+  pesen: 'pesan',
+  psn: 'pesan',
+  order: 'pesan',
+  byr: 'bayar',
+  tf: 'transfer',
+  trf: 'transfer',
+  rek: 'rekening',
+  redy: 'ready',
+  rdy: 'ready',
+  stock: 'stok',
+  ukrn: 'ukuran',
+  size: 'ukuran',
+  wrn: 'warna',
+  brg: 'barang',
+  brng: 'barang',
+  kirm: 'kirim',
+  krm: 'kirim',
+  // Everyday words
+  yg: 'yang',
+  dg: 'dengan',
+  dgn: 'dengan',
+  utk: 'untuk',
+  u: 'untuk',
+  tdk: 'tidak',
+  gak: 'tidak',
+  ga: 'tidak',
+  gk: 'tidak',
+  ngk: 'tidak',
+  nggak: 'tidak',
+  enggak: 'tidak',
+  engak: 'tidak',
+  ngak: 'tidak',
+  g: 'tidak',
+  blm: 'belum',
+  udh: 'sudah',
+  udah: 'sudah',
+  sdh: 'sudah',
+  dah: 'sudah',
+  bs: 'bisa',
+  bsa: 'bisa',
+  mo: 'mau',
+  pengen: 'ingin',
+  pgn: 'ingin',
+  pengin: 'ingin',
+  jg: 'juga',
+  aja: 'saja',
+  aj: 'saja',
+  sj: 'saja',
+  lg: 'lagi',
+  krn: 'karena',
+  karna: 'karena',
+  tp: 'tapi',
+  tpi: 'tapi',
+  klo: 'kalau',
+  kalo: 'kalau',
+  kl: 'kalau',
+  sm: 'sama',
+  sma: 'sama',
+  bgt: 'banget',
+  bngt: 'banget',
+  sampe: 'sampai',
+  smp: 'sampai',
+  trs: 'terus',
+  trus: 'terus',
+  inpo: 'info',
+  min: 'admin',
+  mimin: 'admin',
+  kak: 'kakak',
+  ka: 'kakak',
+  kk: 'kakak',
+  k: 'kakak',
+  gan: 'juragan',
+  sis: 'sista',
+  thx: 'terima kasih',
+  makasih: 'terima kasih',
+  mksh: 'terima kasih',
+  trims: 'terima kasih',
+  tq: 'terima kasih',
+  ok: 'oke',
+  okay: 'oke',
+  okey: 'oke'
+};
+
+// Words that look affixed but are roots, or that stemming would turn into another common word
+const STEM_EXCEPTIONS = [
+  'berapa',
+  'bagaimana',
+  'kenapa',
+  'kemana',
+  'dimana',
+  'sekarang',
+  'semua',
+  'sedang',
+  'selalu',
+  'tentang',
+  'terima',
+  'pesan',
+  'perlu',
+  'pernah',
+  'memang',
+  'diskon',
+  'kemeja',
+  'sepatu',
+  'celana',
+  'ketat',
+  'tebal'
+];
+
+// Particles and possessive pronouns that attach to any word, outermost first
+const PARTICLE_SUFFIXES = ['lah', 'kah', 'tah', 'pun'];
+const POSSESSIVE_SUFFIXES = ['nya', 'ku', 'mu'];
+
+// Derivational suffixes, tried longest first
+const DERIVATION_SUFFIXES = ['kan', 'an', 'i'];
+
+/**
+ * Derivational prefixes, tried in order. `replace` restores the first letter
+ * of the root that the prefix absorbed before a vowel (menulis → tulis).
+ */
+const DERIVATION_PREFIXES = [
+  { prefix: 'meny', replace: 's' },
+  { prefix: 'peny', replace: 's' },
+  { prefix: 'meng', replace: 'k' },
+  { prefix: 'peng', replace: 'k' },
+  { prefix: 'mem', replace: 'p' },
+  { prefix: 'pem', replace: 'p' },
+  { prefix: 'men', replace: 't' },
+  { prefix: 'pen', replace: 't' },
+  { prefix: 'ber' },
+  { prefix: 'ter' },
+  { prefix: 'per' },
+  { prefix: 'me' },
+  { prefix: 'pe' },
+  { prefix: 'di' },
+  { prefix: 'ke' },
+  { prefix: 'se' }
+];
+
+// Prefixes that can follow another prefix (mempertanyakan, diperbaiki)
+const STACKED_PREFIXES = [
+  { prefix: 'per' },
+  { prefix: 'ber' }
+];
+
+module.exports = {
+  SLANG,
+  STEM_EXCEPTIONS,
+  PARTICLE_SUFFIXES,
+  POSSESSIVE_SUFFIXES,
+  DERIVATION_SUFFIXES,
+  DERIVATION_PREFIXES,
+  STACKED_PREFIXES
+};
@@ -28,8 +28,23 @@ const level = () => {
   return isDevelopment ? 'debug' : 'warn';
 };
 
+// Credential parameters that must never reach a log line
+const SECRET_PATTERN = /((?:access_token|accessToken|client_secret|appSecret|fb_exchange_token)["']?\s*[:=]\s*["']?)[^"'&\s,}]+/gi;
+
+// Mask credentials in messages and stack traces
+const redactSecrets = winston.format((info) => {
+  if (typeof info.message === 'string') {
+    info.message = info.message.replace(SECRET_PATTERN, '$1[REDACTED]');
+  }
+  if (typeof info.stack === 'string') {
+    info.stack = info.stack.replace(SECRET_PATTERN, '$1[REDACTED]');
+  }
+  return info;
+});
+
 // Define format for logs
 const format = winston.format.combine(
+  redactSecrets(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
   winston.format.colorize({ all: true }),
   winston.format.printf(
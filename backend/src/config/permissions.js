@@ -0,0 +1,74 @@
+/**
+ * Workspace roles and the permissions each one grants.
+ * Permissions are `<resource>:<action>` strings checked by `authorize`.
+ */
+const PERMISSIONS = [
+  'workspace:manage',
+  'members:manage',
+  'accounts:read',
+  'accounts:manage',
+  'posts:read',
+  'posts:write',
+  'posts:sync',
+  'keywords:read',
+  'keywords:write',
+  'activities:read',
+  'activities:export',
+  'audit:read',
+  'api_keys:manage'
+];
+
+// Permissions an API key can be granted; managing the workspace stays with people
+const API_KEY_SCOPES = PERMISSIONS.filter(
+  permission => !['workspace:manage', 'members:manage', 'api_keys:manage'].includes(permission)
+);
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  editor: [
+    'accounts:read',
+    'posts:read',
+    'posts:write',
+    'posts:sync',
+    'keywords:read',
+    'keywords:write',
+    'activities:read',
+    'activities:export',
+    'audit:read'
+  ],
+  // Answers customers from the activity log; can read everything but change nothing
+  support_agent: [
+    'accounts:read',
+    'posts:read',
+    'keywords:read',
+    'activities:read',
+    'activities:export',
+    'audit:read'
+  ],
+  viewer: [
+    'accounts:read',
+    'posts:read',
+    'keywords:read',
+    'activities:read'
+  ]
+};
+
+const WORKSPACE_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Check whether a workspace role grants a permission
+ * @param {string} role - Workspace role
+ * @param {string} permission - Permission such as `keywords:write`
+ * @returns {boolean} Whether the role has the permission
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  ROLE_PERMISSIONS,
+  WORKSPACE_ROLES,
+  hasPermission
+};
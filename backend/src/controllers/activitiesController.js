@@ -1,14 +1,38 @@
+const mongoose = require('mongoose');
 const Activity = require('../models/Activity');
+const Post = require('../models/Post');
 const keywordMatchingService = require('../services/KeywordMatchingService');
 const logger = require('../config/logger');
 const Joi = require('joi');
 
 /**
- * Get activities for the authenticated user
+ * Reject an account filter that is not an ObjectId before it reaches a query
+ */
+const isInvalidAccountId = (accountId) => accountId !== undefined && !mongoose.isValidObjectId(accountId);
+
+const invalidAccountResponse = (res) => res.status(400).json({
+  success: false,
+  error: 'Invalid account ID'
+});
+
+/**
+ * Check that a post belongs to the current workspace before matching against its keywords
+ */
+const isWorkspacePost = async (postId, workspaceId) => {
+  return mongoose.isValidObjectId(postId) && !!(await Post.exists({ _id: postId, workspaceId }));
+};
+
+const postNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  error: 'Post not found'
+});
+
+/**
+ * Get activities of the current workspace
  */
 const getActivities = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace._id;
     const {
       page = 1,
       limit = 20,
@@ -16,9 +40,14 @@ const getActivities = async (req, res) => {
       type,
       startDate,
       endDate,
-      postId
+      postId,
+      accountId
     } = req.query;
 
+    if (isInvalidAccountId(accountId)) {
+      return invalidAccountResponse(res);
+    }
+
     const options = {
       limit: Math.min(parseInt(limit), 100), // Max 100 items per page
       skip: (parseInt(page) - 1) * parseInt(limit),
@@ -28,12 +57,16 @@ const getActivities = async (req, res) => {
       endDate
     };
 
-    let query = { userId };
+    let query = { workspaceId };
     
     if (postId) {
       query.postId = postId;
     }
 
+    if (accountId) {
+      query.accountId = accountId;
+    }
+
     if (status) {
       query.status = status;
     }
@@ -53,6 +86,7 @@ const getActivities = async (req, res) => {
       .limit(options.limit)
       .skip(options.skip)
       .populate('postId', 'instagramPostId caption thumbnailUrl')
+      .populate('accountId', 'username')
       .populate('keywordId', 'keyword synonyms response.dmMessage response.fallbackComment');
 
     const totalCount = await Activity.countDocuments(query);
@@ -85,11 +119,15 @@ const getActivities = async (req, res) => {
  */
 const getActivityStats = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { timeframe = 'week' } = req.query;
+    const workspaceId = req.workspace._id;
+    const { timeframe = 'week', accountId } = req.query;
 
-    const stats = await Activity.getActivityStats(userId, timeframe);
-    const hourlyDistribution = await Activity.getHourlyDistribution(userId);
+    if (isInvalidAccountId(accountId)) {
+      return invalidAccountResponse(res);
+    }
+
+    const stats = await Activity.getActivityStats(workspaceId, timeframe, accountId);
+    const hourlyDistribution = await Activity.getHourlyDistribution(workspaceId, 7, accountId);
 
     // Get keyword matching service metrics
     const serviceMetrics = keywordMatchingService.getMetrics();
@@ -102,13 +140,15 @@ const getActivityStats = async (req, res) => {
           successfulReplies: 0,
           failedReplies: 0,
           fallbackReplies: 0,
+          suppressedEvents: 0,
           averageResponseTime: 0,
           totalComments: 0,
           totalDMs: 0
         },
         hourlyDistribution,
         serviceMetrics,
-        timeframe
+        timeframe,
+        accountId: accountId || null
       }
     });
   } catch (error) {
@@ -125,12 +165,12 @@ const getActivityStats = async (req, res) => {
  */
 const getActivityById = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace._id;
     const { activityId } = req.params;
 
     const activity = await Activity.findOne({
       _id: activityId,
-      userId
+      workspaceId
     })
     .populate('postId', 'instagramPostId caption thumbnailUrl permalink')
     .populate('keywordId', 'keyword synonyms response settings statistics')
@@ -189,6 +229,10 @@ const testKeywordMatching = async (req, res) => {
 
     const { postId, text, options } = value;
 
+    if (!(await isWorkspacePost(postId, req.workspace._id))) {
+      return postNotFoundResponse(res);
+    }
+
     // Test keyword matching
     const matchResult = await keywordMatchingService.matchMessage(
       postId,
@@ -258,6 +302,10 @@ const batchTestKeywordMatching = async (req, res) => {
 
     const { postId, messages, options } = value;
 
+    if (!(await isWorkspacePost(postId, req.workspace._id))) {
+      return postNotFoundResponse(res);
+    }
+
     // Batch test keyword matching
     const batchResult = await keywordMatchingService.matchMessages(
       postId,
@@ -290,6 +338,10 @@ const getKeywordMatchingStats = async (req, res) => {
     const { postId } = req.params;
     const { startDate, endDate } = req.query;
 
+    if (!(await isWorkspacePost(postId, req.workspace._id))) {
+      return postNotFoundResponse(res);
+    }
+
     const timeRange = {};
     if (startDate) timeRange.startDate = startDate;
     if (endDate) timeRange.endDate = endDate;
@@ -323,6 +375,10 @@ const refreshKeywordCache = async (req, res) => {
   try {
     const { postId } = req.params;
 
+    if (!(await isWorkspacePost(postId, req.workspace._id))) {
+      return postNotFoundResponse(res);
+    }
+
     const success = await keywordMatchingService.refreshKeywordCache(postId);
 
     if (success) {
@@ -395,19 +451,25 @@ const getServiceMetrics = async (req, res) => {
  */
 const exportActivities = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace._id;
     const {
       format = 'json',
       startDate,
       endDate,
       status,
-      type
+      type,
+      accountId
     } = req.query;
 
-    let query = { userId };
+    if (isInvalidAccountId(accountId)) {
+      return invalidAccountResponse(res);
+    }
+
+    let query = { workspaceId };
     
     if (status) query.status = status;
     if (type) query.type = type;
+    if (accountId) query.accountId = accountId;
     
     if (startDate || endDate) {
       query.createdAt = {};
@@ -418,6 +480,7 @@ const exportActivities = async (req, res) => {
     const activities = await Activity.find(query)
       .sort({ createdAt: -1 })
       .limit(1000) // Limit export to 1000 records
+      .populate('accountId', 'username')
       .populate('postId', 'instagramPostId caption')
       .populate('keywordId', 'keyword')
       .lean();
@@ -426,6 +489,7 @@ const exportActivities = async (req, res) => {
       // Convert to CSV format
       const csvData = activities.map(activity => ({
         id: activity._id,
+        account: activity.accountId?.username || '',
         type: activity.type,
         status: activity.status,
         fromUsername: activity.instagramData.fromUsername,
@@ -0,0 +1,158 @@
+const apiKeyService = require('../services/ApiKeyService');
+const auditLogService = require('../services/AuditLogService');
+const logger = require('../config/logger');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const Joi = require('joi');
+
+const { ApiKeyError } = apiKeyService;
+
+// HTTP status for each API key error
+const ERROR_STATUS = {
+  INVALID_SCOPE: 400,
+  KEY_NOT_FOUND: 404
+};
+
+// Validation schemas
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Key name is required',
+    'string.max': 'Key name cannot exceed 100 characters',
+    'any.required': 'Key name is required'
+  }),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).required().messages({
+    'any.only': `Scopes must be among: ${API_KEY_SCOPES.join(', ')}`,
+    'array.min': 'At least one scope is required',
+    'any.required': 'At least one scope is required'
+  }),
+  rateLimitPerMinute: Joi.number().integer().min(1).max(1000).messages({
+    'number.min': 'Rate limit must be at least 1 request per minute',
+    'number.max': 'Rate limit cannot exceed 1000 requests per minute'
+  }),
+  expiresAt: Joi.date().iso().greater('now').messages({
+    'date.greater': 'Expiry must be in the future'
+  })
+});
+
+// Key fields safe to show; the hash never leaves the server
+const summarizeApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimitPerMinute: apiKey.rateLimitPerMinute || apiKeyService.defaultRateLimit,
+  createdBy: apiKey.createdBy,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  isActive: apiKey.isActive,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * Send the response for a failed API key change
+ */
+const handleApiKeyError = (res, error, label) => {
+  if (error instanceof ApiKeyError) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * List the current workspace's API keys
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.workspace._id);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(summarizeApiKey),
+        availableScopes: API_KEY_SCOPES
+      }
+    });
+  } catch (error) {
+    handleApiKeyError(res, error, 'Get API keys');
+  }
+};
+
+/**
+ * Create an API key in the current workspace
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { error, value } = createApiKeySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(req.user, {
+      workspace: req.workspace,
+      role: req.workspaceRole
+    }, value);
+
+    await auditLogService.record(req, {
+      action: 'api_key.create',
+      entityType: 'ApiKey',
+      entityLabel: `${apiKey.name} (${apiKey.prefix}…)`,
+      workspaceId: req.workspace._id,
+      after: apiKey
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: {
+        apiKey: summarizeApiKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    handleApiKeyError(res, error, 'Create API key');
+  }
+};
+
+/**
+ * Revoke an API key
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.workspace._id, req.params.id, req.user);
+
+    await auditLogService.record(req, {
+      action: 'api_key.revoke',
+      entityType: 'ApiKey',
+      entityId: apiKey._id,
+      entityLabel: `${apiKey.name} (${apiKey.prefix}…)`,
+      workspaceId: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: { apiKey: summarizeApiKey(apiKey) }
+    });
+  } catch (error) {
+    handleApiKeyError(res, error, 'Revoke API key');
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,97 @@
+const auditLogService = require('../services/AuditLogService');
+const logger = require('../config/logger');
+const { isAllowed } = require('../middleware/auth');
+const Joi = require('joi');
+
+const objectId = Joi.string().hex().length(24).messages({
+  'string.hex': '{#label} must be a valid ID',
+  'string.length': '{#label} must be a valid ID'
+});
+
+// Validation schemas
+const auditQuerySchema = Joi.object({
+  scope: Joi.string().valid('workspace', 'account', 'all').default('workspace').messages({
+    'any.only': 'Scope must be one of: workspace, account, all'
+  }),
+  entityType: Joi.string().valid('Post', 'Keyword', 'User', 'InstagramAccount', 'ApiKey'),
+  entityId: objectId.label('Entity ID'),
+  actorId: objectId.label('Actor ID'),
+  action: Joi.string().pattern(/^[a-z_]+(\.[a-z_]+)*(\.\*)?$/).messages({
+    'string.pattern.base': 'Action must look like keyword.update, or keyword.* for every keyword action'
+  }),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+/**
+ * List audit log entries.
+ * `workspace` (default) shows changes in the current workspace and needs audit:read,
+ * `account` shows changes to the user's own account, `all` is for admins.
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { scope, page, limit, ...filters } = value;
+
+    if (scope === 'workspace') {
+      if (!isAllowed(req, 'audit:read')) {
+        return res.status(403).json({
+          success: false,
+          error: req.apiKey
+            ? 'Access denied. This API key is not scoped to audit:read.'
+            : 'Access denied. Your workspace role does not allow audit:read.'
+        });
+      }
+      filters.workspaceId = req.workspace._id;
+    }
+
+    // API keys only see the workspace they belong to
+    if (scope !== 'workspace' && req.apiKey) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. API keys can only read the workspace audit log.'
+      });
+    }
+
+    if (scope === 'account') {
+      filters.entityType = 'User';
+      filters.entityId = req.user._id;
+    }
+
+    if (scope === 'all' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    const { entries, pagination } = await auditLogService.list(filters, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
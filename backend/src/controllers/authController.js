@@ -1,7 +1,46 @@
 const User = require('../models/User');
+const InstagramAccount = require('../models/InstagramAccount');
 const logger = require('../config/logger');
+const instagramOAuthService = require('../services/InstagramOAuthService');
+const postSyncService = require('../services/PostSyncService');
+const workspaceService = require('../services/WorkspaceService');
+const sessionService = require('../services/SessionService');
+const twoFactorService = require('../services/TwoFactorService');
+const accountTokenService = require('../services/AccountTokenService');
+const loginProtectionService = require('../services/LoginProtectionService');
+const auditLogService = require('../services/AuditLogService');
 const Joi = require('joi');
 
+const { InstagramOAuthError } = instagramOAuthService;
+const { SessionError } = sessionService;
+const { TwoFactorError } = twoFactorService;
+const { AccountTokenError } = accountTokenService;
+const { LoginProtectionError } = loginProtectionService;
+
+// HTTP status for each two-factor error
+const TWO_FACTOR_ERROR_STATUS = {
+  INVALID_CHALLENGE: 401,
+  INVALID_CODE: 400,
+  ALREADY_ENABLED: 409,
+  NOT_ENABLED: 400,
+  SETUP_NOT_STARTED: 400,
+  REQUIRED_BY_POLICY: 403
+};
+
+// Client details recorded on a session so users can recognize their devices
+const sessionContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Connected accounts of the current workspace as shown alongside the user profile
+const summarizeAccounts = (accounts) => accounts.map(account => ({
+  id: account._id,
+  username: account.username,
+  accountType: account.accountType,
+  isConnected: account.isConnected
+}));
+
 // Validation schemas
 const loginSchema = Joi.object({
   email: Joi.string().email().required().messages({
@@ -11,6 +50,61 @@ const loginSchema = Joi.object({
   password: Joi.string().min(6).required().messages({
     'string.min': 'Password must be at least 6 characters long',
     'any.required': 'Password is required'
+  }),
+  rememberMe: Joi.boolean().default(false)
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'any.required': 'Refresh token is required'
+  })
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'any.required': 'Challenge token is required'
+  }),
+  code: Joi.string().trim().required().messages({
+    'any.required': 'Verification code is required'
+  })
+});
+
+const twoFactorCodeSchema = Joi.object({
+  challengeToken: Joi.string().optional(),
+  code: Joi.string().trim().required().messages({
+    'any.required': 'Verification code is required'
+  })
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required'
+  }),
+  code: Joi.string().trim().required().messages({
+    'any.required': 'Verification code is required'
+  })
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Reset token is required'
+  }),
+  password: Joi.string().min(6).required().messages({
+    'string.min': 'Password must be at least 6 characters long',
+    'any.required': 'Password is required'
+  })
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Verification token is required'
   })
 });
 
@@ -31,6 +125,137 @@ const createUserSchema = Joi.object({
   role: Joi.string().valid('admin', 'user').default('user')
 });
 
+const cooldownLimitSchema = Joi.object({
+  maxReplies: Joi.number().integer().min(1).max(100).optional(),
+  windowMinutes: Joi.number().integer().min(1).max(10080).optional().messages({
+    'number.max': 'Cooldown window cannot exceed 7 days'
+  })
+});
+
+const customSlangSchema = Joi.object({
+  term: Joi.string().trim().lowercase().pattern(/^\S+$/).max(50).required().messages({
+    'string.pattern.base': 'Slang term must be a single word',
+    'string.max': 'Slang term cannot exceed 50 characters',
+    'any.required': 'Slang term is required'
+  }),
+  replacement: Joi.string().trim().lowercase().min(1).max(100).required().messages({
+    'string.empty': 'Slang replacement is required',
+    'string.max': 'Slang replacement cannot exceed 100 characters',
+    'any.required': 'Slang replacement is required'
+  })
+});
+
+const updateSettingsSchema = Joi.object({
+  timezone: Joi.string().optional(),
+  language: Joi.string().optional(),
+  notifications: Joi.object({
+    email: Joi.boolean().optional(),
+    webhook: Joi.boolean().optional()
+  }).optional(),
+  cooldown: Joi.object({
+    isEnabled: Joi.boolean().optional(),
+    perPost: cooldownLimitSchema.optional(),
+    perAccount: cooldownLimitSchema.optional(),
+    repeatMessage: Joi.string().max(300).allow('').optional().messages({
+      'string.max': 'Repeat message cannot exceed 300 characters'
+    })
+  }).optional(),
+  normalization: Joi.object({
+    isEnabled: Joi.boolean().optional(),
+    stripEmoji: Joi.boolean().optional(),
+    stripPunctuation: Joi.boolean().optional(),
+    expandSlang: Joi.boolean().optional(),
+    collapseRepeats: Joi.boolean().optional(),
+    stemming: Joi.boolean().optional(),
+    customSlang: Joi.array().items(customSlangSchema).max(100).unique('term').optional().messages({
+      'array.max': 'Cannot have more than 100 custom slang entries',
+      'array.unique': 'Each slang term can only be listed once'
+    })
+  }).optional()
+});
+
+/**
+ * Start a session for a fully authenticated login and send the login response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user
+ * @param {boolean} rememberMe - Keep the session for the long lifetime
+ * @param {Object} extra - Additional response data
+ */
+const sendLoginSession = async (req, res, user, rememberMe, extra = {}) => {
+  // Only a completed login, second factor included, clears failed attempts
+  await loginProtectionService.recordSuccess(user);
+
+  // Start a session: short-lived access token plus rotating refresh token
+  const { token, refreshToken, expiresIn } = await sessionService.createSession(user, {
+    ...sessionContext(req),
+    rememberMe
+  });
+  
+  // Update last login
+  await user.updateLastLogin();
+
+  // Makes sure a first login already has a personal workspace to act in
+  await workspaceService.resolveForUser(user);
+  const workspaces = await workspaceService.listForUser(user);
+  
+  logger.info(`User logged in: ${user.email}`);
+  
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        lastLoginAt: user.lastLoginAt,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: !!user.twoFactor?.isEnabled,
+        workspaces
+      },
+      token,
+      refreshToken,
+      expiresIn,
+      ...extra
+    }
+  });
+};
+
+/**
+ * Send the response for a login refused because the account is locked
+ */
+const sendAccountLocked = (res, error) => {
+  res.set('Retry-After', String(Math.max(Math.ceil((error.lockUntil - Date.now()) / 1000), 0)));
+
+  return res.status(423).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    lockedUntil: error.lockUntil
+  });
+};
+
+/**
+ * Send the response for a failed two-factor step
+ */
+const handleTwoFactorError = (res, error, label) => {
+  if (error instanceof TwoFactorError) {
+    return res.status(TWO_FACTOR_ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
 /**
  * Login user
  * @param {Object} req - Express request object
@@ -47,38 +272,51 @@ const login = async (req, res) => {
       });
     }
 
-    const { email, password } = value;
+    const { email, password, rememberMe } = value;
 
-    // Find user and verify credentials
-    const user = await User.findByCredentials(email, password);
-    
-    // Generate JWT token
-    const token = user.generateAuthToken();
-    
-    // Update last login
-    await user.updateLastLogin();
-    
-    logger.info(`User logged in: ${user.email}`);
-    
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          lastLoginAt: user.lastLoginAt,
-          instagramAccount: {
-            isConnected: user.instagramAccount.isConnected,
-            username: user.instagramAccount.username
-          }
-        },
-        token
-      }
-    });
+    // Find user and verify credentials, counting failures towards a lockout
+    const user = await loginProtectionService.authenticate(email, password, sessionContext(req));
+
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+      // The user cannot ask for a new link without logging in, so send one now
+      await accountTokenService.sendEmailVerification(user);
+
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address. We sent you a new verification link.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Password alone is not enough: continue with a second step instead of a session
+    if (user.twoFactor?.isEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallenge(user, 'two_factor', { rememberMe })
+        }
+      });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication must be set up before signing in',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: twoFactorService.createChallenge(user, 'two_factor_setup', { rememberMe })
+        }
+      });
+    }
+
+    await sendLoginSession(req, res, user, rememberMe);
   } catch (error) {
+    if (error instanceof LoginProtectionError) {
+      return sendAccountLocked(res, error);
+    }
+
     logger.error('Login error:', error);
     
     if (error.message === 'Invalid login credentials') {
@@ -95,6 +333,42 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Complete a login with an authenticator or backup code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { user, rememberMe } = await twoFactorService.verifyChallenge(value.challengeToken, 'two_factor');
+    await loginProtectionService.assertNotLocked(user.email);
+
+    const { method, backupCodesRemaining } = await twoFactorService.verify(user, value.code).catch(async (verifyError) => {
+      // Wrong codes count towards the lockout just like wrong passwords
+      if (verifyError.code === 'INVALID_CODE') {
+        await loginProtectionService.recordFailure(user.email, sessionContext(req));
+      }
+      throw verifyError;
+    });
+
+    await sendLoginSession(req, res, user, rememberMe, method === 'backup_code' ? { backupCodesRemaining } : {});
+  } catch (error) {
+    if (error instanceof LoginProtectionError) {
+      return sendAccountLocked(res, error);
+    }
+
+    handleTwoFactorError(res, error, 'Two-factor login');
+  }
+};
+
 /**
  * Get current user profile
  * @param {Object} req - Express request object
@@ -103,6 +377,10 @@ const login = async (req, res) => {
 const getProfile = async (req, res) => {
   try {
     const user = req.user;
+    const [workspaces, accounts] = await Promise.all([
+      workspaceService.listForUser(user),
+      InstagramAccount.findConnectedByWorkspace(req.workspace._id)
+    ]);
     
     res.json({
       success: true,
@@ -114,12 +392,17 @@ const getProfile = async (req, res) => {
           role: user.role,
           isActive: user.isActive,
           lastLoginAt: user.lastLoginAt,
-          instagramAccount: {
-            isConnected: user.instagramAccount.isConnected,
-            username: user.instagramAccount.username,
-            accountType: user.instagramAccount.accountType
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: !!user.twoFactor?.isEnabled,
+          workspace: {
+            id: req.workspace._id,
+            name: req.workspace.name,
+            role: req.workspaceRole
           },
+          workspaces,
+          instagramAccounts: summarizeAccounts(accounts),
           settings: user.settings,
+          impersonatedBy: req.impersonatedBy || null,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
         }
@@ -134,6 +417,55 @@ const getProfile = async (req, res) => {
   }
 };
 
+/**
+ * Update account settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateSettings = async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = updateSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = req.user;
+    const before = auditLogService.snapshot(user);
+
+    // Merge so settings left out of the request keep their values
+    user.set('settings', value, { merge: true });
+    await user.save();
+
+    await auditLogService.record(req, {
+      action: 'user.settings.update',
+      entityType: 'User',
+      entityLabel: user.email,
+      before,
+      after: user
+    });
+
+    logger.info(`Settings updated by ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: {
+        settings: user.settings
+      }
+    });
+  } catch (error) {
+    logger.error('Update settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
 /**
  * Create new user (Admin only)
  * @param {Object} req - Express request object
@@ -175,6 +507,20 @@ const createUser = async (req, res) => {
 
     logger.info(`New user created: ${user.email} by ${req.user.email}`);
 
+    await auditLogService.record(req, {
+      action: 'user.create',
+      entityType: 'User',
+      entityLabel: user.email,
+      after: user
+    });
+
+    // The account works without it; a failed email must not undo the creation
+    try {
+      await accountTokenService.sendEmailVerification(user);
+    } catch (mailError) {
+      logger.error(`Verification email to ${user.email} failed:`, mailError);
+    }
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -185,6 +531,7 @@ const createUser = async (req, res) => {
           name: user.name,
           role: user.role,
           isActive: user.isActive,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt
         }
       }
@@ -207,12 +554,63 @@ const createUser = async (req, res) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Exchange a refresh token for a new access and refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await sessionService.refresh(value.refreshToken, sessionContext(req));
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        user: {
+          id: result.user._id,
+          email: result.user.email,
+          name: result.user.name,
+          role: result.user.role
+        },
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during token refresh'
+    });
+  }
+};
+
+/**
+ * Logout user by revoking the current session
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const logout = async (req, res) => {
   try {
+    await sessionService.revokeSession(req.sessionId, req.user._id, 'LOGOUT');
+
     logger.info(`User logged out: ${req.user.email}`);
     
     res.json({
@@ -229,26 +627,620 @@ const logout = async (req, res) => {
 };
 
 /**
- * Verify token validity
+ * Logout user from all devices by revoking every session
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const verifyToken = async (req, res) => {
+const logoutAll = async (req, res) => {
   try {
+    const revokedSessions = await sessionService.revokeAllSessions(req.user._id, 'LOGOUT_ALL');
+
+    logger.info(`User logged out of all devices: ${req.user.email} (${revokedSessions} sessions)`);
+
+    await auditLogService.record(req, {
+      action: 'session.revoke_all',
+      entityType: 'User',
+      entityId: req.user._id,
+      entityLabel: req.user.email
+    });
+
     res.json({
       success: true,
-      message: 'Token is valid',
+      message: 'Logged out of all devices',
       data: {
-        user: {
-          id: req.user._id,
-          email: req.user.email,
-          name: req.user.name,
-          role: req.user.role
-        }
+        revokedSessions
       }
     });
   } catch (error) {
-    logger.error('Verify token error:', error);
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during logout'
+    });
+  }
+};
+
+/**
+ * List the user's active sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Revoke one of the user's sessions, logging that device out
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const session = await sessionService.revokeSession(req.params.sessionId, req.user._id, 'REVOKED');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    logger.info(`Session ${session._id} revoked by ${req.user.email}`);
+
+    await auditLogService.record(req, {
+      action: 'session.revoke',
+      entityType: 'User',
+      entityId: req.user._id,
+      entityLabel: `${req.user.email} (${session.userAgent || 'unknown device'})`
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the user's two-factor status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const { twoFactor } = req.user;
+
+    res.json({
+      success: true,
+      data: {
+        isEnabled: !!twoFactor?.isEnabled,
+        enabledAt: twoFactor?.enabledAt,
+        isRequired: req.user.requiresTwoFactor(),
+        backupCodesRemaining: twoFactor?.isEnabled ? twoFactor.backupCodes.length : 0
+      }
+    });
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Start two-factor enrollment; returns the secret and its QR code payload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactorService.beginSetup(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl
+      }
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Two-factor setup');
+  }
+};
+
+/**
+ * Confirm enrollment with a code; a login that had to enroll first gets its session here
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const before = auditLogService.snapshot(req.user);
+    const backupCodes = await twoFactorService.enable(req.user, value.code);
+
+    await auditLogService.record(req, {
+      action: 'user.two_factor.enable',
+      entityType: 'User',
+      entityLabel: req.user.email,
+      before,
+      after: req.user
+    });
+
+    if (req.enrollment) {
+      return await sendLoginSession(req, res, req.user, req.enrollment.rememberMe, { backupCodes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Enable two-factor');
+  }
+};
+
+/**
+ * Turn two-factor authentication off; needs the password and a current code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { error, value } = disableTwoFactorSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    // req.user is loaded without the password hash
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.comparePassword(value.password))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    await twoFactorService.verify(user, value.code);
+
+    const before = auditLogService.snapshot(user);
+    await twoFactorService.disable(user);
+
+    await auditLogService.record(req, {
+      action: 'user.two_factor.disable',
+      entityType: 'User',
+      entityLabel: user.email,
+      before,
+      after: user
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Disable two-factor');
+  }
+};
+
+/**
+ * Replace the user's backup codes; needs a current code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    await twoFactorService.verify(req.user, value.code);
+
+    const before = auditLogService.snapshot(req.user);
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user);
+
+    await auditLogService.record(req, {
+      action: 'user.two_factor.backup_codes',
+      entityType: 'User',
+      entityLabel: req.user.email,
+      before,
+      after: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Backup codes regenerated',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Regenerate backup codes');
+  }
+};
+
+/**
+ * Send the response for a failed emailed-token step
+ */
+const handleAccountTokenError = (res, error, label) => {
+  if (error instanceof AccountTokenError) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * Email a password reset link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    await accountTokenService.sendPasswordReset(value.email);
+
+    // Same answer whether or not the address has an account
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Set a new password with a reset token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await accountTokenService.resetPassword(value.token, value.password);
+
+    await auditLogService.record(req, {
+      action: 'user.password.reset',
+      entityType: 'User',
+      entityId: user._id,
+      entityLabel: user.email,
+      actor: user
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    handleAccountTokenError(res, error, 'Reset password');
+  }
+};
+
+/**
+ * Verify the user's email address with a verification token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await accountTokenService.verifyEmail(value.token);
+
+    await auditLogService.record(req, {
+      action: 'user.email.verify',
+      entityType: 'User',
+      entityId: user._id,
+      entityLabel: user.email,
+      actor: user
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
+      data: {
+        email: user.email
+      }
+    });
+  } catch (error) {
+    handleAccountTokenError(res, error, 'Verify email');
+  }
+};
+
+/**
+ * Send a new verification link to the user's email address
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resendVerification = async (req, res) => {
+  try {
+    await accountTokenService.sendEmailVerification(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    handleAccountTokenError(res, error, 'Resend verification');
+  }
+};
+
+/**
+ * Verify token validity
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyToken = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Token is valid',
+      data: {
+        user: {
+          id: req.user._id,
+          email: req.user.email,
+          name: req.user.name,
+          role: req.user.role
+        },
+        impersonatedBy: req.impersonatedBy || null
+      }
+    });
+  } catch (error) {
+    logger.error('Verify token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List the workspace's Instagram accounts and their connection status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getInstagramStatus = async (req, res) => {
+  try {
+    const accounts = await InstagramAccount.find({ workspaceId: req.workspace._id })
+      .sort({ isConnected: -1, connectedAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        instagramAccounts: accounts.map(account => ({
+          id: account._id,
+          instagramUserId: account.instagramUserId,
+          username: account.username,
+          pageName: account.pageName,
+          accountType: account.accountType,
+          isConnected: account.isConnected,
+          connectedAt: account.connectedAt,
+          disconnectedAt: account.disconnectedAt,
+          tokenExpiresAt: account.tokenExpiresAt,
+          isTokenExpired: account.isConnected ? account.isTokenExpired : false
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get Instagram status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Start connecting an Instagram account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const connectInstagram = async (req, res) => {
+  try {
+    const { authorizationUrl, nonce } = await instagramOAuthService.getAuthorizationUrl(req.user, req.workspace);
+
+    res.cookie(instagramOAuthService.nonceCookieName, nonce, {
+      ...instagramOAuthService.getNonceCookieOptions(),
+      maxAge: instagramOAuthService.stateTtlMs
+    });
+
+    res.json({
+      success: true,
+      data: { authorizationUrl }
+    });
+  } catch (error) {
+    if (error.code === 'APP_NOT_CONFIGURED') {
+      return res.status(503).json({
+        success: false,
+        error: 'Instagram connection is not configured on this server'
+      });
+    }
+
+    logger.error('Connect Instagram error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Complete an Instagram connection (redirect target of the Facebook Login dialog)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const instagramCallback = async (req, res) => {
+  const { code, state, error: dialogError, error_reason: errorReason } = req.query;
+  const nonce = instagramOAuthService.readNonce(req.headers.cookie);
+
+  // The nonce only serves this callback, whatever its outcome
+  res.clearCookie(instagramOAuthService.nonceCookieName, instagramOAuthService.getNonceCookieOptions());
+
+  if (dialogError || !code || !state) {
+    logger.warn(`Instagram connection cancelled: ${errorReason || dialogError || 'missing code'}`);
+    return res.redirect(instagramOAuthService.getFrontendRedirect({
+      status: 'error',
+      reason: errorReason === 'user_denied' ? 'ACCESS_DENIED' : 'INVALID_REQUEST'
+    }));
+  }
+
+  try {
+    const { user, accounts, skipped } = await instagramOAuthService.completeConnection(code, state, nonce);
+
+    // The callback is unauthenticated; the connecting user comes from the OAuth state
+    for (const account of accounts) {
+      await auditLogService.record(req, {
+        action: 'instagram_account.connect',
+        entityType: 'InstagramAccount',
+        entityLabel: `@${account.username}`,
+        workspaceId: account.workspaceId,
+        after: account,
+        actor: user
+      });
+    }
+
+    // Pull in each account's media without holding up the redirect
+    accounts.forEach(account => {
+      postSyncService.syncAccountPosts(account).catch(syncError => {
+        logger.error(`Initial post sync failed for account @${account.username}:`, syncError);
+      });
+    });
+
+    res.redirect(instagramOAuthService.getFrontendRedirect({
+      status: 'connected',
+      usernames: accounts.map(account => account.username).join(','),
+      ...(skipped.length > 0 && { skipped: skipped.join(',') })
+    }));
+  } catch (error) {
+    if (!(error instanceof InstagramOAuthError)) {
+      logger.error('Instagram callback error:', error);
+    }
+
+    res.redirect(instagramOAuthService.getFrontendRedirect({
+      status: 'error',
+      reason: error.code || 'CONNECTION_FAILED'
+    }));
+  }
+};
+
+/**
+ * Disconnect one of the workspace's Instagram accounts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const disconnectInstagram = async (req, res) => {
+  try {
+    const account = await InstagramAccount.findOne({
+      _id: req.params.accountId,
+      workspaceId: req.workspace._id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instagram account not found'
+      });
+    }
+
+    if (!account.isConnected) {
+      return res.status(400).json({
+        success: false,
+        error: 'Instagram account is not connected'
+      });
+    }
+
+    const before = auditLogService.snapshot(account);
+    await instagramOAuthService.disconnect(account);
+
+    await auditLogService.record(req, {
+      action: 'instagram_account.disconnect',
+      entityType: 'InstagramAccount',
+      entityLabel: `@${account.username}`,
+      workspaceId: req.workspace._id,
+      before,
+      after: account
+    });
+
+    res.json({
+      success: true,
+      message: 'Instagram account disconnected'
+    });
+  } catch (error) {
+    logger.error('Disconnect Instagram error:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -258,8 +1250,27 @@ const verifyToken = async (req, res) => {
 
 module.exports = {
   login,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getProfile,
+  updateSettings,
   createUser,
+  refreshToken,
   logout,
-  verifyToken
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyToken,
+  getInstagramStatus,
+  connectInstagram,
+  instagramCallback,
+  disconnectInstagram
 };
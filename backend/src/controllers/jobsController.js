@@ -0,0 +1,142 @@
+const JobRun = require('../models/JobRun');
+const jobSchedulerService = require('../services/JobSchedulerService');
+const logger = require('../config/logger');
+
+/**
+ * Get scheduled jobs with their lock state and latest run
+ */
+const getJobs = async (req, res) => {
+  try {
+    const jobs = await jobSchedulerService.getJobs();
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        schedulerEnabled: jobSchedulerService.isEnabled
+      }
+    });
+  } catch (error) {
+    logger.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get job run history
+ */
+const getJobHistory = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      jobName,
+      status,
+      trigger,
+      startDate,
+      endDate
+    } = req.query;
+
+    const pageSize = Math.min(parseInt(limit), 100); // Max 100 items per page
+    const query = {};
+
+    if (jobName) {
+      query.jobName = jobName;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (trigger) {
+      query.trigger = trigger;
+    }
+
+    if (startDate || endDate) {
+      query.startedAt = {};
+      if (startDate) query.startedAt.$gte = new Date(startDate);
+      if (endDate) query.startedAt.$lte = new Date(endDate);
+    }
+
+    const runs = await JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .limit(pageSize)
+      .skip((parseInt(page) - 1) * pageSize)
+      .populate('triggeredBy', 'name email');
+
+    const totalCount = await JobRun.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get job history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Trigger a job manually
+ */
+const runJob = async (req, res) => {
+  try {
+    const outcome = await jobSchedulerService.startJob(req.params.name, {
+      trigger: 'MANUAL',
+      triggeredBy: req.user._id
+    });
+
+    if (!outcome.started) {
+      if (outcome.reason === 'NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running'
+      });
+    }
+
+    logger.info(`Job ${req.params.name} triggered manually by ${req.user.email}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Job started',
+      data: {
+        jobName: req.params.name,
+        runId: outcome.runId
+      }
+    });
+  } catch (error) {
+    logger.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobHistory,
+  runJob
+};
@@ -1,8 +1,43 @@
 const Keyword = require('../models/Keyword');
 const Post = require('../models/Post');
+const auditLogService = require('../services/AuditLogService');
+const keywordMatchingService = require('../services/KeywordMatchingService');
+const textNormalizationService = require('../services/TextNormalizationService');
 const logger = require('../config/logger');
+const { validatePattern } = require('../utils/patternMatching');
+const { parseRule, validateRule } = require('../utils/keywordRules');
 const Joi = require('joi');
 
+const MATCH_TYPES = ['EXACT', 'CONTAINS', 'STARTS_WITH', 'ENDS_WITH', 'REGEX', 'WILDCARD', 'RULE'];
+
+/**
+ * Reject REGEX and WILDCARD terms that are invalid or could match too slowly,
+ * and RULE expressions that do not parse
+ */
+const validateTerms = (value, helpers) => {
+  const matchType = value.settings?.matchType;
+
+  if (matchType === 'RULE') {
+    const ruleError = validateRule(value.keyword);
+    if (ruleError) {
+      return helpers.message({ custom: `${ruleError.message}: ${value.keyword}` });
+    }
+    if (value.synonyms?.length > 0) {
+      return helpers.message({ custom: 'A rule cannot have synonyms; combine terms with OR instead' });
+    }
+    return value;
+  }
+
+  for (const term of [value.keyword, ...(value.synonyms || [])]) {
+    const error = validatePattern(term, matchType);
+    if (error) {
+      return helpers.message({ custom: `${error}: ${term}` });
+    }
+  }
+
+  return value;
+};
+
 // Validation schemas
 const createKeywordSchema = Joi.object({
   postId: Joi.string().required().messages({
@@ -40,11 +75,13 @@ const createKeywordSchema = Joi.object({
     })
   }).required(),
   settings: Joi.object({
-    matchType: Joi.string().valid('EXACT', 'CONTAINS', 'STARTS_WITH', 'ENDS_WITH').default('CONTAINS'),
+    matchType: Joi.string().valid(...MATCH_TYPES).default('CONTAINS').messages({
+      'any.only': `Match type must be one of: ${MATCH_TYPES.join(', ')}`
+    }),
     caseSensitive: Joi.boolean().default(false),
     priority: Joi.number().min(1).max(10).default(1)
   }).default({})
-});
+}).custom(validateTerms);
 
 const updateKeywordSchema = Joi.object({
   keyword: Joi.string().min(1).max(100).optional(),
@@ -58,7 +95,9 @@ const updateKeywordSchema = Joi.object({
     productLink: Joi.string().uri().optional()
   }).optional(),
   settings: Joi.object({
-    matchType: Joi.string().valid('EXACT', 'CONTAINS', 'STARTS_WITH', 'ENDS_WITH').optional(),
+    matchType: Joi.string().valid(...MATCH_TYPES).optional().messages({
+      'any.only': `Match type must be one of: ${MATCH_TYPES.join(', ')}`
+    }),
     caseSensitive: Joi.boolean().optional(),
     priority: Joi.number().min(1).max(10).optional()
   }).optional()
@@ -97,11 +136,13 @@ const bulkKeywordSchema = Joi.object({
     })
   }).required(),
   settings: Joi.object({
-    matchType: Joi.string().valid('EXACT', 'CONTAINS', 'STARTS_WITH', 'ENDS_WITH').default('CONTAINS'),
+    matchType: Joi.string().valid(...MATCH_TYPES).default('CONTAINS').messages({
+      'any.only': `Match type must be one of: ${MATCH_TYPES.join(', ')}`
+    }),
     caseSensitive: Joi.boolean().default(false),
     priority: Joi.number().min(1).max(10).default(1)
   }).default({})
-});
+}).custom(validateTerms);
 
 const bulkCreateSchema = Joi.object({
   postId: Joi.string().required(),
@@ -111,6 +152,13 @@ const bulkCreateSchema = Joi.object({
   })
 });
 
+const validateRuleSchema = Joi.object({
+  expression: Joi.string().allow('').max(100).required().messages({
+    'string.max': 'Rule cannot exceed 100 characters',
+    'any.required': 'Rule expression is required'
+  })
+});
+
 const testMatchSchema = Joi.object({
   text: Joi.string().required().messages({
     'any.required': 'Text to test is required'
@@ -118,11 +166,11 @@ const testMatchSchema = Joi.object({
 });
 
 /**
- * Get user's keywords
+ * Get the workspace's keywords
  */
 const getKeywords = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
     const {
       page = 1,
       limit = 20,
@@ -133,7 +181,7 @@ const getKeywords = async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = { userId };
+    const query = { workspaceId };
     if (postId) query.postId = postId;
     if (isActive !== undefined) query['settings.isActive'] = isActive === 'true';
 
@@ -180,9 +228,9 @@ const getKeywords = async (req, res) => {
 const getKeyword = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    const keyword = await Keyword.findOne({ _id: id, userId })
+    const keyword = await Keyword.findOne({ _id: id, workspaceId })
       .populate('postId', 'instagramPostId caption thumbnailUrl')
       .populate('userId', 'name email');
 
@@ -221,10 +269,10 @@ const createKeyword = async (req, res) => {
       });
     }
 
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    // Verify post exists and belongs to user
-    const post = await Post.findOne({ _id: value.postId, userId });
+    // Verify post exists and belongs to the workspace
+    const post = await Post.findOne({ _id: value.postId, workspaceId });
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -235,8 +283,8 @@ const createKeyword = async (req, res) => {
     // Check if keyword already exists for this post
     const existingKeyword = await Keyword.findOne({
       postId: value.postId,
-      keyword: value.keyword.toLowerCase(),
-      userId
+      keyword: Keyword.normalizeTerm(value.keyword, value.settings.matchType),
+      workspaceId
     });
 
     if (existingKeyword) {
@@ -249,7 +297,8 @@ const createKeyword = async (req, res) => {
     // Create new keyword
     const keywordData = {
       ...value,
-      userId
+      userId: req.user._id,
+      workspaceId
     };
 
     const keyword = new Keyword(keywordData);
@@ -260,6 +309,14 @@ const createKeyword = async (req, res) => {
 
     logger.info(`New keyword created: "${keyword.keyword}" for post ${post.instagramPostId} by ${req.user.email}`);
 
+    await auditLogService.record(req, {
+      action: 'keyword.create',
+      entityType: 'Keyword',
+      entityLabel: keyword.keyword,
+      workspaceId,
+      after: keyword
+    });
+
     res.status(201).json({
       success: true,
       message: 'Keyword created successfully',
@@ -287,7 +344,7 @@ const createKeyword = async (req, res) => {
 const updateKeyword = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
     // Validate request body
     const { error, value } = updateKeywordSchema.validate(req.body);
@@ -298,7 +355,7 @@ const updateKeyword = async (req, res) => {
       });
     }
 
-    const keyword = await Keyword.findOne({ _id: id, userId });
+    const keyword = await Keyword.findOne({ _id: id, workspaceId });
     if (!keyword) {
       return res.status(404).json({
         success: false,
@@ -306,10 +363,21 @@ const updateKeyword = async (req, res) => {
       });
     }
 
+    const before = auditLogService.snapshot(keyword);
+
     // Update keyword fields
     Object.assign(keyword, value);
     await keyword.save();
 
+    await auditLogService.record(req, {
+      action: 'keyword.update',
+      entityType: 'Keyword',
+      entityLabel: keyword.keyword,
+      workspaceId,
+      before,
+      after: keyword
+    });
+
     // Populate the response
     await keyword.populate('postId', 'instagramPostId caption');
 
@@ -323,6 +391,14 @@ const updateKeyword = async (req, res) => {
       }
     });
   } catch (error) {
+    // Pattern checks against the stored match type run when the keyword is saved
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors)[0].message
+      });
+    }
+
     logger.error('Update keyword error:', error);
     res.status(500).json({
       success: false,
@@ -334,9 +410,9 @@ const updateKeyword = async (req, res) => {
 const deleteKeyword = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    const keyword = await Keyword.findOne({ _id: id, userId });
+    const keyword = await Keyword.findOne({ _id: id, workspaceId });
     if (!keyword) {
       return res.status(404).json({
         success: false,
@@ -346,6 +422,14 @@ const deleteKeyword = async (req, res) => {
 
     await Keyword.deleteOne({ _id: id });
 
+    await auditLogService.record(req, {
+      action: 'keyword.delete',
+      entityType: 'Keyword',
+      entityLabel: keyword.keyword,
+      workspaceId,
+      before: keyword
+    });
+
     logger.info(`Keyword deleted: "${keyword.keyword}" by ${req.user.email}`);
 
     res.json({
@@ -364,11 +448,11 @@ const deleteKeyword = async (req, res) => {
 const getKeywordsByPost = async (req, res) => {
   try {
     const { postId } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
     const { activeOnly = 'true' } = req.query;
 
-    // Verify post exists and belongs to user
-    const post = await Post.findOne({ _id: postId, userId });
+    // Verify post exists and belongs to the workspace
+    const post = await Post.findOne({ _id: postId, workspaceId });
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -412,11 +496,11 @@ const bulkCreateKeywords = async (req, res) => {
       });
     }
 
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
     const { postId, keywords } = value;
 
-    // Verify post exists and belongs to user
-    const post = await Post.findOne({ _id: postId, userId });
+    // Verify post exists and belongs to the workspace
+    const post = await Post.findOne({ _id: postId, workspaceId });
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -436,8 +520,8 @@ const bulkCreateKeywords = async (req, res) => {
         // Check if keyword already exists
         const existingKeyword = await Keyword.findOne({
           postId,
-          keyword: keywordData.keyword.toLowerCase(),
-          userId
+          keyword: Keyword.normalizeTerm(keywordData.keyword, keywordData.settings.matchType),
+          workspaceId
         });
 
         if (existingKeyword) {
@@ -452,13 +536,22 @@ const bulkCreateKeywords = async (req, res) => {
         const keyword = new Keyword({
           ...keywordData,
           postId,
-          userId
+          userId: req.user._id,
+          workspaceId
         });
 
         await keyword.save();
         await keyword.populate('postId', 'instagramPostId caption');
         
         results.created.push(keyword);
+
+        await auditLogService.record(req, {
+          action: 'keyword.create',
+          entityType: 'Keyword',
+          entityLabel: keyword.keyword,
+          workspaceId,
+          after: keyword
+        });
       } catch (err) {
         results.errors.push({
           keyword: keywordData.keyword,
@@ -494,9 +587,9 @@ const bulkCreateKeywords = async (req, res) => {
 const activateKeyword = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    const keyword = await Keyword.findOne({ _id: id, userId });
+    const keyword = await Keyword.findOne({ _id: id, workspaceId });
     if (!keyword) {
       return res.status(404).json({
         success: false,
@@ -504,8 +597,18 @@ const activateKeyword = async (req, res) => {
       });
     }
 
+    const before = auditLogService.snapshot(keyword);
     await keyword.setActive(true);
 
+    await auditLogService.record(req, {
+      action: 'keyword.activate',
+      entityType: 'Keyword',
+      entityLabel: keyword.keyword,
+      workspaceId,
+      before,
+      after: keyword
+    });
+
     logger.info(`Keyword activated: "${keyword.keyword}" by ${req.user.email}`);
 
     res.json({
@@ -527,9 +630,9 @@ const activateKeyword = async (req, res) => {
 const deactivateKeyword = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    const keyword = await Keyword.findOne({ _id: id, userId });
+    const keyword = await Keyword.findOne({ _id: id, workspaceId });
     if (!keyword) {
       return res.status(404).json({
         success: false,
@@ -537,8 +640,18 @@ const deactivateKeyword = async (req, res) => {
       });
     }
 
+    const before = auditLogService.snapshot(keyword);
     await keyword.setActive(false);
 
+    await auditLogService.record(req, {
+      action: 'keyword.deactivate',
+      entityType: 'Keyword',
+      entityLabel: keyword.keyword,
+      workspaceId,
+      before,
+      after: keyword
+    });
+
     logger.info(`Keyword deactivated: "${keyword.keyword}" by ${req.user.email}`);
 
     res.json({
@@ -560,9 +673,9 @@ const deactivateKeyword = async (req, res) => {
 const getKeywordStatistics = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    const keyword = await Keyword.findOne({ _id: id, userId })
+    const keyword = await Keyword.findOne({ _id: id, workspaceId })
       .populate('postId', 'instagramPostId caption');
 
     if (!keyword) {
@@ -600,10 +713,10 @@ const getKeywordStatistics = async (req, res) => {
 
 const getKeywordsOverview = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
     // Get keyword statistics
-    const keywordStats = await Keyword.getUserKeywordStats(userId);
+    const keywordStats = await Keyword.getWorkspaceKeywordStats(workspaceId);
     const stats = keywordStats[0] || {
       totalKeywords: 0,
       activeKeywords: 0,
@@ -619,7 +732,7 @@ const getKeywordsOverview = async (req, res) => {
     const successRate = totalReplies > 0 ? Math.round((stats.successfulReplies / totalReplies) * 100) : 0;
 
     // Get recent keywords
-    const recentKeywords = await Keyword.find({ userId })
+    const recentKeywords = await Keyword.find({ workspaceId })
       .sort({ createdAt: -1 })
       .limit(5)
       .select('keyword settings.isActive statistics.totalMatches createdAt')
@@ -647,10 +760,10 @@ const getKeywordsOverview = async (req, res) => {
 
 const getTopPerformingKeywords = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
     const { limit = 10 } = req.query;
 
-    const topKeywords = await Keyword.getTopKeywords(userId, parseInt(limit));
+    const topKeywords = await Keyword.getTopKeywords(workspaceId, parseInt(limit));
 
     res.json({
       success: true,
@@ -670,7 +783,7 @@ const getTopPerformingKeywords = async (req, res) => {
 const testKeywordMatch = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
     // Validate request body
     const { error, value } = testMatchSchema.validate(req.body);
@@ -681,7 +794,7 @@ const testKeywordMatch = async (req, res) => {
       });
     }
 
-    const keyword = await Keyword.findOne({ _id: id, userId });
+    const keyword = await Keyword.findOne({ _id: id, workspaceId });
     if (!keyword) {
       return res.status(404).json({
         success: false,
@@ -689,7 +802,10 @@ const testKeywordMatch = async (req, res) => {
       });
     }
 
-    const matches = keyword.matchesText(value.text);
+    // Match the way live comments are matched, with the post owner's normalization
+    const normalization = await textNormalizationService.getSettingsForPost(keyword.postId);
+    const matches = keyword.settings.isActive &&
+      keywordMatchingService.performMatching(value.text, [keyword], { normalization }).length > 0;
 
     res.json({
       success: true,
@@ -705,7 +821,8 @@ const testKeywordMatch = async (req, res) => {
         matchDetails: {
           allTerms: keyword.allTerms,
           matchType: keyword.settings.matchType,
-          caseSensitive: keyword.settings.caseSensitive
+          caseSensitive: keyword.settings.caseSensitive,
+          normalizedText: textNormalizationService.normalize(value.text, normalization)
         }
       }
     });
@@ -718,6 +835,38 @@ const testKeywordMatch = async (req, res) => {
   }
 };
 
+/**
+ * Check a RULE expression while it is being edited, without saving it
+ */
+const validateKeywordRule = async (req, res) => {
+  try {
+    const { error, value } = validateRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const ruleError = validateRule(value.expression);
+
+    res.json({
+      success: true,
+      data: {
+        valid: !ruleError,
+        error: ruleError,
+        rule: ruleError ? null : parseRule(value.expression)
+      }
+    });
+  } catch (error) {
+    logger.error('Validate keyword rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   getKeywords,
   getKeyword,
@@ -731,5 +880,6 @@ module.exports = {
   getKeywordStatistics,
   getKeywordsOverview,
   getTopPerformingKeywords,
-  testKeywordMatch
+  testKeywordMatch,
+  validateKeywordRule
 };
@@ -1,10 +1,18 @@
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const Keyword = require('../models/Keyword');
+const InstagramAccount = require('../models/InstagramAccount');
+const postSyncService = require('../services/PostSyncService');
+const auditLogService = require('../services/AuditLogService');
 const logger = require('../config/logger');
 const Joi = require('joi');
 
 // Validation schemas
 const createPostSchema = Joi.object({
+  accountId: Joi.string().hex().length(24).optional().messages({
+    'string.hex': 'Account ID must be a valid ID',
+    'string.length': 'Account ID must be a valid ID'
+  }),
   instagramPostId: Joi.string().required().messages({
     'any.required': 'Instagram post ID is required'
   }),
@@ -32,7 +40,17 @@ const updatePostSchema = Joi.object({
   thumbnailUrl: Joi.string().uri().optional(),
   mediaUrl: Joi.string().uri().optional(),
   automationSettings: Joi.object({
-    replyMode: Joi.string().valid('COMMENTS_ONLY', 'DMS_ONLY', 'BOTH').optional()
+    replyMode: Joi.string().valid('COMMENTS_ONLY', 'DMS_ONLY', 'BOTH').optional(),
+    cooldown: Joi.object({
+      isEnabled: Joi.boolean().optional(),
+      maxReplies: Joi.number().integer().min(1).max(100).optional(),
+      windowMinutes: Joi.number().integer().min(1).max(10080).optional().messages({
+        'number.max': 'Cooldown window cannot exceed 7 days'
+      }),
+      repeatMessage: Joi.string().max(300).allow('').optional().messages({
+        'string.max': 'Repeat message cannot exceed 300 characters'
+      })
+    }).optional()
   }).optional()
 });
 
@@ -40,24 +58,45 @@ const automationSchema = Joi.object({
   replyMode: Joi.string().valid('COMMENTS_ONLY', 'DMS_ONLY', 'BOTH').default('BOTH')
 });
 
+const syncSchema = Joi.object({
+  accountId: Joi.string().hex().length(24).optional().messages({
+    'string.hex': 'Account ID must be a valid ID',
+    'string.length': 'Account ID must be a valid ID'
+  })
+});
+
 /**
- * Get user's posts
+ * Reject an account filter that is not an ObjectId before it reaches a query
+ */
+const isInvalidAccountId = (accountId) => accountId !== undefined && !mongoose.isValidObjectId(accountId);
+
+/**
+ * Get the workspace's posts
  */
 const getPosts = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
     const {
       page = 1,
       limit = 20,
       status,
+      accountId,
       automationEnabled,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
+    if (isInvalidAccountId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid account ID'
+      });
+    }
+
     // Build query
-    const query = { userId };
+    const query = { workspaceId };
     if (status) query.status = status;
+    if (accountId) query.accountId = accountId;
     if (automationEnabled !== undefined) {
       query['automationSettings.isEnabled'] = automationEnabled === 'true';
     }
@@ -71,7 +110,8 @@ const getPosts = async (req, res) => {
       .sort({ [sortBy]: sortDirection })
       .limit(parseInt(limit))
       .skip(skip)
-      .populate('userId', 'name email instagramAccount.username');
+      .populate('userId', 'name email')
+      .populate('accountId', 'username');
 
     // Get total count for pagination
     const totalPosts = await Post.countDocuments(query);
@@ -107,10 +147,11 @@ const getPosts = async (req, res) => {
 const getPost = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    const post = await Post.findOne({ _id: id, userId })
-      .populate('userId', 'name email instagramAccount.username');
+    const post = await Post.findOne({ _id: id, workspaceId })
+      .populate('userId', 'name email')
+      .populate('accountId', 'username');
 
     if (!post) {
       return res.status(404).json({
@@ -120,7 +161,7 @@ const getPost = async (req, res) => {
     }
 
     // Get keywords for this post
-    const keywords = await Keyword.find({ postId: id, userId })
+    const keywords = await Keyword.find({ postId: id, workspaceId })
       .sort({ 'settings.priority': -1, createdAt: 1 });
 
     logger.info(`Retrieved post ${id} for user ${req.user.email}`);
@@ -158,25 +199,37 @@ const createPost = async (req, res) => {
       });
     }
 
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
     // Check if post already exists
     const existingPost = await Post.findOne({
       instagramPostId: value.instagramPostId,
-      userId
+      workspaceId
     });
 
     if (existingPost) {
       return res.status(400).json({
         success: false,
-        error: 'Post already exists in your account'
+        error: 'Post already exists in this workspace'
       });
     }
 
+    if (value.accountId) {
+      const account = await InstagramAccount.exists({ _id: value.accountId, workspaceId });
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          error: 'Instagram account not found'
+        });
+      }
+    }
+
     // Create new post
     const postData = {
       ...value,
-      userId,
+      userId: req.user._id,
+      workspaceId,
       status: 'INACTIVE'
     };
 
@@ -185,6 +238,14 @@ const createPost = async (req, res) => {
 
     logger.info(`New post created: ${post.instagramPostId} by ${req.user.email}`);
 
+    await auditLogService.record(req, {
+      action: 'post.create',
+      entityType: 'Post',
+      entityLabel: post.instagramPostId,
+      workspaceId,
+      after: post
+    });
+
     res.status(201).json({
       success: true,
       message: 'Post created successfully',
@@ -215,7 +276,7 @@ const createPost = async (req, res) => {
 const updatePost = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
     // Validate request body
     const { error, value } = updatePostSchema.validate(req.body);
@@ -226,7 +287,7 @@ const updatePost = async (req, res) => {
       });
     }
 
-    const post = await Post.findOne({ _id: id, userId });
+    const post = await Post.findOne({ _id: id, workspaceId });
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -234,12 +295,27 @@ const updatePost = async (req, res) => {
       });
     }
 
-    // Update post fields
-    Object.assign(post, value);
+    const before = auditLogService.snapshot(post);
+
+    // Update post fields, merging automation settings so unspecified ones are kept
+    const { automationSettings, ...fields } = value;
+    Object.assign(post, fields);
+    if (automationSettings) {
+      post.set('automationSettings', automationSettings, { merge: true });
+    }
     await post.save();
 
     logger.info(`Post updated: ${post.instagramPostId} by ${req.user.email}`);
 
+    await auditLogService.record(req, {
+      action: 'post.update',
+      entityType: 'Post',
+      entityLabel: post.instagramPostId,
+      workspaceId,
+      before,
+      after: post
+    });
+
     res.json({
       success: true,
       message: 'Post updated successfully',
@@ -262,9 +338,9 @@ const updatePost = async (req, res) => {
 const deletePost = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    const post = await Post.findOne({ _id: id, userId });
+    const post = await Post.findOne({ _id: id, workspaceId });
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -273,11 +349,19 @@ const deletePost = async (req, res) => {
     }
 
     // Delete associated keywords
-    await Keyword.deleteMany({ postId: id, userId });
+    const { deletedCount } = await Keyword.deleteMany({ postId: id, workspaceId });
 
     // Delete the post
     await Post.deleteOne({ _id: id });
 
+    await auditLogService.record(req, {
+      action: 'post.delete',
+      entityType: 'Post',
+      entityLabel: `${post.instagramPostId} (with ${deletedCount} keywords)`,
+      workspaceId,
+      before: post
+    });
+
     logger.info(`Post deleted: ${post.instagramPostId} by ${req.user.email}`);
 
     res.json({
@@ -299,7 +383,7 @@ const deletePost = async (req, res) => {
 const enableAutomation = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
     // Validate request body
     const { error, value } = automationSchema.validate(req.body);
@@ -310,7 +394,7 @@ const enableAutomation = async (req, res) => {
       });
     }
 
-    const post = await Post.findOne({ _id: id, userId });
+    const post = await Post.findOne({ _id: id, workspaceId });
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -321,7 +405,7 @@ const enableAutomation = async (req, res) => {
     // Check if post has keywords
     const keywordCount = await Keyword.countDocuments({ 
       postId: id, 
-      userId,
+      workspaceId,
       'settings.isActive': true 
     });
 
@@ -332,9 +416,20 @@ const enableAutomation = async (req, res) => {
       });
     }
 
+    const before = auditLogService.snapshot(post);
+
     // Enable automation
     await post.enableAutomation(value.replyMode);
 
+    await auditLogService.record(req, {
+      action: 'post.automation.enable',
+      entityType: 'Post',
+      entityLabel: post.instagramPostId,
+      workspaceId,
+      before,
+      after: post
+    });
+
     logger.info(`Automation enabled for post: ${post.instagramPostId} by ${req.user.email}`);
 
     res.json({
@@ -359,9 +454,9 @@ const enableAutomation = async (req, res) => {
 const disableAutomation = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    const post = await Post.findOne({ _id: id, userId });
+    const post = await Post.findOne({ _id: id, workspaceId });
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -369,9 +464,20 @@ const disableAutomation = async (req, res) => {
       });
     }
 
+    const before = auditLogService.snapshot(post);
+
     // Disable automation
     await post.disableAutomation();
 
+    await auditLogService.record(req, {
+      action: 'post.automation.disable',
+      entityType: 'Post',
+      entityLabel: post.instagramPostId,
+      workspaceId,
+      before,
+      after: post
+    });
+
     logger.info(`Automation disabled for post: ${post.instagramPostId} by ${req.user.email}`);
 
     res.json({
@@ -396,9 +502,9 @@ const disableAutomation = async (req, res) => {
 const getPostStatistics = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
 
-    const post = await Post.findOne({ _id: id, userId });
+    const post = await Post.findOne({ _id: id, workspaceId });
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -408,7 +514,7 @@ const getPostStatistics = async (req, res) => {
 
     // Get keyword statistics for this post
     const keywordStats = await Keyword.aggregate([
-      { $match: { postId: post._id, userId } },
+      { $match: { postId: post._id, workspaceId } },
       {
         $group: {
           _id: null,
@@ -464,22 +570,66 @@ const getPostStatistics = async (req, res) => {
 };
 
 /**
- * Sync posts from Instagram
+ * Sync posts from Instagram for one or all connected accounts
  */
 const syncPosts = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const { error, value } = syncSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const query = { workspaceId: req.workspace._id, isConnected: true };
+    if (value.accountId) query._id = value.accountId;
+
+    const accounts = (await InstagramAccount.find(query).sort({ connectedAt: 1 }))
+      .filter(account => account.hasValidConnection());
+
+    if (accounts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: value.accountId
+          ? 'Instagram account is not connected'
+          : 'No Instagram account is connected'
+      });
+    }
+
+    const results = [];
+
+    // One account at a time keeps the sync inside each account's API budget
+    for (const account of accounts) {
+      const result = await postSyncService.syncAccountPosts(account);
+
+      results.push({
+        accountId: account._id,
+        username: account.username,
+        ...result
+      });
+    }
+
+    const completed = results.every(result => result.completed);
+    const syncedPosts = results.reduce((sum, result) => sum + result.syncedPosts, 0);
+    const errorCount = results.reduce((sum, result) => sum + result.errors.length, 0);
+
+    logger.info(`Posts synced by ${req.user.email}: ${syncedPosts} synced across ${results.length} accounts, ${errorCount} errors`);
+
+    let message = 'Posts synced successfully';
+    if (!completed) {
+      message = errorCount > 0
+        ? 'Posts partially synced; see errors for details'
+        : 'Posts partially synced; the next sync continues where this one stopped';
+    }
 
-    // This would typically call Instagram API to fetch user's posts
-    // For now, return a placeholder response
     res.json({
       success: true,
-      message: 'Instagram API integration not yet implemented',
+      message,
       data: {
-        syncedPosts: 0,
-        newPosts: 0,
-        updatedPosts: 0,
-        errors: []
+        completed,
+        syncedPosts,
+        accounts: results
       }
     });
   } catch (error) {
@@ -496,10 +646,18 @@ const syncPosts = async (req, res) => {
  */
 const getPostsOverview = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const workspaceId = req.workspace._id;
+    const { accountId } = req.query;
+
+    if (isInvalidAccountId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid account ID'
+      });
+    }
 
     // Get post statistics
-    const postStats = await Post.getUserPostStats(userId);
+    const postStats = await Post.getWorkspacePostStats(workspaceId, accountId);
     const stats = postStats[0] || {
       totalPosts: 0,
       activePosts: 0,
@@ -514,10 +672,10 @@ const getPostsOverview = async (req, res) => {
     const successRate = totalReplies > 0 ? Math.round((stats.successfulReplies / totalReplies) * 100) : 0;
 
     // Get recent posts
-    const recentPosts = await Post.find({ userId })
+    const recentPosts = await Post.find({ workspaceId, ...(accountId && { accountId }) })
       .sort({ createdAt: -1 })
       .limit(5)
-      .select('instagramPostId caption automationSettings.isEnabled statistics.totalReplies createdAt');
+      .select('accountId instagramPostId caption automationSettings.isEnabled statistics.totalReplies createdAt');
 
     res.json({
       success: true,
@@ -0,0 +1,341 @@
+const userManagementService = require('../services/UserManagementService');
+const loginProtectionService = require('../services/LoginProtectionService');
+const auditLogService = require('../services/AuditLogService');
+const logger = require('../config/logger');
+const Joi = require('joi');
+
+const { UserManagementError } = userManagementService;
+
+// HTTP status for each user management error
+const ERROR_STATUS = {
+  USER_NOT_FOUND: 404,
+  EMAIL_TAKEN: 409,
+  SELF_CHANGE: 400,
+  LAST_ADMIN: 400,
+  USER_INACTIVE: 400,
+  CANNOT_IMPERSONATE: 403
+};
+
+// Validation schemas
+const listUsersSchema = Joi.object({
+  search: Joi.string().trim().allow('').max(100),
+  role: Joi.string().valid('admin', 'user'),
+  status: Joi.string().valid('active', 'inactive', 'locked').messages({
+    'any.only': 'Status must be one of: active, inactive, locked'
+  }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const updateUserSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).messages({
+    'string.min': 'Name must be at least 2 characters long',
+    'string.max': 'Name cannot exceed 100 characters'
+  }),
+  email: Joi.string().email().messages({
+    'string.email': 'Please provide a valid email address'
+  })
+}).min(1).messages({
+  'object.min': 'Provide a name or email to update'
+});
+
+const changeRoleSchema = Joi.object({
+  role: Joi.string().valid('admin', 'user').required().messages({
+    'any.only': 'Role must be one of: admin, user',
+    'any.required': 'Role is required'
+  })
+});
+
+const resetPasswordSchema = Joi.object({
+  password: Joi.string().min(6).messages({
+    'string.min': 'Password must be at least 6 characters long'
+  })
+});
+
+// User fields shown in the admin console
+const summarizeUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: !!user.twoFactor?.isEnabled,
+  isLocked: user.isLocked,
+  lockedUntil: user.isLocked ? user.lockout.lockUntil : null,
+  failedLoginAttempts: user.lockout?.failedAttempts || 0,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt
+});
+
+// State of a user before an admin change, for the audit log diff
+const snapshotUser = async (userId) => auditLogService.snapshot(await userManagementService.getUser(userId));
+
+// Record an admin change to a user
+const recordUserChange = (req, action, user, before, after) => auditLogService.record(req, {
+  action,
+  entityType: 'User',
+  entityId: user._id,
+  entityLabel: user.email,
+  before,
+  after
+});
+
+/**
+ * Send the response for a refused user change
+ */
+const handleUserError = (res, error, label) => {
+  if (error instanceof UserManagementError) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * List users with search and filters
+ */
+const getUsers = async (req, res) => {
+  try {
+    const { error, value } = listUsersSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { users, pagination } = await userManagementService.listUsers(value);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(summarizeUser),
+        pagination
+      }
+    });
+  } catch (error) {
+    handleUserError(res, error, 'Get users');
+  }
+};
+
+/**
+ * Get a single user
+ */
+const getUser = async (req, res) => {
+  try {
+    const user = await userManagementService.getUser(req.params.userId);
+
+    res.json({
+      success: true,
+      data: { user: summarizeUser(user) }
+    });
+  } catch (error) {
+    handleUserError(res, error, 'Get user');
+  }
+};
+
+/**
+ * Update a user's name or email
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { error, value } = updateUserSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const before = await snapshotUser(req.params.userId);
+    const user = await userManagementService.updateUser(req.params.userId, value);
+    await recordUserChange(req, 'user.update', user, before, user);
+
+    logger.info(`User ${user.email} updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: { user: summarizeUser(user) }
+    });
+  } catch (error) {
+    handleUserError(res, error, 'Update user');
+  }
+};
+
+/**
+ * Change a user's system role
+ */
+const changeRole = async (req, res) => {
+  try {
+    const { error, value } = changeRoleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const before = await snapshotUser(req.params.userId);
+    const user = await userManagementService.changeRole(req.user, req.params.userId, value.role);
+    await recordUserChange(req, 'user.role.change', user, before, user);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { user: summarizeUser(user) }
+    });
+  } catch (error) {
+    handleUserError(res, error, 'Change role');
+  }
+};
+
+/**
+ * Deactivate a user, ending their sessions
+ */
+const deactivateUser = async (req, res) => {
+  try {
+    const before = await snapshotUser(req.params.userId);
+    const user = await userManagementService.setActive(req.user, req.params.userId, false);
+    await recordUserChange(req, 'user.deactivate', user, before, user);
+
+    res.json({
+      success: true,
+      message: 'User deactivated',
+      data: { user: summarizeUser(user) }
+    });
+  } catch (error) {
+    handleUserError(res, error, 'Deactivate user');
+  }
+};
+
+/**
+ * Reactivate a user
+ */
+const activateUser = async (req, res) => {
+  try {
+    const before = await snapshotUser(req.params.userId);
+    const user = await userManagementService.setActive(req.user, req.params.userId, true);
+    await recordUserChange(req, 'user.activate', user, before, user);
+
+    res.json({
+      success: true,
+      message: 'User activated',
+      data: { user: summarizeUser(user) }
+    });
+  } catch (error) {
+    handleUserError(res, error, 'Activate user');
+  }
+};
+
+/**
+ * Set a new password for a user, or email them a reset link
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { user, emailSent } = await userManagementService.resetPassword(req.user, req.params.userId, value.password);
+    await recordUserChange(req, emailSent ? 'user.password.reset_link' : 'user.password.set', user);
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? `Password reset link sent to ${user.email}`
+        : 'Password reset. The user has been logged out everywhere.',
+      data: { user: summarizeUser(user), emailSent }
+    });
+  } catch (error) {
+    handleUserError(res, error, 'Reset user password');
+  }
+};
+
+/**
+ * Unlock an account locked by failed logins
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const user = await loginProtectionService.unlock(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    logger.info(`Account ${user.email} unlocked by ${req.user.email}`);
+    await recordUserChange(req, 'user.unlock', user);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked',
+      data: { user: summarizeUser(user) }
+    });
+  } catch (error) {
+    handleUserError(res, error, 'Unlock user');
+  }
+};
+
+/**
+ * Start a session as another user
+ */
+const impersonateUser = async (req, res) => {
+  try {
+    const { user, token, refreshToken, expiresIn } = await userManagementService.impersonate(req.user, req.params.userId, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+    await recordUserChange(req, 'user.impersonate', user);
+
+    res.json({
+      success: true,
+      message: `Now acting as ${user.email}`,
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          role: user.role
+        },
+        impersonatedBy: {
+          id: req.user._id,
+          email: req.user.email,
+          name: req.user.name
+        },
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+  } catch (error) {
+    handleUserError(res, error, 'Impersonate user');
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUser,
+  changeRole,
+  deactivateUser,
+  activateUser,
+  resetPassword,
+  unlockUser,
+  impersonateUser
+};
@@ -2,6 +2,15 @@ const logger = require('../config/logger');
 const keywordMatchingService = require('../services/KeywordMatchingService');
 const responseTemplateService = require('../services/ResponseTemplateService');
 const eventQueueService = require('../services/EventQueueService');
+const replyStrategyService = require('../services/ReplyStrategyService');
+const webhookSignatureService = require('../services/WebhookSignatureService');
+const webhookDeduplicationService = require('../services/WebhookDeduplicationService');
+const cooldownService = require('../services/CooldownService');
+const rateLimitService = require('../services/RateLimitService');
+const textNormalizationService = require('../services/TextNormalizationService');
+const crypto = require('crypto');
+
+const { DeferredEventError } = eventQueueService;
 
 /**
  * Verify Instagram webhook
@@ -38,8 +47,11 @@ const verifyWebhook = async (req, res) => {
 };
 
 const Post = require('../models/Post');
-const Keyword = require('../models/Keyword');
 const Activity = require('../models/Activity');
+const User = require('../models/User');
+const InstagramAccount = require('../models/InstagramAccount');
+const WebhookSecret = require('../models/WebhookSecret');
+const DeadLetter = require('../models/DeadLetter');
 const Joi = require('joi');
 
 /**
@@ -47,13 +59,19 @@ const Joi = require('joi');
  */
 const logActivity = async (activityData) => {
   try {
-    const activity = await Activity.create({
+    const fields = {
       userId: activityData.userId || null,
+      workspaceId: activityData.workspaceId || null,
+      accountId: activityData.accountId || null,
       postId: activityData.postId || null,
       keywordId: activityData.keywordId || null,
+      parentActivityId: activityData.parentActivityId || null,
+      duplicateOfActivityId: activityData.duplicateOfActivityId || null,
+      isDuplicate: !!activityData.duplicateOfActivityId,
       type: activityData.type,
       status: activityData.status,
       instagramData: activityData.instagramData,
+      matchedKeyword: activityData.matchedKeyword,
       matchingData: activityData.matchingData || null,
       response: activityData.response || null,
       error: activityData.error || null,
@@ -62,9 +80,35 @@ const logActivity = async (activityData) => {
         reason: activityData.reason,
         fallbackReason: activityData.fallbackReason,
         userAgent: activityData.userAgent,
-        ipAddress: activityData.ipAddress
+        ipAddress: activityData.ipAddress,
+        webhookId: activityData.webhookId
       }
-    });
+    };
+
+    let activity = null;
+
+    // A retried or replayed delivery overwrites the record of its earlier attempt
+    if (activityData.webhookId) {
+      // Keep what the earlier attempt recorded for fields this attempt does not know
+      const update = { ...fields };
+      Object.keys(update).forEach(field => {
+        if (update[field] === null) delete update[field];
+      });
+
+      activity = await Activity.findOneAndUpdate(
+        {
+          'metadata.webhookId': activityData.webhookId,
+          type: fields.type,
+          isDuplicate: fields.isDuplicate
+        },
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+    }
+
+    if (!activity) {
+      activity = await Activity.create(fields);
+    }
 
     // Log to console for debugging
     logger.info('Activity logged:', {
@@ -159,11 +203,43 @@ const testWebhookSchema = Joi.object({
   })
 });
 
+const rotateSecretSchema = Joi.object({
+  appId: Joi.string().required().messages({
+    'any.required': 'App ID is required'
+  }),
+  secret: Joi.string().min(16).required().messages({
+    'string.min': 'App secret must be at least 16 characters',
+    'any.required': 'App secret is required'
+  }),
+  gracePeriodHours: Joi.number().min(0).max(168).optional().messages({
+    'number.max': 'Grace period cannot exceed 168 hours'
+  })
+});
+
+// Validation schema for bulk dead-letter replay
+const replayDeadLettersSchema = Joi.object({
+  ids: Joi.array().items(Joi.string().hex().length(24)).optional().messages({
+    'string.length': 'Dead letter IDs must be valid IDs'
+  }),
+  processor: Joi.string().optional(),
+  eventType: Joi.string().valid('comment', 'message').optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().optional(),
+  limit: Joi.number().integer().min(1).max(500).default(100).messages({
+    'number.max': 'Cannot replay more than 500 dead letters at once'
+  })
+});
+
 /**
  * Process Instagram webhook event with enhanced keyword matching
+ * @param {Object} eventData - Queued webhook event
+ * @param {Object} job - Queue attempt info { attempt, maxRetries, signal }
  */
-const processWebhookEvent = async (eventData) => {
+const processWebhookEvent = async (eventData, job = null) => {
   const startTime = Date.now();
+  let { deliveryId } = eventData;
+  let entryAccount = null;
+  let post = null;
   
   try {
     const { type, postId, fromUserId, fromUsername, text, commentId, messageId, timestamp } = eventData;
@@ -178,18 +254,74 @@ const processWebhookEvent = async (eventData) => {
       timestamp: timestamp || new Date()
     });
 
+    // Instagram redelivers webhooks; only the first delivery gets a reply
+    const original = await webhookDeduplicationService.findOriginal(eventData);
+
+    if (original) {
+      const duplicate = await logActivity({
+        userId: original.userId,
+        workspaceId: original.workspaceId,
+        accountId: original.accountId,
+        postId: original.postId,
+        duplicateOfActivityId: original._id,
+        type: type === 'comment' ? 'COMMENT_RECEIVED' : 'MESSAGE_RECEIVED',
+        status: 'IGNORED',
+        instagramData: {
+          commentId,
+          messageId,
+          fromUserId,
+          fromUsername,
+          originalText: text,
+          timestamp: timestamp || new Date()
+        },
+        reason: 'Duplicate webhook delivery',
+        webhookId: deliveryId,
+        processingTime: Date.now() - startTime
+      });
+
+      return {
+        success: false,
+        status: 'IGNORED',
+        reason: 'Duplicate webhook delivery',
+        activityId: duplicate._id,
+        duplicateOf: original._id
+      };
+    }
+
+    // A redelivery of an event that was never answered takes over the earlier
+    // attempt's records instead of being dropped as a duplicate
+    const unanswered = await webhookDeduplicationService.findUnanswered(eventData);
+    if (unanswered?.metadata?.webhookId) {
+      deliveryId = unanswered.metadata.webhookId;
+    }
+
+    // The webhook entry ID is the Instagram account the event was delivered for
+    entryAccount = eventData.instagramAccountId
+      ? await InstagramAccount.findByInstagramUserId(eventData.instagramAccountId)
+      : null;
+
     // Find the post and verify it has automation enabled
-    const post = await Post.findOne({
+    post = await Post.findOne({
       instagramPostId: postId,
+      // Scoped to the account's current workspace: posts a previous workspace kept are not its own
+      ...(entryAccount && { accountId: entryAccount._id, workspaceId: entryAccount.workspaceId }),
       'automationSettings.isEnabled': true,
       status: 'ACTIVE'
     });
 
     if (!post) {
       logger.info(`Post ${postId} not found or automation disabled`);
-      
-      // Log activity for post not found
+
+      // Nothing to do: without a known account there is no owner to show the event to
+      if (!entryAccount) {
+        return { success: false, reason: 'Post not found or automation disabled' };
+      }
+
+      // Log activity for post not found; a failure here is not worth retrying the event
       await logActivity({
+        userId: entryAccount.userId,
+        workspaceId: entryAccount.workspaceId,
+        accountId: entryAccount._id,
         type: type === 'comment' ? 'COMMENT_RECEIVED' : 'MESSAGE_RECEIVED',
         status: 'IGNORED',
         instagramData: {
@@ -201,19 +333,26 @@ const processWebhookEvent = async (eventData) => {
           timestamp: timestamp || new Date()
         },
         reason: 'Post not found or automation disabled',
+        webhookId: deliveryId,
         processingTime: Date.now() - startTime
+      }).catch(logError => {
+        logger.error('Failed to log ignored activity:', logError);
       });
       
       return { success: false, reason: 'Post not found or automation disabled' };
     }
 
+    // The owner's settings decide how comments are normalized and throttled
+    const owner = await User.findById(post.userId);
+
     // Use keyword matching service for enhanced matching
     const matchOptions = {
       enableFuzzyMatching: true,
       fuzzyThreshold: 0.8,
       enableWordBoundary: true,
       maxMatches: 3,
-      minConfidence: 0.7
+      minConfidence: 0.7,
+      normalization: textNormalizationService.resolveSettings(owner)
     };
 
     const matchResult = await keywordMatchingService.matchMessage(
@@ -227,6 +366,8 @@ const processWebhookEvent = async (eventData) => {
       
       await logActivity({
         userId: post.userId,
+        workspaceId: post.workspaceId,
+        accountId: post.accountId,
         postId: post._id,
         type: type === 'comment' ? 'COMMENT_RECEIVED' : 'MESSAGE_RECEIVED',
         status: 'ERROR',
@@ -242,6 +383,7 @@ const processWebhookEvent = async (eventData) => {
           code: 'KEYWORD_MATCHING_ERROR',
           message: matchResult.error
         },
+        webhookId: deliveryId,
         processingTime: Date.now() - startTime
       });
       
@@ -254,6 +396,8 @@ const processWebhookEvent = async (eventData) => {
       // Log activity for unmatched message
       await logActivity({
         userId: post.userId,
+        workspaceId: post.workspaceId,
+        accountId: post.accountId,
         postId: post._id,
         type: type === 'comment' ? 'COMMENT_RECEIVED' : 'MESSAGE_RECEIVED',
         status: 'NO_MATCH',
@@ -270,6 +414,7 @@ const processWebhookEvent = async (eventData) => {
           processingTime: matchResult.processingTime,
           cacheHit: matchResult.cacheHit
         },
+        webhookId: deliveryId,
         processingTime: Date.now() - startTime
       });
       
@@ -282,13 +427,30 @@ const processWebhookEvent = async (eventData) => {
     
     logger.info(`Keyword matched: "${bestMatch.matchedTerm}" (${bestMatch.matchType}) with confidence ${bestMatch.confidence}`);
 
+    // Load the Instagram account that owns the post
+    const account = entryAccount || (post.accountId ? await InstagramAccount.findById(post.accountId) : null);
+
+    // Wait for the account's API budget instead of failing the reply
+    const accountKey = account?.instagramUserId;
+    const retryAfter = await rateLimitService.getRetryAfter(accountKey);
+    if (retryAfter > 0) {
+      throw new DeferredEventError('Instagram API budget exhausted', { retryAfter, accountKey });
+    }
+
+    // Throttle users who keep asking the same thing
+    const cooldown = await cooldownService.evaluate({ post, owner, fromUserId });
+    const isSuppressed = cooldown.action === 'SUPPRESS';
+
     // Create comprehensive activity record
     const activity = await logActivity({
       userId: post.userId,
+      workspaceId: post.workspaceId,
+      accountId: post.accountId,
       postId: post._id,
       keywordId: keyword._id,
       type: type === 'comment' ? 'COMMENT_RECEIVED' : 'MESSAGE_RECEIVED',
-      status: 'PROCESSING',
+      status: isSuppressed ? 'SUPPRESSED' : 'PROCESSING',
+      reason: cooldown.reason,
       instagramData: {
         commentId,
         messageId,
@@ -319,215 +481,276 @@ const processWebhookEvent = async (eventData) => {
           priority: m.priority
         }))
       },
+      webhookId: deliveryId,
       processingTime: Date.now() - startTime
     });
 
-    // Determine response strategy based on post settings
-    const replyMode = post.automationSettings.replyMode;
-    let responseType = 'DM';
-    let responseMessage = bestMatch.responseData.dmMessage;
-
-    // Add product link if enabled
-    if (bestMatch.responseData.productLink) {
-      responseMessage += `\n\n${bestMatch.responseData.productLink}`;
+    if (isSuppressed) {
+      return {
+        success: false,
+        status: 'SUPPRESSED',
+        reason: cooldown.reason,
+        rule: cooldown.rule,
+        keyword: keyword.keyword,
+        tag: bestMatch.tag,
+        activityId: activity._id,
+        processingTime: Date.now() - startTime
+      };
     }
 
-    // Simulate sending response (in real implementation, this would call Instagram API)
-    const responseResult = await simulateInstagramResponse(
-      responseType,
-      fromUserId,
-      responseMessage,
-      replyMode
-    );
+    // Run the reply pipeline for the post's reply mode
+    const outcome = await replyStrategyService.execute({
+      event: eventData,
+      post,
+      keyword,
+      match: bestMatch,
+      account,
+      parentActivity: activity,
+      messageOverride: cooldown.action === 'REPEAT' ? cooldown.message : null,
+      job
+    });
 
-    if (responseResult.success) {
-      // Update activity as successful
-      await updateActivityStatus(activity._id, 'SUCCESS', {
-        response: {
-          type: responseResult.type,
-          message: responseResult.message,
-          instagramResponseId: responseResult.responseId,
-          responseTime: responseResult.responseTime,
-          retryCount: responseResult.retryCount || 0
-        },
+    if (outcome.status === 'DEFERRED') {
+      await updateActivityStatus(activity._id, 'PENDING', {
         processingTime: Date.now() - startTime
       });
 
-      // Update keyword statistics
-      await keyword.incrementMatch('success', responseResult.responseTime);
-
-      // Update post statistics
-      await post.incrementReplyCounter('success');
+      throw new DeferredEventError(outcome.reason, { retryAfter: outcome.retryAfter, accountKey });
+    }
 
-      logger.info(`Successfully processed webhook event for post ${postId}, keyword "${keyword.keyword}"`);
-      
-      return {
-        success: true,
-        action: responseResult.action || 'replied',
-        responseType: responseResult.type,
-        keyword: keyword.keyword,
-        tag: bestMatch.tag,
-        confidence: bestMatch.confidence,
-        activityId: activity._id,
-        processingTime: Date.now() - startTime,
-        retryCount: responseResult.retryCount || 0
-      };
-    } else {
-      // Mark as failed
-      await updateActivityStatus(activity._id, 'FAILED', {
+    if (outcome.status === 'RETRY') {
+      await updateActivityStatus(activity._id, 'PENDING', {
         error: {
-          code: responseResult.error,
-          message: responseResult.message,
-          retryCount: responseResult.retryCount || 0
+          code: outcome.response.error,
+          message: outcome.response.errorMessage,
+          details: outcome.response.details,
+          retryCount: job.attempt
         },
         processingTime: Date.now() - startTime
       });
 
-      await keyword.incrementMatch('failed');
-      await post.incrementReplyCounter('failed');
+      // The queue schedules the next attempt after its retry delay
+      const retryError = new Error(`Instagram send failed, retrying: ${outcome.reason}`);
+      retryError.isActivityRecorded = true;
+      throw retryError;
+    }
+
+    const stepSummary = outcome.steps.map(step => ({
+      step: step.step,
+      success: step.success,
+      activityId: step.activityId
+    }));
+
+    if (outcome.success) {
+      // Update activity with the response that reached the user
+      await updateActivityStatus(activity._id, outcome.status, {
+        response: {
+          type: outcome.response.type,
+          message: outcome.response.message,
+          sentAt: new Date(),
+          instagramResponseId: outcome.response.responseId
+        },
+        fallbackReason: outcome.fallbackReason,
+        processingTime: Date.now() - startTime
+      });
 
+      logger.info(`Successfully processed webhook event for post ${postId}, keyword "${keyword.keyword}" (${outcome.replyMode}, ${outcome.status})`);
+      
       return {
-        success: false,
-        reason: responseResult.message,
+        success: true,
+        action: outcome.status === 'FALLBACK' ? 'fallback_comment' : 'replied',
+        status: outcome.status,
+        replyMode: outcome.replyMode,
+        responseType: outcome.responseType,
         keyword: keyword.keyword,
         tag: bestMatch.tag,
+        confidence: bestMatch.confidence,
         activityId: activity._id,
+        steps: stepSummary,
+        repeatResponse: cooldown.action === 'REPEAT',
         processingTime: Date.now() - startTime,
-        retryCount: responseResult.retryCount || 0
+        retryCount: job ? job.attempt - 1 : 0
       };
     }
+
+    // Mark as failed (or ignored when the reply mode cannot apply to this event)
+    await updateActivityStatus(activity._id, outcome.status, {
+      error: outcome.response ? {
+        code: outcome.response.error,
+        message: outcome.response.errorMessage,
+        details: outcome.response.details,
+        retryCount: job ? job.attempt - 1 : 0
+      } : null,
+      processingTime: Date.now() - startTime
+    });
+
+    return {
+      success: false,
+      status: outcome.status,
+      replyMode: outcome.replyMode,
+      reason: outcome.reason,
+      keyword: keyword.keyword,
+      tag: bestMatch.tag,
+      activityId: activity._id,
+      steps: stepSummary,
+      processingTime: Date.now() - startTime,
+      retryCount: job ? job.attempt - 1 : 0
+    };
   } catch (error) {
+    if (error instanceof DeferredEventError || error.isActivityRecorded) {
+      throw error;
+    }
+
     logger.error('Process webhook event error:', error);
     
-    // Log error activity
-    try {
-      await logActivity({
-        type: type === 'comment' ? 'COMMENT_RECEIVED' : 'MESSAGE_RECEIVED',
-        status: 'ERROR',
-        instagramData: {
-          commentId: eventData.commentId,
-          messageId: eventData.messageId,
-          fromUserId: eventData.fromUserId,
-          fromUsername: eventData.fromUsername,
-          originalText: eventData.text,
-          timestamp: eventData.timestamp || new Date()
-        },
-        error: {
-          code: 'PROCESSING_ERROR',
-          message: error.message,
-          stack: error.stack
-        },
-        processingTime: Date.now() - startTime
-      });
-    } catch (logError) {
-      logger.error('Failed to log error activity:', logError);
+    // Log error activity for the owner the event could be traced to, if any
+    const source = post || entryAccount;
+    if (source) {
+      try {
+        await logActivity({
+          userId: source.userId,
+          workspaceId: source.workspaceId,
+          accountId: post ? post.accountId : entryAccount._id,
+          postId: post?._id,
+          type: eventData.type === 'comment' ? 'COMMENT_RECEIVED' : 'MESSAGE_RECEIVED',
+          status: 'ERROR',
+          instagramData: {
+            commentId: eventData.commentId,
+            messageId: eventData.messageId,
+            fromUserId: eventData.fromUserId,
+            fromUsername: eventData.fromUsername,
+            originalText: eventData.text,
+            timestamp: eventData.timestamp || new Date()
+          },
+          error: {
+            code: 'PROCESSING_ERROR',
+            message: error.message,
+            stack: error.stack
+          },
+          webhookId: deliveryId,
+          processingTime: Date.now() - startTime
+        });
+      } catch (logError) {
+        logger.error('Failed to log error activity:', logError);
+      }
     }
-    
-    return { success: false, reason: error.message };
+
+    // Let the queue retry the event and dead-letter it once retries run out
+    throw error;
   }
 };
 
 /**
- * Simulate Instagram API response (placeholder for real implementation)
+ * Queue ordering keys for an event: events on the same post or from the
+ * same commenter are processed one at a time in arrival order
  */
-const simulateInstagramResponse = async (type, userId, message, replyMode) => {
-  // Simulate API call delay
-  await new Promise(resolve => setTimeout(resolve, Math.random() * 1000 + 500));
+const getOrderingKeys = (eventData) => [
+  eventData.postId && `post:${eventData.postId}`,
+  eventData.fromUserId && `commenter:${eventData.fromUserId}`
+].filter(Boolean);
 
-  // Simulate success/failure based on type and mode
-  const successRate = type === 'DM' ? 0.85 : 0.95; // DMs have higher failure rate
-  const isSuccess = Math.random() < successRate;
+/**
+ * Build the queue events for every comment and message change in a delivery
+ */
+const collectWebhookEvents = (webhookData) => {
+  const events = [];
 
-  if (isSuccess) {
-    return {
-      success: true,
-      type,
-      responseId: `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      responseTime: Math.floor(Math.random() * 2000 + 500)
-    };
-  } else {
-    return {
-      success: false,
-      error: type === 'DM' ? 'DM_FAILED' : 'COMMENT_FAILED',
-      message: type === 'DM' 
-        ? 'Cannot send DM to private account that doesn\'t follow back'
-        : 'Comment posting failed due to Instagram restrictions'
-    };
+  if (!webhookData.entry || !Array.isArray(webhookData.entry)) {
+    return events;
   }
+
+  for (const entry of webhookData.entry) {
+    if (entry.changes && Array.isArray(entry.changes)) {
+      for (const change of entry.changes) {
+        // Original delivery, kept with the job for the dead-letter store
+        const payload = {
+          object: webhookData.object,
+          entryId: entry.id,
+          time: entry.time,
+          field: change.field,
+          value: change.value
+        };
+
+        if (change.field === 'comments' && change.value) {
+          const commentData = change.value;
+          const eventData = {
+            type: 'comment',
+            instagramAccountId: entry.id,
+            postId: commentData.media?.id,
+            fromUserId: commentData.from?.id,
+            fromUsername: commentData.from?.username,
+            text: commentData.text,
+            commentId: commentData.id,
+            deliveryId: crypto.randomUUID(),
+            timestamp: new Date(commentData.created_time * 1000)
+          };
+
+          events.push({
+            eventData,
+            processor: 'processWebhookEvent',
+            options: {
+              priority: 1, // Comments have normal priority
+              orderingKeys: getOrderingKeys(eventData),
+              accountKey: entry.id,
+              payload,
+              maxRetries: 3,
+              retryDelay: 3000,
+              timeout: 30000
+            }
+          });
+
+        } else if (change.field === 'messages' && change.value) {
+          const messageData = change.value;
+          const eventData = {
+            type: 'message',
+            instagramAccountId: entry.id,
+            postId: messageData.post_id,
+            fromUserId: messageData.from?.id,
+            fromUsername: messageData.from?.username,
+            text: messageData.message?.text,
+            messageId: messageData.message?.mid,
+            deliveryId: crypto.randomUUID(),
+            timestamp: new Date(messageData.timestamp)
+          };
+
+          events.push({
+            eventData,
+            processor: 'processWebhookEvent',
+            options: {
+              priority: 2, // Messages have higher priority
+              orderingKeys: getOrderingKeys(eventData),
+              accountKey: entry.id,
+              payload,
+              maxRetries: 3,
+              retryDelay: 3000,
+              timeout: 30000
+            }
+          });
+        }
+      }
+    }
+  }
+
+  return events;
 };
 
 /**
  * Handle Instagram webhook events with queue system
+ *
+ * Every change is persisted before the delivery is acknowledged; if the
+ * queue write fails a 5xx is returned so Meta redelivers the whole batch.
  */
 const handleWebhook = async (req, res) => {
   try {
-    const webhookData = req.body;
-    
-    // Acknowledge receipt immediately
-    res.status(200).send('OK');
+    const events = collectWebhookEvents(req.body || {});
 
-    // Process webhook events using queue system
-    if (webhookData.entry && Array.isArray(webhookData.entry)) {
-      for (const entry of webhookData.entry) {
-        if (entry.changes && Array.isArray(entry.changes)) {
-          for (const change of entry.changes) {
-            if (change.field === 'comments' && change.value) {
-              // Add comment event to queue
-              const commentData = change.value;
-              const eventData = {
-                type: 'comment',
-                postId: commentData.media?.id,
-                fromUserId: commentData.from?.id,
-                fromUsername: commentData.from?.username,
-                text: commentData.text,
-                commentId: commentData.id,
-                timestamp: new Date(commentData.created_time * 1000)
-              };
-
-              await eventQueueService.addEvent(
-                eventData,
-                processWebhookEvent,
-                {
-                  priority: 1, // Comments have normal priority
-                  maxRetries: 3,
-                  retryDelay: 3000,
-                  timeout: 30000
-                }
-              );
-
-            } else if (change.field === 'messages' && change.value) {
-              // Add message event to queue
-              const messageData = change.value;
-              const eventData = {
-                type: 'message',
-                postId: messageData.post_id,
-                fromUserId: messageData.from?.id,
-                fromUsername: messageData.from?.username,
-                text: messageData.message?.text,
-                messageId: messageData.message?.mid,
-                timestamp: new Date(messageData.timestamp)
-              };
-
-              await eventQueueService.addEvent(
-                eventData,
-                processWebhookEvent,
-                {
-                  priority: 2, // Messages have higher priority
-                  maxRetries: 3,
-                  retryDelay: 3000,
-                  timeout: 30000
-                }
-              );
-            }
-          }
-        }
-      }
-    }
+    await eventQueueService.addEvents(events);
 
-    logger.info('Webhook events added to queue successfully');
+    logger.info(`Webhook events added to queue successfully (${events.length})`);
+    res.status(200).send('OK');
   } catch (error) {
     logger.error('Handle webhook error:', error);
-    // Don't return error to Instagram - we already acknowledged receipt
+    res.status(500).send('Failed to queue webhook events');
   }
 };
 
@@ -559,6 +782,10 @@ const getWebhookStatus = async (req, res) => {
           verifyToken: webhookToken ? 'Set' : 'Not set',
           status: isConfigured ? 'Active' : 'Inactive'
         },
+        signature: webhookSignatureService.getStatistics(),
+        deduplication: webhookDeduplicationService.getStatistics(),
+        cooldown: cooldownService.getStatistics(),
+        rateLimits: await rateLimitService.getStatistics(),
         statistics: {
           recentActivity,
           activePosts,
@@ -575,6 +802,269 @@ const getWebhookStatus = async (req, res) => {
   }
 };
 
+/**
+ * List webhook app secrets (secret values are masked)
+ */
+const getWebhookSecrets = async (req, res) => {
+  try {
+    const secrets = await WebhookSecret.find()
+      .sort({ appId: 1, activatedAt: -1 })
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      data: {
+        secrets,
+        usingEnvFallback: !!process.env.INSTAGRAM_APP_SECRET &&
+          !secrets.some(secret => secret.appId === process.env.INSTAGRAM_APP_ID)
+      }
+    });
+  } catch (error) {
+    logger.error('Get webhook secrets error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Rotate webhook app secret
+ */
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const { error, value } = rotateSecretSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await webhookSignatureService.rotateSecret(value.appId, value.secret, {
+      gracePeriodHours: value.gracePeriodHours,
+      createdBy: req.user._id
+    });
+
+    logger.info(`Webhook secret rotated for app ${value.appId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      data: {
+        secret: result.secret,
+        retiredSecrets: result.retired,
+        previousSecretValidUntil: result.retiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Revoke webhook app secret
+ */
+const revokeWebhookSecret = async (req, res) => {
+  try {
+    const secret = await webhookSignatureService.revokeSecret(req.params.id);
+
+    if (!secret) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook secret not found'
+      });
+    }
+
+    logger.info(`Webhook secret ${req.params.id} revoked by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook secret revoked successfully',
+      data: { secret }
+    });
+  } catch (error) {
+    logger.error('Revoke webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get dead-lettered events
+ */
+const getDeadLetters = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = 'DEAD',
+      processor,
+      eventType,
+      startDate,
+      endDate
+    } = req.query;
+
+    const pageSize = Math.min(parseInt(limit), 100); // Max 100 items per page
+    const query = {};
+
+    if (status !== 'ALL') {
+      query.status = status;
+    }
+
+    if (processor) {
+      query.processor = processor;
+    }
+
+    if (eventType) {
+      query['eventData.type'] = eventType;
+    }
+
+    if (startDate || endDate) {
+      query.failedAt = {};
+      if (startDate) query.failedAt.$gte = new Date(startDate);
+      if (endDate) query.failedAt.$lte = new Date(endDate);
+    }
+
+    const deadLetters = await DeadLetter.find(query)
+      .sort({ failedAt: -1 })
+      .limit(pageSize)
+      .skip((parseInt(page) - 1) * pageSize)
+      .select('-payload -errorHistory');
+
+    const totalCount = await DeadLetter.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / pageSize);
+    const statusCounts = await DeadLetter.getStatusCounts();
+
+    res.json({
+      success: true,
+      data: {
+        deadLetters,
+        statusCounts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a dead-lettered event with its payload and error history
+ */
+const getDeadLetter = async (req, res) => {
+  try {
+    const deadLetter = await DeadLetter.findById(req.params.id)
+      .populate('replays.replayedBy', 'name email');
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { deadLetter }
+    });
+  } catch (error) {
+    logger.error('Get dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Replay a single dead-lettered event
+ */
+const replayDeadLetter = async (req, res) => {
+  try {
+    const result = await eventQueueService.replayDeadLetter(req.params.id, {
+      replayedBy: req.user.id
+    });
+
+    if (!result.replayed) {
+      const errors = {
+        NOT_FOUND: [404, 'Dead letter not found'],
+        ALREADY_REPLAYED: [409, 'Dead letter has already been replayed'],
+        PROCESSOR_NOT_REGISTERED: [409, 'Processor for this event is not registered']
+      };
+      const [status, message] = errors[result.reason];
+
+      return res.status(status).json({
+        success: false,
+        error: message
+      });
+    }
+
+    logger.info(`Dead letter ${req.params.id} replayed by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Dead letter replayed successfully',
+      data: { jobId: result.jobId }
+    });
+  } catch (error) {
+    logger.error('Replay dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Replay dead-lettered events in bulk, e.g. after an outage is fixed
+ */
+const replayDeadLetters = async (req, res) => {
+  try {
+    const { error, value } = replayDeadLettersSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await eventQueueService.replayDeadLetters(value, {
+      replayedBy: req.user.id
+    });
+
+    logger.info(`Bulk dead letter replay by ${req.user.email}: ${result.replayed.length} replayed`);
+
+    res.json({
+      success: true,
+      message: `${result.replayed.length} dead letters replayed`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Bulk replay dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
 /**
  * Initialize webhook services
  */
@@ -585,9 +1075,12 @@ const initializeWebhookServices = async () => {
       await responseTemplateService.initialize();
     }
 
+    // Register processors by name so persisted jobs resolve them after a restart
+    eventQueueService.registerProcessor('processWebhookEvent', processWebhookEvent);
+
     // Initialize Event Queue Service
     if (!eventQueueService.isInitialized) {
-      eventQueueService.initialize();
+      await eventQueueService.initialize();
     }
 
     logger.info('Webhook services initialized successfully');
@@ -624,11 +1117,13 @@ const testWebhook = async (req, res) => {
         text,
         commentId,
         messageId,
+        deliveryId: crypto.randomUUID(),
         timestamp: new Date()
       },
-      processWebhookEvent,
+      'processWebhookEvent',
       {
         priority: 10, // High priority for test events
+        orderingKeys: getOrderingKeys({ postId, fromUserId }),
         maxRetries: 3,
         retryDelay: 3000,
         timeout: 30000
@@ -638,10 +1133,13 @@ const testWebhook = async (req, res) => {
     logger.info(`Test webhook added to queue: ${eventId}`);
 
     // Wait a moment for processing to start
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    await new Promise(resolve => {
+      setTimeout(resolve, 1000);
+    });
 
     // Get event status
-    const eventStatus = eventQueueService.getEvent(eventId);
+    const eventStatus = await eventQueueService.getEvent(eventId);
+    const queueStatus = await eventQueueService.getStatus();
 
     res.json({
       success: true,
@@ -650,7 +1148,7 @@ const testWebhook = async (req, res) => {
         testEvent: value,
         eventId,
         eventStatus,
-        queueStatus: eventQueueService.getStatus()
+        queueStatus
       }
     });
   } catch (error) {
@@ -667,16 +1165,18 @@ const testWebhook = async (req, res) => {
  */
 const getQueueStatus = async (req, res) => {
   try {
-    const queueStatus = eventQueueService.getStatus();
-    const queueItems = eventQueueService.getQueueItems({ limit: 10 });
+    const queueStatus = await eventQueueService.getStatus();
+    const queueItems = await eventQueueService.getQueueItems({ limit: 10 });
     const statistics = eventQueueService.getStatistics();
+    const rateLimits = await rateLimitService.getStatistics();
 
     res.json({
       success: true,
       data: {
         status: queueStatus,
         recentItems: queueItems,
-        statistics
+        statistics,
+        rateLimits
       }
     });
   } catch (error) {
@@ -723,5 +1223,12 @@ module.exports = {
   initializeWebhookServices,
   getQueueStatus,
   getResponseTemplates,
-  sendResponseWithRetry
+  getWebhookSecrets,
+  rotateWebhookSecret,
+  revokeWebhookSecret,
+  getDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+  sendResponse: replyStrategyService.send.bind(replyStrategyService)
 };
@@ -0,0 +1,289 @@
+const workspaceService = require('../services/WorkspaceService');
+const logger = require('../config/logger');
+const { WORKSPACE_ROLES, ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
+const Joi = require('joi');
+
+const { WorkspaceError } = workspaceService;
+
+// HTTP status for each membership error
+const ERROR_STATUS = {
+  USER_NOT_FOUND: 404,
+  NOT_MEMBER: 404,
+  ALREADY_MEMBER: 409,
+  LAST_OWNER: 400
+};
+
+// Validation schemas
+const workspaceSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Workspace name is required',
+    'string.max': 'Workspace name cannot exceed 100 characters',
+    'any.required': 'Workspace name is required'
+  })
+});
+
+const roleSchema = Joi.string().valid(...WORKSPACE_ROLES).messages({
+  'any.only': `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`,
+  'any.required': 'Role is required'
+});
+
+const addMemberSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  }),
+  role: roleSchema.default('viewer')
+});
+
+const updateMemberSchema = Joi.object({
+  role: roleSchema.required()
+});
+
+/**
+ * Send the response for a failed membership change
+ */
+const handleWorkspaceError = (res, error, label) => {
+  if (error instanceof WorkspaceError) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * List the workspaces the user belongs to
+ */
+const getWorkspaces = async (req, res) => {
+  try {
+    const workspaces = await workspaceService.listForUser(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        workspaces,
+        currentWorkspaceId: req.workspace._id
+      }
+    });
+  } catch (error) {
+    logger.error('Get workspaces error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Create a workspace owned by the user
+ */
+const createWorkspace = async (req, res) => {
+  try {
+    const { error, value } = workspaceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const workspace = await workspaceService.createWorkspace(req.user, value);
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: {
+        workspace: {
+          id: workspace._id,
+          name: workspace.name,
+          isPersonal: workspace.isPersonal,
+          role: 'owner',
+          memberCount: workspace.members.length
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Create workspace error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a workspace with its members and the user's permissions
+ */
+const getWorkspace = async (req, res) => {
+  try {
+    const workspace = await req.workspace.populate('members.userId', 'name email isActive');
+
+    res.json({
+      success: true,
+      data: {
+        workspace: {
+          id: workspace._id,
+          name: workspace.name,
+          isPersonal: workspace.isPersonal,
+          createdAt: workspace.createdAt,
+          members: workspace.members.map(member => ({
+            userId: member.userId._id,
+            name: member.userId.name,
+            email: member.userId.email,
+            isActive: member.userId.isActive,
+            role: member.role,
+            addedAt: member.addedAt
+          }))
+        },
+        role: req.workspaceRole,
+        permissions: ROLE_PERMISSIONS[req.workspaceRole]
+      }
+    });
+  } catch (error) {
+    logger.error('Get workspace error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Rename a workspace
+ */
+const updateWorkspace = async (req, res) => {
+  try {
+    const { error, value } = workspaceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    req.workspace.name = value.name;
+    await req.workspace.save();
+
+    logger.info(`Workspace ${req.workspace._id} renamed by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: {
+        workspace: {
+          id: req.workspace._id,
+          name: req.workspace.name
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Update workspace error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Add an existing user to the workspace
+ */
+const addMember = async (req, res) => {
+  try {
+    const { error, value } = addMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const member = await workspaceService.addMember(req.workspace, value, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: {
+        member: {
+          userId: member.userId,
+          role: member.role,
+          addedAt: member.addedAt
+        }
+      }
+    });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Add member');
+  }
+};
+
+/**
+ * Change a member's role
+ */
+const updateMember = async (req, res) => {
+  try {
+    const { error, value } = updateMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const member = await workspaceService.updateMemberRole(req.workspace, req.params.userId, value.role);
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        member: {
+          userId: member.userId,
+          role: member.role
+        }
+      }
+    });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Update member');
+  }
+};
+
+/**
+ * Remove a member; any member may remove themselves to leave the workspace
+ */
+const removeMember = async (req, res) => {
+  try {
+    const isSelf = req.user._id.equals(req.params.userId);
+
+    if (!isSelf && !hasPermission(req.workspaceRole, 'members:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Your workspace role does not allow members:manage.'
+      });
+    }
+
+    await workspaceService.removeMember(req.workspace, req.params.userId);
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the workspace' : 'Member removed successfully'
+    });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Remove member');
+  }
+};
+
+module.exports = {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  addMember,
+  updateMember,
+  removeMember
+};
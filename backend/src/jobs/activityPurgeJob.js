@@ -0,0 +1,29 @@
+const Activity = require('../models/Activity');
+const logger = require('../config/logger');
+
+const retentionDays = parseInt(process.env.ACTIVITY_RETENTION_DAYS) || 90;
+
+/**
+ * Delete activities older than the retention period
+ */
+const run = async () => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const deleted = await Activity.deleteMany({ createdAt: { $lt: cutoff } });
+
+  logger.info(`Scheduled activity purge: removed ${deleted.deletedCount} activities older than ${retentionDays} days`);
+
+  return {
+    retentionDays,
+    cutoff,
+    deletedActivities: deleted.deletedCount
+  };
+};
+
+module.exports = {
+  name: 'activityPurge',
+  description: 'Delete activities older than the retention period',
+  schedule: process.env.ACTIVITY_PURGE_SCHEDULE || '0 4 * * *',
+  lockTtl: 5 * 60 * 1000,
+  run
+};
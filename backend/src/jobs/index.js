@@ -0,0 +1,9 @@
+const postSyncJob = require('./postSyncJob');
+const tokenRefreshJob = require('./tokenRefreshJob');
+const activityPurgeJob = require('./activityPurgeJob');
+
+module.exports = [
+  postSyncJob,
+  tokenRefreshJob,
+  activityPurgeJob
+];
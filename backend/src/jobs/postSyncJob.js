@@ -0,0 +1,78 @@
+const InstagramAccount = require('../models/InstagramAccount');
+const logger = require('../config/logger');
+const postSyncService = require('../services/PostSyncService');
+
+const intervalHours = parseFloat(process.env.POST_SYNC_INTERVAL_HOURS) || 6;
+const batchSize = parseInt(process.env.POST_SYNC_BATCH_SIZE) || 25;
+
+/**
+ * Re-sync Instagram media for connected accounts that have not been synced
+ * within the interval, least recently synced first. Accounts are synced one
+ * at a time so a large backlog is spread over several runs instead of
+ * bursting the API budget.
+ */
+const run = async () => {
+  const cutoff = new Date(Date.now() - intervalHours * 60 * 60 * 1000);
+  const result = {
+    accountsChecked: 0,
+    accountsSynced: 0,
+    accountsPartial: 0,
+    accountsFailed: 0,
+    newPosts: 0,
+    updatedPosts: 0,
+    archivedPosts: 0,
+    errors: []
+  };
+
+  const accounts = await InstagramAccount.find({
+    isConnected: true,
+    tokenExpiresAt: { $not: { $lte: new Date() } }, // Page tokens have no expiry
+    $or: [{ lastSyncAt: { $lt: cutoff } }, { lastSyncAt: null }]
+  }).sort({ lastSyncAt: 1 }).populate('workspaceId', 'isActive');
+
+  for (const account of accounts) {
+    if (result.accountsSynced + result.accountsPartial + result.accountsFailed >= batchSize) break;
+
+    // Accounts of deactivated workspaces stay connected but are not synced
+    if (!account.workspaceId?.isActive) continue;
+
+    result.accountsChecked++;
+
+    if (!account.hasValidConnection()) continue;
+
+    // Sync with the plain workspace ID so new posts are linked to the workspace
+    account.depopulate('workspaceId');
+    const sync = await postSyncService.syncAccountPosts(account);
+
+    result.newPosts += sync.newPosts;
+    result.updatedPosts += sync.updatedPosts;
+    result.archivedPosts += sync.archivedPosts;
+
+    if (sync.completed) {
+      result.accountsSynced++;
+    } else if (sync.partial) {
+      // Stopped at the page limit; the next run continues from the saved cursor
+      result.accountsPartial++;
+    } else {
+      result.accountsFailed++;
+      result.errors.push({
+        accountId: account._id,
+        username: account.username,
+        code: sync.errors[0]?.code || 'SYNC_FAILED',
+        error: sync.errors[0]?.error || 'Sync failed'
+      });
+    }
+  }
+
+  logger.info(`Scheduled post sync: ${result.accountsSynced} accounts synced, ${result.accountsPartial} continue next run, ${result.accountsFailed} failed`);
+
+  return result;
+};
+
+module.exports = {
+  name: 'postSync',
+  description: 'Re-sync Instagram media for accounts whose posts are out of date',
+  schedule: process.env.POST_SYNC_SCHEDULE || '15 * * * *',
+  lockTtl: 10 * 60 * 1000,
+  run
+};
@@ -0,0 +1,69 @@
+const InstagramAccount = require('../models/InstagramAccount');
+const logger = require('../config/logger');
+const instagramGraphClient = require('../services/InstagramGraphClient');
+
+const thresholdDays = parseFloat(process.env.TOKEN_REFRESH_THRESHOLD_DAYS) || 7;
+
+// Errors after which the stored token can never be refreshed again
+const DEAD_TOKEN_CODES = ['INVALID_TOKEN', 'TOKEN_EXPIRED'];
+
+/**
+ * Refresh long-lived Instagram tokens that expire within the threshold.
+ * Accounts whose token Instagram rejects are disconnected so the owner
+ * is asked to connect again instead of every reply failing.
+ */
+const run = async () => {
+  const threshold = new Date(Date.now() + thresholdDays * 24 * 60 * 60 * 1000);
+  const result = {
+    accountsChecked: 0,
+    tokensRefreshed: 0,
+    accountsDisconnected: 0,
+    errors: []
+  };
+
+  const accounts = await InstagramAccount.findExpiringTokens(threshold);
+
+  for (const account of accounts) {
+    result.accountsChecked++;
+
+    try {
+      const token = await instagramGraphClient.refreshLongLivedToken(account);
+
+      account.accessToken = token.accessToken;
+      account.tokenExpiresAt = token.expiresAt;
+      await account.save();
+
+      result.tokensRefreshed++;
+    } catch (error) {
+      logger.warn(`Instagram token refresh failed for account @${account.username}: ${error.code || 'ERROR'} - ${error.message}`);
+
+      result.errors.push({
+        accountId: account._id,
+        username: account.username,
+        code: error.code || 'REFRESH_FAILED',
+        error: error.message
+      });
+
+      if (DEAD_TOKEN_CODES.includes(error.code)) {
+        account.isConnected = false;
+        account.disconnectedAt = new Date();
+        await account.save();
+
+        result.accountsDisconnected++;
+        logger.warn(`Disconnected Instagram account @${account.username || account.instagramUserId} of user ${account.userId}: token can no longer be refreshed`);
+      }
+    }
+  }
+
+  logger.info(`Scheduled token refresh: ${result.tokensRefreshed}/${result.accountsChecked} refreshed, ${result.accountsDisconnected} disconnected`);
+
+  return result;
+};
+
+module.exports = {
+  name: 'tokenRefresh',
+  description: 'Refresh long-lived Instagram tokens before they expire',
+  schedule: process.env.TOKEN_REFRESH_SCHEDULE || '30 3 * * *',
+  lockTtl: 10 * 60 * 1000,
+  run
+};
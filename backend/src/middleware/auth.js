@@ -1,9 +1,64 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../config/logger');
+const workspaceService = require('../services/WorkspaceService');
+const sessionService = require('../services/SessionService');
+const twoFactorService = require('../services/TwoFactorService');
+const apiKeyService = require('../services/ApiKeyService');
+const { hasPermission } = require('../config/permissions');
+
+const { ApiKeyError } = apiKeyService;
+
+/**
+ * Authenticate a request made with an API key instead of a JWT. The request
+ * acts as the key's creator, in the key's workspace, within its rate limit.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {string} key - Plain API key from the Authorization header
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const { apiKey, user, workspace, role } = await apiKeyService.authenticate(key, { ipAddress: req.ip });
+    const usage = await apiKeyService.consume(apiKey);
+
+    res.set({
+      'X-RateLimit-Limit': usage.limit,
+      'X-RateLimit-Remaining': usage.remaining,
+      'X-RateLimit-Reset': Math.ceil(usage.resetAt / 1000)
+    });
+
+    req.user = user;
+    req.apiKey = apiKey;
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    if (error instanceof ApiKeyError && error.code === 'RATE_LIMITED') {
+      res.set('Retry-After', Math.ceil(error.retryAfter / 1000));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests for this API key, please try again later.'
+      });
+    }
+
+    if (error instanceof ApiKeyError) {
+      return res.status(401).json({
+        success: false,
+        error: `Access denied. ${error.message}.`
+      });
+    }
+
+    logger.error('API key authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during authentication.'
+    });
+  }
+};
 
 /**
- * Authentication middleware to verify JWT tokens
+ * Authentication middleware to verify JWT tokens or API keys
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -38,6 +93,10 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (apiKeyService.isApiKey(token)) {
+      return authenticateApiKey(req, res, next, token);
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
@@ -58,8 +117,33 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Access tokens stay valid only while their session does, so logout takes effect immediately
+    if (!(await sessionService.isActive(decoded.sid, user._id))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Access denied. Session has ended.'
+      });
+    }
+
+    // Workspace the request acts in: from the route, the X-Workspace-Id header or the user's first workspace
+    const membership = await workspaceService.resolveForUser(
+      user,
+      req.params.workspaceId || req.headers['x-workspace-id']
+    );
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Not a member of this workspace.'
+      });
+    }
+
+    // Add user, session and workspace to request object
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.impersonatedBy = decoded.impersonatedBy;
+    req.workspace = membership.workspace;
+    req.workspaceRole = membership.role;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -86,11 +170,79 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Authorization middleware to check user roles
- * @param {...string} roles - Allowed roles
+ * Authentication for two-factor enrollment. A login that must enroll before it
+ * gets a session sends the challenge token from the login response instead of
+ * an access token; everyone else is authenticated as usual.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateEnrollment = async (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+
+  if (!challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const { user, rememberMe } = await twoFactorService.verifyChallenge(challengeToken, 'two_factor_setup');
+
+    req.user = user;
+    req.enrollment = { rememberMe };
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: 'Access denied. Verification challenge is invalid or has expired.'
+    });
+  }
+};
+
+/**
+ * Refuse requests made with an API key, for routes that manage the user's own
+ * account, sessions or workspaces and are only meant for people
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const rejectApiKeys = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && apiKeyService.isApiKey(authHeader.substring(7))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. API keys cannot be used for this route.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Whether a request may use a workspace permission: the user's workspace role
+ * must grant it and, for API key requests, the key must be scoped to it
+ * @param {Object} req - Authenticated request
+ * @param {string} permission - Permission such as `keywords:write`
+ * @returns {boolean} Whether the permission is allowed
+ */
+const isAllowed = (req, permission) => {
+  return hasPermission(req.workspaceRole, permission)
+    && (!req.apiKey || req.apiKey.scopes.includes(permission));
+};
+
+/**
+ * Authorization middleware to check user roles and workspace permissions.
+ * Plain names (`admin`) are system roles, any of which is enough; names with
+ * a colon (`keywords:write`) are workspace permissions, all of which the
+ * user's role in the current workspace must grant. API keys never pass a
+ * system role check, and must also be scoped to every permission.
+ * @param {...string} requirements - Allowed roles and required permissions
  * @returns {Function} Express middleware function
  */
-const authorize = (...roles) => {
+const authorize = (...requirements) => {
+  const roles = requirements.filter(requirement => !requirement.includes(':'));
+  const permissions = requirements.filter(requirement => requirement.includes(':'));
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -99,13 +251,31 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (roles.length > 0 && (req.apiKey || !roles.includes(req.user.role))) {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Insufficient permissions.'
       });
     }
 
+    const missing = permissions.find(permission => !hasPermission(req.workspaceRole, permission));
+
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. Your workspace role does not allow ${missing}.`
+      });
+    }
+
+    const unscoped = req.apiKey && permissions.find(permission => !isAllowed(req, permission));
+
+    if (unscoped) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. This API key is not scoped to ${unscoped}.`
+      });
+    }
+
     next();
   };
 };
@@ -126,8 +296,8 @@ const optionalAuth = async (req, res, next) => {
 
     const token = authHeader.substring(7);
     
-    if (!token) {
-      return next(); // Continue without authentication
+    if (!token || apiKeyService.isApiKey(token)) {
+      return next(); // Continue without authentication; API keys only work with authenticate
     }
 
     // Verify token
@@ -136,8 +306,10 @@ const optionalAuth = async (req, res, next) => {
     // Find user by ID from token
     const user = await User.findById(decoded.id).select('-password');
     
-    if (user && user.isActive) {
+    if (user && user.isActive && await sessionService.isActive(decoded.sid, user._id)) {
       req.user = user;
+      req.sessionId = decoded.sid;
+      req.impersonatedBy = decoded.impersonatedBy;
     }
     
     next();
@@ -150,6 +322,9 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateEnrollment,
   authorize,
+  isAllowed,
+  rejectApiKeys,
   optionalAuth
 };
@@ -0,0 +1,51 @@
+const webhookSignatureService = require('../services/WebhookSignatureService');
+const logger = require('../config/logger');
+
+/**
+ * Verify the X-Hub-Signature-256 header of Instagram webhook deliveries.
+ * Requires the raw body captured by express.json({ verify }) in server.js.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyWebhookSignature = async (req, res, next) => {
+  try {
+    // Local tunnels without an app secret can opt out outside production
+    if (process.env.INSTAGRAM_WEBHOOK_SKIP_SIGNATURE === 'true' &&
+        process.env.NODE_ENV !== 'production') {
+      logger.warn('Webhook signature verification skipped (INSTAGRAM_WEBHOOK_SKIP_SIGNATURE=true)');
+      return next();
+    }
+
+    const signature = req.headers['x-hub-signature-256'];
+    const result = await webhookSignatureService.verify(req.rawBody, signature);
+
+    if (!result.valid) {
+      logger.warn('Rejected webhook delivery with invalid signature:', {
+        reason: result.reason,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        signature: signature ? `${signature.substring(0, 15)}...` : null,
+        bodyLength: req.rawBody ? req.rawBody.length : 0
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    req.webhookAppId = result.appId;
+    next();
+  } catch (error) {
+    logger.error('Webhook signature verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during signature verification'
+    });
+  }
+};
+
+module.exports = {
+  verifyWebhookSignature
+};
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const accountTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['PASSWORD_RESET', 'EMAIL_VERIFICATION', 'INSTAGRAM_CONNECT'],
+    required: [true, 'Token type is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true // SHA-256 of the emailed token or OAuth state; the token itself is never stored
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true // Address the token was sent to; verification only counts for that address
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiry is required']
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+accountTokenSchema.index({ userId: 1, type: 1, usedAt: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Expired tokens are removed by MongoDB
+
+// Static method to mark a valid token used, so it works exactly once
+accountTokenSchema.statics.consume = function(tokenHash, type) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash,
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to invalidate a user's outstanding tokens of a type
+accountTokenSchema.statics.invalidateForUser = function(userId, type) {
+  return this.updateMany(
+    { userId, type, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
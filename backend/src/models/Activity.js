@@ -7,10 +7,21 @@ const activitySchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     index: true
   },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InstagramAccount' // Instagram account that received the event
+  },
   postId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
-    required: [true, 'Post ID is required'],
+    required: [function() {
+      // Events on unknown posts and failed events may never have resolved a post
+      return !['IGNORED', 'ERROR'].includes(this.status);
+    }, 'Post ID is required'],
     index: true
   },
   keywordId: {
@@ -18,6 +29,20 @@ const activitySchema = new mongoose.Schema({
     ref: 'Keyword',
     index: true
   },
+  parentActivityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    index: true // Reply steps point to the activity of the event that triggered them
+  },
+  duplicateOfActivityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    index: true // Redelivered webhooks point to the activity of the first delivery
+  },
+  isDuplicate: {
+    type: Boolean,
+    default: false
+  },
   type: {
     type: String,
     enum: ['COMMENT_RECEIVED', 'MESSAGE_RECEIVED', 'DM_SENT', 'COMMENT_REPLIED', 'FALLBACK_COMMENT', 'ERROR'],
@@ -26,7 +51,7 @@ const activitySchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['SUCCESS', 'FAILED', 'PENDING', 'FALLBACK', 'PROCESSING', 'IGNORED', 'NO_MATCH', 'ERROR'],
+    enum: ['SUCCESS', 'FAILED', 'PENDING', 'FALLBACK', 'PROCESSING', 'IGNORED', 'NO_MATCH', 'SUPPRESSED', 'ERROR'],
     required: [true, 'Activity status is required'],
     index: true
   },
@@ -66,7 +91,7 @@ const activitySchema = new mongoose.Schema({
     },
     matchType: {
       type: String,
-      enum: ['EXACT', 'CONTAINS', 'STARTS_WITH', 'ENDS_WITH']
+      enum: ['EXACT', 'CONTAINS', 'STARTS_WITH', 'ENDS_WITH', 'REGEX', 'WILDCARD', 'RULE']
     },
     matchedTerm: {
       type: String // The actual term that matched (could be synonym)
@@ -143,6 +168,9 @@ const activitySchema = new mongoose.Schema({
     }
   },
   metadata: {
+    processingTime: Number,
+    reason: String,
+    fallbackReason: String,
     userAgent: String,
     ipAddress: String,
     webhookId: String,
@@ -168,6 +196,8 @@ const activitySchema = new mongoose.Schema({
 
 // Compound indexes for performance
 activitySchema.index({ userId: 1, createdAt: -1 });
+activitySchema.index({ workspaceId: 1, createdAt: -1 });
+activitySchema.index({ accountId: 1, createdAt: -1 });
 activitySchema.index({ postId: 1, createdAt: -1 });
 activitySchema.index({ type: 1, status: 1, createdAt: -1 });
 activitySchema.index({ 'instagramData.fromUserId': 1, createdAt: -1 });
@@ -181,9 +211,29 @@ activitySchema.index({
   type: 1 
 }, { 
   unique: true,
-  sparse: true // Allow null values
+  // Only comment events are keyed; DM events have no commentId.
+  // Records of redelivered webhooks are kept alongside the original.
+  partialFilterExpression: {
+    'instagramData.commentId': { $exists: true },
+    isDuplicate: false
+  }
 });
 
+// Unique index to prevent duplicate processing of same Instagram message
+activitySchema.index({
+  'instagramData.messageId': 1,
+  type: 1
+}, {
+  unique: true,
+  partialFilterExpression: {
+    'instagramData.messageId': { $exists: true },
+    isDuplicate: false
+  }
+});
+
+// Index used to find earlier attempts of the same webhook delivery
+activitySchema.index({ 'metadata.webhookId': 1, type: 1 }, { sparse: true });
+
 // Virtual for processing duration
 activitySchema.virtual('processingDuration').get(function() {
   if (!this.processing.completedAt || !this.processing.startedAt) return null;
@@ -292,7 +342,7 @@ activitySchema.statics.findByUser = function(userId, options = {}) {
 };
 
 // Static method to get activity statistics
-activitySchema.statics.getActivityStats = function(userId, timeframe = 'week') {
+activitySchema.statics.getActivityStats = function(workspaceId, timeframe = 'week', accountId) {
   const now = new Date();
   let startDate;
   
@@ -311,7 +361,8 @@ activitySchema.statics.getActivityStats = function(userId, timeframe = 'week') {
   }
   
   const matchStage = { createdAt: { $gte: startDate } };
-  if (userId) matchStage.userId = mongoose.Types.ObjectId(userId);
+  if (workspaceId) matchStage.workspaceId = new mongoose.Types.ObjectId(workspaceId);
+  if (accountId) matchStage.accountId = new mongoose.Types.ObjectId(accountId);
   
   return this.aggregate([
     { $match: matchStage },
@@ -328,6 +379,9 @@ activitySchema.statics.getActivityStats = function(userId, timeframe = 'week') {
         fallbackReplies: {
           $sum: { $cond: [{ $eq: ['$status', 'FALLBACK'] }, 1, 0] }
         },
+        suppressedEvents: {
+          $sum: { $cond: [{ $eq: ['$status', 'SUPPRESSED'] }, 1, 0] }
+        },
         averageResponseTime: { $avg: '$processing.responseTime' },
         totalComments: {
           $sum: { $cond: [{ $eq: ['$type', 'COMMENT_RECEIVED'] }, 1, 0] }
@@ -353,12 +407,13 @@ activitySchema.statics.findActivitiesForRetry = function(maxRetries = 3) {
 };
 
 // Static method to get hourly activity distribution
-activitySchema.statics.getHourlyDistribution = function(userId, days = 7) {
+activitySchema.statics.getHourlyDistribution = function(workspaceId, days = 7, accountId) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
   
   const matchStage = { createdAt: { $gte: startDate } };
-  if (userId) matchStage.userId = mongoose.Types.ObjectId(userId);
+  if (workspaceId) matchStage.workspaceId = new mongoose.Types.ObjectId(workspaceId);
+  if (accountId) matchStage.accountId = new mongoose.Types.ObjectId(accountId);
   
   return this.aggregate([
     { $match: matchStage },
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace ID is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required'] // Requests made with the key act as this member
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: [true, 'Key prefix is required'] // First characters of the key, shown so it can be recognized
+  },
+  keyHash: {
+    type: String,
+    required: [true, 'Key hash is required'],
+    unique: true,
+    select: false // SHA-256 of the key; the key itself is only shown once, when created
+  },
+  scopes: {
+    type: [String],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    max: [1000, 'Rate limit cannot exceed 1000 requests per minute'] // Unset uses API_KEY_RATE_LIMIT_PER_MINUTE
+  },
+  rateWindowStart: {
+    type: Date // Minute the request count belongs to; shared by every server process
+  },
+  rateWindowCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date // Unset keys never expire
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.keyHash;
+      delete ret.rateWindowStart;
+      delete ret.rateWindowCount;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.index({ workspaceId: 1, revokedAt: 1 });
+
+// Virtual for whether the key is still accepted
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Static method to find the active key with a hash
+apiKeySchema.statics.findActiveByHash = function(keyHash) {
+  return this.findOne({
+    keyHash,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Static method to count a request in the key's window, starting a new count when
+// the window changed. One atomic update, so concurrent processes never lose a request.
+apiKeySchema.statics.countRequest = function(id, windowStart) {
+  return this.findOneAndUpdate(
+    { _id: id },
+    [
+      {
+        $set: {
+          rateWindowCount: {
+            $cond: [
+              { $eq: ['$rateWindowStart', windowStart] },
+              { $add: [{ $ifNull: ['$rateWindowCount', 0] }, 1] },
+              1
+            ]
+          },
+          rateWindowStart: windowStart
+        }
+      }
+    ],
+    { new: true, projection: { rateWindowCount: 1 } }
+  );
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
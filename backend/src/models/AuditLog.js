@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: [true, 'Change path is required']
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace' // Unset for account-level changes that belong to no workspace
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: {
+    type: String,
+    lowercase: true,
+    trim: true // Kept so the entry stays readable after the actor is renamed or removed
+  },
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Admin who made the change while acting as the actor
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey' // Key the change was made with; the actor is the key's creator
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true // e.g. keyword.update, post.automation.disable
+  },
+  entityType: {
+    type: String,
+    enum: ['Post', 'Keyword', 'User', 'InstagramAccount', 'ApiKey'],
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  entityLabel: {
+    type: String,
+    trim: true // Human-readable name of the entity at the time of the change
+  },
+  changes: [changeSchema],
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+auditLogSchema.index({ workspaceId: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+// Entries are append-only: existing ones can never be changed or removed
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  function(next) {
+    next(new Error('Audit log entries cannot be modified'));
+  }
+);
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+// Static method to get the change history of one entity, newest first
+auditLogSchema.statics.findByEntity = function(entityType, entityId) {
+  return this.find({ entityType, entityId }).sort({ createdAt: -1 });
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
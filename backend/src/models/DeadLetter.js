@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const errorEntrySchema = new mongoose.Schema({
+  attempt: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  workerId: {
+    type: String
+  },
+  failedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const deadLetterSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: [true, 'Job ID is required'],
+    index: true // Queue job that first exhausted its retries
+  },
+  processor: {
+    type: String,
+    required: [true, 'Processor name is required']
+  },
+  eventData: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Event data is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed // Original webhook change as delivered by Instagram
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  accountKey: {
+    type: String // Instagram account of the event, restored on replay for pausing and rate limits
+  },
+  orderingKeys: [{
+    type: String
+  }],
+  options: {
+    maxRetries: {
+      type: Number
+    },
+    retryDelay: {
+      type: Number
+    },
+    timeout: {
+      type: Number
+    }
+  },
+  status: {
+    type: String,
+    enum: ['DEAD', 'REPLAYED', 'RESOLVED'],
+    default: 'DEAD'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  errorHistory: [errorEntrySchema],
+  failedAt: {
+    type: Date,
+    default: Date.now
+  },
+  replays: [{
+    jobId: {
+      type: String
+    },
+    replayedAt: {
+      type: Date,
+      default: Date.now
+    },
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+deadLetterSchema.index({ status: 1, failedAt: -1 });
+deadLetterSchema.index({ processor: 1, failedAt: -1 });
+
+// Virtual for number of times the event has been replayed
+deadLetterSchema.virtual('replayCount').get(function() {
+  return this.replays ? this.replays.length : 0;
+});
+
+// Static method to get counts per status
+deadLetterSchema.statics.getStatusCounts = async function() {
+  const counts = await this.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, { DEAD: 0, REPLAYED: 0, RESOLVED: 0 });
+};
+
+const DeadLetter = mongoose.model('DeadLetter', deadLetterSchema);
+
+module.exports = DeadLetter;
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/credentialEncryption');
+
+const instagramAccountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true // User who connected the account
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace ID is required']
+  },
+  instagramUserId: {
+    type: String,
+    required: [true, 'Instagram user ID is required'],
+    unique: true, // Webhook entry ID; an Instagram account belongs to one workspace
+    trim: true
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  pageId: {
+    type: String,
+    trim: true // Facebook page the business account is linked to
+  },
+  pageName: {
+    type: String,
+    trim: true
+  },
+  accountType: {
+    type: String,
+    enum: ['BUSINESS', 'CREATOR'],
+    default: 'BUSINESS'
+  },
+  accessToken: {
+    type: String,
+    set: encrypt, // Stored encrypted; reads return the plain token
+    get: decrypt
+  },
+  tokenExpiresAt: {
+    type: Date // Unset for page tokens, which do not expire
+  },
+  isConnected: {
+    type: Boolean,
+    default: true
+  },
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  disconnectedAt: {
+    type: Date
+  },
+  lastSyncAt: {
+    type: Date // Latest media sync that finished or failed; a sync stopped at the page limit leaves it
+  },
+  syncCursor: {
+    type: String // Media page an unfinished sync resumes from
+  },
+  syncStartedAt: {
+    type: Date // Start of the unfinished sync, so media it saw is not archived
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.accessToken;
+      return ret;
+    }
+  }
+});
+
+instagramAccountSchema.index({ workspaceId: 1, isConnected: 1 });
+instagramAccountSchema.index({ isConnected: 1, tokenExpiresAt: 1 });
+instagramAccountSchema.index({ isConnected: 1, lastSyncAt: 1 });
+
+// Virtual for whether the stored token has expired. Reads the stored value without
+// decrypting it, so toJSON works even when the token's key is missing or rotated out.
+instagramAccountSchema.virtual('isTokenExpired').get(function() {
+  if (!this.get('accessToken', null, { getters: false })) return true;
+  if (!this.tokenExpiresAt) return false;
+  return new Date() >= this.tokenExpiresAt;
+});
+
+// Instance method to check if the account can call the Graph API
+instagramAccountSchema.methods.hasValidConnection = function() {
+  return this.isConnected && !this.isTokenExpired;
+};
+
+// Static method to find the account a webhook entry belongs to
+instagramAccountSchema.statics.findByInstagramUserId = function(instagramUserId) {
+  return this.findOne({ instagramUserId });
+};
+
+// Static method to find a workspace's connected accounts
+instagramAccountSchema.statics.findConnectedByWorkspace = function(workspaceId) {
+  return this.find({ workspaceId, isConnected: true }).sort({ connectedAt: 1 });
+};
+
+// Static method to find connected accounts whose token expires before a date
+instagramAccountSchema.statics.findExpiringTokens = function(before) {
+  return this.find({
+    isConnected: true,
+    tokenExpiresAt: { $lt: before }
+  });
+};
+
+const InstagramAccount = mongoose.model('InstagramAccount', instagramAccountSchema);
+
+module.exports = InstagramAccount;
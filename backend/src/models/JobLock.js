@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Lock name is required'],
+    unique: true,
+    trim: true
+  },
+  owner: {
+    type: String // host:pid of the process holding the lock
+  },
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRun'
+  },
+  lockedAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date,
+    default: Date.now
+  },
+  lastWindowAt: {
+    type: Date // Schedule tick of the latest scheduled run
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Static method to take a lock that is free or whose holder stopped renewing it.
+// Scheduled runs pass their schedule tick as windowAt, so a tick that another
+// process already ran is refused even after that run released the lock.
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs, windowAt = null) {
+  const now = new Date();
+  const query = { name, lockedUntil: { $lte: now } };
+  const fields = {
+    owner,
+    lockedAt: now,
+    lockedUntil: new Date(now.getTime() + ttlMs)
+  };
+
+  if (windowAt) {
+    query.$or = [{ lastWindowAt: { $lt: windowAt } }, { lastWindowAt: null }];
+    fields.lastWindowAt = windowAt;
+  }
+
+  try {
+    return await this.findOneAndUpdate(
+      query,
+      {
+        $set: fields,
+        $unset: { runId: 1 }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert collides with the unique name while another process holds the lock
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Static method to extend a held lock
+jobLockSchema.statics.renew = async function(name, owner, ttlMs, fields = {}) {
+  const result = await this.updateOne(
+    { name, owner },
+    { $set: { ...fields, lockedUntil: new Date(Date.now() + ttlMs) } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Static method to release a held lock
+jobLockSchema.statics.release = function(name, owner) {
+  return this.updateOne(
+    { name, owner },
+    { $set: { lockedUntil: new Date() } }
+  );
+};
+
+// Static method to list locks that are currently held
+jobLockSchema.statics.findHeld = function() {
+  return this.find({ lockedUntil: { $gt: new Date() } });
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
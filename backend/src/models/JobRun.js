@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['SCHEDULED', 'MANUAL'],
+    default: 'SCHEDULED'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Admin who started a manual run
+  },
+  status: {
+    type: String,
+    enum: ['RUNNING', 'SUCCESS', 'FAILED'],
+    default: 'RUNNING'
+  },
+  workerId: {
+    type: String // host:pid of the process that ran the job
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    message: {
+      type: String
+    },
+    code: {
+      type: String
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // Keep 90 days of history
+
+// Static method to get the latest run of each job
+jobRunSchema.statics.getLatestRuns = async function(jobNames) {
+  const runs = await this.aggregate([
+    { $match: { jobName: { $in: jobNames } } },
+    { $sort: { startedAt: -1 } },
+    { $group: { _id: '$jobName', run: { $first: '$$ROOT' } } }
+  ]);
+
+  return runs.reduce((acc, item) => {
+    const { _id, __v, ...run } = item.run;
+    acc[item._id] = { id: _id, ...run };
+    return acc;
+  }, {});
+};
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { PATTERN_MATCH_TYPES, isPatternType, validatePattern, matchesPattern } = require('../utils/patternMatching');
+const { parseRule, evaluateRule, validateRule, containsPhrase } = require('../utils/keywordRules');
 
 const keywordSchema = new mongoose.Schema({
   userId: {
@@ -7,6 +9,12 @@ const keywordSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     index: true
   },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace ID is required'],
+    index: true
+  },
   postId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
@@ -16,17 +24,20 @@ const keywordSchema = new mongoose.Schema({
   keyword: {
     type: String,
     required: [true, 'Keyword is required'],
-    trim: true,
-    lowercase: true,
+    trim: true, // Lowercased on save, except REGEX patterns and RULE expressions where case changes the meaning
     maxlength: [100, 'Keyword cannot exceed 100 characters'],
     minlength: [1, 'Keyword must be at least 1 character']
   },
   synonyms: [{
     type: String,
     trim: true,
-    lowercase: true,
     maxlength: [100, 'Synonym cannot exceed 100 characters']
   }],
+  // Parsed form of a RULE keyword's expression, kept in sync on validation
+  rule: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   response: {
     dmMessage: {
       type: String,
@@ -60,8 +71,8 @@ const keywordSchema = new mongoose.Schema({
     },
     matchType: {
       type: String,
-      enum: ['EXACT', 'CONTAINS', 'STARTS_WITH', 'ENDS_WITH'],
-      default: 'CONTAINS'
+      enum: ['EXACT', 'CONTAINS', 'STARTS_WITH', 'ENDS_WITH', ...PATTERN_MATCH_TYPES, 'RULE'],
+      default: 'CONTAINS' // REGEX terms are regular expressions; WILDCARD terms match the whole text with * and ?; a RULE keyword is an AND/OR/NOT expression
     },
     caseSensitive: {
       type: Boolean,
@@ -114,6 +125,7 @@ const keywordSchema = new mongoose.Schema({
 
 // Compound indexes for performance
 keywordSchema.index({ userId: 1, postId: 1 });
+keywordSchema.index({ workspaceId: 1, createdAt: -1 });
 keywordSchema.index({ postId: 1, 'settings.isActive': 1, 'settings.priority': -1 });
 keywordSchema.index({ keyword: 1, userId: 1 });
 keywordSchema.index({ 'settings.isActive': 1, 'settings.priority': -1 });
@@ -136,6 +148,21 @@ keywordSchema.virtual('allTerms').get(function() {
 // Instance method to check if text matches this keyword
 keywordSchema.methods.matchesText = function(text) {
   if (!text || !this.settings.isActive) return false;
+
+  if (this.settings.matchType === 'RULE') {
+    if (validateRule(this.keyword)) return false;
+
+    const searchText = this.settings.caseSensitive ? text : text.toLowerCase();
+    return evaluateRule(this.rule || parseRule(this.keyword), term =>
+      containsPhrase(searchText, this.settings.caseSensitive ? term : term.toLowerCase())
+    );
+  }
+
+  if (isPatternType(this.settings.matchType)) {
+    return this.allTerms.some(term => matchesPattern(text, term, this.settings.matchType, {
+      caseSensitive: this.settings.caseSensitive
+    }));
+  }
   
   const searchText = this.settings.caseSensitive ? text : text.toLowerCase();
   const terms = this.allTerms.map(term => 
@@ -228,10 +255,10 @@ keywordSchema.statics.findMatchingKeywords = function(postId, text) {
   });
 };
 
-// Static method to get keyword statistics for a user
-keywordSchema.statics.getUserKeywordStats = function(userId) {
+// Static method to get keyword statistics for a workspace
+keywordSchema.statics.getWorkspaceKeywordStats = function(workspaceId) {
   return this.aggregate([
-    { $match: { userId: mongoose.Types.ObjectId(userId) } },
+    { $match: { workspaceId: new mongoose.Types.ObjectId(workspaceId) } },
     {
       $group: {
         _id: null,
@@ -252,8 +279,8 @@ keywordSchema.statics.getUserKeywordStats = function(userId) {
 };
 
 // Static method to find top performing keywords
-keywordSchema.statics.getTopKeywords = function(userId, limit = 10) {
-  const matchStage = userId ? { userId: mongoose.Types.ObjectId(userId) } : {};
+keywordSchema.statics.getTopKeywords = function(workspaceId, limit = 10) {
+  const matchStage = workspaceId ? { workspaceId: new mongoose.Types.ObjectId(workspaceId) } : {};
   
   return this.aggregate([
     { $match: matchStage },
@@ -289,13 +316,51 @@ keywordSchema.statics.getTopKeywords = function(userId, limit = 10) {
   ]);
 };
 
+// Static method to get a term as it is stored, for lookups by keyword
+keywordSchema.statics.normalizeTerm = function(term, matchType) {
+  return matchType === 'REGEX' || matchType === 'RULE' ? term.trim() : term.trim().toLowerCase();
+};
+
+// Pre-validate middleware to reject invalid or unsafe patterns and rules
+keywordSchema.pre('validate', function(next) {
+  if (this.settings.matchType === 'RULE') {
+    const ruleError = validateRule(this.keyword);
+
+    if (ruleError) {
+      this.invalidate('keyword', `${ruleError.message}: ${this.keyword}`, this.keyword);
+    } else {
+      this.rule = parseRule(this.keyword);
+    }
+
+    if (this.synonyms.length > 0) {
+      this.invalidate('synonyms', 'A rule cannot have synonyms; combine terms with OR instead', this.synonyms);
+    }
+
+    return next();
+  }
+
+  this.rule = undefined;
+
+  const error = validatePattern(this.keyword, this.settings.matchType);
+  if (error) {
+    this.invalidate('keyword', `${error}: ${this.keyword}`, this.keyword);
+  }
+
+  this.synonyms.forEach((synonym, index) => {
+    const synonymError = validatePattern(synonym, this.settings.matchType);
+    if (synonymError) {
+      this.invalidate(`synonyms.${index}`, `${synonymError}: ${synonym}`, synonym);
+    }
+  });
+
+  next();
+});
+
 // Pre-save middleware to normalize keyword and synonyms
 keywordSchema.pre('save', function(next) {
-  // Ensure keyword is lowercase if not case sensitive
-  if (!this.settings.caseSensitive) {
-    this.keyword = this.keyword.toLowerCase();
-    this.synonyms = this.synonyms.map(synonym => synonym.toLowerCase());
-  }
+  // Ensure keyword is lowercase, unless it is a regex
+  this.keyword = this.constructor.normalizeTerm(this.keyword, this.settings.matchType);
+  this.synonyms = this.synonyms.map(synonym => this.constructor.normalizeTerm(synonym, this.settings.matchType));
   
   // Remove duplicate synonyms
   this.synonyms = [...new Set(this.synonyms)];
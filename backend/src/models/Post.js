@@ -7,6 +7,17 @@ const postSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     index: true
   },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace ID is required'],
+    index: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InstagramAccount',
+    index: true // Connected Instagram account the media belongs to
+  },
   instagramPostId: {
     type: String,
     required: [true, 'Instagram post ID is required'],
@@ -55,6 +66,25 @@ const postSchema = new mongoose.Schema({
     },
     disabledAt: {
       type: Date
+    },
+    cooldown: {
+      // Unset fields fall back to the account's cooldown settings
+      isEnabled: {
+        type: Boolean
+      },
+      maxReplies: {
+        type: Number,
+        min: [1, 'Max replies must be at least 1']
+      },
+      windowMinutes: {
+        type: Number,
+        min: [1, 'Cooldown window must be at least 1 minute']
+      },
+      repeatMessage: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Repeat message cannot exceed 300 characters']
+      }
     }
   },
   statistics: {
@@ -112,6 +142,8 @@ const postSchema = new mongoose.Schema({
 
 // Compound indexes for performance
 postSchema.index({ userId: 1, createdAt: -1 });
+postSchema.index({ workspaceId: 1, createdAt: -1 });
+postSchema.index({ accountId: 1, createdAt: -1 });
 postSchema.index({ userId: 1, 'automationSettings.isEnabled': 1 });
 postSchema.index({ instagramPostId: 1, userId: 1 });
 postSchema.index({ status: 1, lastSyncAt: 1 });
@@ -183,7 +215,9 @@ postSchema.statics.findAutomationEnabled = function(userId) {
     query.userId = userId;
   }
   
-  return this.find(query).populate('userId', 'name email instagramAccount.username');
+  return this.find(query)
+    .populate('userId', 'name email')
+    .populate('accountId', 'username');
 };
 
 // Static method to find posts needing sync
@@ -197,10 +231,13 @@ postSchema.statics.findPostsNeedingSync = function(olderThan = 24) {
   });
 };
 
-// Static method to get user's post statistics
-postSchema.statics.getUserPostStats = function(userId) {
+// Static method to get a workspace's post statistics
+postSchema.statics.getWorkspacePostStats = function(workspaceId, accountId) {
+  const matchStage = { workspaceId: new mongoose.Types.ObjectId(workspaceId) };
+  if (accountId) matchStage.accountId = new mongoose.Types.ObjectId(accountId);
+
   return this.aggregate([
-    { $match: { userId: mongoose.Types.ObjectId(userId) } },
+    { $match: matchStage },
     {
       $group: {
         _id: null,
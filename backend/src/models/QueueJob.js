@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+
+const queueJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: [true, 'Job ID is required'],
+    unique: true
+  },
+  processor: {
+    type: String,
+    required: [true, 'Processor name is required']
+  },
+  eventData: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Event data is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed // Original webhook change, kept for the dead-letter store
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'PROCESSING', 'SUCCESS', 'FAILED'],
+    default: 'PENDING'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  accountKey: {
+    type: String // Instagram account the event belongs to; paused while its API budget is exhausted
+  },
+  orderingKeys: [{
+    type: String // Jobs sharing a key (e.g. post:<id>, commenter:<id>) run one at a time in creation order
+  }],
+  options: {
+    maxRetries: {
+      type: Number,
+      default: 3
+    },
+    retryDelay: {
+      type: Number,
+      default: 3000
+    },
+    timeout: {
+      type: Number,
+      default: 30000
+    }
+  },
+  retryCount: {
+    type: Number,
+    default: 0
+  },
+  availableAt: {
+    type: Date,
+    default: Date.now // Retries are scheduled by pushing this into the future
+  },
+  lease: {
+    owner: {
+      type: String // hostname:pid of the worker holding the job
+    },
+    expiresAt: {
+      type: Date // Visibility timeout; an expired lease makes the job claimable again
+    }
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  },
+  errorHistory: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    workerId: String,
+    failedAt: Date
+  }],
+  deadLetterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeadLetter' // Set on jobs replayed from the dead-letter store
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Index used when claiming the next job
+queueJobSchema.index({ status: 1, createdAt: 1, availableAt: 1 });
+// Index used when recovering expired leases
+queueJobSchema.index({ status: 1, 'lease.expiresAt': 1 });
+// Index used when checking ordering keys of in-flight jobs
+queueJobSchema.index({ status: 1, orderingKeys: 1 });
+queueJobSchema.index({ createdAt: -1 });
+
+// Virtual for processing time
+queueJobSchema.virtual('processingTime').get(function() {
+  if (!this.startedAt || !this.completedAt) return null;
+  return this.completedAt - this.startedAt;
+});
+
+// Static method to lease the next available job whose ordering keys are free
+queueJobSchema.statics.claimNext = async function(owner, visibilityTimeout, options = {}) {
+  const batchSize = options.batchSize || 50;
+  const pausedAccounts = options.pausedAccounts || [];
+
+  // Keys of in-flight jobs, grown with the keys of every job found blocked
+  // below so the next query looks past them instead of rescanning them
+  const blockedKeys = new Set(await this.distinct('orderingKeys', { status: 'PROCESSING' }));
+
+  for (;;) {
+    const now = new Date();
+    const query = { status: 'PENDING', availableAt: { $lte: now } };
+
+    if (blockedKeys.size > 0) {
+      query.orderingKeys = { $nin: [...blockedKeys] };
+    }
+
+    if (pausedAccounts.length > 0) {
+      query.accountKey = { $nin: pausedAccounts };
+    }
+
+    // Oldest first: a job only runs when no older unfinished job shares one of its keys
+    const batch = await this.find(query)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(batchSize)
+      .select('orderingKeys priority createdAt')
+      .lean();
+
+    if (batch.length === 0) {
+      return null;
+    }
+
+    const batchKeys = new Set();
+    const candidates = [];
+    for (const job of batch) {
+      const keys = job.orderingKeys || [];
+
+      if (keys.every(key => !batchKeys.has(key))) {
+        candidates.push(job);
+      }
+
+      keys.forEach(key => batchKeys.add(key));
+    }
+
+    candidates.sort((a, b) => b.priority - a.priority || a.createdAt - b.createdAt);
+
+    for (const candidate of candidates) {
+      // Older jobs left out of the query (waiting for a retry, paused account) still go first
+      if (await this.hasOlderConflict(candidate, ['PENDING', 'PROCESSING'])) {
+        continue;
+      }
+
+      const job = await this.findOneAndUpdate(
+        { _id: candidate._id, status: 'PENDING' },
+        {
+          $set: {
+            status: 'PROCESSING',
+            startedAt: now,
+            'lease.owner': owner,
+            'lease.expiresAt': new Date(now.getTime() + visibilityTimeout)
+          }
+        },
+        { new: true }
+      );
+
+      if (!job) continue; // Taken by another worker
+
+      if (await this.hasOlderConflict(job)) {
+        // Another worker claimed an older job with a shared key at the same time
+        await this.updateOne(
+          { _id: job._id, 'lease.owner': owner },
+          { $set: { status: 'PENDING' }, $unset: { lease: 1, startedAt: 1 } }
+        );
+        continue;
+      }
+
+      return job;
+    }
+
+    // Nothing in this batch could run; every later job sharing its keys must wait too
+    batchKeys.forEach(key => blockedKeys.add(key));
+  }
+};
+
+// Static method to check whether an older unfinished job shares ordering keys
+queueJobSchema.statics.hasOlderConflict = async function(job, statuses = ['PROCESSING']) {
+  if (!job.orderingKeys || job.orderingKeys.length === 0) return false;
+
+  const conflict = await this.exists({
+    _id: { $ne: job._id },
+    status: { $in: statuses },
+    orderingKeys: { $in: job.orderingKeys },
+    $or: [
+      { createdAt: { $lt: job.createdAt } },
+      { createdAt: job.createdAt, _id: { $lt: job._id } }
+    ]
+  });
+
+  return !!conflict;
+};
+
+// Static method to return jobs with expired leases to the queue
+queueJobSchema.statics.recoverExpiredLeases = function() {
+  return this.updateMany(
+    {
+      status: 'PROCESSING',
+      'lease.expiresAt': { $lt: new Date() }
+    },
+    {
+      $set: {
+        status: 'PENDING',
+        availableAt: new Date(),
+        error: 'Lease expired before processing completed'
+      },
+      $push: {
+        errorHistory: {
+          error: 'Lease expired before processing completed',
+          failedAt: new Date()
+        }
+      },
+      $unset: { lease: 1, startedAt: 1 },
+      $inc: { retryCount: 1 }
+    }
+  );
+};
+
+const QueueJob = mongoose.model('QueueJob', queueJobSchema);
+
+module.exports = QueueJob;
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const rateLimitBucketSchema = new mongoose.Schema({
+  accountKey: {
+    type: String,
+    required: [true, 'Account key is required'],
+    unique: true // Instagram user ID of the connected account
+  },
+  capacity: {
+    type: Number
+  },
+  tokens: {
+    type: Number
+  },
+  lastRefillAt: {
+    type: Date
+  },
+  pausedUntil: {
+    type: Date,
+    default: null,
+    index: true // Shared by every server process, so a pause stops all of them
+  },
+  usagePercent: {
+    type: Number,
+    default: 0
+  },
+  appUsage: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  businessUsage: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  totalRequests: {
+    type: Number,
+    default: 0
+  },
+  totalThrottled: {
+    type: Number,
+    default: 0
+  },
+  lastUsageAt: {
+    type: Date
+  },
+  granted: {
+    type: Boolean // Whether the latest take() got a token
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Pipeline stages that add the tokens earned since the last refill and clear an expired pause
+ */
+const refillStages = (capacity, now) => {
+  const refillPerMs = capacity / (60 * 60 * 1000);
+
+  return [
+    {
+      $set: {
+        capacity,
+        tokens: {
+          $min: [
+            capacity,
+            {
+              $add: [
+                { $ifNull: ['$tokens', capacity] },
+                { $multiply: [{ $subtract: [now, { $ifNull: ['$lastRefillAt', now] }] }, refillPerMs] }
+              ]
+            }
+          ]
+        },
+        lastRefillAt: now,
+        pausedUntil: { $cond: [{ $gt: ['$pausedUntil', now] }, '$pausedUntil', null] },
+        totalRequests: { $ifNull: ['$totalRequests', 0] },
+        totalThrottled: { $ifNull: ['$totalThrottled', 0] },
+        usagePercent: { $ifNull: ['$usagePercent', 0] },
+        createdAt: { $ifNull: ['$createdAt', now] },
+        updatedAt: now
+      }
+    }
+  ];
+};
+
+// Static method to refill an account's bucket and read it
+rateLimitBucketSchema.statics.refill = function(accountKey, capacity) {
+  return this.collection.findOneAndUpdate(
+    { accountKey },
+    refillStages(capacity, new Date()),
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+// Static method to refill an account's bucket and take one token when the
+// account is not paused. Refill and spend happen in one atomic update so
+// concurrent processes never spend the same token; `granted` on the returned
+// bucket tells whether this call got one.
+rateLimitBucketSchema.statics.take = function(accountKey, capacity) {
+  return this.collection.findOneAndUpdate(
+    { accountKey },
+    [
+      ...refillStages(capacity, new Date()),
+      {
+        $set: {
+          granted: { $and: [{ $eq: ['$pausedUntil', null] }, { $gte: ['$tokens', 1] }] }
+        }
+      },
+      {
+        $set: {
+          tokens: { $cond: ['$granted', { $subtract: ['$tokens', 1] }, '$tokens'] },
+          totalRequests: { $add: ['$totalRequests', { $cond: ['$granted', 1, 0] }] },
+          totalThrottled: { $add: ['$totalThrottled', { $cond: ['$granted', 0, 1] }] }
+        }
+      }
+    ],
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+// Static method to pause an account, only ever extending an existing pause
+rateLimitBucketSchema.statics.pauseUntil = function(accountKey, resumeAt) {
+  return this.updateOne(
+    { accountKey },
+    { $max: { pausedUntil: resumeAt } },
+    { upsert: true }
+  );
+};
+
+// Static method to list accounts whose pause has not ended
+rateLimitBucketSchema.statics.findPausedAccountKeys = function() {
+  return this.distinct('accountKey', { pausedUntil: { $gt: new Date() } });
+};
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
+
+module.exports = RateLimitBucket;
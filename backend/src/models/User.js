@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { encrypt, decrypt } = require('../utils/credentialEncryption');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -34,30 +35,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  instagramAccount: {
-    instagramUserId: {
-      type: String,
-      sparse: true // Allows multiple null values but unique non-null values
-    },
-    username: {
-      type: String,
-      trim: true
-    },
-    accessToken: {
-      type: String
-    },
-    tokenExpiresAt: {
-      type: Date
-    },
-    isConnected: {
-      type: Boolean,
-      default: false
-    },
-    accountType: {
-      type: String,
-      enum: ['BUSINESS', 'CREATOR'],
-      default: 'BUSINESS'
-    }
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
   },
   settings: {
     timezone: {
@@ -77,6 +60,134 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
       }
+    },
+    cooldown: {
+      isEnabled: {
+        type: Boolean,
+        default: true
+      },
+      perPost: {
+        maxReplies: {
+          type: Number,
+          default: 2,
+          min: [1, 'Max replies must be at least 1']
+        },
+        windowMinutes: {
+          type: Number,
+          default: 60,
+          min: [1, 'Cooldown window must be at least 1 minute']
+        }
+      },
+      perAccount: {
+        maxReplies: {
+          type: Number,
+          default: 10,
+          min: [1, 'Max replies must be at least 1']
+        },
+        windowMinutes: {
+          type: Number,
+          default: 1440,
+          min: [1, 'Cooldown window must be at least 1 minute']
+        }
+      },
+      repeatMessage: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [300, 'Repeat message cannot exceed 300 characters']
+      }
+    },
+    // How comments are normalized before keyword matching
+    normalization: {
+      isEnabled: {
+        type: Boolean,
+        default: true
+      },
+      stripEmoji: {
+        type: Boolean,
+        default: true
+      },
+      stripPunctuation: {
+        type: Boolean,
+        default: true
+      },
+      expandSlang: {
+        type: Boolean,
+        default: true
+      },
+      collapseRepeats: {
+        type: Boolean,
+        default: true
+      },
+      stemming: {
+        type: Boolean,
+        default: false
+      },
+      customSlang: {
+        type: [{
+          _id: false,
+          term: {
+            type: String,
+            required: [true, 'Slang term is required'],
+            trim: true,
+            lowercase: true,
+            maxlength: [50, 'Slang term cannot exceed 50 characters']
+          },
+          replacement: {
+            type: String,
+            required: [true, 'Slang replacement is required'],
+            trim: true,
+            lowercase: true,
+            maxlength: [100, 'Slang replacement cannot exceed 100 characters']
+          }
+        }],
+        default: [],
+        validate: {
+          validator: (entries) => entries.length <= 100,
+          message: 'Cannot have more than 100 custom slang entries'
+        }
+      }
+    }
+  },
+  twoFactor: {
+    isEnabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      set: encrypt, // TOTP secret, stored encrypted
+      get: decrypt
+    },
+    pendingSecret: {
+      type: String,
+      set: encrypt, // Secret shown during enrollment until a code confirms it
+      get: decrypt
+    },
+    backupCodes: [{
+      type: String // SHA-256 hashes; each code works once
+    }],
+    lastUsedStep: {
+      type: Number // Time step of the last accepted code, so a code cannot be replayed
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  lockout: {
+    failedAttempts: {
+      type: Number,
+      default: 0 // Failed logins since the last lockout or successful login
+    },
+    lastFailedAt: {
+      type: Date
+    },
+    lockUntil: {
+      type: Date
+    },
+    lockCount: {
+      type: Number,
+      default: 0 // Lockouts since the last successful login; each one lasts longer
     }
   },
   lastLoginAt: {
@@ -95,7 +206,9 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       // Remove sensitive fields from JSON output
       delete ret.password;
-      delete ret.instagramAccount.accessToken;
+      if (ret.twoFactor) {
+        ret.twoFactor = { isEnabled: ret.twoFactor.isEnabled, enabledAt: ret.twoFactor.enabledAt };
+      }
       return ret;
     }
   }
@@ -103,7 +216,6 @@ const userSchema = new mongoose.Schema({
 
 // Indexes for performance
 userSchema.index({ email: 1 });
-userSchema.index({ 'instagramAccount.instagramUserId': 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
 
@@ -112,33 +224,45 @@ userSchema.virtual('displayName').get(function() {
   return this.name || this.email;
 });
 
-// Instance method to check if Instagram token is expired
-userSchema.methods.isInstagramTokenExpired = function() {
-  if (!this.instagramAccount.tokenExpiresAt) return true;
-  return new Date() >= this.instagramAccount.tokenExpiresAt;
-};
+// Virtual for the user's Instagram accounts (populate)
+userSchema.virtual('instagramAccounts', {
+  ref: 'InstagramAccount',
+  localField: '_id',
+  foreignField: 'userId'
+});
 
-// Instance method to check if user has valid Instagram connection
-userSchema.methods.hasValidInstagramConnection = function() {
-  return this.instagramAccount.isConnected && 
-         this.instagramAccount.accessToken && 
-         !this.isInstagramTokenExpired();
-};
+// Virtual for whether failed logins currently lock the account
+userSchema.virtual('isLocked').get(function() {
+  return !!this.lockout?.lockUntil && this.lockout.lockUntil > new Date();
+});
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Instance method to generate a short-lived access token for a session
+userSchema.methods.generateAuthToken = function(sessionId, impersonatedBy) {
   const payload = {
     id: this._id,
+    sid: sessionId,
     email: this.email,
     role: this.role,
-    name: this.name
+    name: this.name,
+    ...(impersonatedBy && { impersonatedBy })
   };
   
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+// Instance method to check whether the user's role must use two-factor authentication.
+// Opt-in: no role is required to use it unless TWO_FACTOR_REQUIRED_ROLES lists it.
+userSchema.methods.requiresTwoFactor = function() {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+  return roles.includes(this.role);
+};
+
 // Instance method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -150,14 +274,6 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
-// Static method to find users with expired tokens
-userSchema.statics.findUsersWithExpiredTokens = function() {
-  return this.find({
-    'instagramAccount.isConnected': true,
-    'instagramAccount.tokenExpiresAt': { $lt: new Date() }
-  });
-};
-
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ isActive: true });
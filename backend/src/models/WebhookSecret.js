@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/credentialEncryption');
+
+const webhookSecretSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: [true, 'App ID is required'],
+    trim: true,
+    index: true
+  },
+  secret: {
+    type: String,
+    required: [true, 'App secret is required'],
+    set: encrypt, // Stored encrypted; reads return the plain secret
+    get: decrypt
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'RETIRING', 'REVOKED'],
+    default: 'ACTIVE',
+    index: true
+  },
+  activatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  retiresAt: {
+    type: Date // Set when the secret is rotated out; still accepted until then
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      ret.secretHint = doc.secret ? `****${doc.secret.slice(-4)}` : null;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+webhookSecretSchema.index({ appId: 1, status: 1 });
+
+// Virtual for whether the secret is still accepted for verification
+webhookSecretSchema.virtual('isValid').get(function() {
+  if (this.status === 'ACTIVE') return true;
+  if (this.status === 'RETIRING') return !!this.retiresAt && this.retiresAt > new Date();
+  return false;
+});
+
+// Static method to find secrets that may currently sign webhook payloads
+webhookSecretSchema.statics.findValidSecrets = function(appId) {
+  const query = {
+    $or: [
+      { status: 'ACTIVE' },
+      { status: 'RETIRING', retiresAt: { $gt: new Date() } }
+    ]
+  };
+
+  if (appId) {
+    query.appId = appId;
+  }
+
+  return this.find(query).sort({ status: 1, activatedAt: -1 });
+};
+
+const WebhookSecret = mongoose.model('WebhookSecret', webhookSecretSchema);
+
+module.exports = WebhookSecret;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { WORKSPACE_ROLES } = require('../config/permissions');
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: WORKSPACE_ROLES,
+      message: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`
+    },
+    default: 'viewer'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  isPersonal: {
+    type: Boolean,
+    default: false // Created automatically for a user's own data
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+workspaceSchema.index({ 'members.userId': 1, isActive: 1 });
+// One personal workspace per user, even when parallel requests create it
+workspaceSchema.index(
+  { createdBy: 1 },
+  { unique: true, partialFilterExpression: { isPersonal: true } }
+);
+
+// Instance method to find a user's membership
+workspaceSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId.equals(userId)) || null;
+};
+
+// Instance method to get a user's role, or null when not a member
+workspaceSchema.methods.getRole = function(userId) {
+  return this.getMember(userId)?.role || null;
+};
+
+// Instance method to count members with the owner role
+workspaceSchema.methods.countOwners = function() {
+  return this.members.filter(member => member.role === 'owner').length;
+};
+
+// Static method to find the active workspaces a user belongs to
+workspaceSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.userId': userId, isActive: true })
+    .sort({ isPersonal: -1, createdAt: 1 });
+};
+
+// Static method to find or create a user's personal workspace
+// Upserts on the unique personal index so concurrent first requests share one workspace
+workspaceSchema.statics.createPersonal = async function(user) {
+  const query = { createdBy: user._id, isPersonal: true };
+
+  try {
+    return await this.findOneAndUpdate(
+      query,
+      {
+        $setOnInsert: {
+          name: user.name ? `${user.name}'s workspace` : 'My workspace',
+          members: [{ userId: user._id, role: 'owner', addedBy: user._id }]
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+  } catch (error) {
+    // Another request inserted it between our lookup and insert
+    if (error.code === 11000) {
+      return this.findOne(query);
+    }
+    throw error;
+  }
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+module.exports = Workspace;
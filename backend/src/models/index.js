@@ -1,11 +1,35 @@
 const User = require('./User');
+const Session = require('./Session');
+const AccountToken = require('./AccountToken');
+const Workspace = require('./Workspace');
+const InstagramAccount = require('./InstagramAccount');
 const Post = require('./Post');
 const Keyword = require('./Keyword');
 const Activity = require('./Activity');
+const WebhookSecret = require('./WebhookSecret');
+const QueueJob = require('./QueueJob');
+const DeadLetter = require('./DeadLetter');
+const RateLimitBucket = require('./RateLimitBucket');
+const JobRun = require('./JobRun');
+const JobLock = require('./JobLock');
+const AuditLog = require('./AuditLog');
+const ApiKey = require('./ApiKey');
 
 module.exports = {
   User,
+  Session,
+  AccountToken,
+  Workspace,
+  InstagramAccount,
   Post,
   Keyword,
-  Activity
+  Activity,
+  WebhookSecret,
+  QueueJob,
+  DeadLetter,
+  RateLimitBucket,
+  JobRun,
+  JobLock,
+  AuditLog,
+  ApiKey
 };
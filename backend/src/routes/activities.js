@@ -1,85 +1,85 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
 const activitiesController = require('../controllers/activitiesController');
 
 // Apply authentication middleware to all routes
-router.use(auth);
+router.use(authenticate);
 
 /**
  * @route   GET /api/activities
  * @desc    Get activities for authenticated user
- * @access  Private
- * @query   page, limit, status, type, startDate, endDate, postId
+ * @access  Private (activities:read)
+ * @query   page, limit, status, type, startDate, endDate, postId, accountId
  */
-router.get('/', activitiesController.getActivities);
+router.get('/', authorize('activities:read'), activitiesController.getActivities);
 
 /**
  * @route   GET /api/activities/stats
  * @desc    Get activity statistics
- * @access  Private
- * @query   timeframe (day, week, month)
+ * @access  Private (activities:read)
+ * @query   timeframe (day, week, month), accountId
  */
-router.get('/stats', activitiesController.getActivityStats);
+router.get('/stats', authorize('activities:read'), activitiesController.getActivityStats);
 
 /**
  * @route   GET /api/activities/export
  * @desc    Export activity data
- * @access  Private
- * @query   format (json, csv), startDate, endDate, status, type
+ * @access  Private (activities:export)
+ * @query   format (json, csv), startDate, endDate, status, type, accountId
  */
-router.get('/export', activitiesController.exportActivities);
+router.get('/export', authorize('activities:export'), activitiesController.exportActivities);
 
 /**
  * @route   GET /api/activities/:activityId
  * @desc    Get single activity details
- * @access  Private
+ * @access  Private (activities:read)
  */
-router.get('/:activityId', activitiesController.getActivityById);
+router.get('/:activityId', authorize('activities:read'), activitiesController.getActivityById);
 
 /**
  * @route   POST /api/activities/test-keyword-matching
  * @desc    Test keyword matching for a message
- * @access  Private
+ * @access  Private (keywords:read)
  * @body    { postId, text, options }
  */
-router.post('/test-keyword-matching', activitiesController.testKeywordMatching);
+router.post('/test-keyword-matching', authorize('keywords:read'), activitiesController.testKeywordMatching);
 
 /**
  * @route   POST /api/activities/batch-test-keyword-matching
  * @desc    Batch test keyword matching for multiple messages
- * @access  Private
+ * @access  Private (keywords:read)
  * @body    { postId, messages, options }
  */
-router.post('/batch-test-keyword-matching', activitiesController.batchTestKeywordMatching);
+router.post('/batch-test-keyword-matching', authorize('keywords:read'), activitiesController.batchTestKeywordMatching);
 
 /**
  * @route   GET /api/activities/keyword-stats/:postId
  * @desc    Get keyword matching statistics for a post
- * @access  Private
+ * @access  Private (keywords:read)
  * @query   startDate, endDate
  */
-router.get('/keyword-stats/:postId', activitiesController.getKeywordMatchingStats);
+router.get('/keyword-stats/:postId', authorize('keywords:read'), activitiesController.getKeywordMatchingStats);
 
 /**
  * @route   POST /api/activities/refresh-cache/:postId
  * @desc    Refresh keyword cache for a post
- * @access  Private
+ * @access  Private (keywords:write)
  */
-router.post('/refresh-cache/:postId', activitiesController.refreshKeywordCache);
+router.post('/refresh-cache/:postId', authorize('keywords:write'), activitiesController.refreshKeywordCache);
 
 /**
  * @route   POST /api/activities/clear-cache
  * @desc    Clear all keyword cache
- * @access  Private
+ * @access  Private (Admin)
  */
-router.post('/clear-cache', activitiesController.clearKeywordCache);
+router.post('/clear-cache', authorize('admin'), activitiesController.clearKeywordCache);
 
 /**
  * @route   GET /api/activities/service/metrics
  * @desc    Get service performance metrics
- * @access  Private
+ * @access  Private (activities:read)
  */
-router.get('/service/metrics', activitiesController.getServiceMetrics);
+router.get('/service/metrics', authorize('activities:read'), activitiesController.getServiceMetrics);
 
 module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const apiKeysController = require('../controllers/apiKeysController');
+const { authenticate, authorize, rejectApiKeys } = require('../middleware/auth');
+
+// Keys are managed by workspace owners, and never with another key
+router.use(rejectApiKeys, authenticate, authorize('api_keys:manage'));
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List the current workspace's API keys
+ * @access  Private (api_keys:manage)
+ */
+router.get('/', apiKeysController.getApiKeys);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key; the key is only returned in this response
+ * @access  Private (api_keys:manage)
+ * @body    { name, scopes, rateLimitPerMinute?, expiresAt? }
+ */
+router.post('/', apiKeysController.createApiKey);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (api_keys:manage)
+ */
+router.delete('/:id', apiKeysController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit log entries, newest first
+ * @access  Private (audit:read for the workspace scope, admin for all)
+ * @query   scope (workspace, account, all), entityType, entityId, actorId, action, startDate, endDate, page, limit
+ */
+router.get('/', authenticate, auditController.getAuditLogs);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authenticateEnrollment, authorize, rejectApiKeys } = require('../middleware/auth');
+
+// Account and session routes are for people, not API keys
+router.use(rejectApiKeys);
 
 /**
  * @route   POST /api/auth/login
@@ -10,13 +13,120 @@ const { authenticate, authorize } = require('../middleware/auth');
  */
 router.post('/login', authController.login);
 
+/**
+ * @route   POST /api/auth/password/forgot
+ * @desc    Email a password reset link
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/password/forgot', authController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/password/reset
+ * @desc    Set a new password with a reset token
+ * @access  Public (reset token)
+ * @body    { token, password }
+ */
+router.post('/password/reset', authController.resetPassword);
+
+/**
+ * @route   POST /api/auth/email/verify
+ * @desc    Verify an email address with a verification token
+ * @access  Public (verification token)
+ * @body    { token }
+ */
+router.post('/email/verify', authController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/email/verification
+ * @desc    Send a new verification link to the user's email address
+ * @access  Private
+ */
+router.post('/email/verification', authenticate, authController.resendVerification);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a login with an authenticator or backup code
+ * @access  Public (challenge token)
+ * @body    { challengeToken, code }
+ */
+router.post('/2fa/verify', authController.verifyTwoFactorLogin);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get the user's two-factor status
+ * @access  Private
+ */
+router.get('/2fa', authenticate, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment
+ * @access  Private, or Public (setup challenge token) when enrollment is required to log in
+ * @body    { challengeToken }
+ */
+router.post('/2fa/setup', authenticateEnrollment, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm two-factor enrollment with a code
+ * @access  Private, or Public (setup challenge token) when enrollment is required to log in
+ * @body    { code, challengeToken }
+ */
+router.post('/2fa/enable', authenticateEnrollment, authController.enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Private
+ * @body    { password, code }
+ */
+router.post('/2fa/disable', authenticate, authController.disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace the user's backup codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/2fa/backup-codes', authenticate, authController.regenerateBackupCodes);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access and refresh token
+ * @access  Public (refresh token)
+ * @body    { refreshToken }
+ */
+router.post('/refresh', authController.refreshToken);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user by revoking the current session
  * @access  Private
  */
 router.post('/logout', authenticate, authController.logout);
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout user from all devices
+ * @access  Private
+ */
+router.post('/logout-all', authenticate, authController.logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticate, authController.revokeSession);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
@@ -24,6 +134,13 @@ router.post('/logout', authenticate, authController.logout);
  */
 router.get('/profile', authenticate, authController.getProfile);
 
+/**
+ * @route   PUT /api/auth/settings
+ * @desc    Update account settings (timezone, notifications, reply cooldown)
+ * @access  Private
+ */
+router.put('/settings', authenticate, authController.updateSettings);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify token validity
@@ -31,6 +148,34 @@ router.get('/profile', authenticate, authController.getProfile);
  */
 router.get('/verify', authenticate, authController.verifyToken);
 
+/**
+ * @route   GET /api/auth/instagram
+ * @desc    List the user's Instagram accounts and their connection status
+ * @access  Private (accounts:read)
+ */
+router.get('/instagram', authenticate, authorize('accounts:read'), authController.getInstagramStatus);
+
+/**
+ * @route   GET /api/auth/instagram/connect
+ * @desc    Get the Facebook Login URL to connect Instagram business accounts
+ * @access  Private (accounts:manage)
+ */
+router.get('/instagram/connect', authenticate, authorize('accounts:manage'), authController.connectInstagram);
+
+/**
+ * @route   GET /api/auth/instagram/callback
+ * @desc    OAuth redirect target; stores the accounts and redirects to the frontend
+ * @access  Public (signed state)
+ */
+router.get('/instagram/callback', authController.instagramCallback);
+
+/**
+ * @route   POST /api/auth/instagram/:accountId/disconnect
+ * @desc    Disconnect one of the user's Instagram accounts
+ * @access  Private (accounts:manage)
+ */
+router.post('/instagram/:accountId/disconnect', authenticate, authorize('accounts:manage'), authController.disconnectInstagram);
+
 /**
  * @route   POST /api/auth/users
  * @desc    Create new user (Admin only)
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const jobsController = require('../controllers/jobsController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All job routes are admin only
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List scheduled jobs with their latest run
+ * @access  Private (Admin)
+ */
+router.get('/', jobsController.getJobs);
+
+/**
+ * @route   GET /api/jobs/history
+ * @desc    Get job run history
+ * @access  Private (Admin)
+ */
+router.get('/history', jobsController.getJobHistory);
+
+/**
+ * @route   POST /api/jobs/:name/run
+ * @desc    Trigger a job manually
+ * @access  Private (Admin)
+ */
+router.post('/:name/run', jobsController.runJob);
+
+module.exports = router;
@@ -6,92 +6,100 @@ const { authenticate, authorize } = require('../middleware/auth');
 /**
  * @route   GET /api/keywords
  * @desc    Get user's keywords
- * @access  Private
+ * @access  Private (keywords:read)
  */
-router.get('/', authenticate, keywordsController.getKeywords);
+router.get('/', authenticate, authorize('keywords:read'), keywordsController.getKeywords);
 
 /**
  * @route   GET /api/keywords/:id
  * @desc    Get single keyword by ID
- * @access  Private
+ * @access  Private (keywords:read)
  */
-router.get('/:id', authenticate, keywordsController.getKeyword);
+router.get('/:id', authenticate, authorize('keywords:read'), keywordsController.getKeyword);
 
 /**
  * @route   POST /api/keywords
  * @desc    Create new keyword
- * @access  Private
+ * @access  Private (keywords:write)
  */
-router.post('/', authenticate, keywordsController.createKeyword);
+router.post('/', authenticate, authorize('keywords:write'), keywordsController.createKeyword);
 
 /**
  * @route   PUT /api/keywords/:id
  * @desc    Update keyword
- * @access  Private
+ * @access  Private (keywords:write)
  */
-router.put('/:id', authenticate, keywordsController.updateKeyword);
+router.put('/:id', authenticate, authorize('keywords:write'), keywordsController.updateKeyword);
 
 /**
  * @route   DELETE /api/keywords/:id
  * @desc    Delete keyword
- * @access  Private
+ * @access  Private (keywords:write)
  */
-router.delete('/:id', authenticate, keywordsController.deleteKeyword);
+router.delete('/:id', authenticate, authorize('keywords:write'), keywordsController.deleteKeyword);
 
 /**
  * @route   GET /api/keywords/post/:postId
  * @desc    Get keywords for specific post
- * @access  Private
+ * @access  Private (keywords:read)
  */
-router.get('/post/:postId', authenticate, keywordsController.getKeywordsByPost);
+router.get('/post/:postId', authenticate, authorize('keywords:read'), keywordsController.getKeywordsByPost);
 
 /**
  * @route   POST /api/keywords/post/:postId/bulk
  * @desc    Bulk create keywords for post
- * @access  Private
+ * @access  Private (keywords:write)
  */
-router.post('/post/:postId/bulk', authenticate, keywordsController.bulkCreateKeywords);
+router.post('/post/:postId/bulk', authenticate, authorize('keywords:write'), keywordsController.bulkCreateKeywords);
 
 /**
  * @route   POST /api/keywords/:id/activate
  * @desc    Activate keyword
- * @access  Private
+ * @access  Private (keywords:write)
  */
-router.post('/:id/activate', authenticate, keywordsController.activateKeyword);
+router.post('/:id/activate', authenticate, authorize('keywords:write'), keywordsController.activateKeyword);
 
 /**
  * @route   POST /api/keywords/:id/deactivate
  * @desc    Deactivate keyword
- * @access  Private
+ * @access  Private (keywords:write)
  */
-router.post('/:id/deactivate', authenticate, keywordsController.deactivateKeyword);
+router.post('/:id/deactivate', authenticate, authorize('keywords:write'), keywordsController.deactivateKeyword);
 
 /**
  * @route   GET /api/keywords/:id/statistics
  * @desc    Get keyword statistics
- * @access  Private
+ * @access  Private (keywords:read)
  */
-router.get('/:id/statistics', authenticate, keywordsController.getKeywordStatistics);
+router.get('/:id/statistics', authenticate, authorize('keywords:read'), keywordsController.getKeywordStatistics);
 
 /**
  * @route   GET /api/keywords/stats/overview
  * @desc    Get user's keywords overview statistics
- * @access  Private
+ * @access  Private (keywords:read)
  */
-router.get('/stats/overview', authenticate, keywordsController.getKeywordsOverview);
+router.get('/stats/overview', authenticate, authorize('keywords:read'), keywordsController.getKeywordsOverview);
 
 /**
  * @route   GET /api/keywords/stats/top-performing
  * @desc    Get top performing keywords
- * @access  Private
+ * @access  Private (keywords:read)
  */
-router.get('/stats/top-performing', authenticate, keywordsController.getTopPerformingKeywords);
+router.get('/stats/top-performing', authenticate, authorize('keywords:read'), keywordsController.getTopPerformingKeywords);
 
 /**
  * @route   POST /api/keywords/test-match
  * @desc    Test keyword matching against text
- * @access  Private
+ * @access  Private (keywords:read)
  */
-router.post('/test-match', authenticate, keywordsController.testKeywordMatch);
+router.post('/test-match', authenticate, authorize('keywords:read'), keywordsController.testKeywordMatch);
+
+/**
+ * @route   POST /api/keywords/validate-rule
+ * @desc    Check a RULE keyword expression without saving it
+ * @access  Private (keywords:read)
+ * @body    { expression }
+ */
+router.post('/validate-rule', authenticate, authorize('keywords:read'), keywordsController.validateKeywordRule);
 
 module.exports = router;
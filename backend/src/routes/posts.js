@@ -6,71 +6,74 @@ const { authenticate, authorize } = require('../middleware/auth');
 /**
  * @route   GET /api/posts
  * @desc    Get user's posts
- * @access  Private
+ * @access  Private (posts:read)
+ * @query   page, limit, status, accountId, automationEnabled, sortBy, sortOrder
  */
-router.get('/', authenticate, postsController.getPosts);
+router.get('/', authenticate, authorize('posts:read'), postsController.getPosts);
 
 /**
  * @route   GET /api/posts/:id
  * @desc    Get single post by ID
- * @access  Private
+ * @access  Private (posts:read)
  */
-router.get('/:id', authenticate, postsController.getPost);
+router.get('/:id', authenticate, authorize('posts:read'), postsController.getPost);
 
 /**
  * @route   POST /api/posts
  * @desc    Create new post
- * @access  Private
+ * @access  Private (posts:write)
  */
-router.post('/', authenticate, postsController.createPost);
+router.post('/', authenticate, authorize('posts:write'), postsController.createPost);
 
 /**
  * @route   PUT /api/posts/:id
  * @desc    Update post
- * @access  Private
+ * @access  Private (posts:write)
  */
-router.put('/:id', authenticate, postsController.updatePost);
+router.put('/:id', authenticate, authorize('posts:write'), postsController.updatePost);
 
 /**
  * @route   DELETE /api/posts/:id
  * @desc    Delete post
- * @access  Private
+ * @access  Private (posts:write)
  */
-router.delete('/:id', authenticate, postsController.deletePost);
+router.delete('/:id', authenticate, authorize('posts:write'), postsController.deletePost);
 
 /**
  * @route   POST /api/posts/:id/automation/enable
  * @desc    Enable automation for post
- * @access  Private
+ * @access  Private (posts:write)
  */
-router.post('/:id/automation/enable', authenticate, postsController.enableAutomation);
+router.post('/:id/automation/enable', authenticate, authorize('posts:write'), postsController.enableAutomation);
 
 /**
  * @route   POST /api/posts/:id/automation/disable
  * @desc    Disable automation for post
- * @access  Private
+ * @access  Private (posts:write)
  */
-router.post('/:id/automation/disable', authenticate, postsController.disableAutomation);
+router.post('/:id/automation/disable', authenticate, authorize('posts:write'), postsController.disableAutomation);
 
 /**
  * @route   GET /api/posts/:id/statistics
  * @desc    Get post statistics
- * @access  Private
+ * @access  Private (posts:read)
  */
-router.get('/:id/statistics', authenticate, postsController.getPostStatistics);
+router.get('/:id/statistics', authenticate, authorize('posts:read'), postsController.getPostStatistics);
 
 /**
  * @route   POST /api/posts/sync
- * @desc    Sync posts from Instagram
- * @access  Private
+ * @desc    Sync posts from Instagram for one or all connected accounts
+ * @access  Private (posts:sync)
+ * @body    { accountId }
  */
-router.post('/sync', authenticate, postsController.syncPosts);
+router.post('/sync', authenticate, authorize('posts:sync'), postsController.syncPosts);
 
 /**
  * @route   GET /api/posts/stats/overview
  * @desc    Get user's posts overview statistics
- * @access  Private
+ * @access  Private (posts:read)
+ * @query   accountId
  */
-router.get('/stats/overview', authenticate, postsController.getPostsOverview);
+router.get('/stats/overview', authenticate, authorize('posts:read'), postsController.getPostsOverview);
 
 module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const usersController = require('../controllers/usersController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All user management routes are admin only
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @route   GET /api/users
+ * @desc    List users
+ * @access  Private (Admin)
+ * @query   { search, role, status, page, limit }
+ */
+router.get('/', usersController.getUsers);
+
+/**
+ * @route   GET /api/users/:userId
+ * @desc    Get a user
+ * @access  Private (Admin)
+ */
+router.get('/:userId', usersController.getUser);
+
+/**
+ * @route   PUT /api/users/:userId
+ * @desc    Update a user's name or email
+ * @access  Private (Admin)
+ * @body    { name, email }
+ */
+router.put('/:userId', usersController.updateUser);
+
+/**
+ * @route   PUT /api/users/:userId/role
+ * @desc    Change a user's system role
+ * @access  Private (Admin)
+ * @body    { role }
+ */
+router.put('/:userId/role', usersController.changeRole);
+
+/**
+ * @route   POST /api/users/:userId/deactivate
+ * @desc    Deactivate a user and end their sessions
+ * @access  Private (Admin)
+ */
+router.post('/:userId/deactivate', usersController.deactivateUser);
+
+/**
+ * @route   POST /api/users/:userId/activate
+ * @desc    Reactivate a user
+ * @access  Private (Admin)
+ */
+router.post('/:userId/activate', usersController.activateUser);
+
+/**
+ * @route   POST /api/users/:userId/password
+ * @desc    Set a new password, or email a reset link when none is given
+ * @access  Private (Admin)
+ * @body    { password }
+ */
+router.post('/:userId/password', usersController.resetPassword);
+
+/**
+ * @route   POST /api/users/:userId/unlock
+ * @desc    Unlock an account locked by failed logins
+ * @access  Private (Admin)
+ */
+router.post('/:userId/unlock', usersController.unlockUser);
+
+/**
+ * @route   POST /api/users/:userId/impersonate
+ * @desc    Start a short session as the user
+ * @access  Private (Admin)
+ */
+router.post('/:userId/impersonate', usersController.impersonateUser);
+
+module.exports = router;
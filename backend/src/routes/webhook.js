@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { verifyWebhookSignature } = require('../middleware/webhookSignature');
 
 /**
  * @route   GET /api/webhook/instagram
@@ -14,20 +16,80 @@ router.get('/instagram', webhookController.verifyWebhook);
  * @desc    Instagram webhook events
  * @access  Public
  */
-router.post('/instagram', webhookController.handleWebhook);
+router.post('/instagram', verifyWebhookSignature, webhookController.handleWebhook);
 
 /**
  * @route   GET /api/webhook/status
  * @desc    Get webhook status and configuration
  * @access  Private (Admin)
  */
-router.get('/status', webhookController.getWebhookStatus);
+router.get('/status', authenticate, authorize('admin'), webhookController.getWebhookStatus);
 
 /**
  * @route   POST /api/webhook/test
- * @desc    Test webhook processing with mock data
+ * @desc    Test webhook processing with mock data (admin session, not signed by Meta)
+ * @access  Private (Admin), not mounted in production
+ */
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/test', authenticate, authorize('admin'), webhookController.testWebhook);
+}
+
+/**
+ * @route   GET /api/webhook/queue
+ * @desc    Get persistent event queue status and recent jobs
+ * @access  Private (Admin)
+ */
+router.get('/queue', authenticate, authorize('admin'), webhookController.getQueueStatus);
+
+/**
+ * @route   GET /api/webhook/dead-letters
+ * @desc    List events that exhausted their retries
+ * @access  Private (Admin)
+ */
+router.get('/dead-letters', authenticate, authorize('admin'), webhookController.getDeadLetters);
+
+/**
+ * @route   POST /api/webhook/dead-letters/replay
+ * @desc    Replay dead-lettered events in bulk
+ * @access  Private (Admin)
+ * @body    { ids, processor, eventType, startDate, endDate, limit }
+ */
+router.post('/dead-letters/replay', authenticate, authorize('admin'), webhookController.replayDeadLetters);
+
+/**
+ * @route   GET /api/webhook/dead-letters/:id
+ * @desc    Get a dead-lettered event with its original payload and error history
+ * @access  Private (Admin)
+ */
+router.get('/dead-letters/:id', authenticate, authorize('admin'), webhookController.getDeadLetter);
+
+/**
+ * @route   POST /api/webhook/dead-letters/:id/replay
+ * @desc    Replay a single dead-lettered event
+ * @access  Private (Admin)
+ */
+router.post('/dead-letters/:id/replay', authenticate, authorize('admin'), webhookController.replayDeadLetter);
+
+/**
+ * @route   GET /api/webhook/secrets
+ * @desc    List webhook app secrets (masked)
+ * @access  Private (Admin)
+ */
+router.get('/secrets', authenticate, authorize('admin'), webhookController.getWebhookSecrets);
+
+/**
+ * @route   POST /api/webhook/secrets/rotate
+ * @desc    Rotate an app secret, keeping the previous one valid for a grace window
+ * @access  Private (Admin)
+ * @body    { appId, secret, gracePeriodHours }
+ */
+router.post('/secrets/rotate', authenticate, authorize('admin'), webhookController.rotateWebhookSecret);
+
+/**
+ * @route   POST /api/webhook/secrets/:id/revoke
+ * @desc    Revoke an app secret immediately
  * @access  Private (Admin)
  */
-router.post('/test', webhookController.testWebhook);
+router.post('/secrets/:id/revoke', authenticate, authorize('admin'), webhookController.revokeWebhookSecret);
 
 module.exports = router;
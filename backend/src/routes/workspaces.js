@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const workspacesController = require('../controllers/workspacesController');
+const { authenticate, authorize, rejectApiKeys } = require('../middleware/auth');
+
+// Workspaces and their members are managed by people, not API keys
+router.use(rejectApiKeys);
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    List the user's workspaces
+ * @access  Private
+ */
+router.get('/', authenticate, workspacesController.getWorkspaces);
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create a workspace owned by the user
+ * @access  Private
+ * @body    { name }
+ */
+router.post('/', authenticate, workspacesController.createWorkspace);
+
+/**
+ * @route   GET /api/workspaces/:workspaceId
+ * @desc    Get a workspace with its members and the user's permissions
+ * @access  Private (member)
+ */
+router.get('/:workspaceId', authenticate, workspacesController.getWorkspace);
+
+/**
+ * @route   PUT /api/workspaces/:workspaceId
+ * @desc    Rename a workspace
+ * @access  Private (workspace:manage)
+ * @body    { name }
+ */
+router.put('/:workspaceId', authenticate, authorize('workspace:manage'), workspacesController.updateWorkspace);
+
+/**
+ * @route   POST /api/workspaces/:workspaceId/members
+ * @desc    Add an existing user to a workspace
+ * @access  Private (members:manage)
+ * @body    { email, role }
+ */
+router.post('/:workspaceId/members', authenticate, authorize('members:manage'), workspacesController.addMember);
+
+/**
+ * @route   PUT /api/workspaces/:workspaceId/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (members:manage)
+ * @body    { role }
+ */
+router.put('/:workspaceId/members/:userId', authenticate, authorize('members:manage'), workspacesController.updateMember);
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId/members/:userId
+ * @desc    Remove a member, or leave the workspace when removing yourself
+ * @access  Private (members:manage, or the member themselves)
+ */
+router.delete('/:workspaceId/members/:userId', authenticate, workspacesController.removeMember);
+
+module.exports = router;
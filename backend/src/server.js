@@ -9,6 +9,8 @@ const logger = require('./config/logger');
 const { connectDB } = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
+const { validateKeys } = require('./utils/credentialEncryption');
+const apiKeyService = require('./services/ApiKeyService');
 
 const app = express();
 const PORT = parseInt(process.env.PORT) || 3000;
@@ -55,11 +57,28 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Requests with a verified API key are limited per key by `authenticate` instead;
+  // anything else, including unknown or revoked keys, stays limited per IP
+  skip: async (req) => {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return false;
+
+    return apiKeyService.isValidKey(authHeader.substring(7));
+  },
 });
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    // Keep the raw payload for X-Hub-Signature-256 verification
+    if (req.originalUrl.startsWith('/api/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -81,6 +100,15 @@ const postsRoutes = require('./routes/posts');
 const keywordsRoutes = require('./routes/keywords');
 const activitiesRoutes = require('./routes/activities');
 const webhookRoutes = require('./routes/webhook');
+const jobsRoutes = require('./routes/jobs');
+const usersRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const apiKeysRoutes = require('./routes/apiKeys');
+const workspacesRoutes = require('./routes/workspaces');
+const { initializeWebhookServices } = require('./controllers/webhookController');
+const eventQueueService = require('./services/EventQueueService');
+const jobSchedulerService = require('./services/JobSchedulerService');
+const scheduledJobs = require('./jobs');
 
 // API routes placeholder
 app.get('/api', (req, res) => {
@@ -90,10 +118,15 @@ app.get('/api', (req, res) => {
     status: 'running',
     endpoints: {
       auth: '/api/auth',
+      users: '/api/users',
+      workspaces: '/api/workspaces',
       posts: '/api/posts',
       keywords: '/api/keywords',
       activities: '/api/activities',
       webhook: '/api/webhook',
+      jobs: '/api/jobs',
+      audit: '/api/audit',
+      apiKeys: '/api/api-keys',
       health: '/health',
       database: '/api/db'
     }
@@ -103,6 +136,12 @@ app.get('/api', (req, res) => {
 // Authentication routes
 app.use('/api/auth', authRoutes);
 
+// Admin user management routes
+app.use('/api/users', usersRoutes);
+
+// Workspace routes
+app.use('/api/workspaces', workspacesRoutes);
+
 // Posts routes
 app.use('/api/posts', postsRoutes);
 
@@ -115,6 +154,15 @@ app.use('/api/activities', activitiesRoutes);
 // Webhook routes
 app.use('/api/webhook', webhookRoutes);
 
+// Background job routes
+app.use('/api/jobs', jobsRoutes);
+
+// Audit log routes
+app.use('/api/audit', auditRoutes);
+
+// API key routes
+app.use('/api/api-keys', apiKeysRoutes);
+
 // Database status endpoints
 app.get('/api/db/status', (req, res) => {
   const dbState = mongoose.connection.readyState;
@@ -184,8 +232,24 @@ app.use(errorHandler);
 // Connect to database and start server
 const startServer = async () => {
   try {
+    // Credentials cannot be read or stored without valid encryption keys
+    const encryptionKeys = validateKeys();
+    if (!encryptionKeys.configured) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('CREDENTIAL_ENCRYPTION_KEYS is not configured');
+      }
+      logger.warn('CREDENTIAL_ENCRYPTION_KEYS is not configured; Instagram accounts cannot be connected');
+    }
+
     // Connect to MongoDB
     await connectDB();
+
+    // Recover queued webhook events and start processing
+    await initializeWebhookServices();
+
+    // Schedule background jobs
+    scheduledJobs.forEach(job => jobSchedulerService.registerJob(job));
+    await jobSchedulerService.initialize();
     
     // Find available port
     const availablePort = await findAvailablePort(PORT);
@@ -217,16 +281,20 @@ const startServer = async () => {
     // Graceful shutdown
     const gracefulShutdown = (signal) => {
       logger.info(`${signal} received, shutting down gracefully`);
-      server.close((err) => {
+      server.close(async (err) => {
         if (err) {
           logger.error('Error during server shutdown:', err);
           process.exit(1);
         }
         logger.info('Server closed successfully');
-        mongoose.connection.close(false, () => {
-          logger.info('MongoDB connection closed');
-          process.exit(0);
-        });
+
+        // Let the in-flight event finish; anything left is recovered on restart
+        await eventQueueService.shutdown();
+        await jobSchedulerService.shutdown();
+
+        await mongoose.connection.close(false);
+        logger.info('MongoDB connection closed');
+        process.exit(0);
       });
     };
 
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const mailerService = require('./MailerService');
+const sessionService = require('./SessionService');
+
+/**
+ * Error raised when an emailed token cannot be used.
+ * `code` lets controllers pick the HTTP status.
+ */
+class AccountTokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AccountTokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Escape text placed into an HTML email
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Account Token Service
+ * Password reset and email verification through expiring, single-use tokens
+ * sent by email. Only a hash of each token is stored.
+ */
+class AccountTokenService {
+  constructor() {
+    this.resetExpiresMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+    this.verificationExpiresHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Token from the email link
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Build a frontend link carrying a token
+   * @param {string} page - Frontend path
+   * @param {string} token - Plain token
+   * @returns {string} URL
+   */
+  buildLink(page, token) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    return `${frontendUrl}${page}?${new URLSearchParams({ token })}`;
+  }
+
+  /**
+   * Issue a token, invalidating the user's earlier ones of the same type
+   * @param {Object} user - Token owner
+   * @param {string} type - PASSWORD_RESET or EMAIL_VERIFICATION
+   * @param {number} lifetimeMs - How long the token stays valid
+   * @returns {string} Plain token to send by email
+   */
+  async issueToken(user, type, lifetimeMs) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await AccountToken.invalidateForUser(user._id, type);
+    await AccountToken.create({
+      userId: user._id,
+      type,
+      tokenHash: this.hashToken(token),
+      email: user.email,
+      expiresAt: new Date(Date.now() + lifetimeMs)
+    });
+
+    return token;
+  }
+
+  /**
+   * Use a token, returning its record and owner
+   * @param {string} token - Token from the email link
+   * @param {string} type - Expected token type
+   * @returns {Object} { accountToken, user }
+   */
+  async consumeToken(token, type) {
+    const accountToken = await AccountToken.consume(this.hashToken(token), type);
+    const user = accountToken && await User.findById(accountToken.userId);
+
+    if (!user || !user.isActive) {
+      throw new AccountTokenError('This link is invalid or has expired', 'INVALID_TOKEN');
+    }
+
+    return { accountToken, user };
+  }
+
+  /**
+   * Email a password reset link. Unknown or inactive addresses are ignored
+   * silently so the response does not reveal which emails have accounts.
+   * @param {string} email - Address entered on the forgot password page
+   */
+  async sendPasswordReset(email) {
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+
+    if (!user) {
+      logger.info(`Password reset requested for unknown or inactive email ${email}`);
+      return;
+    }
+
+    const token = await this.issueToken(user, 'PASSWORD_RESET', this.resetExpiresMinutes * 60 * 1000);
+    const link = this.buildLink('/reset-password', token);
+
+    await mailerService.send({
+      to: user.email,
+      subject: 'Reset your Tanggapin password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Someone asked to reset the password of your Tanggapin account. Open this link to choose a new one:',
+        link,
+        '',
+        `The link works once and expires in ${this.resetExpiresMinutes} minutes. If you did not ask for this, ignore this email; your password stays the same.`
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Someone asked to reset the password of your Tanggapin account. <a href="${link}">Choose a new password</a>.</p>
+<p>The link works once and expires in ${this.resetExpiresMinutes} minutes. If you did not ask for this, ignore this email; your password stays the same.</p>`
+    });
+  }
+
+  /**
+   * Set a new password with a reset token and end every existing session
+   * @param {string} token - Token from the email link
+   * @param {string} password - New password
+   * @returns {Object} User
+   */
+  async resetPassword(token, password) {
+    const { accountToken, user } = await this.consumeToken(token, 'PASSWORD_RESET');
+
+    user.password = password;
+
+    // Receiving the reset email proves the address works
+    if (accountToken.email === user.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+    await sessionService.revokeAllSessions(user._id, 'PASSWORD_RESET');
+
+    logger.info(`Password reset for ${user.email}`);
+
+    return user;
+  }
+
+  /**
+   * Email a verification link to the user's address
+   * @param {Object} user - User to verify
+   */
+  async sendEmailVerification(user) {
+    if (user.emailVerified) {
+      throw new AccountTokenError('Email address is already verified', 'ALREADY_VERIFIED');
+    }
+
+    const lifetimeMs = this.verificationExpiresHours * 60 * 60 * 1000;
+    const token = await this.issueToken(user, 'EMAIL_VERIFICATION', lifetimeMs);
+    const link = this.buildLink('/verify-email', token);
+
+    await mailerService.send({
+      to: user.email,
+      subject: 'Verify your Tanggapin email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm this is your email address by opening this link:',
+        link,
+        '',
+        `The link expires in ${this.verificationExpiresHours} hours.`
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please <a href="${link}">confirm this is your email address</a>.</p>
+<p>The link expires in ${this.verificationExpiresHours} hours.</p>`
+    });
+  }
+
+  /**
+   * Mark the user's email verified with a verification token
+   * @param {string} token - Token from the email link
+   * @returns {Object} User
+   */
+  async verifyEmail(token) {
+    const { accountToken, user } = await this.consumeToken(token, 'EMAIL_VERIFICATION');
+
+    // The address changed after the link was sent
+    if (accountToken.email !== user.email) {
+      throw new AccountTokenError('This link is invalid or has expired', 'INVALID_TOKEN');
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    logger.info(`Email verified for ${user.email}`);
+
+    return user;
+  }
+}
+
+const accountTokenService = new AccountTokenService();
+
+module.exports = accountTokenService;
+module.exports.AccountTokenError = AccountTokenError;
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const workspaceService = require('./WorkspaceService');
+const logger = require('../config/logger');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Error raised when an API key cannot be created, used or revoked.
+ * `retryAfter` is set in milliseconds when the key is rate limited.
+ */
+class ApiKeyError extends Error {
+  constructor(message, code, retryAfter = null) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * API Key Service
+ * Keys let other systems call the API without a user session. Each key belongs
+ * to a workspace, acts as the member who created it, and can only use the
+ * permissions it was scoped to. Only a SHA-256 hash of the key is stored.
+ */
+class ApiKeyService {
+  constructor() {
+    this.keyPrefix = 'tgn_';
+    this.defaultRateLimit = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60;
+    this.lastUsedIntervalMs = 60 * 1000; // lastUsedAt is written at most once a minute per key
+    this.rateWindowMs = 60 * 1000;
+  }
+
+  /**
+   * Whether a bearer token is an API key rather than a JWT
+   * @param {string} token - Bearer token
+   * @returns {boolean} Whether it has the API key prefix
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(this.keyPrefix);
+  }
+
+  /**
+   * Hash a key for storage and lookup
+   * @param {string} key - Plain API key
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Whether a key exists and is active
+   * @param {string} key - Plain API key
+   * @returns {boolean} Whether the key would be accepted
+   */
+  async isValidKey(key) {
+    if (!this.isApiKey(key)) return false;
+
+    return !!(await ApiKey.findActiveByHash(this.hashKey(key)).select('_id').lean());
+  }
+
+  /**
+   * Create a key for a workspace
+   * @param {Object} user - Member creating the key
+   * @param {Object} membership - { workspace, role } of the creator
+   * @param {Object} options - { name, scopes, rateLimitPerMinute, expiresAt }
+   * @returns {Object} { apiKey, key } where key is the plain key, never shown again
+   */
+  async createKey(user, { workspace, role }, { name, scopes, rateLimitPerMinute, expiresAt }) {
+    // A key can never do more than the member it acts as
+    const denied = scopes.find(scope => !hasPermission(role, scope));
+    if (denied) {
+      throw new ApiKeyError(`Your workspace role does not allow ${denied}`, 'INVALID_SCOPE');
+    }
+
+    const key = `${this.keyPrefix}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      workspaceId: workspace._id,
+      createdBy: user._id,
+      name,
+      prefix: key.slice(0, this.keyPrefix.length + 6),
+      keyHash: this.hashKey(key),
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute,
+      expiresAt
+    });
+
+    logger.info(`API key ${apiKey.prefix}… created in workspace ${workspace._id} by ${user.email}`);
+
+    return { apiKey, key };
+  }
+
+  /**
+   * List a workspace's keys, newest first
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Array} API keys, including revoked ones
+   */
+  async listKeys(workspaceId) {
+    return ApiKey.find({ workspaceId })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+  }
+
+  /**
+   * Revoke a key; it stops working immediately
+   * @param {string} workspaceId - Workspace the key belongs to
+   * @param {string} keyId - API key ID
+   * @param {Object} user - Member revoking the key
+   * @returns {Object} Revoked API key
+   */
+  async revokeKey(workspaceId, keyId, user) {
+    if (!mongoose.isValidObjectId(keyId)) {
+      throw new ApiKeyError('API key not found', 'KEY_NOT_FOUND');
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, workspaceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: user._id } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      throw new ApiKeyError('API key not found', 'KEY_NOT_FOUND');
+    }
+
+    logger.info(`API key ${apiKey.prefix}… revoked by ${user.email}`);
+
+    return apiKey;
+  }
+
+  /**
+   * Resolve the key of a request to the member and workspace it acts for
+   * @param {string} key - Plain API key
+   * @param {Object} context - { ipAddress }
+   * @returns {Object} { apiKey, user, workspace, role }
+   */
+  async authenticate(key, { ipAddress } = {}) {
+    const apiKey = await ApiKey.findActiveByHash(this.hashKey(key));
+
+    if (!apiKey) {
+      throw new ApiKeyError('API key is invalid, expired or revoked', 'INVALID_KEY');
+    }
+
+    const user = await User.findById(apiKey.createdBy).select('-password');
+
+    if (!user || !user.isActive) {
+      throw new ApiKeyError('The account that created this API key is inactive', 'INVALID_KEY');
+    }
+
+    // The key loses access as soon as its creator leaves the workspace
+    const membership = await workspaceService.resolveForUser(user, apiKey.workspaceId);
+
+    if (!membership) {
+      throw new ApiKeyError('The account that created this API key is no longer a member of its workspace', 'INVALID_KEY');
+    }
+
+    this.touch(apiKey, ipAddress);
+
+    return { apiKey, user, ...membership };
+  }
+
+  /**
+   * Count a request against the key's per-minute limit. The count lives on the
+   * key document, so every server process shares it.
+   * @param {Object} apiKey - API key document
+   * @returns {Object} { limit, remaining, resetAt } as epoch milliseconds
+   */
+  async consume(apiKey) {
+    const limit = apiKey.rateLimitPerMinute || this.defaultRateLimit;
+    const now = Date.now();
+    const windowStart = now - (now % this.rateWindowMs);
+    const resetAt = windowStart + this.rateWindowMs;
+
+    const counted = await ApiKey.countRequest(apiKey._id, new Date(windowStart));
+
+    // Revoked while the request was in flight
+    if (!counted) {
+      throw new ApiKeyError('API key is invalid, expired or revoked', 'INVALID_KEY');
+    }
+
+    if (counted.rateWindowCount > limit) {
+      throw new ApiKeyError('API key rate limit exceeded', 'RATE_LIMITED', resetAt - now);
+    }
+
+    return { limit, remaining: limit - counted.rateWindowCount, resetAt };
+  }
+
+  /**
+   * Record when and from where a key was last used, without a write per request
+   * @param {Object} apiKey - API key document
+   * @param {string} ipAddress - Caller IP
+   */
+  touch(apiKey, ipAddress) {
+    if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < this.lastUsedIntervalMs) {
+      return;
+    }
+
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress } }
+    ).catch(error => logger.warn(`Failed to record use of API key ${apiKey.prefix}…:`, error.message));
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
+module.exports.ApiKeyError = ApiKeyError;
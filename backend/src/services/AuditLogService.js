@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../config/logger');
+
+// Bookkeeping fields that never count as a change
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Counters and sync state that change on their own, per entity type
+const ENTITY_IGNORED_FIELDS = {
+  Post: ['statistics', 'lastSyncAt', 'syncError'],
+  Keyword: ['statistics'],
+  User: ['lastLoginAt', 'lockout', 'twoFactor.lastUsedStep'],
+  ApiKey: ['lastUsedAt', 'lastUsedIp']
+};
+
+// Fields whose values are never written to the log; only the fact that they changed
+const REDACTED_FIELDS = [
+  'password',
+  'twoFactor.secret',
+  'twoFactor.pendingSecret',
+  'twoFactor.backupCodes',
+  'accessToken',
+  'appSecret',
+  'keyHash'
+];
+const REDACTED = '[redacted]';
+
+/**
+ * Audit Log Service
+ * Writes append-only records of configuration changes: who made them, from
+ * where, and a field-by-field diff of the entity before and after.
+ */
+class AuditLogService {
+  /**
+   * Plain copy of a document or object for diffing
+   * @param {Object|null} entity - Mongoose document, plain object or null
+   * @returns {Object|null} Plain object
+   */
+  snapshot(entity) {
+    if (!entity) return null;
+
+    return typeof entity.toObject === 'function'
+      ? entity.toObject({ depopulate: true, virtuals: false })
+      : entity;
+  }
+
+  /**
+   * Comparable form of a leaf value
+   * @param {*} value - Value from a snapshot
+   * @returns {*} JSON-safe value
+   */
+  normalize(value) {
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => this.normalize(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.normalize(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Flatten nested objects into dotted paths; arrays are kept whole
+   * @param {Object} value - Plain object
+   * @param {string} prefix - Path of `value`
+   * @param {Object} result - Accumulator
+   * @returns {Object} { path: leafValue }
+   */
+  flatten(value, prefix = '', result = {}) {
+    for (const [key, item] of Object.entries(value || {})) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const isNested = item && typeof item === 'object' && !Array.isArray(item)
+        && !(item instanceof Date) && !(item instanceof mongoose.Types.ObjectId);
+
+      if (isNested) {
+        this.flatten(item, path, result);
+      } else {
+        result[path] = this.normalize(item);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Field-by-field differences between two snapshots
+   * @param {Object|null} before - State before the change; null for creations
+   * @param {Object|null} after - State after the change; null for deletions
+   * @param {Array} ignore - Extra fields to skip, as dotted paths
+   * @returns {Array} [{ path, before, after }]
+   */
+  diff(before, after, ignore = []) {
+    const ignored = [...IGNORED_FIELDS, ...ignore];
+    const beforeFlat = this.flatten(before);
+    const afterFlat = this.flatten(after);
+    const paths = [...new Set([...Object.keys(beforeFlat), ...Object.keys(afterFlat)])].sort();
+
+    return paths
+      .filter(path => !ignored.some(field => path === field || path.startsWith(`${field}.`)))
+      .filter(path => JSON.stringify(beforeFlat[path]) !== JSON.stringify(afterFlat[path]))
+      .map(path => {
+        const redacted = REDACTED_FIELDS.some(field => path === field || path.startsWith(`${field}.`) || path.endsWith(`.${field}`));
+
+        return {
+          path,
+          before: redacted && beforeFlat[path] !== undefined ? REDACTED : beforeFlat[path],
+          after: redacted && afterFlat[path] !== undefined ? REDACTED : afterFlat[path]
+        };
+      });
+  }
+
+  /**
+   * Record a change made through the API. Failures are logged, not thrown,
+   * so auditing never undoes a change that already happened.
+   * @param {Object} req - Express request
+   * @param {Object} entry - { action, entityType, entityId, entityLabel, workspaceId, before, after, actor }
+   *   where actor defaults to the authenticated user, or the creator of the API key used
+   * @returns {Object|null} Audit log entry, or null when nothing changed
+   */
+  async record(req, { action, entityType, entityId, entityLabel, workspaceId, before = null, after = null, actor = req.user }) {
+    try {
+      const changes = this.diff(this.snapshot(before), this.snapshot(after), ENTITY_IGNORED_FIELDS[entityType]);
+
+      // An update that left every field as it was is not worth an entry
+      if (before && after && changes.length === 0) {
+        return null;
+      }
+
+      return await AuditLog.create({
+        workspaceId,
+        actorId: actor?._id,
+        actorEmail: actor?.email,
+        impersonatedBy: req.impersonatedBy,
+        apiKeyId: req.apiKey?._id,
+        action,
+        entityType,
+        entityId: entityId || after?._id || before?._id,
+        entityLabel,
+        changes,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit log for ${action}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {Object} filters - { workspaceId, actorId, action, entityType, entityId, startDate, endDate }
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { entries, pagination }
+   */
+  async list(filters = {}, { page = 1, limit = 50 } = {}) {
+    const { workspaceId, actorId, action, entityType, entityId, startDate, endDate } = filters;
+    const query = {};
+
+    if (workspaceId !== undefined) query.workspaceId = workspaceId;
+    if (actorId) query.actorId = actorId;
+    if (action) query.action = action.endsWith('.*') ? { $regex: `^${action.slice(0, -2).replace(/\./g, '\\.')}\\.` } : action;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .populate('impersonatedBy', 'name email')
+        .populate('apiKeyId', 'name prefix'),
+      AuditLog.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    return {
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalEntries,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+}
+
+const auditLogService = new AuditLogService();
+
+module.exports = auditLogService;
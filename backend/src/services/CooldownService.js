@@ -0,0 +1,145 @@
+const Activity = require('../models/Activity');
+const logger = require('../config/logger');
+
+// Received-event statuses that mean the commenter was answered
+const REPLIED_STATUSES = ['SUCCESS', 'FALLBACK'];
+
+/**
+ * Cooldown Service
+ * Limits how often the same Instagram user is answered, per post and across
+ * the whole account, and picks the repeat-asker response in between
+ */
+class CooldownService {
+  constructor() {
+    this.defaults = {
+      isEnabled: true,
+      perPost: { maxReplies: 2, windowMinutes: 60 },
+      perAccount: { maxReplies: 10, windowMinutes: 24 * 60 },
+      repeatMessage: ''
+    };
+
+    this.stats = {
+      totalChecked: 0,
+      totalRepeatResponses: 0,
+      totalSuppressed: 0,
+      lastSuppressedAt: null
+    };
+  }
+
+  /**
+   * Resolve the cooldown rules for a post, with post settings overriding the account's
+   * @param {Object} post - Post document
+   * @param {Object} owner - Account owner (User document)
+   * @returns {Object} { isEnabled, perPost, perAccount, repeatMessage }
+   */
+  resolveRules(post, owner) {
+    const account = owner?.settings?.cooldown || {};
+    const postRules = post.automationSettings?.cooldown || {};
+
+    return {
+      isEnabled: postRules.isEnabled ?? account.isEnabled ?? this.defaults.isEnabled,
+      perPost: {
+        maxReplies: postRules.maxReplies ?? account.perPost?.maxReplies ?? this.defaults.perPost.maxReplies,
+        windowMinutes: postRules.windowMinutes ?? account.perPost?.windowMinutes ?? this.defaults.perPost.windowMinutes
+      },
+      perAccount: {
+        maxReplies: account.perAccount?.maxReplies ?? this.defaults.perAccount.maxReplies,
+        windowMinutes: account.perAccount?.windowMinutes ?? this.defaults.perAccount.windowMinutes
+      },
+      repeatMessage: postRules.repeatMessage || account.repeatMessage || this.defaults.repeatMessage
+    };
+  }
+
+  /**
+   * Count replies already sent to an Instagram user inside a window
+   * @param {Object} scope - { userId, accountId, postId } to count against
+   * @param {string} fromUserId - Instagram user ID of the commenter
+   * @param {number} windowMinutes - Window length
+   * @returns {number} Number of replies
+   */
+  countReplies(scope, fromUserId, windowMinutes) {
+    return Activity.countDocuments({
+      ...scope,
+      'instagramData.fromUserId': fromUserId,
+      type: { $in: ['COMMENT_RECEIVED', 'MESSAGE_RECEIVED'] },
+      status: { $in: REPLIED_STATUSES },
+      createdAt: { $gte: new Date(Date.now() - windowMinutes * 60 * 1000) }
+    });
+  }
+
+  /**
+   * Decide how to answer a matched event
+   * @param {Object} context - { post, owner, fromUserId }
+   * @returns {Object} { action: REPLY|REPEAT|SUPPRESS, rule, priorReplies, maxReplies, windowMinutes, message, reason }
+   */
+  async evaluate({ post, owner, fromUserId }) {
+    const rules = this.resolveRules(post, owner);
+    this.stats.totalChecked++;
+
+    if (!rules.isEnabled || !fromUserId) {
+      return { action: 'REPLY' };
+    }
+
+    const [postReplies, accountReplies] = await Promise.all([
+      this.countReplies({ postId: post._id }, fromUserId, rules.perPost.windowMinutes),
+      this.countReplies(
+        post.accountId ? { accountId: post.accountId } : { userId: post.userId },
+        fromUserId,
+        rules.perAccount.windowMinutes
+      )
+    ]);
+
+    const limits = [
+      { rule: 'POST', priorReplies: postReplies, ...rules.perPost },
+      { rule: 'ACCOUNT', priorReplies: accountReplies, ...rules.perAccount }
+    ];
+
+    const exceeded = limits.find(limit => limit.priorReplies >= limit.maxReplies);
+
+    if (exceeded) {
+      this.stats.totalSuppressed++;
+      this.stats.lastSuppressedAt = new Date();
+
+      const scope = exceeded.rule === 'POST' ? 'this post' : 'this account';
+      logger.info(`Cooldown suppressed reply to ${fromUserId} on post ${post._id} (${exceeded.rule} limit ${exceeded.maxReplies})`);
+
+      return {
+        action: 'SUPPRESS',
+        rule: exceeded.rule,
+        priorReplies: exceeded.priorReplies,
+        maxReplies: exceeded.maxReplies,
+        windowMinutes: exceeded.windowMinutes,
+        reason: `Cooldown: ${exceeded.priorReplies} replies to this user on ${scope} in the last ${exceeded.windowMinutes} minutes`
+      };
+    }
+
+    if (postReplies > 0 && rules.repeatMessage) {
+      this.stats.totalRepeatResponses++;
+
+      return {
+        action: 'REPEAT',
+        rule: 'POST',
+        priorReplies: postReplies,
+        maxReplies: rules.perPost.maxReplies,
+        windowMinutes: rules.perPost.windowMinutes,
+        message: rules.repeatMessage,
+        reason: `Repeat asker: ${postReplies} earlier replies on this post`
+      };
+    }
+
+    return { action: 'REPLY' };
+  }
+
+  /**
+   * Get cooldown statistics
+   * @returns {Object} Statistics
+   */
+  getStatistics() {
+    return { ...this.stats };
+  }
+}
+
+// Create singleton instance
+const cooldownService = new CooldownService();
+
+module.exports = cooldownService;
@@ -1,40 +1,76 @@
 const logger = require('../config/logger');
 const EventEmitter = require('events');
+const os = require('os');
+const QueueJob = require('../models/QueueJob');
+const DeadLetter = require('../models/DeadLetter');
+const RateLimitBucket = require('../models/RateLimitBucket');
+
+/**
+ * Thrown by a processor that cannot run yet (e.g. the account is out of API
+ * budget). The job goes back to the queue without using up a retry.
+ */
+class DeferredEventError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'DeferredEventError';
+    this.retryAfter = options.retryAfter || 60 * 1000;
+    this.accountKey = options.accountKey || null;
+  }
+}
 
 /**
  * Event Queue Service
- * Simple queue system for processing webhook events one at a time
+ * Durable queue backed by MongoDB. Jobs are leased with a visibility timeout
+ * so events left in flight by a crash or restart are picked up again.
+ * A pool of workers runs events in parallel; events sharing an ordering key
+ * (same post or same commenter) still run one at a time in arrival order.
  */
 class EventQueueService extends EventEmitter {
   constructor() {
     super();
-    this.queue = [];
-    this.isProcessing = false;
+    this.processors = new Map();
+    this.activeJobs = new Map();
+    this.pausedAccounts = new Map(); // accountKey -> { resumeAt, timer }
+    this.isClaiming = false;
+    this.isPaused = false;
+    this.concurrency = parseInt(process.env.QUEUE_CONCURRENCY) || 5;
     this.maxRetries = 3;
     this.retryDelay = 3000; // 3 seconds
+    this.pollInterval = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 1000;
+    this.reaperInterval = 30 * 1000; // 30 seconds
+    this.leaseMargin = 30 * 1000; // Lease outlives the processing timeout by 30 seconds
+    this.leaseRenewInterval = 10 * 1000; // Running jobs extend their lease well before it expires
+    this.shutdownTimeout = 4000; // Fits inside PM2's kill_timeout
+    this.workerId = `${os.hostname()}:${process.pid}`;
     this.processingStats = {
       totalProcessed: 0,
       totalSuccess: 0,
       totalFailed: 0,
       totalRetries: 0,
+      totalRecovered: 0,
+      totalDeadLettered: 0,
+      totalReplayed: 0,
+      totalDeferred: 0,
       averageProcessingTime: 0,
-      lastProcessedAt: null
+      lastProcessedAt: null,
+      peakConcurrency: 0
     };
+    this.pollTimer = null;
+    this.reaperTimer = null;
+    this.initializedAt = null;
     this.isInitialized = false;
   }
 
   /**
-   * Initialize the queue service
+   * Initialize the queue service and recover jobs left in flight
    */
-  initialize() {
+  async initialize() {
     this.isInitialized = true;
-    logger.info('EventQueueService initialized successfully');
-    
+    this.initializedAt = new Date();
+
     // Set up event listeners
     this.on('eventAdded', () => {
-      if (!this.isProcessing) {
-        this.processNext();
-      }
+      this.processNext();
     });
 
     this.on('eventProcessed', (result) => {
@@ -46,152 +82,714 @@ class EventQueueService extends EventEmitter {
       this.updateStats(result);
       this.processNext();
     });
+
+    await this.recoverInFlightJobs();
+
+    // Poll for retries that became due and jobs added by other instances
+    this.pollTimer = setInterval(() => this.processNext(), this.pollInterval);
+    this.pollTimer.unref();
+
+    this.reaperTimer = setInterval(() => {
+      this.recoverExpiredLeases().catch(error => {
+        logger.error('Failed to recover expired queue leases:', error);
+      });
+    }, this.reaperInterval);
+    this.reaperTimer.unref();
+
+    logger.info(`EventQueueService initialized successfully (worker ${this.workerId})`);
+
+    this.processNext();
   }
 
   /**
-   * Add event to queue
+   * Register a processor under a stable name so persisted jobs can find it after a restart
+   * @param {string} name - Processor name stored on jobs
+   * @param {Function} processor - Async function receiving eventData
    */
-  async addEvent(eventData, processor, options = {}) {
-    if (!this.isInitialized) {
-      throw new Error('EventQueueService not initialized');
+  registerProcessor(name, processor) {
+    this.processors.set(name, processor);
+  }
+
+  /**
+   * Resolve the registered name of a processor
+   * @param {string|Function} processor - Processor name or function
+   * @returns {string} Registered processor name
+   */
+  resolveProcessorName(processor) {
+    if (typeof processor === 'string') {
+      if (!this.processors.has(processor)) {
+        throw new Error(`Queue processor not registered: ${processor}`);
+      }
+      return processor;
+    }
+
+    for (const [name, fn] of this.processors) {
+      if (fn === processor) {
+        return name;
+      }
+    }
+
+    if (typeof processor === 'function' && processor.name) {
+      this.registerProcessor(processor.name, processor);
+      return processor.name;
     }
 
-    const queueItem = {
-      id: this.generateEventId(),
+    throw new Error('Queue processor must be registered with registerProcessor()');
+  }
+
+  /**
+   * Build the queue job document for an event
+   */
+  buildJob(eventData, processor, options = {}) {
+    return {
+      jobId: this.generateEventId(),
+      processor: this.resolveProcessorName(processor),
       eventData,
-      processor,
+      priority: options.priority || 0,
+      accountKey: options.accountKey,
+      orderingKeys: (options.orderingKeys || []).filter(Boolean),
+      payload: options.payload,
+      deadLetterId: options.deadLetterId,
       options: {
-        maxRetries: options.maxRetries || this.maxRetries,
+        maxRetries: options.maxRetries ?? this.maxRetries,
         retryDelay: options.retryDelay || this.retryDelay,
-        priority: options.priority || 0,
-        timeout: options.timeout || 30000, // 30 seconds default timeout
-        ...options
-      },
-      status: 'PENDING',
-      retryCount: 0,
-      createdAt: new Date(),
-      startedAt: null,
-      completedAt: null,
-      error: null,
-      result: null
+        timeout: options.timeout || 30000 // 30 seconds default timeout
+      }
     };
+  }
+
+  /**
+   * Add event to queue
+   */
+  async addEvent(eventData, processor, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('EventQueueService not initialized');
+    }
+
+    const job = await QueueJob.create(this.buildJob(eventData, processor, options));
 
-    // Insert based on priority (higher priority first)
-    const insertIndex = this.queue.findIndex(item => item.options.priority < queueItem.options.priority);
-    if (insertIndex === -1) {
-      this.queue.push(queueItem);
-    } else {
-      this.queue.splice(insertIndex, 0, queueItem);
+    logger.info(`Event added to queue: ${job.jobId} (priority: ${job.priority})`);
+
+    this.emit('eventAdded', job);
+    return job.jobId;
+  }
+
+  /**
+   * Add several events to the queue in one write, so either all of them are
+   * persisted or the call fails and the caller can have the sender redeliver
+   * @param {Array<{eventData: Object, processor: string|Function, options: Object}>} events
+   * @returns {Promise<string[]>} Queued job ids in input order
+   */
+  async addEvents(events) {
+    if (!this.isInitialized) {
+      throw new Error('EventQueueService not initialized');
     }
 
-    logger.info(`Event added to queue: ${queueItem.id} (priority: ${queueItem.options.priority}, queue size: ${this.queue.length})`);
-    
-    this.emit('eventAdded', queueItem);
-    return queueItem.id;
+    if (events.length === 0) {
+      return [];
+    }
+
+    const jobs = await QueueJob.insertMany(
+      events.map(({ eventData, processor, options }) => this.buildJob(eventData, processor, options))
+    );
+
+    logger.info(`${jobs.length} events added to queue`);
+
+    jobs.forEach((job) => this.emit('eventAdded', job));
+    return jobs.map((job) => job.jobId);
+  }
+
+  /**
+   * Whether any event is currently being processed by this worker
+   */
+  get isProcessing() {
+    return this.activeJobs.size > 0;
   }
 
   /**
-   * Process next event in queue
+   * Fill free worker slots with the next available events
    */
   async processNext() {
-    if (this.isProcessing || this.queue.length === 0) {
+    if (this.isClaiming || this.isPaused || !this.isInitialized) {
       return;
     }
 
-    this.isProcessing = true;
-    const queueItem = this.queue.shift();
-    
+    this.isClaiming = true;
+
     try {
-      await this.processEvent(queueItem);
+      const pausedAccounts = await this.getPausedAccounts();
+
+      while (this.activeJobs.size < this.concurrency && !this.isPaused) {
+        const job = await QueueJob.claimNext(this.workerId, this.getVisibilityTimeout(), {
+          pausedAccounts
+        });
+
+        if (!job) {
+          break;
+        }
+
+        this.activeJobs.set(job.jobId, job);
+        this.processingStats.peakConcurrency = Math.max(this.processingStats.peakConcurrency, this.activeJobs.size);
+
+        // Run without awaiting so the next slot can be filled
+        this.runJob(job);
+      }
     } catch (error) {
       logger.error('Unexpected error in processNext:', error);
-      queueItem.status = 'FAILED';
-      queueItem.error = error.message;
-      queueItem.completedAt = new Date();
-      this.emit('eventFailed', queueItem);
     } finally {
-      this.isProcessing = false;
+      this.isClaiming = false;
+    }
+  }
+
+  /**
+   * Run a claimed job in its worker slot
+   */
+  async runJob(job) {
+    try {
+      // Long-running jobs get a lease that outlives their own timeout
+      if (job.options.timeout > 30000) {
+        job.lease.expiresAt = new Date(Date.now() + this.getVisibilityTimeout(job.options.timeout));
+        await QueueJob.updateOne(
+          { _id: job._id, 'lease.owner': this.workerId },
+          { $set: { 'lease.expiresAt': job.lease.expiresAt } }
+        );
+      }
+
+      await this.processEvent(job);
+    } catch (error) {
+      logger.error(`Unexpected error running event ${job.jobId}:`, error);
+
+      await this.moveToDeadLetter(job, error).catch(deadLetterError => {
+        logger.error(`Failed to dead-letter event ${job.jobId}:`, deadLetterError);
+      });
+    } finally {
+      this.activeJobs.delete(job.jobId);
+      setImmediate(() => this.processNext());
     }
   }
 
   /**
    * Process individual event with retry logic
    */
-  async processEvent(queueItem) {
-    queueItem.status = 'PROCESSING';
-    queueItem.startedAt = new Date();
-    
-    logger.info(`Processing event: ${queueItem.id} (attempt ${queueItem.retryCount + 1}/${queueItem.options.maxRetries + 1})`);
+  async processEvent(job) {
+    const processor = this.processors.get(job.processor);
+
+    logger.info(`Processing event: ${job.jobId} (attempt ${job.retryCount + 1}/${job.options.maxRetries + 1})`);
+
+    if (!processor) {
+      logger.error(`No processor registered for ${job.processor}, failing event ${job.jobId}`);
+      await this.moveToDeadLetter(job, new Error(`Processor not registered: ${job.processor}`));
+      return;
+    }
+
+    // The timeout cancels the processor instead of racing it, and the lease is
+    // renewed until the processor returns, so a retry never runs while the
+    // timed-out attempt is still sending
+    const abortController = new AbortController();
+    const timeoutId = setTimeout(() => {
+      logger.warn(`Event ${job.jobId} exceeded its ${job.options.timeout}ms timeout; cancelling it`);
+      abortController.abort(new Error('Event processing timeout'));
+    }, job.options.timeout);
+
+    const renewTimer = setInterval(() => {
+      this.renewLease(job)
+        .then((owned) => {
+          // Another worker may run the job now; stop before this attempt sends anything
+          if (!owned) abortController.abort(new Error('Queue lease lost'));
+        })
+        .catch(error => logger.error(`Failed to renew lease of event ${job.jobId}:`, error));
+    }, this.leaseRenewInterval);
+    renewTimer.unref();
 
     try {
-      // Set up timeout
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Event processing timeout')), queueItem.options.timeout);
+      // Processors see which attempt this is so they can leave transient
+      // failures to the queue's retry schedule
+      const result = await processor(job.eventData, {
+        attempt: job.retryCount + 1,
+        maxRetries: job.options.maxRetries,
+        signal: abortController.signal
       });
 
-      // Process the event
-      const processingPromise = queueItem.processor(queueItem.eventData);
-      
-      // Race between processing and timeout
-      const result = await Promise.race([processingPromise, timeoutPromise]);
-      
-      // Success
-      queueItem.status = 'SUCCESS';
-      queueItem.result = result;
-      queueItem.completedAt = new Date();
-      
-      logger.info(`Event processed successfully: ${queueItem.id} (processing time: ${queueItem.completedAt - queueItem.startedAt}ms)`);
-      
-      this.emit('eventProcessed', queueItem);
-      
+      // Another worker took the job over and now decides its outcome
+      if (!await this.completeJob(job, 'SUCCESS', { result })) {
+        return;
+      }
+
+      logger.info(`Event processed successfully: ${job.jobId} (processing time: ${job.completedAt - job.startedAt}ms)`);
+
+      if (job.deadLetterId) {
+        await DeadLetter.updateOne(
+          { _id: job.deadLetterId },
+          { $set: { status: 'RESOLVED', resolvedAt: new Date() } }
+        );
+        logger.info(`Replayed event ${job.jobId} resolved dead letter ${job.deadLetterId}`);
+      }
+
+      this.emit('eventProcessed', job);
     } catch (error) {
-      logger.error(`Event processing failed: ${queueItem.id}`, error);
-      
-      queueItem.retryCount++;
-      queueItem.error = error.message;
-      
-      // Check if we should retry
-      if (queueItem.retryCount <= queueItem.options.maxRetries) {
-        logger.info(`Retrying event: ${queueItem.id} in ${queueItem.options.retryDelay}ms (attempt ${queueItem.retryCount}/${queueItem.options.maxRetries})`);
-        
-        // Reset status for retry
-        queueItem.status = 'PENDING';
-        queueItem.startedAt = null;
-        
-        // Schedule retry
-        setTimeout(() => {
-          // Add back to front of queue for immediate processing
-          this.queue.unshift(queueItem);
-          this.emit('eventAdded', queueItem);
-        }, queueItem.options.retryDelay);
-        
+      if (error instanceof DeferredEventError) {
+        await this.deferJob(job, error);
+        return;
+      }
+
+      logger.error(`Event processing failed: ${job.jobId}`, error);
+
+      const retryCount = job.retryCount + 1;
+
+      // Check if we should retry; processors mark failures that must not run
+      // twice (e.g. a send cut off after it reached Instagram) as not retryable
+      if (retryCount <= job.options.maxRetries && error.isRetryable !== false) {
+        logger.info(`Retrying event: ${job.jobId} in ${job.options.retryDelay}ms (attempt ${retryCount}/${job.options.maxRetries})`);
+
+        await QueueJob.updateOne(
+          { _id: job._id, 'lease.owner': this.workerId },
+          {
+            $set: {
+              status: 'PENDING',
+              retryCount,
+              error: error.message,
+              availableAt: new Date(Date.now() + job.options.retryDelay)
+            },
+            $push: { errorHistory: this.buildErrorEntry(job, error) },
+            $unset: { lease: 1, startedAt: 1 }
+          }
+        );
+
         this.processingStats.totalRetries++;
-        
       } else {
         // Max retries exceeded
-        queueItem.status = 'FAILED';
-        queueItem.completedAt = new Date();
-        
-        logger.error(`Event failed after ${queueItem.retryCount} attempts: ${queueItem.id}`);
-        
-        this.emit('eventFailed', queueItem);
+        logger.error(`Event failed after ${retryCount} attempts: ${job.jobId}`);
+
+        await this.moveToDeadLetter(job, error);
       }
+    } finally {
+      clearTimeout(timeoutId);
+      clearInterval(renewTimer);
     }
   }
 
+  /**
+   * Extend the lease of a job this worker is running
+   * @returns {Promise<boolean>} False when the lease was lost to another worker
+   */
+  async renewLease(job) {
+    job.lease.expiresAt = new Date(Date.now() + this.getVisibilityTimeout(job.options.timeout));
+
+    const result = await QueueJob.updateOne(
+      { _id: job._id, 'lease.owner': this.workerId, status: 'PROCESSING' },
+      { $set: { 'lease.expiresAt': job.lease.expiresAt } }
+    );
+
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Put a job back in the queue without counting a retry
+   */
+  async deferJob(job, error) {
+    const availableAt = new Date(Date.now() + error.retryAfter);
+
+    await QueueJob.updateOne(
+      { _id: job._id, 'lease.owner': this.workerId },
+      {
+        $set: {
+          status: 'PENDING',
+          availableAt,
+          error: error.message
+        },
+        $unset: { lease: 1, startedAt: 1 }
+      }
+    );
+
+    this.processingStats.totalDeferred++;
+    logger.info(`Event deferred: ${job.jobId} until ${availableAt.toISOString()} (${error.message})`);
+
+    const accountKey = error.accountKey || job.accountKey;
+    if (accountKey) {
+      this.pauseAccount(accountKey, availableAt);
+    }
+  }
+
+  /**
+   * Stop claiming events for one Instagram account until resumeAt
+   * @param {string} accountKey - Instagram account ID
+   * @param {Date} resumeAt - When processing resumes automatically
+   */
+  pauseAccount(accountKey, resumeAt) {
+    const existing = this.pausedAccounts.get(accountKey);
+
+    if (existing && existing.resumeAt >= resumeAt) {
+      return;
+    }
+
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const timer = setTimeout(() => this.resumeAccount(accountKey), Math.max(resumeAt - Date.now(), 0));
+    timer.unref();
+
+    this.pausedAccounts.set(accountKey, { resumeAt, timer });
+    logger.warn(`Queue paused for account ${accountKey} until ${resumeAt.toISOString()}`);
+  }
+
+  /**
+   * Accounts whose events must not be claimed: paused here, or out of API
+   * budget according to the buckets every server process shares
+   * @returns {Promise<Array>} Account keys
+   */
+  async getPausedAccounts() {
+    const budgetPaused = await RateLimitBucket.findPausedAccountKeys();
+
+    return [...new Set([...this.pausedAccounts.keys(), ...budgetPaused])];
+  }
+
+  /**
+   * Resume claiming events for an Instagram account
+   * @param {string} accountKey - Instagram account ID
+   */
+  resumeAccount(accountKey) {
+    const paused = this.pausedAccounts.get(accountKey);
+    if (!paused) return;
+
+    clearTimeout(paused.timer);
+    this.pausedAccounts.delete(accountKey);
+    logger.info(`Queue resumed for account ${accountKey}`);
+
+    this.processNext();
+  }
+
+  /**
+   * Persist the final state of a job while it is still leased by this worker
+   */
+  async completeJob(job, status, data = {}) {
+    job.status = status;
+    job.completedAt = new Date();
+
+    const fields = {
+      status,
+      completedAt: job.completedAt
+    };
+
+    if (data.result !== undefined) fields.result = data.result;
+    if (data.error) {
+      fields.error = data.error;
+      job.error = data.error;
+    }
+    if (data.retryCount !== undefined) fields.retryCount = data.retryCount;
+
+    const update = { $set: fields, $unset: { lease: 1 } };
+    if (data.errorEntry) {
+      update.$push = { errorHistory: data.errorEntry };
+    }
+
+    const result = await QueueJob.updateOne(
+      { _id: job._id, 'lease.owner': this.workerId },
+      update
+    );
+
+    if (result.matchedCount === 0) {
+      logger.warn(`Lease lost for event ${job.jobId}; another worker has taken it over`);
+    }
+
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Build an error history entry for the current attempt
+   */
+  buildErrorEntry(job, error) {
+    return {
+      attempt: job.retryCount + 1,
+      error: error.message,
+      workerId: this.workerId,
+      failedAt: new Date()
+    };
+  }
+
+  /**
+   * Mark a job as failed and keep it in the dead-letter store for replay
+   */
+  async moveToDeadLetter(job, error) {
+    const errorEntry = this.buildErrorEntry(job, error);
+    const retryCount = job.retryCount + 1;
+
+    job.retryCount = retryCount;
+    const owned = await this.completeJob(job, 'FAILED', { error: error.message, retryCount, errorEntry });
+
+    // Another worker owns the job now and will decide its fate
+    if (!owned) return null;
+
+    const deadLetter = await this.storeDeadLetter(job, [...(job.errorHistory || []), errorEntry]);
+
+    this.emit('eventFailed', job);
+    return deadLetter;
+  }
+
+  /**
+   * Create or update the dead letter for a failed job
+   */
+  async storeDeadLetter(job, entries) {
+    const errorHistory = entries.map(entry => (entry.toObject ? entry.toObject() : entry));
+    const lastError = errorHistory.length > 0 ? errorHistory[errorHistory.length - 1].error : job.error;
+    let deadLetter;
+
+    if (job.deadLetterId) {
+      // A replay failed again: keep one dead letter per original event
+      deadLetter = await DeadLetter.findByIdAndUpdate(
+        job.deadLetterId,
+        {
+          $set: { status: 'DEAD', lastError, failedAt: new Date() },
+          $push: { errorHistory: { $each: errorHistory } },
+          $inc: { attempts: errorHistory.length }
+        },
+        { new: true }
+      );
+    }
+
+    if (!deadLetter) {
+      deadLetter = await DeadLetter.create({
+        jobId: job.jobId,
+        processor: job.processor,
+        eventData: job.eventData,
+        payload: job.payload,
+        priority: job.priority,
+        accountKey: job.accountKey,
+        orderingKeys: job.orderingKeys,
+        options: job.options,
+        attempts: errorHistory.length,
+        lastError,
+        errorHistory
+      });
+
+      await QueueJob.updateOne({ _id: job._id }, { $set: { deadLetterId: deadLetter._id } });
+    }
+
+    this.processingStats.totalDeadLettered++;
+    logger.warn(`Event ${job.jobId} moved to dead-letter store (${deadLetter._id}): ${lastError}`);
+
+    this.emit('eventDeadLettered', deadLetter);
+    return deadLetter;
+  }
+
+  /**
+   * Re-enqueue a dead-lettered event
+   * @param {string} deadLetterId - DeadLetter ID
+   * @param {Object} options - { replayedBy }
+   * @returns {Object} { replayed, jobId, reason }
+   */
+  async replayDeadLetter(deadLetterId, options = {}) {
+    const candidate = await DeadLetter.findById(deadLetterId).select('status processor');
+
+    if (!candidate) {
+      return { replayed: false, reason: 'NOT_FOUND' };
+    }
+
+    if (candidate.status !== 'DEAD') {
+      return { replayed: false, reason: 'ALREADY_REPLAYED' };
+    }
+
+    if (!this.processors.has(candidate.processor)) {
+      return { replayed: false, reason: 'PROCESSOR_NOT_REGISTERED' };
+    }
+
+    // Claim the dead letter so concurrent replays do not enqueue it twice
+    const deadLetter = await DeadLetter.findOneAndUpdate(
+      { _id: deadLetterId, status: 'DEAD' },
+      { $set: { status: 'REPLAYED' } },
+      { new: true }
+    );
+
+    if (!deadLetter) {
+      return { replayed: false, reason: 'ALREADY_REPLAYED' };
+    }
+
+    try {
+      const jobId = await this.addEvent(deadLetter.eventData, deadLetter.processor, {
+        priority: deadLetter.priority,
+        // Dead letters stored before accountKey was kept fall back to the webhook entry ID
+        accountKey: deadLetter.accountKey || deadLetter.eventData?.instagramAccountId,
+        orderingKeys: deadLetter.orderingKeys,
+        payload: deadLetter.payload,
+        deadLetterId: deadLetter._id,
+        maxRetries: deadLetter.options?.maxRetries,
+        retryDelay: deadLetter.options?.retryDelay,
+        timeout: deadLetter.options?.timeout
+      });
+
+      await DeadLetter.updateOne(
+        { _id: deadLetter._id },
+        { $push: { replays: { jobId, replayedAt: new Date(), replayedBy: options.replayedBy } } }
+      );
+
+      this.processingStats.totalReplayed++;
+      logger.info(`Dead letter ${deadLetter._id} replayed as event ${jobId}`);
+
+      return { replayed: true, jobId };
+    } catch (error) {
+      await DeadLetter.updateOne({ _id: deadLetter._id }, { $set: { status: 'DEAD' } });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-enqueue dead-lettered events in the order they failed
+   * @param {Object} filter - { ids, processor, eventType, startDate, endDate, limit }
+   * @param {Object} options - { replayedBy }
+   * @returns {Object} { replayed, skipped }
+   */
+  async replayDeadLetters(filter = {}, options = {}) {
+    const query = { status: 'DEAD' };
+
+    if (filter.ids && filter.ids.length > 0) {
+      query._id = { $in: filter.ids };
+    }
+
+    if (filter.processor) {
+      query.processor = filter.processor;
+    }
+
+    if (filter.eventType) {
+      query['eventData.type'] = filter.eventType;
+    }
+
+    if (filter.startDate || filter.endDate) {
+      query.failedAt = {};
+      if (filter.startDate) query.failedAt.$gte = new Date(filter.startDate);
+      if (filter.endDate) query.failedAt.$lte = new Date(filter.endDate);
+    }
+
+    const deadLetters = await DeadLetter.find(query)
+      .sort({ failedAt: 1 })
+      .limit(filter.limit || 100)
+      .select('_id');
+
+    const replayed = [];
+    const skipped = [];
+
+    // Sequential so replayed events keep their original relative order
+    for (const { _id } of deadLetters) {
+      const result = await this.replayDeadLetter(_id, options);
+
+      if (result.replayed) {
+        replayed.push({ id: _id, jobId: result.jobId });
+      } else {
+        skipped.push({ id: _id, reason: result.reason });
+      }
+    }
+
+    logger.info(`Bulk replay: ${replayed.length} dead letters replayed, ${skipped.length} skipped`);
+
+    return { replayed, skipped };
+  }
+
+  /**
+   * Recover jobs left in PROCESSING by a previous run of this host, then expired leases
+   */
+  async recoverInFlightJobs() {
+    const hostPrefix = `${os.hostname()}:`;
+    const orphaned = await QueueJob.find({
+      status: 'PROCESSING',
+      'lease.owner': { $regex: `^${hostPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+    }).select('jobId lease.owner');
+
+    // Workers on this host whose process no longer exists cannot finish their jobs
+    const deadOwners = [...new Set(orphaned.map(job => job.lease.owner))]
+      .filter(owner => owner !== this.workerId && !this.isProcessAlive(owner));
+
+    if (deadOwners.length > 0) {
+      const result = await QueueJob.updateMany(
+        { status: 'PROCESSING', 'lease.owner': { $in: deadOwners } },
+        {
+          $set: {
+            status: 'PENDING',
+            availableAt: new Date(),
+            error: 'Recovered after worker restart'
+          },
+          $push: {
+            errorHistory: {
+              error: 'Worker stopped before processing completed',
+              failedAt: new Date()
+            }
+          },
+          $unset: { lease: 1, startedAt: 1 },
+          $inc: { retryCount: 1 }
+        }
+      );
+
+      this.processingStats.totalRecovered += result.modifiedCount;
+      logger.info(`Recovered ${result.modifiedCount} in-flight events from stopped workers`);
+    }
+
+    await this.recoverExpiredLeases();
+  }
+
+  /**
+   * Return jobs with expired leases to the queue, failing those out of retries
+   */
+  async recoverExpiredLeases() {
+    const result = await QueueJob.recoverExpiredLeases();
+
+    if (result.modifiedCount > 0) {
+      this.processingStats.totalRecovered += result.modifiedCount;
+      logger.warn(`Recovered ${result.modifiedCount} events with expired leases`);
+    }
+
+    const exhausted = await QueueJob.find({
+      status: 'PENDING',
+      $expr: { $gt: ['$retryCount', '$options.maxRetries'] }
+    });
+
+    for (const job of exhausted) {
+      const failed = await QueueJob.findOneAndUpdate(
+        { _id: job._id, status: 'PENDING' },
+        { $set: { status: 'FAILED', completedAt: new Date() } },
+        { new: true }
+      );
+
+      if (failed) {
+        await this.storeDeadLetter(failed, failed.errorHistory || []);
+      }
+    }
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Check whether the worker process behind a lease owner is still running
+   */
+  isProcessAlive(owner) {
+    const pid = parseInt(owner.split(':').pop());
+    if (!pid) return false;
+
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Visibility timeout applied when leasing a job
+   */
+  getVisibilityTimeout(timeout = 30000) {
+    return timeout + this.leaseMargin;
+  }
+
   /**
    * Update processing statistics
    */
   updateStats(queueItem) {
     this.processingStats.totalProcessed++;
     this.processingStats.lastProcessedAt = new Date();
-    
+
     if (queueItem.status === 'SUCCESS') {
       this.processingStats.totalSuccess++;
     } else if (queueItem.status === 'FAILED') {
       this.processingStats.totalFailed++;
     }
-    
+
     // Update average processing time
     if (queueItem.startedAt && queueItem.completedAt) {
       const processingTime = queueItem.completedAt - queueItem.startedAt;
@@ -210,65 +808,84 @@ class EventQueueService extends EventEmitter {
   /**
    * Get queue status
    */
-  getStatus() {
+  async getStatus() {
+    const [pendingEvents, processingEvents, deadLetterEvents] = await Promise.all([
+      QueueJob.countDocuments({ status: 'PENDING' }),
+      QueueJob.countDocuments({ status: 'PROCESSING' }),
+      DeadLetter.countDocuments({ status: 'DEAD' })
+    ]);
+
     return {
       isProcessing: this.isProcessing,
-      queueSize: this.queue.length,
-      pendingEvents: this.queue.filter(item => item.status === 'PENDING').length,
-      processingEvents: this.queue.filter(item => item.status === 'PROCESSING').length,
+      isPaused: this.isPaused,
+      activeEvents: this.activeJobs.size,
+      concurrency: this.concurrency,
+      pausedAccounts: [...this.pausedAccounts].map(([accountKey, paused]) => ({
+        accountKey,
+        resumeAt: paused.resumeAt
+      })),
+      workerId: this.workerId,
+      queueSize: pendingEvents + processingEvents,
+      pendingEvents,
+      processingEvents,
+      deadLetterEvents,
       statistics: { ...this.processingStats },
-      uptime: this.isInitialized ? Date.now() - this.processingStats.lastProcessedAt : 0
+      uptime: this.initializedAt ? Date.now() - this.initializedAt : 0
     };
   }
 
   /**
    * Get queue items with optional filtering
    */
-  getQueueItems(filter = {}) {
-    let items = [...this.queue];
-    
+  async getQueueItems(filter = {}) {
+    const query = {};
+
     if (filter.status) {
-      items = items.filter(item => item.status === filter.status);
+      query.status = filter.status;
     }
-    
+
+    let jobsQuery = QueueJob.find(query).sort({ createdAt: -1 });
+
     if (filter.limit) {
-      items = items.slice(0, filter.limit);
+      jobsQuery = jobsQuery.limit(filter.limit);
     }
-    
+
+    const items = await jobsQuery;
+
     return items.map(item => ({
-      id: item.id,
+      id: item.jobId,
       status: item.status,
       retryCount: item.retryCount,
-      priority: item.options.priority,
+      priority: item.priority,
       createdAt: item.createdAt,
       startedAt: item.startedAt,
       completedAt: item.completedAt,
+      availableAt: item.availableAt,
+      leaseOwner: item.lease?.owner || null,
+      accountKey: item.accountKey,
       error: item.error,
       eventType: item.eventData?.type || 'unknown',
-      processingTime: item.startedAt && item.completedAt ? 
-        item.completedAt - item.startedAt : null
+      processingTime: item.processingTime
     }));
   }
 
   /**
    * Clear completed events from queue
    */
-  clearCompleted() {
-    const beforeCount = this.queue.length;
-    this.queue = this.queue.filter(item => 
-      item.status !== 'SUCCESS' && item.status !== 'FAILED'
-    );
-    const clearedCount = beforeCount - this.queue.length;
-    
-    logger.info(`Cleared ${clearedCount} completed events from queue`);
-    return clearedCount;
+  async clearCompleted() {
+    const result = await QueueJob.deleteMany({
+      status: { $in: ['SUCCESS', 'FAILED'] }
+    });
+
+    logger.info(`Cleared ${result.deletedCount} completed events from queue`);
+    return result.deletedCount;
   }
 
   /**
    * Pause queue processing
    */
   pause() {
-    this.isProcessing = true; // Prevent new processing
+    this.isPaused = true; // Prevent new processing
     logger.info('Queue processing paused');
   }
 
@@ -276,89 +893,121 @@ class EventQueueService extends EventEmitter {
    * Resume queue processing
    */
   resume() {
-    this.isProcessing = false;
+    this.isPaused = false;
     logger.info('Queue processing resumed');
-    
+
     // Start processing if there are pending events
-    if (this.queue.length > 0) {
-      this.processNext();
-    }
+    this.processNext();
   }
 
   /**
-   * Clear all events from queue
+   * Clear all waiting events from queue
    */
-  clear() {
-    const clearedCount = this.queue.length;
-    this.queue = [];
-    logger.info(`Cleared ${clearedCount} events from queue`);
-    return clearedCount;
+  async clear() {
+    const result = await QueueJob.deleteMany({ status: 'PENDING' });
+    logger.info(`Cleared ${result.deletedCount} events from queue`);
+    return result.deletedCount;
   }
 
   /**
    * Get event by ID
    */
-  getEvent(eventId) {
-    const item = this.queue.find(item => item.id === eventId);
+  async getEvent(eventId) {
+    const item = await QueueJob.findOne({ jobId: eventId });
     if (!item) {
       return null;
     }
-    
+
     return {
-      id: item.id,
+      id: item.jobId,
       status: item.status,
       retryCount: item.retryCount,
       maxRetries: item.options.maxRetries,
-      priority: item.options.priority,
+      priority: item.priority,
       createdAt: item.createdAt,
       startedAt: item.startedAt,
       completedAt: item.completedAt,
+      availableAt: item.availableAt,
+      leaseOwner: item.lease?.owner || null,
+      accountKey: item.accountKey,
       error: item.error,
       result: item.result,
       eventData: item.eventData,
-      processingTime: item.startedAt && item.completedAt ? 
-        item.completedAt - item.startedAt : null
+      processingTime: item.processingTime
     };
   }
 
   /**
    * Cancel event by ID
    */
-  cancelEvent(eventId) {
-    const index = this.queue.findIndex(item => item.id === eventId);
-    if (index === -1) {
-      return false;
-    }
-    
-    const item = this.queue[index];
-    if (item.status === 'PROCESSING') {
-      logger.warn(`Cannot cancel event ${eventId} - currently processing`);
+  async cancelEvent(eventId) {
+    const result = await QueueJob.deleteOne({ jobId: eventId, status: 'PENDING' });
+
+    if (result.deletedCount === 0) {
+      const item = await QueueJob.findOne({ jobId: eventId }).select('status');
+      if (item?.status === 'PROCESSING') {
+        logger.warn(`Cannot cancel event ${eventId} - currently processing`);
+      }
       return false;
     }
-    
-    this.queue.splice(index, 1);
+
     logger.info(`Event cancelled: ${eventId}`);
     return true;
   }
 
+  /**
+   * Stop claiming new jobs and wait briefly for the current one to finish.
+   * A job still running afterwards keeps its lease and is recovered on next boot.
+   */
+  async shutdown() {
+    this.isPaused = true;
+    clearInterval(this.pollTimer);
+    clearInterval(this.reaperTimer);
+    this.pausedAccounts.forEach(paused => clearTimeout(paused.timer));
+
+    const deadline = Date.now() + this.shutdownTimeout;
+    while (this.isProcessing && Date.now() < deadline) {
+      await new Promise(resolve => {
+        setTimeout(resolve, 100);
+      });
+    }
+
+    if (this.activeJobs.size > 0) {
+      logger.warn(`Shutting down with ${this.activeJobs.size} events in flight; they will be recovered on restart`);
+    }
+
+    this.isInitialized = false;
+    this.removeAllListeners();
+    logger.info('EventQueueService stopped');
+  }
+
   /**
    * Get processing statistics
    */
   getStatistics() {
     const stats = { ...this.processingStats };
-    
+
     // Calculate success rate
-    stats.successRate = stats.totalProcessed > 0 ? 
+    stats.successRate = stats.totalProcessed > 0 ?
       (stats.totalSuccess / stats.totalProcessed * 100).toFixed(2) : 0;
-    
+
     // Calculate failure rate
-    stats.failureRate = stats.totalProcessed > 0 ? 
+    stats.failureRate = stats.totalProcessed > 0 ?
       (stats.totalFailed / stats.totalProcessed * 100).toFixed(2) : 0;
-    
+
     // Calculate retry rate
-    stats.retryRate = stats.totalProcessed > 0 ? 
+    stats.retryRate = stats.totalProcessed > 0 ?
       (stats.totalRetries / stats.totalProcessed * 100).toFixed(2) : 0;
-    
+
+    // Worker pool usage
+    stats.concurrency = {
+      limit: this.concurrency,
+      active: this.activeJobs.size,
+      idle: Math.max(this.concurrency - this.activeJobs.size, 0),
+      peak: stats.peakConcurrency
+    };
+    delete stats.peakConcurrency;
+
     return stats;
   }
 }
@@ -367,3 +1016,4 @@ class EventQueueService extends EventEmitter {
 const eventQueueService = new EventQueueService();
 
 module.exports = eventQueueService;
+module.exports.DeferredEventError = DeferredEventError;
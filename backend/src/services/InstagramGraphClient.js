@@ -0,0 +1,481 @@
+const axios = require('axios');
+const logger = require('../config/logger');
+const rateLimitService = require('./RateLimitService');
+
+/**
+ * Error raised for failed Instagram Graph API calls.
+ * `code` is the normalized value stored in Activity.error.code.
+ */
+class InstagramApiError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'InstagramApiError';
+    this.code = options.code || 'INSTAGRAM_API_ERROR';
+    this.statusCode = options.statusCode || null;
+    this.graphCode = options.graphCode || null;
+    this.graphSubcode = options.graphSubcode || null;
+    this.fbtraceId = options.fbtraceId || null;
+    this.isRetryable = options.isRetryable || false;
+    this.retryAfter = options.retryAfter || null; // ms until the account has budget again
+  }
+
+  /**
+   * Shape the error for Activity.error
+   */
+  toActivityError() {
+    return {
+      code: this.code,
+      message: this.message,
+      details: {
+        statusCode: this.statusCode,
+        graphCode: this.graphCode,
+        graphSubcode: this.graphSubcode,
+        fbtraceId: this.fbtraceId,
+        isRetryable: this.isRetryable,
+        retryAfter: this.retryAfter
+      }
+    };
+  }
+}
+
+// Graph API error codes mapped onto Activity.error.code values
+const GRAPH_ERROR_CODES = {
+  1: { code: 'API_UNAVAILABLE', isRetryable: true },
+  2: { code: 'API_UNAVAILABLE', isRetryable: true },
+  4: { code: 'RATE_LIMITED', isRetryable: true },
+  10: { code: 'PERMISSION_DENIED', isRetryable: false },
+  17: { code: 'RATE_LIMITED', isRetryable: true },
+  32: { code: 'RATE_LIMITED', isRetryable: true },
+  100: { code: 'INVALID_PARAMETER', isRetryable: false },
+  190: { code: 'INVALID_TOKEN', isRetryable: false },
+  368: { code: 'ACTION_BLOCKED', isRetryable: false },
+  551: { code: 'RECIPIENT_UNAVAILABLE', isRetryable: false },
+  613: { code: 'RATE_LIMITED', isRetryable: true }
+};
+
+// Subcodes that refine the top-level mapping
+const GRAPH_ERROR_SUBCODES = {
+  463: { code: 'TOKEN_EXPIRED', isRetryable: false },
+  467: { code: 'INVALID_TOKEN', isRetryable: false },
+  2018278: { code: 'MESSAGING_WINDOW_CLOSED', isRetryable: false },
+  2534022: { code: 'MESSAGING_WINDOW_CLOSED', isRetryable: false },
+  2534014: { code: 'RECIPIENT_UNAVAILABLE', isRetryable: false }
+};
+
+/**
+ * Default transport backed by axios.
+ * A transport receives { method, url, params, data, headers, timeout, signal }
+ * and resolves to { status, data, headers } without throwing on HTTP errors.
+ */
+const axiosTransport = async (request) => {
+  const response = await axios({
+    method: request.method,
+    url: request.url,
+    params: request.params,
+    data: request.data,
+    headers: request.headers,
+    timeout: request.timeout,
+    signal: request.signal,
+    validateStatus: () => true
+  });
+
+  return {
+    status: response.status,
+    data: response.data,
+    headers: response.headers
+  };
+};
+
+/**
+ * Instagram Graph API Client
+ * Sends private replies, direct messages and comment replies on behalf of a
+ * connected Instagram business account
+ */
+class InstagramGraphClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl ||
+      process.env.INSTAGRAM_GRAPH_API_URL ||
+      'https://graph.facebook.com';
+    this.apiVersion = options.apiVersion ||
+      process.env.INSTAGRAM_GRAPH_API_VERSION ||
+      'v18.0';
+    this.timeout = options.timeout || 15000; // 15 seconds
+    this.transport = options.transport || axiosTransport;
+  }
+
+  /**
+   * Replace the HTTP transport (e.g. to target a local fake Graph server)
+   * @param {Function} transport - Transport function, or null to restore the default
+   */
+  setTransport(transport) {
+    this.transport = transport || axiosTransport;
+  }
+
+  /**
+   * Send a private reply (DM) to the author of a comment
+   * @param {Object} account - Connected account ({ instagramUserId, accessToken })
+   * @param {string} commentId - Instagram comment ID
+   * @param {string} message - Message text
+   * @param {Object} options - { signal } to cancel the call
+   * @returns {Object} { responseId, recipientId }
+   */
+  async sendPrivateReply(account, commentId, message, options = {}) {
+    this.assertConnected(account);
+
+    const data = await this.request('POST', `/${account.instagramUserId}/messages`, {
+      accessToken: account.accessToken,
+      rateLimitKey: account.instagramUserId,
+      signal: options.signal,
+      data: {
+        recipient: { comment_id: commentId },
+        message: { text: message }
+      }
+    });
+
+    return {
+      responseId: data.message_id,
+      recipientId: data.recipient_id
+    };
+  }
+
+  /**
+   * Send a direct message to an Instagram-scoped user ID
+   * @param {Object} account - Connected account ({ instagramUserId, accessToken })
+   * @param {string} recipientId - Instagram-scoped ID of the recipient
+   * @param {string} message - Message text
+   * @param {Object} options - { signal } to cancel the call
+   * @returns {Object} { responseId, recipientId }
+   */
+  async sendDirectMessage(account, recipientId, message, options = {}) {
+    this.assertConnected(account);
+
+    const data = await this.request('POST', `/${account.instagramUserId}/messages`, {
+      accessToken: account.accessToken,
+      rateLimitKey: account.instagramUserId,
+      signal: options.signal,
+      data: {
+        recipient: { id: recipientId },
+        message: { text: message }
+      }
+    });
+
+    return {
+      responseId: data.message_id,
+      recipientId: data.recipient_id
+    };
+  }
+
+  /**
+   * Post a public reply under a comment
+   * @param {Object} account - Connected account ({ instagramUserId, accessToken })
+   * @param {string} commentId - Instagram comment ID
+   * @param {string} message - Reply text
+   * @param {Object} options - { signal } to cancel the call
+   * @returns {Object} { responseId }
+   */
+  async replyToComment(account, commentId, message, options = {}) {
+    this.assertConnected(account);
+
+    const data = await this.request('POST', `/${commentId}/replies`, {
+      accessToken: account.accessToken,
+      rateLimitKey: account.instagramUserId,
+      signal: options.signal,
+      params: { message }
+    });
+
+    return {
+      responseId: data.id
+    };
+  }
+
+  /**
+   * Fetch one page of the account's media
+   * @param {Object} account - Connected account ({ instagramUserId, accessToken })
+   * @param {Object} options - { after, limit }
+   * @returns {Object} { media, nextCursor }
+   */
+  async getMedia(account, options = {}) {
+    this.assertConnected(account);
+
+    const params = {
+      fields: 'id,caption,media_type,media_product_type,permalink,thumbnail_url,media_url,timestamp',
+      limit: options.limit || 50
+    };
+
+    if (options.after) {
+      params.after = options.after;
+    }
+
+    const data = await this.request('GET', `/${account.instagramUserId}/media`, {
+      accessToken: account.accessToken,
+      rateLimitKey: account.instagramUserId,
+      params
+    });
+
+    return {
+      media: data.data || [],
+      nextCursor: data.paging?.next ? data.paging.cursors?.after : null
+    };
+  }
+
+  /**
+   * Exchange an OAuth authorization code for a short-lived user token
+   * @param {string} code - Code from the OAuth dialog redirect
+   * @param {string} redirectUri - Redirect URI the dialog was opened with
+   * @returns {Object} { accessToken }
+   */
+  async exchangeCode(code, redirectUri) {
+    const { appId, appSecret } = this.getAppCredentials();
+
+    const data = await this.request('GET', '/oauth/access_token', {
+      params: {
+        client_id: appId,
+        client_secret: appSecret,
+        redirect_uri: redirectUri,
+        code
+      }
+    });
+
+    if (!data.access_token) {
+      throw new InstagramApiError('Code exchange returned no access token', {
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    return { accessToken: data.access_token };
+  }
+
+  /**
+   * Exchange a user token for a long-lived one
+   * @param {string} accessToken - Short-lived or long-lived user token
+   * @param {string} rateLimitKey - Instagram user ID to charge, if known
+   * @returns {Object} { accessToken, expiresAt }
+   */
+  async exchangeLongLivedToken(accessToken, rateLimitKey) {
+    const { appId, appSecret } = this.getAppCredentials();
+
+    const data = await this.request('GET', '/oauth/access_token', {
+      rateLimitKey,
+      params: {
+        grant_type: 'fb_exchange_token',
+        client_id: appId,
+        client_secret: appSecret,
+        fb_exchange_token: accessToken
+      }
+    });
+
+    if (!data.access_token) {
+      throw new InstagramApiError('Token exchange returned no access token', {
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Long-lived tokens last 60 days when Instagram does not say otherwise
+    const expiresIn = data.expires_in || 60 * 24 * 60 * 60;
+
+    return {
+      accessToken: data.access_token,
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
+  /**
+   * Exchange the account's long-lived token for a fresh one
+   * @param {Object} account - Connected account ({ instagramUserId, accessToken })
+   * @returns {Object} { accessToken, expiresAt }
+   */
+  async refreshLongLivedToken(account) {
+    this.assertConnected(account);
+
+    return this.exchangeLongLivedToken(account.accessToken, account.instagramUserId);
+  }
+
+  /**
+   * List the Instagram business accounts linked to the user's Facebook pages.
+   * Messaging and comment replies need the page token; page tokens read with a
+   * long-lived user token do not expire.
+   * @param {string} accessToken - Long-lived user token
+   * @returns {Array} [{ pageId, pageName, accessToken, instagramUserId, username }]
+   */
+  async getBusinessAccounts(accessToken) {
+    const data = await this.request('GET', '/me/accounts', {
+      accessToken,
+      params: {
+        fields: 'id,name,access_token,instagram_business_account{id,username}'
+      }
+    });
+
+    // Pages come without a token when the user has no task on them
+    return (data.data || [])
+      .filter(page => page.instagram_business_account && page.access_token)
+      .map(page => ({
+        pageId: page.id,
+        pageName: page.name,
+        accessToken: page.access_token,
+        instagramUserId: page.instagram_business_account.id,
+        username: page.instagram_business_account.username
+      }));
+  }
+
+  /**
+   * Perform a Graph API request
+   * @param {string} method - HTTP method
+   * @param {string} path - Graph path, e.g. /{ig-user-id}/messages
+   * @param {Object} options - { accessToken, params, data, rateLimitKey, signal }
+   * @returns {Object} Parsed response body
+   */
+  async request(method, path, options = {}) {
+    const startTime = Date.now();
+    const { rateLimitKey, signal } = options;
+    let response;
+
+    if (signal?.aborted) {
+      throw new InstagramApiError('Instagram API call cancelled before it was sent', {
+        code: 'ABORTED'
+      });
+    }
+
+    // Spend from the account's budget before calling Instagram
+    if (rateLimitKey) {
+      const budget = await rateLimitService.tryAcquire(rateLimitKey);
+
+      if (!budget.allowed) {
+        throw new InstagramApiError('Instagram API budget exhausted for this account', {
+          code: 'BUDGET_EXHAUSTED',
+          retryAfter: budget.retryAfter
+        });
+      }
+    }
+
+    try {
+      response = await this.transport({
+        method,
+        url: `${this.baseUrl}/${this.apiVersion}${path}`,
+        params: {
+          ...options.params,
+          access_token: options.accessToken
+        },
+        data: options.data,
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.timeout,
+        signal
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        logger.warn(`Instagram Graph API call cancelled: ${method} ${path}`);
+        throw new InstagramApiError('Instagram API call cancelled after it was sent', {
+          code: 'ABORTED'
+        });
+      }
+
+      logger.error(`Instagram Graph API network error: ${method} ${path} - ${error.message}`);
+      throw new InstagramApiError(error.message, {
+        code: error.code === 'ECONNABORTED' ? 'TIMEOUT' : 'NETWORK_ERROR',
+        isRetryable: true
+      });
+    }
+
+    logger.debug(`Instagram Graph API ${method} ${path} - ${response.status} - ${Date.now() - startTime}ms`);
+
+    if (rateLimitKey) {
+      // The call already happened; a failed usage update must not turn it into an error
+      await rateLimitService.recordUsage(rateLimitKey, response.headers).catch(error => {
+        logger.error(`Failed to record Instagram API usage for ${rateLimitKey}:`, error);
+      });
+    }
+
+    if (response.status >= 200 && response.status < 300 && !response.data?.error) {
+      return response.data || {};
+    }
+
+    const error = this.mapError(response);
+
+    if (rateLimitKey && error.code === 'RATE_LIMITED') {
+      await rateLimitService.recordRateLimited(rateLimitKey);
+      error.retryAfter = await rateLimitService.getRetryAfter(rateLimitKey);
+    }
+
+    throw error;
+  }
+
+  /**
+   * Map a failed Graph API response onto an InstagramApiError
+   * @param {Object} response - Transport response { status, data }
+   * @returns {InstagramApiError} Normalized error
+   */
+  mapError(response) {
+    const graphError = response.data?.error || {};
+    const mapping = GRAPH_ERROR_SUBCODES[graphError.error_subcode] ||
+      GRAPH_ERROR_CODES[graphError.code];
+
+    let code = mapping?.code;
+    let isRetryable = mapping?.isRetryable || false;
+
+    if (!code) {
+      if (response.status >= 500) {
+        code = 'API_UNAVAILABLE';
+        isRetryable = true;
+      } else if (graphError.code >= 200 && graphError.code < 300) {
+        code = 'PERMISSION_DENIED';
+      } else if (response.status === 429) {
+        code = 'RATE_LIMITED';
+        isRetryable = true;
+      } else {
+        code = 'INSTAGRAM_API_ERROR';
+      }
+    }
+
+    const error = new InstagramApiError(
+      graphError.message || `Instagram Graph API request failed with status ${response.status}`,
+      {
+        code,
+        isRetryable,
+        statusCode: response.status,
+        graphCode: graphError.code,
+        graphSubcode: graphError.error_subcode,
+        fbtraceId: graphError.fbtrace_id
+      }
+    );
+
+    logger.warn(`Instagram Graph API error: ${error.code} (graph code ${error.graphCode}) - ${error.message}`);
+
+    return error;
+  }
+
+  /**
+   * Read the app credentials used for token exchanges
+   * @returns {Object} { appId, appSecret }
+   */
+  getAppCredentials() {
+    const appId = process.env.INSTAGRAM_APP_ID;
+    const appSecret = process.env.INSTAGRAM_APP_SECRET;
+
+    if (!appId || !appSecret) {
+      throw new InstagramApiError('Instagram app credentials are not configured', {
+        code: 'APP_NOT_CONFIGURED'
+      });
+    }
+
+    return { appId, appSecret };
+  }
+
+  /**
+   * Ensure the account has the credentials needed to call the Graph API
+   * @param {Object} account - Connected account
+   */
+  assertConnected(account) {
+    if (!account || !account.isConnected || !account.accessToken || !account.instagramUserId) {
+      throw new InstagramApiError('Instagram account is not connected', {
+        code: 'ACCOUNT_NOT_CONNECTED'
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const instagramGraphClient = new InstagramGraphClient();
+
+module.exports = instagramGraphClient;
+module.exports.InstagramGraphClient = InstagramGraphClient;
+module.exports.InstagramApiError = InstagramApiError;
+module.exports.axiosTransport = axiosTransport;
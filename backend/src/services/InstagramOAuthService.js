@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const AccountToken = require('../models/AccountToken');
+const InstagramAccount = require('../models/InstagramAccount');
+const Post = require('../models/Post');
+const Workspace = require('../models/Workspace');
+const logger = require('../config/logger');
+const { generateToken, verifyToken } = require('../utils/jwt');
+const { hasPermission } = require('../config/permissions');
+const instagramGraphClient = require('./InstagramGraphClient');
+
+const STATE_PURPOSE = 'instagram_connect';
+const STATE_TOKEN_TYPE = 'INSTAGRAM_CONNECT';
+const NONCE_COOKIE = 'ig_connect_nonce';
+
+/**
+ * Error raised when an account connection cannot be completed.
+ * `code` is passed to the frontend in the callback redirect.
+ */
+class InstagramOAuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'InstagramOAuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Instagram OAuth Service
+ * Connects a user's Instagram business accounts through Facebook Login:
+ * the authorization code is exchanged for a long-lived user token, which
+ * reads the user's Facebook pages. Every business account linked to a page
+ * is stored with that page's token as an InstagramAccount of the workspace
+ * the connection was started from.
+ *
+ * The OAuth state is bound to the browser that started the connection by a
+ * nonce cookie, and is stored hashed so each state completes one connection.
+ */
+class InstagramOAuthService {
+  constructor() {
+    this.redirectUri = process.env.INSTAGRAM_OAUTH_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 3000}/api/auth/instagram/callback`;
+    this.scopes = (process.env.INSTAGRAM_OAUTH_SCOPES || [
+      'instagram_basic',
+      'instagram_manage_comments',
+      'instagram_manage_messages',
+      'pages_show_list',
+      'pages_read_engagement',
+      'business_management'
+    ].join(',')).split(',').map(scope => scope.trim());
+    this.stateTtlMs = 10 * 60 * 1000;
+    this.nonceCookieName = NONCE_COOKIE;
+  }
+
+  /**
+   * Hash a state or nonce for storage and comparison
+   * @param {string} value - Plain value
+   * @returns {string} Hex SHA-256 digest
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+
+  /**
+   * Options of the nonce cookie; the callback is its only reader
+   * @returns {Object} Cookie options for res.cookie and res.clearCookie
+   */
+  getNonceCookieOptions() {
+    return {
+      httpOnly: true,
+      sameSite: 'lax', // Sent on the top-level redirect back from Facebook
+      secure: process.env.NODE_ENV === 'production',
+      path: new URL(this.redirectUri).pathname
+    };
+  }
+
+  /**
+   * Read the nonce cookie from a Cookie header
+   * @param {string} cookieHeader - Cookie request header
+   * @returns {string|null} Nonce
+   */
+  readNonce(cookieHeader) {
+    const cookie = (cookieHeader || '')
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${NONCE_COOKIE}=`));
+
+    if (!cookie) return null;
+
+    try {
+      return decodeURIComponent(cookie.slice(NONCE_COOKIE.length + 1));
+    } catch (error) {
+      return null; // Malformed cookie, treated as missing
+    }
+  }
+
+  /**
+   * Build the Facebook Login dialog URL for a user
+   * @param {Object} user - User starting the connection
+   * @param {Object} workspace - Workspace the accounts are connected to
+   * @returns {Object} { authorizationUrl, nonce } - nonce goes into the nonce cookie
+   */
+  async getAuthorizationUrl(user, workspace) {
+    const { appId } = instagramGraphClient.getAppCredentials();
+    const nonce = crypto.randomBytes(32).toString('base64url');
+
+    // Signed state ties the callback to the user and workspace that opened the dialog,
+    // and through the nonce hash to the browser they opened it in
+    const state = generateToken({
+      sub: user._id.toString(),
+      workspaceId: workspace._id.toString(),
+      nonceHash: this.hash(nonce),
+      purpose: STATE_PURPOSE
+    }, `${this.stateTtlMs / 1000}s`);
+
+    // A new connection replaces any the user left unfinished
+    await AccountToken.invalidateForUser(user._id, STATE_TOKEN_TYPE);
+    await AccountToken.create({
+      userId: user._id,
+      type: STATE_TOKEN_TYPE,
+      tokenHash: this.hash(state),
+      expiresAt: new Date(Date.now() + this.stateTtlMs)
+    });
+
+    const params = new URLSearchParams({
+      client_id: appId,
+      redirect_uri: this.redirectUri,
+      state,
+      scope: this.scopes.join(','),
+      response_type: 'code'
+    });
+
+    return {
+      authorizationUrl: `https://www.facebook.com/${instagramGraphClient.apiVersion}/dialog/oauth?${params}`,
+      nonce
+    };
+  }
+
+  /**
+   * Resolve the user and workspace a callback state was issued for, using the state up
+   * @param {string} state - State from the callback
+   * @param {string} nonce - Nonce from the callback request's cookie
+   * @returns {Object} { user, workspace }
+   */
+  async resolveState(state, nonce) {
+    let payload;
+
+    try {
+      payload = verifyToken(state);
+    } catch (error) {
+      throw new InstagramOAuthError('Connection link expired, please try again', 'INVALID_STATE');
+    }
+
+    if (payload.purpose !== STATE_PURPOSE) {
+      throw new InstagramOAuthError('Invalid connection state', 'INVALID_STATE');
+    }
+
+    // Refuse a state delivered to a browser other than the one that started the connection
+    const expectedHash = Buffer.from(String(payload.nonceHash || ''));
+    const actualHash = Buffer.from(nonce ? this.hash(nonce) : '');
+
+    if (expectedHash.length !== actualHash.length || !crypto.timingSafeEqual(expectedHash, actualHash)) {
+      throw new InstagramOAuthError('Connection was started in another browser, please try again', 'STATE_MISMATCH');
+    }
+
+    const stateToken = await AccountToken.consume(this.hash(state), STATE_TOKEN_TYPE);
+
+    if (!stateToken) {
+      throw new InstagramOAuthError('Connection link was already used, please try again', 'INVALID_STATE');
+    }
+
+    const user = await User.findById(payload.sub).select('-password');
+
+    if (!user || !user.isActive) {
+      throw new InstagramOAuthError('User not found or inactive', 'INVALID_STATE');
+    }
+
+    // The user may have lost access to the workspace while the dialog was open
+    const workspace = await Workspace.findOne({ _id: payload.workspaceId, isActive: true });
+
+    if (!workspace || !hasPermission(workspace.getRole(user._id), 'accounts:manage')) {
+      throw new InstagramOAuthError('You can no longer manage accounts in this workspace', 'INVALID_STATE');
+    }
+
+    return { user, workspace };
+  }
+
+  /**
+   * Complete the connection from the OAuth callback
+   * @param {string} code - Authorization code
+   * @param {string} state - State issued by getAuthorizationUrl
+   * @param {string} nonce - Nonce from the callback request's cookie
+   * @returns {Object} { user, workspace, accounts, skipped } with the connected InstagramAccount documents
+   */
+  async completeConnection(code, state, nonce) {
+    const { user, workspace } = await this.resolveState(state, nonce);
+
+    const shortLived = await instagramGraphClient.exchangeCode(code, this.redirectUri);
+    const token = await instagramGraphClient.exchangeLongLivedToken(shortLived.accessToken);
+    const businessAccounts = await instagramGraphClient.getBusinessAccounts(token.accessToken);
+
+    if (businessAccounts.length === 0) {
+      throw new InstagramOAuthError(
+        'No Instagram business account is linked to your Facebook pages',
+        'NO_BUSINESS_ACCOUNT'
+      );
+    }
+
+    const accounts = [];
+    const skipped = [];
+
+    for (const businessAccount of businessAccounts) {
+      let account = await InstagramAccount.findByInstagramUserId(businessAccount.instagramUserId);
+
+      // A disconnected account can be claimed by whichever workspace connects it next
+      if (account && account.isConnected && !account.workspaceId.equals(workspace._id)) {
+        skipped.push(businessAccount.username);
+        continue;
+      }
+
+      if (!account) {
+        account = new InstagramAccount({ instagramUserId: businessAccount.instagramUserId });
+      }
+
+      const previousWorkspaceId = account.workspaceId;
+
+      account.set({
+        userId: user._id,
+        workspaceId: workspace._id,
+        username: businessAccount.username,
+        pageId: businessAccount.pageId,
+        pageName: businessAccount.pageName,
+        accessToken: businessAccount.accessToken,
+        tokenExpiresAt: undefined, // Page tokens do not expire
+        isConnected: true,
+        connectedAt: new Date(),
+        disconnectedAt: undefined
+      });
+      await account.save();
+
+      if (previousWorkspaceId && !previousWorkspaceId.equals(workspace._id)) {
+        await this.archivePreviousPosts(account, previousWorkspaceId);
+      }
+
+      accounts.push(account);
+      logger.info(`Instagram account @${account.username} connected to workspace ${workspace._id} by user ${user._id}`);
+    }
+
+    if (accounts.length === 0) {
+      throw new InstagramOAuthError(
+        'This Instagram account is already connected to another workspace',
+        'ACCOUNT_IN_USE'
+      );
+    }
+
+    if (skipped.length > 0) {
+      logger.info(`Skipped Instagram accounts connected to other workspaces for workspace ${workspace._id}: ${skipped.join(', ')}`);
+    }
+
+    return { user, workspace, accounts, skipped };
+  }
+
+  /**
+   * Archive the posts a workspace kept of an account another workspace has now
+   * claimed, so their keywords stop answering with the new owner's token
+   * @param {Object} account - Reclaimed InstagramAccount document
+   * @param {Object} previousWorkspaceId - Workspace the account was connected to before
+   * @returns {number} Number of posts archived
+   */
+  async archivePreviousPosts(account, previousWorkspaceId) {
+    const result = await Post.updateMany(
+      { accountId: account._id, workspaceId: previousWorkspaceId, status: { $ne: 'ARCHIVED' } },
+      {
+        $set: {
+          status: 'ARCHIVED',
+          'automationSettings.isEnabled': false,
+          'automationSettings.disabledAt': new Date()
+        }
+      }
+    );
+
+    logger.info(`Archived ${result.modifiedCount} posts of @${account.username} in workspace ${previousWorkspaceId} after it was reclaimed by workspace ${account.workspaceId}`);
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Disconnect an Instagram account
+   * @param {Object} account - InstagramAccount document
+   * @returns {Object} Updated account document
+   */
+  async disconnect(account) {
+    account.accessToken = undefined;
+    account.tokenExpiresAt = undefined;
+    account.isConnected = false;
+    account.disconnectedAt = new Date();
+    await account.save();
+
+    logger.info(`Instagram account @${account.username} disconnected from workspace ${account.workspaceId}`);
+
+    return account;
+  }
+
+  /**
+   * Build the frontend URL the callback redirects to
+   * @param {Object} params - Query parameters
+   * @returns {string} Redirect URL
+   */
+  getFrontendRedirect(params) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    return `${frontendUrl}/connect-instagram?${new URLSearchParams(params)}`;
+  }
+}
+
+// Create singleton instance
+const instagramOAuthService = new InstagramOAuthService();
+
+module.exports = instagramOAuthService;
+module.exports.InstagramOAuthError = InstagramOAuthError;
@@ -0,0 +1,284 @@
+const os = require('os');
+const cron = require('node-cron');
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+const logger = require('../config/logger');
+
+/**
+ * Job Scheduler Service
+ * Runs registered background jobs on their cron schedules. Every run takes
+ * a MongoDB lock first, so with several PM2 instances each job runs on only
+ * one of them, and is recorded in the job history.
+ */
+class JobSchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.tasks = new Map();
+    this.runningJobs = new Map(); // jobName -> { runId, promise, heartbeat }
+    this.isEnabled = process.env.SCHEDULER_ENABLED !== 'false';
+    this.timezone = process.env.SCHEDULER_TIMEZONE || 'UTC';
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.shutdownTimeout = 4000; // Stay inside PM2's kill_timeout
+  }
+
+  /**
+   * Register a job
+   * @param {Object} job - { name, description, schedule, lockTtl, run }
+   */
+  registerJob(job) {
+    if (!cron.validate(job.schedule)) {
+      throw new Error(`Invalid cron schedule for job ${job.name}: ${job.schedule}`);
+    }
+
+    this.jobs.set(job.name, {
+      lockTtl: 5 * 60 * 1000,
+      ...job
+    });
+    logger.info(`Registered job: ${job.name} (${job.schedule})`);
+  }
+
+  /**
+   * Mark interrupted runs as failed and start the cron schedules
+   */
+  async initialize() {
+    await this.recoverInterruptedRuns();
+
+    if (!this.isEnabled) {
+      logger.info('Job scheduler disabled; jobs can still be triggered manually');
+      return;
+    }
+
+    for (const job of this.jobs.values()) {
+      const task = cron.schedule(job.schedule, () => {
+        this.startJob(job.name, { windowAt: this.getWindowStart(job) }).catch(error => {
+          logger.error(`Failed to start scheduled job ${job.name}:`, error);
+        });
+      }, { timezone: this.timezone });
+
+      this.tasks.set(job.name, task);
+    }
+
+    logger.info(`Job scheduler started with ${this.tasks.size} jobs (${this.timezone})`);
+  }
+
+  /**
+   * Start a job if no other process is running it
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger, triggeredBy, windowAt }
+   * @returns {Object} { started, runId } or { started: false, reason: NOT_FOUND|LOCKED }
+   */
+  async startJob(name, options = {}) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      return { started: false, reason: 'NOT_FOUND' };
+    }
+
+    if (this.runningJobs.has(name)) {
+      return { started: false, reason: 'LOCKED' };
+    }
+
+    const lock = await JobLock.acquire(name, this.workerId, job.lockTtl, options.windowAt);
+
+    if (!lock) {
+      logger.debug(`Job ${name} is running or already ran for this schedule window on another instance; skipping`);
+      return { started: false, reason: 'LOCKED' };
+    }
+
+    // Holding the lock means any earlier run of this job is no longer alive
+    await this.failInterruptedRuns({ jobName: name });
+
+    const run = await JobRun.create({
+      jobName: name,
+      trigger: options.trigger || 'SCHEDULED',
+      triggeredBy: options.triggeredBy,
+      workerId: this.workerId
+    });
+
+    await JobLock.renew(name, this.workerId, job.lockTtl, { runId: run._id });
+
+    // Keep the lock while the job runs longer than its TTL
+    const heartbeat = setInterval(() => {
+      JobLock.renew(name, this.workerId, job.lockTtl).then(held => {
+        if (!held) logger.warn(`Lost lock for job ${name} (run ${run._id})`);
+      }).catch(error => {
+        logger.error(`Failed to renew lock for job ${name}:`, error);
+      });
+    }, job.lockTtl / 2);
+    heartbeat.unref();
+
+    const promise = this.executeJob(job, run).finally(async () => {
+      clearInterval(heartbeat);
+      this.runningJobs.delete(name);
+
+      try {
+        await JobLock.release(name, this.workerId);
+      } catch (error) {
+        logger.error(`Failed to release lock for job ${name}:`, error);
+      }
+    });
+
+    this.runningJobs.set(name, { runId: run._id, promise });
+
+    return { started: true, runId: run._id };
+  }
+
+  /**
+   * Get the schedule tick a cron firing belongs to. Ticks are truncated to
+   * the schedule's smallest unit so instances with slightly different clocks
+   * agree on the window.
+   * @param {Object} job - Registered job
+   * @returns {Date} Start of the current window
+   */
+  getWindowStart(job) {
+    const unitMs = job.schedule.trim().split(/\s+/).length === 6 ? 1000 : 60 * 1000;
+
+    return new Date(Math.floor(Date.now() / unitMs) * unitMs);
+  }
+
+  /**
+   * Run a job and record the outcome in its history entry
+   * @param {Object} job - Registered job
+   * @param {Object} run - JobRun document
+   */
+  async executeJob(job, run) {
+    logger.info(`Job ${job.name} started (run ${run._id}, ${run.trigger.toLowerCase()})`);
+
+    try {
+      const result = await job.run({ runId: run._id, trigger: run.trigger });
+
+      await this.completeRun(run, 'SUCCESS', { result });
+      logger.info(`Job ${job.name} completed in ${Date.now() - run.startedAt.getTime()}ms`);
+    } catch (error) {
+      logger.error(`Job ${job.name} failed:`, error);
+
+      await this.completeRun(run, 'FAILED', {
+        error: {
+          message: error.message,
+          code: String(error.code || 'JOB_FAILED')
+        }
+      });
+    }
+  }
+
+  /**
+   * Close a history entry
+   * @param {Object} run - JobRun document
+   * @param {string} status - SUCCESS or FAILED
+   * @param {Object} fields - { result, error }
+   */
+  async completeRun(run, status, fields = {}) {
+    const completedAt = new Date();
+
+    try {
+      await JobRun.updateOne({ _id: run._id, status: 'RUNNING' }, {
+        $set: {
+          status,
+          completedAt,
+          durationMs: completedAt - run.startedAt,
+          ...fields
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to record run ${run._id} of job ${run.jobName}:`, error);
+    }
+  }
+
+  /**
+   * Fail runs left RUNNING by a process that stopped without releasing its lock
+   */
+  async recoverInterruptedRuns() {
+    const heldLocks = await JobLock.findHeld();
+
+    await this.failInterruptedRuns({
+      jobName: { $nin: heldLocks.map(lock => lock.name) }
+    });
+  }
+
+  /**
+   * Mark matching RUNNING history entries as interrupted
+   * @param {Object} query - JobRun filter
+   */
+  async failInterruptedRuns(query) {
+    const result = await JobRun.updateMany(
+      { ...query, status: 'RUNNING' },
+      {
+        $set: {
+          status: 'FAILED',
+          completedAt: new Date(),
+          error: {
+            message: 'Interrupted before completion',
+            code: 'INTERRUPTED'
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn(`Marked ${result.modifiedCount} interrupted job runs as failed`);
+    }
+  }
+
+  /**
+   * Get registered jobs with their lock state and latest run
+   * @returns {Array} Jobs
+   */
+  async getJobs() {
+    const names = [...this.jobs.keys()];
+    const [heldLocks, latestRuns] = await Promise.all([
+      JobLock.findHeld(),
+      JobRun.getLatestRuns(names)
+    ]);
+
+    return names.map(name => {
+      const job = this.jobs.get(name);
+      const lock = heldLocks.find(item => item.name === name);
+
+      return {
+        name,
+        description: job.description,
+        schedule: job.schedule,
+        timezone: this.timezone,
+        isScheduled: this.tasks.has(name),
+        isRunning: !!lock,
+        runningOn: lock ? lock.owner : null,
+        lastRun: latestRuns[name] || null
+      };
+    });
+  }
+
+  /**
+   * Stop the cron schedules and wait briefly for running jobs
+   */
+  async shutdown() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+
+    const running = [...this.runningJobs.values()].map(item => item.promise);
+
+    if (running.length === 0) return;
+
+    logger.info(`Waiting for ${running.length} running jobs before shutdown`);
+
+    let timer;
+    await Promise.race([
+      Promise.allSettled(running),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, this.shutdownTimeout);
+      })
+    ]);
+    clearTimeout(timer);
+
+    // Runs cut off here are marked interrupted once their lock expires
+    if (this.runningJobs.size > 0) {
+      logger.warn(`Shutting down with ${this.runningJobs.size} jobs still running`);
+    }
+  }
+}
+
+// Create singleton instance
+const jobSchedulerService = new JobSchedulerService();
+
+module.exports = jobSchedulerService;
@@ -1,5 +1,8 @@
 const Keyword = require('../models/Keyword');
+const textNormalizationService = require('./TextNormalizationService');
 const logger = require('../config/logger');
+const { isPatternType, matchesPattern } = require('../utils/patternMatching');
+const { parseRule, evaluateRule, containsPhrase } = require('../utils/keywordRules');
 
 /**
  * Keyword Matching Service
@@ -25,7 +28,7 @@ class KeywordMatchingService {
    * Match a single message against keywords for a specific post
    * @param {string} postId - MongoDB ObjectId of the post
    * @param {string} messageText - Text to match against keywords
-   * @param {Object} options - Matching options
+   * @param {Object} options - Matching options; `normalization` defaults to the post owner's settings
    * @returns {Object} Match result with tags and metadata
    */
   async matchMessage(postId, messageText, options = {}) {
@@ -43,15 +46,17 @@ class KeywordMatchingService {
       }
 
       // Set default options
+      const { normalization: configuredNormalization, ...requestedOptions } = options;
       const matchOptions = {
-        enableFuzzyMatching: options.enableFuzzyMatching || false,
-        fuzzyThreshold: options.fuzzyThreshold || 0.8,
-        enableWordBoundary: options.enableWordBoundary || false,
-        maxMatches: options.maxMatches || 5,
-        minConfidence: options.minConfidence || 0.7,
-        priorityWeighting: options.priorityWeighting !== false,
-        ...options
+        enableFuzzyMatching: requestedOptions.enableFuzzyMatching || false,
+        fuzzyThreshold: requestedOptions.fuzzyThreshold || 0.8,
+        enableWordBoundary: requestedOptions.enableWordBoundary || false,
+        maxMatches: requestedOptions.maxMatches || 5,
+        minConfidence: requestedOptions.minConfidence || 0.7,
+        priorityWeighting: requestedOptions.priorityWeighting !== false,
+        ...requestedOptions
       };
+      const normalization = configuredNormalization || await textNormalizationService.getSettingsForPost(postId);
 
       // Get keywords for the post (with caching)
       const keywords = await this.getKeywordsForPost(postId);
@@ -67,7 +72,7 @@ class KeywordMatchingService {
       }
 
       // Perform matching
-      const matches = this.performMatching(messageText, keywords, matchOptions);
+      const matches = this.performMatching(messageText, keywords, { ...matchOptions, normalization });
       
       // Sort matches by confidence and priority
       const sortedMatches = this.sortMatches(matches, matchOptions);
@@ -89,6 +94,7 @@ class KeywordMatchingService {
         processingTime: Date.now() - startTime,
         cacheHit: this.keywordCache.has(postId.toString()),
         totalKeywords: keywords.length,
+        normalizedText: textNormalizationService.normalize(messageText, normalization),
         matchOptions
       };
 
@@ -124,13 +130,16 @@ class KeywordMatchingService {
       }
 
       const results = [];
+
+      // Resolve the owner's normalization settings once for the whole batch
+      const normalization = options.normalization || await textNormalizationService.getSettingsForPost(postId);
       
       // Process each message
       for (const message of messages) {
         const messageText = typeof message === 'string' ? message : message.text;
         const messageId = typeof message === 'object' ? message.id : null;
         
-        const matchResult = await this.matchMessage(postId, messageText, options);
+        const matchResult = await this.matchMessage(postId, messageText, { ...options, normalization });
         
         results.push({
           messageId,
@@ -208,15 +217,19 @@ class KeywordMatchingService {
    * Perform keyword matching against message text
    * @param {string} messageText - Text to match
    * @param {Array} keywords - Array of keyword objects
-   * @param {Object} options - Matching options
+   * @param {Object} options - Matching options, with the owner's `normalization` settings
    * @returns {Array} Array of match objects
    */
   performMatching(messageText, keywords, options) {
     const matches = [];
-    const normalizedText = messageText.toLowerCase().trim();
+    const normalization = options.normalization || textNormalizationService.defaultSettings;
+    const text = {
+      raw: messageText.trim(),
+      normalized: textNormalizationService.normalize(messageText, normalization)
+    };
 
     for (const keyword of keywords) {
-      const matchResult = this.matchKeyword(normalizedText, keyword, options);
+      const matchResult = this.matchKeyword(text, keyword, { ...options, normalization });
       if (matchResult) {
         matches.push({
           tag: this.generateTag(keyword),
@@ -241,21 +254,28 @@ class KeywordMatchingService {
 
   /**
    * Match a single keyword against text
-   * @param {string} text - Normalized text to match
+   * @param {Object} text - { raw, normalized } text to match
    * @param {Object} keyword - Keyword object
-   * @param {Object} options - Matching options
+   * @param {Object} options - Matching options, with the owner's `normalization` settings
    * @returns {Object|null} Match result or null if no match
    */
   matchKeyword(text, keyword, options) {
+    if (keyword.settings.matchType === 'RULE') {
+      return this.matchRule(text, keyword, options);
+    }
+
     const allTerms = [keyword.keyword, ...keyword.synonyms];
     const caseSensitive = keyword.settings.caseSensitive;
+    const isPattern = isPatternType(keyword.settings.matchType);
     
     for (const term of allTerms) {
-      const normalizedTerm = caseSensitive ? term : term.toLowerCase();
-      const searchText = caseSensitive ? text : text.toLowerCase();
+      const { searchText, normalizedTerm } = this.prepareTerm(text, term, { caseSensitive, isPattern }, options);
       
       // Try exact matching first
-      const exactMatch = this.performExactMatch(searchText, normalizedTerm, keyword.settings.matchType, options);
+      const exactMatch = this.performExactMatch(searchText, normalizedTerm, keyword.settings.matchType, {
+        ...options,
+        caseSensitive
+      });
       if (exactMatch) {
         return {
           confidence: 1.0,
@@ -264,8 +284,8 @@ class KeywordMatchingService {
         };
       }
 
-      // Try fuzzy matching if enabled
-      if (options.enableFuzzyMatching) {
+      // Try fuzzy matching if enabled; a pattern has no spelling to be close to
+      if (options.enableFuzzyMatching && !isPattern) {
         const fuzzyMatch = this.performFuzzyMatch(searchText, normalizedTerm, options);
         if (fuzzyMatch && fuzzyMatch.confidence >= options.fuzzyThreshold) {
           return {
@@ -280,12 +300,75 @@ class KeywordMatchingService {
     return null;
   }
 
+  /**
+   * Match a RULE keyword: each term of the expression is looked up as whole
+   * words in the comment, then the AND/OR/NOT expression decides
+   * @param {Object} text - { raw, normalized } text to match
+   * @param {Object} keyword - Keyword object with a RULE expression
+   * @param {Object} options - Matching options, with the owner's `normalization` settings
+   * @returns {Object|null} Match result or null if no match
+   */
+  matchRule(text, keyword, options) {
+    const caseSensitive = keyword.settings.caseSensitive;
+    let rule = keyword.rule;
+
+    if (!rule) {
+      try {
+        rule = parseRule(keyword.keyword);
+      } catch (error) {
+        logger.warn(`Skipping keyword ${keyword._id} with invalid rule "${keyword.keyword}": ${error.message}`);
+        return null;
+      }
+    }
+
+    const hasTerm = (term) => {
+      const { searchText, normalizedTerm } = this.prepareTerm(text, term, { caseSensitive, isPattern: false }, options);
+      return containsPhrase(searchText, normalizedTerm);
+    };
+
+    if (!evaluateRule(rule, hasTerm)) {
+      return null;
+    }
+
+    return {
+      confidence: 1.0,
+      matchedTerm: keyword.keyword,
+      matchType: 'RULE'
+    };
+  }
+
+  /**
+   * Pick the text and term forms to compare. Patterns and case-sensitive
+   * keywords see the comment as written; other terms are normalized the same
+   * way as the comment.
+   * @param {Object} text - { raw, normalized } text
+   * @param {string} term - Keyword or synonym
+   * @param {Object} keywordSettings - { caseSensitive, isPattern }
+   * @param {Object} options - Matching options, with the owner's `normalization` settings
+   * @returns {Object} { searchText, normalizedTerm }
+   */
+  prepareTerm(text, term, { caseSensitive, isPattern }, options) {
+    // Patterns keep their case; a regex handles case with its own flag
+    if (isPattern || caseSensitive) {
+      return { searchText: text.raw, normalizedTerm: term };
+    }
+
+    const normalizedTerm = textNormalizationService.normalize(term, options.normalization);
+
+    // A term made only of emoji or punctuation is compared as written
+    if (!normalizedTerm) {
+      return { searchText: text.raw.toLowerCase(), normalizedTerm: term.toLowerCase() };
+    }
+
+    return { searchText: text.normalized, normalizedTerm };
+  }
+
   /**
    * Perform exact string matching
    * @param {string} text - Text to search in
    * @param {string} term - Term to search for
-   * @param {string} matchType - Type of matching (EXACT, CONTAINS, etc.)
-   * @param {Object} options - Matching options
+   * @param {string} matchType - Type of matching (EXACT, CONTAINS, REGEX, etc.)
+   * @param {Object} options - Matching options, with the keyword's caseSensitive setting
    * @returns {boolean} True if match found
    */
   performExactMatch(text, term, matchType, options) {
@@ -306,6 +389,10 @@ class KeywordMatchingService {
       
       case 'ENDS_WITH':
         return text.endsWith(term);
+
+      case 'REGEX':
+      case 'WILDCARD':
+        return matchesPattern(text, term, matchType, { caseSensitive: options.caseSensitive });
       
       default:
         return text.includes(term);
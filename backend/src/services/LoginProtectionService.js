@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const mailerService = require('./MailerService');
+
+// Upper bound on remembered failures so a large attack cannot exhaust memory
+const MAX_TRACKED_FAILURES = 10000;
+
+/**
+ * Error raised when a login is refused because the account is locked.
+ * `code` lets controllers pick the HTTP status.
+ */
+class LoginProtectionError extends Error {
+  constructor(message, code, lockUntil) {
+    super(message);
+    this.name = 'LoginProtectionError';
+    this.code = code;
+    this.lockUntil = lockUntil;
+  }
+}
+
+/**
+ * Login Protection Service
+ * Per-account failed login tracking with progressive lockout: every lockout
+ * since the last successful login lasts twice as long as the one before.
+ * Also watches recent failures across accounts and raises an alert when they
+ * look like credential stuffing (one IP trying many accounts, or a burst of
+ * failures overall).
+ */
+class LoginProtectionService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+    this.maxLockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 1440;
+    this.alertWindowMinutes = parseInt(process.env.LOGIN_ALERT_WINDOW_MINUTES) || 10;
+    this.alertAccountsPerIp = parseInt(process.env.LOGIN_ALERT_ACCOUNTS_PER_IP) || 10;
+    this.alertTotalFailures = parseInt(process.env.LOGIN_ALERT_TOTAL_FAILURES) || 100;
+    this.alertEmail = process.env.SECURITY_ALERT_EMAIL;
+
+    this.recentFailures = []; // { at, email, ipAddress }, oldest first
+    this.alertedAt = new Map(); // alert key -> time, so each pattern alerts once per window
+  }
+
+  /**
+   * Minutes an account stays locked for its next lockout
+   * @param {number} lockCount - Lockouts since the last successful login
+   * @returns {number} Lockout length in minutes
+   */
+  getLockoutMinutes(lockCount = 0) {
+    return Math.min(this.lockoutMinutes * 2 ** lockCount, this.maxLockoutMinutes);
+  }
+
+  /**
+   * Refuse the login when the account is locked
+   * @param {string} email - Account email
+   */
+  async assertNotLocked(email) {
+    const user = await User.findOne({
+      email: email.toLowerCase(),
+      'lockout.lockUntil': { $gt: new Date() }
+    }).select('lockout');
+
+    if (user) {
+      const minutes = Math.ceil((user.lockout.lockUntil - Date.now()) / 60000);
+
+      throw new LoginProtectionError(
+        `Account is temporarily locked after too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        'ACCOUNT_LOCKED',
+        user.lockout.lockUntil
+      );
+    }
+  }
+
+  /**
+   * Check a password, recording the attempt. A successful check does not
+   * reset the failure count; that waits for the whole login, second factor
+   * included (see recordSuccess).
+   * @param {string} email - Account email
+   * @param {string} password - Password as entered
+   * @param {Object} context - { ipAddress }
+   * @returns {Object} User
+   */
+  async authenticate(email, password, { ipAddress } = {}) {
+    // Locked accounts are refused before the password is checked
+    await this.assertNotLocked(email);
+
+    try {
+      return await User.findByCredentials(email, password);
+    } catch (error) {
+      if (error.message === 'Invalid login credentials') {
+        await this.recordFailure(email, { ipAddress });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed login against the account, locking it at the limit
+   * @param {string} email - Email the attempt was made for; need not exist
+   * @param {Object} context - { ipAddress }
+   * @returns {Date|null} Lock expiry when this failure locked the account
+   */
+  async recordFailure(email, { ipAddress } = {}) {
+    const normalizedEmail = email.toLowerCase();
+    this.trackFailure(normalizedEmail, ipAddress);
+
+    const user = await User.findOneAndUpdate(
+      { email: normalizedEmail, isActive: true },
+      {
+        $inc: { 'lockout.failedAttempts': 1 },
+        $set: { 'lockout.lastFailedAt': new Date() }
+      },
+      { new: true }
+    ).select('email lockout');
+
+    if (!user || user.lockout.failedAttempts < this.maxAttempts) {
+      return null;
+    }
+
+    const minutes = this.getLockoutMinutes(user.lockout.lockCount);
+    const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+    // Conditional on the count so concurrent failures lock the account only once
+    const result = await User.updateOne(
+      { _id: user._id, 'lockout.failedAttempts': { $gte: this.maxAttempts } },
+      {
+        $set: { 'lockout.failedAttempts': 0, 'lockout.lockUntil': lockUntil },
+        $inc: { 'lockout.lockCount': 1 }
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return null;
+    }
+
+    logger.warn(`Account ${user.email} locked for ${minutes} minutes after ${this.maxAttempts} failed login attempts (last from ${ipAddress || 'unknown IP'})`);
+
+    return lockUntil;
+  }
+
+  /**
+   * Clear the failure history after a completed login
+   * @param {Object} user - User who logged in
+   */
+  async recordSuccess(user) {
+    if (!user.lockout?.failedAttempts && !user.lockout?.lockCount && !user.lockout?.lockUntil) {
+      return;
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'lockout.failedAttempts': 0, 'lockout.lockCount': 0 },
+        $unset: { 'lockout.lockUntil': 1 }
+      }
+    );
+  }
+
+  /**
+   * Unlock an account and reset its lockout progression
+   * @param {string} userId - Account to unlock
+   * @returns {Object|null} Updated user, or null when not found
+   */
+  async unlock(userId) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+
+    return User.findByIdAndUpdate(
+      userId,
+      {
+        $set: { 'lockout.failedAttempts': 0, 'lockout.lockCount': 0 },
+        $unset: { 'lockout.lockUntil': 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Remember a failure and raise alerts for credential stuffing patterns
+   * @param {string} email - Email the attempt was made for
+   * @param {string} ipAddress - Client IP
+   */
+  trackFailure(email, ipAddress) {
+    const now = Date.now();
+    const windowStart = now - this.alertWindowMinutes * 60 * 1000;
+
+    this.recentFailures.push({ at: now, email, ipAddress });
+
+    const firstRecent = this.recentFailures.findIndex(failure => failure.at >= windowStart);
+    this.recentFailures.splice(0, Math.max(firstRecent, this.recentFailures.length - MAX_TRACKED_FAILURES));
+
+    for (const [key, alertedAt] of this.alertedAt) {
+      if (alertedAt < windowStart) this.alertedAt.delete(key);
+    }
+
+    if (ipAddress) {
+      const accounts = new Set(
+        this.recentFailures
+          .filter(failure => failure.ipAddress === ipAddress)
+          .map(failure => failure.email)
+      );
+
+      if (accounts.size >= this.alertAccountsPerIp) {
+        this.raiseAlert(`ip:${ipAddress}`, `Failed logins for ${accounts.size} different accounts from ${ipAddress} in the last ${this.alertWindowMinutes} minutes`);
+      }
+    }
+
+    if (this.recentFailures.length >= this.alertTotalFailures) {
+      const accounts = new Set(this.recentFailures.map(failure => failure.email));
+      const ipAddresses = new Set(this.recentFailures.map(failure => failure.ipAddress));
+
+      this.raiseAlert('total', `${this.recentFailures.length} failed logins for ${accounts.size} accounts from ${ipAddresses.size} IP addresses in the last ${this.alertWindowMinutes} minutes`);
+    }
+  }
+
+  /**
+   * Log a security alert and email it to SECURITY_ALERT_EMAIL, once per window
+   * @param {string} key - Pattern identifier used for throttling
+   * @param {string} message - Alert description
+   */
+  raiseAlert(key, message) {
+    if (this.alertedAt.has(key)) return;
+    this.alertedAt.set(key, Date.now());
+
+    logger.warn(`Possible credential stuffing: ${message}`);
+
+    if (!this.alertEmail) return;
+
+    mailerService.send({
+      to: this.alertEmail,
+      subject: 'Tanggapin security alert: possible credential stuffing',
+      text: `${message}.\n\nAccounts that reach ${this.maxAttempts} failed attempts are locked automatically. Consider blocking the source addresses.`
+    }).catch(error => logger.error('Failed to send security alert:', error));
+  }
+}
+
+const loginProtectionService = new LoginProtectionService();
+
+module.exports = loginProtectionService;
+module.exports.LoginProtectionError = LoginProtectionError;
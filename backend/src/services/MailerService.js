@@ -0,0 +1,89 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../config/logger');
+
+/**
+ * Mailer Service
+ * Sends account emails through a named transport chosen with MAIL_TRANSPORT.
+ * A transport is any object with `send(message)`; `console` and `file` are
+ * built in for local testing, others are added with registerTransport().
+ * Production has no default, so account emails fail instead of being logged.
+ */
+class MailerService {
+  constructor() {
+    this.transports = new Map();
+    this.from = process.env.MAIL_FROM || 'Tanggapin <no-reply@tanggapin.local>';
+
+    this.registerTransport('console', {
+      async send(message) {
+        logger.info(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { transport: 'console' };
+      }
+    });
+
+    this.registerTransport('file', {
+      async send(message) {
+        // One JSON file per message so tests and developers can open the links
+        const directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'logs', 'mail');
+        const file = path.join(directory, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(file, JSON.stringify(message, null, 2));
+
+        return { transport: 'file', file };
+      }
+    });
+  }
+
+  /**
+   * Register a transport
+   * @param {string} name - Name used in MAIL_TRANSPORT
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  registerTransport(name, transport) {
+    if (typeof transport?.send !== 'function') {
+      throw new Error(`Mail transport "${name}" must implement send(message)`);
+    }
+
+    this.transports.set(name, transport);
+  }
+
+  /**
+   * Transport selected by MAIL_TRANSPORT, falling back to console outside production
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+
+    // The console fallback would write reset and verification links to the logs
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT is not configured; refusing to log account emails in production');
+    }
+
+    const transport = this.transports.get(name);
+
+    if (!transport) {
+      throw new Error(`Mail transport not registered: ${name}`);
+    }
+
+    return transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Object} Transport result
+   */
+  async send({ to, subject, text, html }) {
+    const message = { from: this.from, to, subject, text, html };
+    const result = await this.getTransport().send(message);
+
+    logger.info(`Email sent to ${to} via ${result?.transport || process.env.MAIL_TRANSPORT}: ${subject}`);
+
+    return result;
+  }
+}
+
+const mailerService = new MailerService();
+
+module.exports = mailerService;
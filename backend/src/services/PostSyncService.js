@@ -0,0 +1,217 @@
+const Post = require('../models/Post');
+const InstagramAccount = require('../models/InstagramAccount');
+const logger = require('../config/logger');
+const instagramGraphClient = require('./InstagramGraphClient');
+
+/**
+ * Post Sync Service
+ * Pages through a connected Instagram account's media and mirrors it into
+ * Post documents. Media that no longer exists on Instagram is archived.
+ * An account with more media than one sync reads is synced over several
+ * runs: the cursor is saved on the account and the next sync resumes there.
+ */
+class PostSyncService {
+  constructor() {
+    this.pageSize = 50;
+    this.maxPages = 40; // 2000 media per sync
+  }
+
+  /**
+   * Sync the media of a connected Instagram account, resuming an unfinished pass
+   * @param {Object} account - InstagramAccount document
+   * @returns {Object} { syncedPosts, newPosts, updatedPosts, archivedPosts, errors, completed, partial }
+   *   where completed means the pass reached the last page and partial that it stopped at the page limit
+   */
+  async syncAccountPosts(account) {
+    const startTime = Date.now();
+    const result = {
+      syncedPosts: 0,
+      newPosts: 0,
+      updatedPosts: 0,
+      archivedPosts: 0,
+      errors: [],
+      completed: false,
+      partial: false
+    };
+
+    // Posts synced since the pass started were seen on Instagram during it
+    const resuming = !!(account.syncCursor && account.syncStartedAt);
+    const passStartedAt = resuming ? account.syncStartedAt : new Date();
+    const unseenFilter = {
+      accountId: account._id,
+      status: { $ne: 'ARCHIVED' },
+      lastSyncAt: { $not: { $gte: passStartedAt } }
+    };
+
+    let cursor = resuming ? account.syncCursor : null;
+    let pages = 0;
+
+    try {
+      do {
+        const page = await instagramGraphClient.getMedia(account, {
+          after: cursor,
+          limit: this.pageSize
+        });
+
+        for (const media of page.media) {
+          await this.upsertMedia(account, media, result);
+        }
+
+        cursor = page.nextCursor;
+        pages++;
+      } while (cursor && pages < this.maxPages);
+
+      result.completed = !cursor;
+      result.partial = !!cursor;
+    } catch (error) {
+      logger.error(`Instagram media sync failed for account @${account.username}:`, error);
+
+      result.errors.push({
+        instagramPostId: null,
+        code: error.code || 'SYNC_FAILED',
+        error: error.message
+      });
+
+      // Posts we could not reach keep their data but carry the failure
+      await Post.updateMany(
+        unseenFilter,
+        {
+          $set: {
+            syncError: {
+              message: error.message,
+              code: error.code || 'SYNC_FAILED',
+              timestamp: new Date()
+            }
+          }
+        }
+      );
+    }
+
+    // Only a full pass proves that missing media was deleted on Instagram. Media
+    // that failed to sync during the pass was seen, so it is not archived.
+    if (result.completed) {
+      const archived = await Post.updateMany(
+        { ...unseenFilter, 'syncError.timestamp': { $not: { $gte: passStartedAt } } },
+        {
+          $set: {
+            status: 'ARCHIVED',
+            'automationSettings.isEnabled': false,
+            'automationSettings.disabledAt': new Date(),
+            lastSyncAt: new Date()
+          },
+          $unset: { syncError: 1 }
+        }
+      );
+      result.archivedPosts = archived.modifiedCount;
+    }
+
+    if (result.partial) {
+      // lastSyncAt stays as it was, so the scheduled sync picks the account up again next run
+      await InstagramAccount.updateOne(
+        { _id: account._id },
+        { $set: { syncCursor: cursor, syncStartedAt: passStartedAt } }
+      );
+    } else {
+      // A failed pass starts over, as its cursor may no longer be valid. Recorded on the
+      // account so accounts without media are not synced every run.
+      await InstagramAccount.updateOne(
+        { _id: account._id },
+        { $set: { lastSyncAt: new Date() }, $unset: { syncCursor: 1, syncStartedAt: 1 } }
+      );
+    }
+
+    logger.info(`Instagram media sync for account @${account.username}: ${result.newPosts} new, ${result.updatedPosts} updated, ${result.archivedPosts} archived, ${result.errors.length} errors${result.partial ? ', continues next run' : ''} (${Date.now() - startTime}ms)`);
+
+    return result;
+  }
+
+  /**
+   * Create or update the Post for one media item
+   * @param {Object} account - InstagramAccount the media belongs to
+   * @param {Object} media - Graph API media object
+   * @param {Object} result - Sync counters to update
+   */
+  async upsertMedia(account, media, result) {
+    const fields = {
+      ...this.mapMedia(media),
+      workspaceId: account.workspaceId,
+      accountId: account._id
+    };
+
+    try {
+      const post = await Post.findOne({ instagramPostId: media.id });
+
+      if (post && post.workspaceId && !post.workspaceId.equals(account.workspaceId)) {
+        throw new Error('Media is already linked to another workspace');
+      }
+
+      if (post) {
+        post.set(fields);
+
+        // Media that reappears on Instagram comes back without automation
+        if (post.status === 'ARCHIVED') {
+          post.status = 'INACTIVE';
+        }
+
+        post.syncError = undefined;
+        await post.save();
+        result.updatedPosts++;
+      } else {
+        await Post.create({
+          userId: account.userId,
+          ...fields
+        });
+        result.newPosts++;
+      }
+
+      result.syncedPosts++;
+    } catch (error) {
+      logger.warn(`Failed to sync Instagram media ${media.id}: ${error.message}`);
+
+      result.errors.push({
+        instagramPostId: media.id,
+        code: error.name === 'ValidationError' ? 'INVALID_MEDIA' : 'SYNC_FAILED',
+        error: error.message
+      });
+
+      await Post.updateOne(
+        { instagramPostId: media.id, workspaceId: account.workspaceId },
+        {
+          $set: {
+            syncError: {
+              message: error.message,
+              code: error.name === 'ValidationError' ? 'INVALID_MEDIA' : 'SYNC_FAILED',
+              timestamp: new Date()
+            }
+          }
+        }
+      );
+    }
+  }
+
+  /**
+   * Map a Graph API media object onto Post fields
+   * @param {Object} media - Graph API media object
+   * @returns {Object} Post fields
+   */
+  mapMedia(media) {
+    const isVideo = media.media_type === 'VIDEO';
+
+    return {
+      instagramPostId: media.id,
+      instagramMediaId: media.id,
+      postType: media.media_product_type === 'REELS' ? 'REEL' : media.media_type,
+      caption: media.caption || '',
+      permalink: media.permalink,
+      thumbnailUrl: isVideo ? media.thumbnail_url : media.media_url,
+      mediaUrl: media.media_url,
+      timestamp: new Date(media.timestamp),
+      lastSyncAt: new Date()
+    };
+  }
+}
+
+// Create singleton instance
+const postSyncService = new PostSyncService();
+
+module.exports = postSyncService;
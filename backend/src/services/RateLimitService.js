@@ -0,0 +1,215 @@
+const logger = require('../config/logger');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const eventQueueService = require('./EventQueueService');
+
+/**
+ * Rate Limit Service
+ * Token bucket per connected Instagram account. Buckets live in MongoDB so
+ * every server process spends from the same budget; they refill continuously,
+ * are kept in step with the usage Meta reports in response headers, and pause
+ * the account's queued events while the budget is exhausted.
+ */
+class RateLimitService {
+  constructor() {
+    this.limitPerHour = parseInt(process.env.INSTAGRAM_RATE_LIMIT_PER_HOUR) || 200;
+    this.usageThreshold = parseInt(process.env.INSTAGRAM_RATE_LIMIT_USAGE_THRESHOLD) || 90; // percent
+    this.defaultPauseMs = 15 * 60 * 1000; // 15 minutes when Meta gives no estimate
+  }
+
+  /**
+   * Tokens earned per millisecond
+   */
+  get refillPerMs() {
+    return this.limitPerHour / (60 * 60 * 1000);
+  }
+
+  /**
+   * Milliseconds until a bucket allows another call
+   * @param {Object} bucket - RateLimitBucket document
+   * @returns {number} 0 when a call can be made now
+   */
+  computeRetryAfter(bucket) {
+    if (bucket.pausedUntil) {
+      return Math.max(bucket.pausedUntil - Date.now(), 0);
+    }
+
+    if (bucket.tokens >= 1) {
+      return 0;
+    }
+
+    return Math.ceil((1 - bucket.tokens) / this.refillPerMs);
+  }
+
+  /**
+   * Milliseconds until the account can make another call
+   * @param {string} accountKey - Instagram user ID
+   * @returns {Promise<number>} 0 when a call can be made now
+   */
+  async getRetryAfter(accountKey) {
+    if (!accountKey) return 0;
+
+    const bucket = await RateLimitBucket.refill(accountKey, this.limitPerHour);
+    return this.computeRetryAfter(bucket);
+  }
+
+  /**
+   * Take one token for a Graph API call
+   * @param {string} accountKey - Instagram user ID
+   * @returns {Promise<Object>} { allowed, retryAfter }
+   */
+  async tryAcquire(accountKey) {
+    const bucket = await RateLimitBucket.take(accountKey, this.limitPerHour);
+
+    if (bucket.granted) {
+      return { allowed: true, retryAfter: 0 };
+    }
+
+    const retryAfter = Math.max(this.computeRetryAfter(bucket), 1);
+    await this.pause(accountKey, retryAfter, 'Token bucket empty');
+
+    return { allowed: false, retryAfter };
+  }
+
+  /**
+   * Read Meta's usage headers and bring the bucket in line with them
+   * @param {string} accountKey - Instagram user ID
+   * @param {Object} headers - Graph API response headers
+   */
+  async recordUsage(accountKey, headers = {}) {
+    const appUsage = this.parseHeader(headers['x-app-usage']);
+    const businessUsage = this.parseHeader(headers['x-business-use-case-usage']);
+
+    if (!appUsage && !businessUsage) return;
+
+    const entries = [];
+
+    if (appUsage) {
+      entries.push(appUsage);
+    }
+
+    if (businessUsage) {
+      // { "<business-id>": [{ type, call_count, total_cputime, total_time, estimated_time_to_regain_access }] }
+      Object.values(businessUsage).forEach(list => {
+        if (Array.isArray(list)) entries.push(...list);
+      });
+    }
+
+    const usagePercent = Math.max(...entries.map(entry => Math.max(
+      entry.call_count || 0,
+      entry.total_cputime || 0,
+      entry.total_time || 0
+    )));
+    const regainMinutes = Math.max(...entries.map(entry => entry.estimated_time_to_regain_access || 0));
+    const isExhausted = regainMinutes > 0 || usagePercent >= this.usageThreshold;
+
+    // Never hold more tokens than Meta says are left
+    const remaining = this.limitPerHour * Math.max(0, 100 - usagePercent) / 100;
+
+    await RateLimitBucket.updateOne(
+      { accountKey },
+      {
+        $set: { usagePercent, appUsage, businessUsage, lastUsageAt: new Date() },
+        $min: { tokens: isExhausted ? 0 : remaining }
+      },
+      { upsert: true }
+    );
+
+    if (isExhausted) {
+      const pauseMs = regainMinutes > 0 ? regainMinutes * 60 * 1000 : this.defaultPauseMs;
+      await this.pause(accountKey, pauseMs, `API usage at ${usagePercent}%`);
+    }
+  }
+
+  /**
+   * Pause an account after Meta rejected a call for rate limiting
+   * @param {string} accountKey - Instagram user ID
+   * @param {number} retryAfter - Optional pause length in milliseconds
+   */
+  async recordRateLimited(accountKey, retryAfter) {
+    await RateLimitBucket.updateOne(
+      { accountKey },
+      { $set: { tokens: 0 }, $inc: { totalThrottled: 1 } },
+      { upsert: true }
+    );
+
+    await this.pause(accountKey, retryAfter || this.defaultPauseMs, 'Rate limited by Instagram');
+  }
+
+  /**
+   * Stop calls and queued events for an account until the budget is back
+   * @param {string} accountKey - Instagram user ID
+   * @param {number} pauseMs - Pause length in milliseconds
+   * @param {string} reason - Reason for logging
+   */
+  async pause(accountKey, pauseMs, reason) {
+    const resumeAt = new Date(Date.now() + pauseMs);
+
+    // Only extends an existing pause
+    const result = await RateLimitBucket.pauseUntil(accountKey, resumeAt);
+    if (result.modifiedCount === 0 && result.upsertedCount === 0) return;
+
+    logger.warn(`Instagram API budget exhausted for account ${accountKey} (${reason}); pausing for ${Math.ceil(pauseMs / 1000)}s`);
+
+    // Other processes see the pause in MongoDB when they next claim events
+    eventQueueService.pauseAccount(accountKey, resumeAt);
+  }
+
+  /**
+   * Parse a JSON usage header
+   * @param {string} value - Header value
+   * @returns {Object|null} Parsed header
+   */
+  parseHeader(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return value;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`Unparseable Instagram usage header: ${value}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get budget usage for every account that has made calls
+   * @returns {Promise<Object>} Statistics
+   */
+  async getStatistics() {
+    const buckets = await RateLimitBucket.find().sort({ accountKey: 1 }).lean();
+    const now = Date.now();
+
+    const accounts = buckets.map(bucket => {
+      // Report the tokens the bucket has earned since it was last written
+      const elapsed = bucket.lastRefillAt ? now - bucket.lastRefillAt : 0;
+      const tokens = Math.min(this.limitPerHour, (bucket.tokens ?? this.limitPerHour) + elapsed * this.refillPerMs);
+      const isPaused = !!bucket.pausedUntil && bucket.pausedUntil > now;
+
+      return {
+        accountKey: bucket.accountKey,
+        tokens: Math.floor(tokens),
+        capacity: this.limitPerHour,
+        usagePercent: bucket.usagePercent,
+        appUsage: bucket.appUsage,
+        businessUsage: bucket.businessUsage,
+        isPaused,
+        pausedUntil: isPaused ? bucket.pausedUntil : null,
+        totalRequests: bucket.totalRequests,
+        totalThrottled: bucket.totalThrottled,
+        lastUsageAt: bucket.lastUsageAt
+      };
+    });
+
+    return {
+      limitPerHour: this.limitPerHour,
+      usageThreshold: this.usageThreshold,
+      pausedAccounts: accounts.filter(account => account.isPaused).length,
+      accounts
+    };
+  }
+}
+
+// Create singleton instance
+const rateLimitService = new RateLimitService();
+
+module.exports = rateLimitService;
@@ -0,0 +1,441 @@
+const Activity = require('../models/Activity');
+const logger = require('../config/logger');
+const instagramGraphClient = require('./InstagramGraphClient');
+
+const { InstagramApiError } = instagramGraphClient;
+
+/**
+ * Reply steps for each post reply mode.
+ * BOTH sends a DM first and only posts the public fallback comment when the DM fails.
+ */
+const REPLY_PLANS = {
+  COMMENTS_ONLY: { primary: 'COMMENT', fallback: null },
+  DMS_ONLY: { primary: 'DM', fallback: null },
+  BOTH: { primary: 'DM', fallback: 'FALLBACK_COMMENT' }
+};
+
+// Activity type recorded for each step
+const STEP_ACTIVITY_TYPES = {
+  DM: 'DM_SENT',
+  COMMENT: 'COMMENT_REPLIED',
+  FALLBACK_COMMENT: 'FALLBACK_COMMENT'
+};
+
+/**
+ * Reply Strategy Service
+ * Executes the reply pipeline for a matched event according to the post's replyMode
+ */
+class ReplyStrategyService {
+  /**
+   * Execute the reply strategy for a matched webhook event.
+   * Transient send failures are not retried here: while the queue job has
+   * retries left the outcome is RETRY and the queue schedules the next attempt.
+   * @param {Object} context - { event, post, keyword, match, account, parentActivity, messageOverride, job }
+   * @returns {Object} Outcome with overall status and per-step results
+   */
+  async execute(context) {
+    const startTime = Date.now();
+    const { post, event } = context;
+    const replyMode = post.automationSettings?.replyMode || 'BOTH';
+    const plan = REPLY_PLANS[replyMode] || REPLY_PLANS.BOTH;
+    const steps = [];
+
+    // Public comments need a comment to reply under
+    if (plan.primary === 'COMMENT' && !event.commentId) {
+      logger.info(`Reply mode ${replyMode} cannot reply to a ${event.type} event without a comment`);
+
+      return {
+        success: false,
+        status: 'IGNORED',
+        replyMode,
+        reason: 'Comment reply requires a comment event',
+        steps,
+        responseTime: Date.now() - startTime
+      };
+    }
+
+    const primary = await this.runStep(plan.primary, context);
+    steps.push(primary);
+
+    if (primary.success) {
+      await this.updateStatistics(context, 'success', primary.result.responseTime);
+
+      return {
+        success: true,
+        status: 'SUCCESS',
+        replyMode,
+        responseType: primary.result.type,
+        response: primary.result,
+        steps,
+        responseTime: Date.now() - startTime
+      };
+    }
+
+    // Out of API budget: nothing else can be sent for this account right now
+    if (primary.result.details?.retryAfter) {
+      return {
+        success: false,
+        status: 'DEFERRED',
+        replyMode,
+        reason: primary.result.errorMessage,
+        retryAfter: primary.result.details.retryAfter,
+        steps,
+        responseTime: Date.now() - startTime
+      };
+    }
+
+    if (this.shouldRetry(primary, context)) {
+      return this.buildRetryOutcome(replyMode, primary, steps, startTime);
+    }
+
+    if (plan.fallback && event.commentId) {
+      logger.info(`DM failed (${primary.result.error}), posting fallback comment for ${event.commentId}`);
+
+      const fallback = await this.runStep(plan.fallback, {
+        ...context,
+        fallbackReason: primary.result.error
+      });
+      steps.push(fallback);
+
+      if (fallback.success) {
+        await this.updateStatistics(context, 'fallback', fallback.result.responseTime);
+
+        return {
+          success: true,
+          status: 'FALLBACK',
+          replyMode,
+          responseType: fallback.result.type,
+          response: fallback.result,
+          fallbackReason: primary.result.error,
+          steps,
+          responseTime: Date.now() - startTime
+        };
+      }
+    }
+
+    const lastStep = steps[steps.length - 1];
+
+    if (lastStep !== primary && this.shouldRetry(lastStep, context)) {
+      return this.buildRetryOutcome(replyMode, lastStep, steps, startTime);
+    }
+
+    await this.updateStatistics(context, 'failed');
+
+    return {
+      success: false,
+      status: 'FAILED',
+      replyMode,
+      responseType: lastStep.result.type,
+      response: lastStep.result,
+      reason: lastStep.result.errorMessage,
+      steps,
+      responseTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Whether a failed step should be attempted again by the queue
+   * @param {Object} step - Step result from runStep
+   * @param {Object} context - Strategy context; job is { attempt, maxRetries, signal } of the queue job
+   * @returns {boolean} True when the failure is transient and the job has retries left
+   */
+  shouldRetry(step, context) {
+    const { job } = context;
+
+    if (!job || !step.result.details?.isRetryable) {
+      return false;
+    }
+
+    return job.attempt <= job.maxRetries;
+  }
+
+  /**
+   * Outcome handing a transient failure back to the queue
+   */
+  buildRetryOutcome(replyMode, step, steps, startTime) {
+    return {
+      success: false,
+      status: 'RETRY',
+      replyMode,
+      responseType: step.result.type,
+      response: step.result,
+      reason: step.result.errorMessage,
+      steps,
+      responseTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Send one step of the plan and record it as its own activity
+   * @param {string} step - DM, COMMENT or FALLBACK_COMMENT
+   * @param {Object} context - Strategy context
+   * @returns {Object} { step, success, result, activityId }
+   */
+  async runStep(step, context) {
+    const { event, match, account, messageOverride } = context;
+    const isComment = step !== 'DM';
+    let message = isComment ? this.buildCommentMessage(match) : this.buildDmMessage(match);
+
+    // Repeat askers get the cooldown response on every channel
+    if (messageOverride) {
+      message = messageOverride;
+    }
+
+    const type = isComment ? 'COMMENT' : 'DM';
+    const signal = context.job?.signal;
+    let result;
+
+    // A cancelled attempt stops before sending anything; the queue may retry it
+    signal?.throwIfAborted();
+
+    if (message) {
+      result = await this.send(type, {
+        account,
+        commentId: event.commentId,
+        recipientId: event.fromUserId,
+        message,
+        signal
+      });
+    } else {
+      logger.warn(`Skipping ${step} for keyword "${context.keyword.keyword}": no reply text configured`);
+
+      result = {
+        success: false,
+        type,
+        message: null,
+        error: 'NO_REPLY_MESSAGE',
+        errorMessage: `Keyword has no reply text for ${step}`,
+        responseTime: 0
+      };
+    }
+
+    const activity = await this.recordStep(step, context, result);
+
+    if (signal?.aborted) {
+      // The send may already have reached Instagram; retrying could reply twice
+      const error = new Error(`Event processing cancelled during ${step}: ${signal.reason?.message}`);
+      error.isRetryable = false;
+      throw error;
+    }
+
+    return {
+      step,
+      success: result.success,
+      result,
+      activityId: activity?._id
+    };
+  }
+
+  /**
+   * Record a step as an activity linked to the triggering event's activity.
+   * Queue retries and dead-letter replays update the step recorded by the
+   * earlier attempt instead of inserting a second one.
+   * @param {string} step - Step name
+   * @param {Object} context - Strategy context
+   * @param {Object} result - Send result
+   * @returns {Object|null} Recorded activity
+   */
+  async recordStep(step, context, result) {
+    const { event, post, keyword, match, parentActivity } = context;
+    let status = result.success ? 'SUCCESS' : 'FAILED';
+
+    if (step === 'FALLBACK_COMMENT' && result.success) {
+      status = 'FALLBACK';
+    }
+
+    const activityData = {
+      userId: post.userId,
+      workspaceId: post.workspaceId,
+      accountId: post.accountId,
+      postId: post._id,
+      keywordId: keyword._id,
+      parentActivityId: parentActivity?._id,
+      type: STEP_ACTIVITY_TYPES[step],
+      status,
+      instagramData: {
+        commentId: event.commentId,
+        messageId: event.messageId,
+        fromUserId: event.fromUserId,
+        fromUsername: event.fromUsername,
+        originalText: event.text,
+        timestamp: event.timestamp || new Date()
+      },
+      matchedKeyword: {
+        keyword: keyword.keyword,
+        matchType: keyword.settings.matchType,
+        matchedTerm: match.matchedTerm
+      },
+      response: {
+        type: result.type,
+        message: result.message,
+        sentAt: result.success ? new Date() : null,
+        instagramResponseId: result.responseId
+      },
+      processing: {
+        responseTime: result.responseTime
+      },
+      metadata: {
+        fallbackReason: context.fallbackReason
+      }
+    };
+
+    const update = { $set: activityData };
+
+    if (result.success) {
+      update.$unset = { error: 1 };
+    } else {
+      activityData.error = {
+        code: result.error,
+        message: result.errorMessage,
+        details: result.details,
+        retryCount: context.job ? context.job.attempt - 1 : 0
+      };
+    }
+
+    try {
+      return await Activity.findOneAndUpdate(
+        this.getStepKey(step, context),
+        update,
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // A failed log must not hide the outcome of a message that was already sent
+      logger.error(`Failed to record ${step} activity:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Query matching the step's activity, following the Activity unique indexes
+   * @param {string} step - Step name
+   * @param {Object} context - Strategy context
+   * @returns {Object} Filter for the step's activity
+   */
+  getStepKey(step, context) {
+    const { event, parentActivity } = context;
+    const key = { type: STEP_ACTIVITY_TYPES[step], isDuplicate: false };
+
+    if (event.commentId) {
+      key['instagramData.commentId'] = event.commentId;
+      key['instagramData.fromUserId'] = event.fromUserId;
+    } else if (event.messageId) {
+      key['instagramData.messageId'] = event.messageId;
+    } else {
+      key.parentActivityId = parentActivity?._id;
+    }
+
+    return key;
+  }
+
+  /**
+   * Update keyword and post reply counters
+   * @param {Object} context - Strategy context
+   * @param {string} outcome - success, failed or fallback
+   * @param {number} responseTime - Response time in milliseconds
+   */
+  async updateStatistics(context, outcome, responseTime = 0) {
+    await context.keyword.incrementMatch(outcome, responseTime);
+    await context.post.incrementReplyCounter(outcome);
+  }
+
+  /**
+   * Build the DM text for a match
+   * @param {Object} match - Keyword match from KeywordMatchingService
+   * @returns {string} DM message
+   */
+  buildDmMessage(match) {
+    let message = match.responseData.dmMessage?.trim();
+
+    if (!message) {
+      return null;
+    }
+
+    if (match.responseData.productLink) {
+      message += `\n\n${match.responseData.productLink}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Build the public comment text for a match, falling back to the DM reply
+   * for keywords without a comment of their own
+   * @param {Object} match - Keyword match from KeywordMatchingService
+   * @returns {string|null} Comment message
+   */
+  buildCommentMessage(match) {
+    return match.responseData.fallbackComment?.trim() ||
+      match.responseData.dmMessage?.trim() ||
+      null;
+  }
+
+  /**
+   * Send a response through the Instagram Graph API in a single attempt
+   * @param {string} type - Response type (DM or COMMENT)
+   * @param {Object} target - { account, commentId, recipientId, message, signal }
+   * @returns {Object} Send result; details.isRetryable marks transient failures
+   */
+  async send(type, target) {
+    const startTime = Date.now();
+    const options = { signal: target.signal };
+
+    try {
+      let result;
+
+      if (type === 'COMMENT') {
+        result = await instagramGraphClient.replyToComment(
+          target.account,
+          target.commentId,
+          target.message,
+          options
+        );
+      } else if (target.commentId) {
+        // Private reply keeps the DM linked to the triggering comment
+        result = await instagramGraphClient.sendPrivateReply(
+          target.account,
+          target.commentId,
+          target.message,
+          options
+        );
+      } else {
+        result = await instagramGraphClient.sendDirectMessage(
+          target.account,
+          target.recipientId,
+          target.message,
+          options
+        );
+      }
+
+      return {
+        success: true,
+        type,
+        message: target.message,
+        responseId: result.responseId,
+        responseTime: Date.now() - startTime
+      };
+    } catch (error) {
+      const apiError = error instanceof InstagramApiError
+        ? error
+        : new InstagramApiError(error.message, {
+          code: type === 'DM' ? 'DM_FAILED' : 'COMMENT_FAILED'
+        });
+
+      const activityError = apiError.toActivityError();
+
+      return {
+        success: false,
+        type,
+        message: target.message,
+        error: activityError.code,
+        errorMessage: activityError.message,
+        details: activityError.details,
+        responseTime: Date.now() - startTime
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const replyStrategyService = new ReplyStrategyService();
+
+module.exports = replyStrategyService;
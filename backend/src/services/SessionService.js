@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { getTimeUntilExpiration } = require('../utils/jwt');
+
+/**
+ * Error raised when a refresh token cannot be exchanged.
+ * `code` tells the client whether to log in again.
+ */
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Session Service
+ * Issues short-lived access tokens paired with a refresh token stored (hashed)
+ * server-side. Refresh tokens rotate on every use; presenting one that was
+ * already rotated away means it leaked, so the whole session is revoked.
+ * The exception is a token rotated moments ago: tabs sharing one stored token
+ * refresh at the same time, so within a short grace window the previous token
+ * gets the same pair the first refresh returned.
+ */
+class SessionService {
+  constructor() {
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+    this.sessionHours = parseInt(process.env.SESSION_EXPIRES_HOURS) || 24;
+    this.impersonationMinutes = parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 60;
+    this.reuseGraceSeconds = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30;
+  }
+
+  /**
+   * Hash a refresh token secret for storage and lookup
+   * @param {string} secret - Random part of the refresh token
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Secret that replaces a refresh token secret on rotation. Derived instead of
+   * random so a refresh repeated within the grace window yields the same token.
+   * @param {string} sessionId - Session the token belongs to
+   * @param {string} secret - Current refresh token secret
+   * @returns {string} Next refresh token secret
+   */
+  deriveNextSecret(sessionId, secret) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${sessionId}.${secret}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Session whose refresh token was rotated away from the presented one within
+   * the grace window, and not rotated again since
+   * @param {string} sessionId - Session
+   * @param {string} presentedHash - Hash of the presented secret
+   * @param {string} nextHash - Hash the rotation of the presented secret produces
+   * @returns {Object|null} Session document
+   */
+  findRecentRotation(sessionId, presentedHash, nextHash) {
+    return Session.findOne({
+      _id: sessionId,
+      tokenHash: nextHash,
+      previousTokenHash: presentedHash,
+      revokedAt: null,
+      rotatedAt: { $gt: new Date(Date.now() - this.reuseGraceSeconds * 1000) }
+    });
+  }
+
+  /**
+   * Access and refresh tokens for a session
+   * @param {Object} user - Session owner
+   * @param {Object} session - Session document
+   * @param {string} secret - Plain refresh token secret
+   * @returns {Object} { token, refreshToken, expiresIn } with expiresIn in milliseconds
+   */
+  issueTokens(user, session, secret) {
+    const token = user.generateAuthToken(session._id, session.impersonatedBy);
+
+    return {
+      token,
+      refreshToken: `${session._id}.${secret}`,
+      expiresIn: getTimeUntilExpiration(token)
+    };
+  }
+
+  /**
+   * Start a session after a successful login, or for an admin impersonating the user
+   * @param {Object} user - Authenticated user
+   * @param {Object} context - { userAgent, ipAddress, rememberMe, impersonatedBy }
+   * @returns {Object} { session, token, refreshToken, expiresIn }
+   */
+  async createSession(user, { userAgent, ipAddress, rememberMe = false, impersonatedBy } = {}) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    let lifetimeMs = rememberMe
+      ? this.refreshTokenDays * 24 * 60 * 60 * 1000
+      : this.sessionHours * 60 * 60 * 1000;
+
+    // Impersonation is for a quick look, so it cannot outlast a short window
+    if (impersonatedBy) {
+      lifetimeMs = this.impersonationMinutes * 60 * 1000;
+    }
+
+    const session = await Session.create({
+      userId: user._id,
+      tokenHash: this.hashSecret(secret),
+      userAgent,
+      ipAddress,
+      impersonatedBy,
+      expiresAt: new Date(Date.now() + lifetimeMs)
+    });
+
+    return { session, ...this.issueTokens(user, session, secret) };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token from the client
+   * @param {Object} context - { userAgent, ipAddress }
+   * @returns {Object} { user, session, token, refreshToken, expiresIn }
+   */
+  async refresh(refreshToken, { userAgent, ipAddress } = {}) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const session = await Session.findById(sessionId).select('+tokenHash');
+
+    if (!session) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (session.revokedAt) {
+      throw new SessionError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    if (session.expiresAt <= new Date()) {
+      throw new SessionError('Session has expired', 'SESSION_EXPIRED');
+    }
+
+    const presentedHash = this.hashSecret(secret);
+    const nextSecret = this.deriveNextSecret(session._id, secret);
+    const nextHash = this.hashSecret(nextSecret);
+
+    // Conditional on the current hash so two refreshes racing with the same token rotate it once;
+    // the other finds the rotation it lost to and returns the same pair
+    const rotated = (presentedHash === session.tokenHash && await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: nextHash,
+          previousTokenHash: presentedHash,
+          rotatedAt: new Date(),
+          lastUsedAt: new Date(),
+          ...(userAgent && { userAgent }),
+          ...(ipAddress && { ipAddress })
+        }
+      },
+      { new: true }
+    )) || await this.findRecentRotation(session._id, presentedHash, nextHash);
+
+    if (!rotated) {
+      await session.revoke('REUSE_DETECTED');
+      logger.warn(`Refresh token reuse detected for session ${session._id} of user ${session.userId}; session revoked`);
+      throw new SessionError('Refresh token has already been used', 'TOKEN_REUSED');
+    }
+
+    const user = await User.findById(session.userId);
+
+    if (!user || !user.isActive) {
+      await rotated.revoke('USER_INACTIVE');
+      throw new SessionError('User account is inactive', 'SESSION_REVOKED');
+    }
+
+    return { user, session: rotated, ...this.issueTokens(user, rotated, nextSecret) };
+  }
+
+  /**
+   * Whether an access token's session may still be used
+   * @param {string} sessionId - `sid` claim of the access token
+   * @param {string} userId - Token owner
+   * @returns {boolean} True when the session exists, belongs to the user and is not revoked or expired
+   */
+  async isActive(sessionId, userId) {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const session = await Session.exists({
+      _id: sessionId,
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    return !!session;
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} sessionId - Session to revoke
+   * @param {string} userId - Session owner
+   * @param {string} reason - LOGOUT or REVOKED
+   * @returns {Object|null} Revoked session, or null when the user has no such active session
+   */
+  async revokeSession(sessionId, userId, reason) {
+    if (!mongoose.isValidObjectId(sessionId)) return null;
+
+    return Session.findOneAndUpdate(
+      { _id: sessionId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke every session of a user, logging them out on all devices
+   * @param {string} userId - User
+   * @param {string} reason - Revocation reason
+   * @returns {number} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason) {
+    const result = await Session.revokeAllForUser(userId, reason);
+    return result.modifiedCount;
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} userId - User
+   * @param {string} currentSessionId - Session of the request, flagged as current
+   * @returns {Array} [{ id, userAgent, ipAddress, impersonatedBy, createdAt, lastUsedAt, expiresAt, current }]
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await Session.findActiveByUser(userId);
+
+    return sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      impersonatedBy: session.impersonatedBy,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(currentSessionId)
+    }));
+  }
+}
+
+const sessionService = new SessionService();
+
+module.exports = sessionService;
+module.exports.SessionError = SessionError;
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const {
+  SLANG,
+  STEM_EXCEPTIONS,
+  PARTICLE_SUFFIXES,
+  POSSESSIVE_SUFFIXES,
+  DERIVATION_SUFFIXES,
+  DERIVATION_PREFIXES,
+  STACKED_PREFIXES
+} = require('../config/indonesian');
+
+// Emoji, flags, skin tones and the joiners between them. An alternation, since
+// modifiers and joiners inside a character class would split up sequences.
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u{FE0F}|\u{200D}|\u{20E3}/gu;
+const PUNCTUATION_PATTERN = /[\p{P}\p{S}]/gu;
+// Letters stretched for emphasis (hargaaa). Doubles are left alone since
+// Indonesian spells with them (pengirimannya, maaf, tunggu).
+const STRETCHED_LETTER_PATTERN = /(\p{L})\1{2,}/gu;
+const REPEATED_LETTER_PATTERN = /(\p{L})\1+/gu;
+// Tokens whose repeats carry meaning: clothing sizes (xxxl, xxs) and model
+// codes with digits (aaa3, x100). Collapsing them would match another product.
+const PRODUCT_CODE_PATTERN = /^x+[sl]$|\p{N}/u;
+const VOWEL_PATTERN = /^[aiueo]/;
+
+// Shortest word the stemmer touches, and shortest root it leaves behind
+const MIN_STEM_WORD_LENGTH = 5;
+const MIN_ROOT_LENGTH = 3;
+// Removing -an or -i must leave a longer root, so kapan and membeli keep their last letters
+const MIN_DERIVED_ROOT_LENGTH = 4;
+
+/**
+ * Text Normalization Service
+ * Brings comments written the way Indonesian customers type them
+ * ("brp hrgnya kak??", "hargaaa 😍") to a common form before keyword matching.
+ * Keyword terms go through the same steps, so both sides stay comparable.
+ */
+class TextNormalizationService {
+  constructor() {
+    this.defaults = {
+      isEnabled: true,
+      stripEmoji: true,
+      stripPunctuation: true,
+      expandSlang: true,
+      collapseRepeats: true,
+      stemming: false // Without a root word dictionary it can conflate short words, so it is opt-in
+    };
+    this.stemExceptions = new Set(STEM_EXCEPTIONS);
+    this.defaultSettings = this.resolveSettings(null);
+  }
+
+  /**
+   * Resolve the normalization settings of an account owner
+   * @param {Object|null} owner - User document with settings.normalization
+   * @returns {Object} Settings with the slang dictionary, including the owner's own entries
+   */
+  resolveSettings(owner) {
+    const configured = owner?.settings?.normalization || {};
+    const settings = {};
+
+    for (const [key, value] of Object.entries(this.defaults)) {
+      settings[key] = configured[key] ?? value;
+    }
+
+    const slang = new Map(Object.entries(SLANG));
+    for (const { term, replacement } of configured.customSlang || []) {
+      slang.set(term.toLowerCase(), replacement.toLowerCase());
+    }
+
+    return { ...settings, slang };
+  }
+
+  /**
+   * Resolve the normalization settings that apply to a post's comments
+   * @param {string} postId - Post ID
+   * @returns {Object} Settings of the post's owner, or the defaults
+   */
+  async getSettingsForPost(postId) {
+    if (!mongoose.isValidObjectId(postId)) {
+      return this.defaultSettings;
+    }
+
+    const post = await Post.findById(postId)
+      .select('userId')
+      .populate('userId', 'settings.normalization');
+
+    return this.resolveSettings(post?.userId);
+  }
+
+  /**
+   * Normalize text for matching
+   * @param {string} text - Comment, message or keyword term
+   * @param {Object} settings - Settings from resolveSettings
+   * @returns {string} Lowercase, space-separated normalized words
+   */
+  normalize(text, settings = this.defaultSettings) {
+    if (!text) return '';
+
+    let result = text.toLowerCase();
+
+    if (!settings.isEnabled) {
+      return result.trim();
+    }
+
+    if (settings.stripEmoji) {
+      result = result.replace(EMOJI_PATTERN, ' ');
+    }
+
+    if (settings.stripPunctuation) {
+      result = result.replace(PUNCTUATION_PATTERN, ' ');
+    }
+
+    return result
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => this.normalizeWord(word, settings))
+      .join(' ');
+  }
+
+  /**
+   * Normalize a single word
+   * @param {string} word - Lowercase word
+   * @param {Object} settings - Settings from resolveSettings
+   * @returns {string} Normalized word; slang can expand to several words
+   */
+  normalizeWord(word, settings) {
+    let result = word;
+
+    if (settings.expandSlang) {
+      result = this.expandSlang(result, settings.slang, settings.collapseRepeats);
+    }
+
+    if (settings.collapseRepeats) {
+      result = this.collapseRepeats(result);
+    }
+
+    if (settings.stemming) {
+      result = result.split(' ').map(part => this.stem(part)).join(' ');
+    }
+
+    return result;
+  }
+
+  /**
+   * Collapse runs of three or more of the same letter (hargaaa → harga).
+   * Digits, sizes and model codes are left alone.
+   * @param {string} word - Word
+   * @returns {string} Word without stretched letters
+   */
+  collapseRepeats(word) {
+    if (PRODUCT_CODE_PATTERN.test(word)) return word;
+
+    return word.replace(STRETCHED_LETTER_PATTERN, '$1');
+  }
+
+  /**
+   * Replace a slang word or abbreviation with the standard word. An attached
+   * possessive or particle is kept (hrgnya → harganya).
+   * @param {string} word - Lowercase word
+   * @param {Map} slang - Slang dictionary
+   * @param {boolean} collapse - Also try the word with repeated letters collapsed
+   * @returns {string} Expanded word, or the word itself
+   */
+  expandSlang(word, slang, collapse) {
+    const candidates = collapse && !PRODUCT_CODE_PATTERN.test(word)
+      ? [word, word.replace(REPEATED_LETTER_PATTERN, '$1')]
+      : [word];
+
+    for (const candidate of candidates) {
+      if (slang.has(candidate)) {
+        return slang.get(candidate);
+      }
+
+      for (const suffix of [...POSSESSIVE_SUFFIXES, ...PARTICLE_SUFFIXES]) {
+        const base = candidate.slice(0, -suffix.length);
+
+        if (candidate.endsWith(suffix) && base.length >= MIN_ROOT_LENGTH && slang.has(base)) {
+          return `${slang.get(base)}${suffix}`;
+        }
+      }
+    }
+
+    return word;
+  }
+
+  /**
+   * Remove the first matching suffix, if a long enough root remains
+   * @param {string} word - Word
+   * @param {Array} suffixes - Suffixes to try in order
+   * @returns {string} Word without the suffix
+   */
+  removeSuffix(word, suffixes) {
+    const suffix = suffixes.find(item => word.endsWith(item) && word.length - item.length >= MIN_ROOT_LENGTH);
+    return suffix ? word.slice(0, -suffix.length) : word;
+  }
+
+  /**
+   * Remove the first matching prefix, restoring the root letter it absorbed
+   * @param {string} word - Word
+   * @param {Array} prefixes - Prefixes to try in order
+   * @returns {string} Word without the prefix
+   */
+  removePrefix(word, prefixes) {
+    for (const { prefix, replace } of prefixes) {
+      if (!word.startsWith(prefix)) continue;
+
+      const rest = word.slice(prefix.length);
+      const root = replace && VOWEL_PATTERN.test(rest) ? `${replace}${rest}` : rest;
+
+      if (root.length >= MIN_ROOT_LENGTH) {
+        return root;
+      }
+    }
+
+    return word;
+  }
+
+  /**
+   * Remove a derivational prefix and one stacked on it (memper-, diber-)
+   * @param {string} word - Word
+   * @returns {string} Word without its prefixes
+   */
+  removePrefixes(word) {
+    if (this.stemExceptions.has(word)) return word;
+
+    const root = this.removePrefix(word, DERIVATION_PREFIXES);
+    if (root === word || this.stemExceptions.has(root)) return root;
+
+    return this.removePrefix(root, STACKED_PREFIXES);
+  }
+
+  /**
+   * Reduce a Bahasa Indonesia word to its root by removing particles,
+   * possessives, a derivational suffix and up to two prefixes
+   * (pengirimannya → kirim, dibelikan → beli)
+   * @param {string} word - Lowercase word
+   * @returns {string} Root word
+   */
+  stem(word) {
+    if (word.length < MIN_STEM_WORD_LENGTH || this.stemExceptions.has(word) || !/^\p{L}+$/u.test(word)) {
+      return word;
+    }
+
+    let root = this.removeSuffix(word, PARTICLE_SUFFIXES);
+    root = this.removeSuffix(root, POSSESSIVE_SUFFIXES);
+
+    if (this.stemExceptions.has(root)) {
+      return root;
+    }
+
+    const derived = this.removePrefixes(this.removeSuffix(root, DERIVATION_SUFFIXES));
+    if (derived.length >= MIN_DERIVED_ROOT_LENGTH) {
+      return derived;
+    }
+
+    // The ending was part of the root after all
+    return this.removePrefixes(root);
+  }
+}
+
+const textNormalizationService = new TextNormalizationService();
+
+module.exports = textNormalizationService;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const totp = require('../utils/totp');
+const { generateToken, verifyToken } = require('../utils/jwt');
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+/**
+ * Error raised when a two-factor step is not allowed.
+ * `code` lets controllers pick the HTTP status.
+ */
+class TwoFactorError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.code = code;
+  }
+}
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment and verification with single-use backup codes. A login
+ * whose password checked out but still needs a second factor gets a
+ * short-lived challenge token instead of a session.
+ */
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'Tanggapin';
+  }
+
+  /**
+   * Hash a backup code for storage and lookup
+   * @param {string} code - Backup code as entered
+   * @returns {string} Hex SHA-256 digest of the normalized code
+   */
+  hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a fresh set of backup codes
+   * @returns {Object} { codes, hashes } - plain codes to show once, hashes to store
+   */
+  generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+  }
+
+  /**
+   * Issue a challenge token for the second login step
+   * @param {Object} user - User whose password was verified
+   * @param {string} purpose - two_factor (enter a code) or two_factor_setup (enroll first)
+   * @param {Object} options - { rememberMe }
+   * @returns {string} Signed challenge token
+   */
+  createChallenge(user, purpose, { rememberMe = false } = {}) {
+    return generateToken({ id: user._id, purpose, rememberMe }, CHALLENGE_EXPIRES_IN);
+  }
+
+  /**
+   * Resolve a challenge token back to its user
+   * @param {string} challengeToken - Token from createChallenge
+   * @param {string} purpose - Expected purpose
+   * @returns {Object} { user, rememberMe }
+   */
+  async verifyChallenge(challengeToken, purpose) {
+    let decoded;
+
+    try {
+      decoded = verifyToken(challengeToken);
+    } catch (error) {
+      throw new TwoFactorError('Verification challenge is invalid or has expired', 'INVALID_CHALLENGE');
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new TwoFactorError('Verification challenge is invalid or has expired', 'INVALID_CHALLENGE');
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || !user.isActive) {
+      throw new TwoFactorError('Verification challenge is invalid or has expired', 'INVALID_CHALLENGE');
+    }
+
+    return { user, rememberMe: !!decoded.rememberMe };
+  }
+
+  /**
+   * Start enrollment by generating a secret the user adds to an authenticator app
+   * @param {Object} user - User enrolling
+   * @returns {Object} { secret, otpauthUrl } - otpauthUrl is the QR code payload
+   */
+  async beginSetup(user) {
+    if (user.twoFactor?.isEnabled) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', 'ALREADY_ENABLED');
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpAuthUrl({ secret, accountName: user.email, issuer: this.issuer })
+    };
+  }
+
+  /**
+   * Finish enrollment once the user proves the authenticator app works
+   * @param {Object} user - User enrolling
+   * @param {string} code - Code from the authenticator app
+   * @returns {Array} Backup codes, shown to the user once
+   */
+  async enable(user, code) {
+    if (user.twoFactor?.isEnabled) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', 'ALREADY_ENABLED');
+    }
+
+    const secret = user.twoFactor?.pendingSecret;
+    if (!secret) {
+      throw new TwoFactorError('Start two-factor setup first', 'SETUP_NOT_STARTED');
+    }
+
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      throw new TwoFactorError('Invalid verification code', 'INVALID_CODE');
+    }
+
+    const { codes, hashes } = this.generateBackupCodes();
+
+    user.twoFactor.secret = secret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.isEnabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled for ${user.email}`);
+
+    return codes;
+  }
+
+  /**
+   * Check an authenticator code or a backup code, consuming it
+   * @param {Object} user - User with two-factor enabled
+   * @param {string} code - Six-digit code or backup code
+   * @returns {Object} { method, backupCodesRemaining }
+   */
+  async verify(user, code) {
+    if (!user.twoFactor?.isEnabled) {
+      throw new TwoFactorError('Two-factor authentication is not enabled', 'NOT_ENABLED');
+    }
+
+    const step = totp.verifyCode(user.twoFactor.secret, code);
+
+    if (step !== null) {
+      // Conditional on the last step so the same code cannot be used twice, even concurrently
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': null }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+
+      if (result.modifiedCount === 1) {
+        user.twoFactor.lastUsedStep = step;
+        return { method: 'totp', backupCodesRemaining: user.twoFactor.backupCodes.length };
+      }
+    } else {
+      const hash = this.hashBackupCode(code);
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+      );
+
+      if (result.modifiedCount === 1) {
+        const backupCodesRemaining = user.twoFactor.backupCodes.length - 1;
+        user.twoFactor.backupCodes.pull(hash);
+        logger.info(`Backup code used by ${user.email} (${backupCodesRemaining} remaining)`);
+
+        return { method: 'backup_code', backupCodesRemaining };
+      }
+    }
+
+    throw new TwoFactorError('Invalid verification code', 'INVALID_CODE');
+  }
+
+  /**
+   * Replace the user's backup codes
+   * @param {Object} user - User with two-factor enabled
+   * @returns {Array} New backup codes, shown to the user once
+   */
+  async regenerateBackupCodes(user) {
+    const { codes, hashes } = this.generateBackupCodes();
+
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+
+    return codes;
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {Object} user - User with two-factor enabled
+   */
+  async disable(user) {
+    if (user.requiresTwoFactor()) {
+      throw new TwoFactorError('Two-factor authentication is required for your role', 'REQUIRED_BY_POLICY');
+    }
+
+    user.twoFactor = { isEnabled: false };
+    await user.save();
+
+    logger.info(`Two-factor authentication disabled for ${user.email}`);
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+
+module.exports = twoFactorService;
+module.exports.TwoFactorError = TwoFactorError;
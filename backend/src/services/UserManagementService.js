@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const sessionService = require('./SessionService');
+const accountTokenService = require('./AccountTokenService');
+
+/**
+ * Error raised when an admin change to a user is not allowed.
+ * `code` lets controllers pick the HTTP status.
+ */
+class UserManagementError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'UserManagementError';
+    this.code = code;
+  }
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Plain text
+ * @returns {string} Pattern matching the text literally
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * User Management Service
+ * Admin operations on user accounts. Guards against an admin locking
+ * themselves out and against leaving the system without an active admin.
+ */
+class UserManagementService {
+  /**
+   * List users with search, filters and pagination
+   * @param {Object} options - { search, role, status, page, limit }
+   * @returns {Object} { users, pagination }
+   */
+  async listUsers({ search, role, status, page = 1, limit = 20 } = {}) {
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) query.role = role;
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (status === 'locked') query['lockout.lockUntil'] = { $gt: new Date() };
+
+    const skip = (page - 1) * limit;
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(query)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      User.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(totalUsers / limit);
+
+    return {
+      users,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalUsers,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Find a user by ID
+   * @param {string} userId - User ID
+   * @returns {Object} User
+   */
+  async getUser(userId) {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+
+    if (!user) {
+      throw new UserManagementError('User not found', 'USER_NOT_FOUND');
+    }
+
+    return user;
+  }
+
+  /**
+   * Refuse a change that would leave no active admin
+   * @param {Object} user - Admin about to be demoted or deactivated
+   */
+  async assertNotLastAdmin(user) {
+    if (user.role !== 'admin' || !user.isActive) return;
+
+    const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } });
+
+    if (otherAdmins === 0) {
+      throw new UserManagementError('At least one active admin is required', 'LAST_ADMIN');
+    }
+  }
+
+  /**
+   * Update a user's profile
+   * @param {string} userId - User to update
+   * @param {Object} updates - { name, email }
+   * @returns {Object} Updated user
+   */
+  async updateUser(userId, { name, email }) {
+    const user = await this.getUser(userId);
+
+    if (name !== undefined) user.name = name;
+
+    if (email !== undefined && email.toLowerCase() !== user.email) {
+      if (await User.exists({ email: email.toLowerCase(), _id: { $ne: user._id } })) {
+        throw new UserManagementError('User with this email already exists', 'EMAIL_TAKEN');
+      }
+
+      // The new address has not been proven to work
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+
+    await user.save();
+
+    return user;
+  }
+
+  /**
+   * Change a user's system role
+   * @param {Object} admin - Admin making the change
+   * @param {string} userId - User to change
+   * @param {string} role - admin or user
+   * @returns {Object} Updated user
+   */
+  async changeRole(admin, userId, role) {
+    const user = await this.getUser(userId);
+
+    if (user._id.equals(admin._id)) {
+      throw new UserManagementError('You cannot change your own role', 'SELF_CHANGE');
+    }
+
+    if (role !== 'admin') {
+      await this.assertNotLastAdmin(user);
+    }
+
+    user.role = role;
+    // Regular users record the admin responsible for them
+    if (role === 'user' && !user.createdBy) {
+      user.createdBy = admin._id;
+    }
+    await user.save();
+
+    logger.info(`User ${user.email} role changed to ${role} by ${admin.email}`);
+
+    return user;
+  }
+
+  /**
+   * Activate or deactivate a user. Deactivation ends all of the user's sessions.
+   * @param {Object} admin - Admin making the change
+   * @param {string} userId - User to change
+   * @param {boolean} isActive - New state
+   * @returns {Object} Updated user
+   */
+  async setActive(admin, userId, isActive) {
+    const user = await this.getUser(userId);
+
+    if (user._id.equals(admin._id)) {
+      throw new UserManagementError('You cannot deactivate your own account', 'SELF_CHANGE');
+    }
+
+    if (!isActive) {
+      await this.assertNotLastAdmin(user);
+    }
+
+    user.isActive = isActive;
+    await user.save();
+
+    if (!isActive) {
+      await sessionService.revokeAllSessions(user._id, 'USER_INACTIVE');
+    }
+
+    logger.info(`User ${user.email} ${isActive ? 'activated' : 'deactivated'} by ${admin.email}`);
+
+    return user;
+  }
+
+  /**
+   * Reset a user's password: set it directly, or email the user a reset link
+   * @param {Object} admin - Admin making the change
+   * @param {string} userId - User to reset
+   * @param {string} password - New password; omit to send a reset link instead
+   * @returns {Object} { user, emailSent }
+   */
+  async resetPassword(admin, userId, password) {
+    const user = await this.getUser(userId);
+
+    if (!user.isActive) {
+      throw new UserManagementError('Activate the account before resetting its password', 'USER_INACTIVE');
+    }
+
+    if (!password) {
+      await accountTokenService.sendPasswordReset(user.email);
+      logger.info(`Password reset link for ${user.email} sent by ${admin.email}`);
+
+      return { user, emailSent: true };
+    }
+
+    user.password = password;
+    await user.save();
+    await sessionService.revokeAllSessions(user._id, 'PASSWORD_RESET');
+
+    logger.info(`Password of ${user.email} reset by ${admin.email}`);
+
+    return { user, emailSent: false };
+  }
+
+  /**
+   * Start a short session as another user
+   * @param {Object} admin - Admin impersonating
+   * @param {string} userId - User to impersonate
+   * @param {Object} context - { userAgent, ipAddress }
+   * @returns {Object} { user, token, refreshToken, expiresIn }
+   */
+  async impersonate(admin, userId, context = {}) {
+    const user = await this.getUser(userId);
+
+    if (user._id.equals(admin._id) || user.role === 'admin') {
+      throw new UserManagementError('Admins cannot be impersonated', 'CANNOT_IMPERSONATE');
+    }
+
+    if (!user.isActive) {
+      throw new UserManagementError('Inactive users cannot be impersonated', 'USER_INACTIVE');
+    }
+
+    const { token, refreshToken, expiresIn } = await sessionService.createSession(user, {
+      ...context,
+      impersonatedBy: admin._id
+    });
+
+    logger.warn(`${admin.email} started impersonating ${user.email}`);
+
+    return { user, token, refreshToken, expiresIn };
+  }
+}
+
+const userManagementService = new UserManagementService();
+
+module.exports = userManagementService;
+module.exports.UserManagementError = UserManagementError;
@@ -0,0 +1,124 @@
+const Activity = require('../models/Activity');
+const logger = require('../config/logger');
+
+/**
+ * Webhook Deduplication Service
+ * Instagram redelivers webhooks it considers unacknowledged, so the same
+ * comment or message can arrive several times. Deliveries are matched on
+ * commentId/messageId against the activities recorded inside the window;
+ * only an earlier delivery that was handled makes a later one a duplicate.
+ */
+
+// Activity statuses of an event that was answered or needs no answer
+const HANDLED_STATUSES = ['SUCCESS', 'FALLBACK', 'NO_MATCH', 'SUPPRESSED', 'IGNORED'];
+
+class WebhookDeduplicationService {
+  constructor() {
+    this.windowHours = parseFloat(process.env.WEBHOOK_DEDUP_WINDOW_HOURS) || 48;
+
+    this.stats = {
+      totalChecked: 0,
+      totalDuplicates: 0,
+      lastDuplicateAt: null
+    };
+  }
+
+  /**
+   * Deduplication window in milliseconds
+   * @returns {number} Window length
+   */
+  getWindowMs() {
+    return this.windowHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Query for activities of earlier deliveries of the same event inside the window
+   * @param {Object} eventData - Queued webhook event
+   * @returns {Object|null} Activity query, or null when the event has no ID
+   */
+  buildQuery(eventData) {
+    const { type, commentId, messageId } = eventData;
+
+    if (!(type === 'comment' ? commentId : messageId)) {
+      return null;
+    }
+
+    const query = {
+      type: type === 'comment' ? 'COMMENT_RECEIVED' : 'MESSAGE_RECEIVED',
+      isDuplicate: { $ne: true },
+      createdAt: { $gte: new Date(Date.now() - this.getWindowMs()) }
+    };
+
+    if (type === 'comment') {
+      query['instagramData.commentId'] = commentId;
+    } else {
+      query['instagramData.messageId'] = messageId;
+    }
+
+    return query;
+  }
+
+  /**
+   * Find the activity of an earlier delivery of the same event that was handled.
+   * Queue retries and replays only find their own activity here once it was
+   * answered, in which case answering again would be a duplicate reply.
+   * @param {Object} eventData - Queued webhook event
+   * @returns {Object|null} Original activity, or null when the event is new
+   */
+  async findOriginal(eventData) {
+    const { type, commentId, messageId } = eventData;
+    const eventKey = type === 'comment' ? commentId : messageId;
+    const query = this.buildQuery(eventData);
+
+    this.stats.totalChecked++;
+
+    if (!query) {
+      return null;
+    }
+
+    query.status = { $in: HANDLED_STATUSES };
+
+    const original = await Activity.findOne(query).sort({ createdAt: 1 });
+
+    if (original) {
+      this.stats.totalDuplicates++;
+      this.stats.lastDuplicateAt = new Date();
+      logger.info(`Duplicate ${type} delivery ${eventKey} (original activity ${original._id})`);
+    }
+
+    return original;
+  }
+
+  /**
+   * Find the activity of an earlier delivery that errored or failed without an answer
+   * @param {Object} eventData - Queued webhook event
+   * @returns {Object|null} Unanswered activity
+   */
+  async findUnanswered(eventData) {
+    const query = this.buildQuery(eventData);
+
+    if (!query) {
+      return null;
+    }
+
+    query.status = { $nin: HANDLED_STATUSES };
+
+    return Activity.findOne(query).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Get deduplication statistics
+   * @returns {Object} Statistics
+   */
+  getStatistics() {
+    return {
+      windowHours: this.windowHours,
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const webhookDeduplicationService = new WebhookDeduplicationService();
+
+module.exports = webhookDeduplicationService;
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const WebhookSecret = require('../models/WebhookSecret');
+const logger = require('../config/logger');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Webhook Signature Service
+ * Verifies X-Hub-Signature-256 headers against the app secrets that are
+ * currently valid, including rotated secrets that are still in their grace window
+ */
+class WebhookSignatureService {
+  constructor() {
+    this.cachedSecrets = null;
+    this.cacheTimestamp = 0;
+    this.cacheTTL = 60 * 1000; // 1 minute
+    this.defaultGracePeriodHours = parseInt(process.env.WEBHOOK_SECRET_GRACE_PERIOD_HOURS) || 24;
+
+    this.stats = {
+      totalVerified: 0,
+      totalRejected: 0,
+      verifiedWithRetiringSecret: 0,
+      lastRejectedAt: null,
+      lastRejectionReason: null
+    };
+  }
+
+  /**
+   * Compute the X-Hub-Signature-256 value for a payload
+   * @param {Buffer|string} rawBody - Raw request body
+   * @param {string} secret - App secret
+   * @returns {string} Signature in the form sha256=<hex>
+   */
+  computeSignature(rawBody, secret) {
+    const digest = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return `${SIGNATURE_PREFIX}${digest}`;
+  }
+
+  /**
+   * Verify a payload signature against every valid secret
+   * @param {Buffer} rawBody - Raw request body
+   * @param {string} signatureHeader - X-Hub-Signature-256 header value
+   * @returns {Object} { valid, reason, appId, usedRetiringSecret }
+   */
+  async verify(rawBody, signatureHeader) {
+    if (!rawBody) {
+      return this.reject('Missing raw request body');
+    }
+
+    if (!signatureHeader || !signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+      return this.reject('Missing or malformed X-Hub-Signature-256 header');
+    }
+
+    const secrets = await this.getValidSecrets();
+    if (secrets.length === 0) {
+      return this.reject('No app secret configured');
+    }
+
+    const received = Buffer.from(signatureHeader);
+
+    for (const entry of secrets) {
+      const expected = Buffer.from(this.computeSignature(rawBody, entry.secret));
+
+      if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+        this.stats.totalVerified++;
+
+        if (entry.status === 'RETIRING') {
+          this.stats.verifiedWithRetiringSecret++;
+          logger.warn(`Webhook signed with retiring secret for app ${entry.appId} (retires at ${entry.retiresAt?.toISOString()})`);
+        }
+
+        if (entry.id) {
+          WebhookSecret.updateOne({ _id: entry.id }, { $set: { lastUsedAt: new Date() } })
+            .catch(error => logger.error('Failed to update webhook secret usage:', error));
+        }
+
+        return {
+          valid: true,
+          appId: entry.appId,
+          usedRetiringSecret: entry.status === 'RETIRING'
+        };
+      }
+    }
+
+    return this.reject('Signature mismatch');
+  }
+
+  /**
+   * Record a rejected verification
+   * @param {string} reason - Rejection reason
+   * @returns {Object} Failed verification result
+   */
+  reject(reason) {
+    this.stats.totalRejected++;
+    this.stats.lastRejectedAt = new Date();
+    this.stats.lastRejectionReason = reason;
+
+    return { valid: false, reason };
+  }
+
+  /**
+   * Get secrets that are currently accepted, with the env secret as fallback
+   * @returns {Array} Array of { id, appId, secret, status, retiresAt }
+   */
+  async getValidSecrets() {
+    const now = Date.now();
+
+    if (this.cachedSecrets && now - this.cacheTimestamp < this.cacheTTL) {
+      return this.cachedSecrets.filter(entry => !entry.retiresAt || entry.retiresAt > new Date());
+    }
+
+    const stored = await WebhookSecret.findValidSecrets();
+    const secrets = stored.map(doc => ({
+      id: doc._id,
+      appId: doc.appId,
+      secret: doc.secret,
+      status: doc.status,
+      retiresAt: doc.retiresAt
+    }));
+
+    // Fall back to the env secret until it has been registered in the database
+    const envAppId = process.env.INSTAGRAM_APP_ID;
+    const envSecret = process.env.INSTAGRAM_APP_SECRET;
+    const hasStoredEnvApp = stored.some(doc => doc.appId === envAppId);
+
+    if (envSecret && !hasStoredEnvApp) {
+      secrets.push({
+        id: null,
+        appId: envAppId || 'default',
+        secret: envSecret,
+        status: 'ACTIVE',
+        retiresAt: null
+      });
+    }
+
+    this.cachedSecrets = secrets;
+    this.cacheTimestamp = now;
+
+    return secrets;
+  }
+
+  /**
+   * Rotate the secret for an app, keeping the previous one valid for a grace window
+   * @param {string} appId - Instagram/Meta app ID
+   * @param {string} newSecret - New app secret
+   * @param {Object} options - { gracePeriodHours, createdBy }
+   * @returns {Object} { secret, retired }
+   */
+  async rotateSecret(appId, newSecret, options = {}) {
+    const gracePeriodHours = options.gracePeriodHours ?? this.defaultGracePeriodHours;
+    const retiresAt = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+
+    const activeSecrets = await WebhookSecret.find({ appId, status: 'ACTIVE' });
+
+    // Register the env secret as retiring so in-flight deliveries keep verifying
+    if (activeSecrets.length === 0 &&
+        appId === process.env.INSTAGRAM_APP_ID &&
+        process.env.INSTAGRAM_APP_SECRET &&
+        process.env.INSTAGRAM_APP_SECRET !== newSecret) {
+      await WebhookSecret.create({
+        appId,
+        secret: process.env.INSTAGRAM_APP_SECRET,
+        status: 'RETIRING',
+        retiresAt
+      });
+    }
+
+    await WebhookSecret.updateMany(
+      { appId, status: 'ACTIVE' },
+      { $set: { status: 'RETIRING', retiresAt } }
+    );
+
+    const secret = await WebhookSecret.create({
+      appId,
+      secret: newSecret,
+      status: 'ACTIVE',
+      createdBy: options.createdBy
+    });
+
+    this.invalidateCache();
+
+    logger.info(`Webhook secret rotated for app ${appId} (previous secret valid until ${retiresAt.toISOString()})`);
+
+    return {
+      secret,
+      retired: activeSecrets.length,
+      retiresAt
+    };
+  }
+
+  /**
+   * Revoke a secret immediately
+   * @param {string} secretId - WebhookSecret ID
+   * @returns {Object|null} Revoked secret
+   */
+  async revokeSecret(secretId) {
+    const secret = await WebhookSecret.findByIdAndUpdate(
+      secretId,
+      { $set: { status: 'REVOKED', retiresAt: new Date() } },
+      { new: true }
+    );
+
+    this.invalidateCache();
+
+    if (secret) {
+      logger.info(`Webhook secret revoked: ${secretId} (app ${secret.appId})`);
+    }
+
+    return secret;
+  }
+
+  /**
+   * Drop cached secrets so the next verification reloads them
+   */
+  invalidateCache() {
+    this.cachedSecrets = null;
+    this.cacheTimestamp = 0;
+  }
+
+  /**
+   * Get verification statistics
+   * @returns {Object} Statistics
+   */
+  getStatistics() {
+    return { ...this.stats };
+  }
+}
+
+// Create singleton instance
+const webhookSignatureService = new WebhookSignatureService();
+
+module.exports = webhookSignatureService;
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const logger = require('../config/logger');
+
+/**
+ * Error raised when a membership change is not allowed.
+ * `code` lets controllers pick the HTTP status.
+ */
+class WorkspaceError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.code = code;
+  }
+}
+
+/**
+ * Workspace Service
+ * Resolves the workspace a request acts in and manages its members.
+ * Every user owns a personal workspace, created the first time it is needed.
+ */
+class WorkspaceService {
+  /**
+   * Resolve the workspace and role a user acts with
+   * @param {Object} user - Authenticated user
+   * @param {string} workspaceId - Requested workspace; the user's first workspace when omitted
+   * @returns {Object|null} { workspace, role }, or null when the user is not a member
+   */
+  async resolveForUser(user, workspaceId) {
+    if (workspaceId) {
+      if (!mongoose.isValidObjectId(workspaceId)) return null;
+
+      const workspace = await Workspace.findOne({ _id: workspaceId, isActive: true });
+      const role = workspace?.getRole(user._id);
+
+      return role ? { workspace, role } : null;
+    }
+
+    let workspace = await Workspace.findOne({ 'members.userId': user._id, isActive: true })
+      .sort({ isPersonal: -1, createdAt: 1 });
+
+    if (!workspace) {
+      // Upserts, so parallel first requests all land in the same workspace
+      workspace = await Workspace.createPersonal(user);
+      logger.info(`Personal workspace set up for user ${user.email}`);
+    }
+
+    return { workspace, role: workspace.getRole(user._id) };
+  }
+
+  /**
+   * List a user's workspaces with the user's role in each
+   * @param {Object} user - User
+   * @returns {Array} [{ id, name, isPersonal, role, memberCount }]
+   */
+  async listForUser(user) {
+    const workspaces = await Workspace.findForUser(user._id);
+
+    return workspaces.map(workspace => ({
+      id: workspace._id,
+      name: workspace.name,
+      isPersonal: workspace.isPersonal,
+      role: workspace.getRole(user._id),
+      memberCount: workspace.members.length
+    }));
+  }
+
+  /**
+   * Create a workspace owned by a user
+   * @param {Object} user - Creator, added as owner
+   * @param {Object} data - { name }
+   * @returns {Object} Workspace document
+   */
+  async createWorkspace(user, { name }) {
+    const workspace = await Workspace.create({
+      name,
+      createdBy: user._id,
+      members: [{ userId: user._id, role: 'owner', addedBy: user._id }]
+    });
+
+    logger.info(`Workspace "${workspace.name}" created by ${user.email}`);
+
+    return workspace;
+  }
+
+  /**
+   * Add an existing user to a workspace
+   * @param {Object} workspace - Workspace document
+   * @param {Object} data - { email, role }
+   * @param {Object} actor - User making the change
+   * @returns {Object} Added member
+   */
+  async addMember(workspace, { email, role }, actor) {
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+
+    if (!user) {
+      throw new WorkspaceError('No active user with this email', 'USER_NOT_FOUND');
+    }
+
+    if (workspace.getMember(user._id)) {
+      throw new WorkspaceError('User is already a member of this workspace', 'ALREADY_MEMBER');
+    }
+
+    workspace.members.push({ userId: user._id, role, addedBy: actor._id });
+    await workspace.save();
+
+    logger.info(`${user.email} added to workspace ${workspace._id} as ${role} by ${actor.email}`);
+
+    return workspace.getMember(user._id);
+  }
+
+  /**
+   * Change a member's role
+   * @param {Object} workspace - Workspace document
+   * @param {string} userId - Member to change
+   * @param {string} role - New role
+   * @returns {Object} Updated member
+   */
+  async updateMemberRole(workspace, userId, role) {
+    const member = this.findMember(workspace, userId);
+
+    // A workspace must always keep an owner
+    if (member.role === 'owner' && role !== 'owner' && workspace.countOwners() === 1) {
+      throw new WorkspaceError('The last owner cannot be demoted', 'LAST_OWNER');
+    }
+
+    member.role = role;
+    await workspace.save();
+
+    logger.info(`Member ${userId} of workspace ${workspace._id} is now ${role}`);
+
+    return member;
+  }
+
+  /**
+   * Remove a member from a workspace
+   * @param {Object} workspace - Workspace document
+   * @param {string} userId - Member to remove
+   */
+  async removeMember(workspace, userId) {
+    const member = this.findMember(workspace, userId);
+
+    if (member.role === 'owner' && workspace.countOwners() === 1) {
+      throw new WorkspaceError('The last owner cannot leave the workspace', 'LAST_OWNER');
+    }
+
+    workspace.members = workspace.members.filter(entry => !entry.userId.equals(member.userId));
+    await workspace.save();
+
+    logger.info(`Member ${userId} removed from workspace ${workspace._id}`);
+  }
+
+  /**
+   * Find a member or fail
+   * @param {Object} workspace - Workspace document
+   * @param {string} userId - Member user ID
+   * @returns {Object} Member
+   */
+  findMember(workspace, userId) {
+    const member = mongoose.isValidObjectId(userId) ? workspace.getMember(userId) : null;
+
+    if (!member) {
+      throw new WorkspaceError('Member not found', 'NOT_MEMBER');
+    }
+
+    return member;
+  }
+}
+
+// Create singleton instance
+const workspaceService = new WorkspaceService();
+
+module.exports = workspaceService;
+module.exports.WorkspaceError = WorkspaceError;
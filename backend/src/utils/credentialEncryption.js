@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+
+/**
+ * Field-level envelope encryption for third-party credentials.
+ *
+ * Every value gets its own random data key. The value is encrypted with the
+ * data key (AES-256-GCM) and the data key is wrapped with a master key from
+ * CREDENTIAL_ENCRYPTION_KEYS. Stored values look like
+ * `enc:<keyVersion>:<wrappedDataKey>:<ciphertext>` so rotation can tell which
+ * master key a value still depends on.
+ *
+ * CREDENTIAL_ENCRYPTION_KEYS="v2:<base64 key>,v1:<base64 key>" - the first
+ * key encrypts, the others only decrypt until rotation has moved every value.
+ */
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+let cachedKeys = null;
+let cachedSource = null;
+
+/**
+ * Parse the master keys from the environment
+ * @returns {Object} { current, keys: Map<version, Buffer> }
+ */
+const loadKeys = () => {
+  const source = process.env.CREDENTIAL_ENCRYPTION_KEYS || '';
+
+  if (cachedKeys && cachedSource === source) {
+    return cachedKeys;
+  }
+
+  const keys = new Map();
+  let current = null;
+
+  source.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+    const separator = entry.indexOf(':');
+    const version = entry.slice(0, Math.max(separator, 0));
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    // Never echo the entry itself; it may be key material
+    if (separator < 1 || key.length !== KEY_LENGTH) {
+      throw new Error(`Invalid credential encryption key #${index + 1}: expected <version>:<base64 ${KEY_LENGTH}-byte key>`);
+    }
+
+    if (keys.has(version)) {
+      throw new Error(`Duplicate credential encryption key version "${version}"`);
+    }
+
+    keys.set(version, key);
+    current = current || version;
+  });
+
+  cachedKeys = { current, keys };
+  cachedSource = source;
+
+  return cachedKeys;
+};
+
+/**
+ * Encrypt a buffer with AES-256-GCM and pack iv, tag and ciphertext
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {string} aad - Additional authenticated data
+ * @returns {string} Base64 package
+ */
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+/**
+ * Reverse seal()
+ * @param {Buffer} key - 32-byte key
+ * @param {string} packed - Base64 package
+ * @param {string} aad - Additional authenticated data
+ * @returns {Buffer} Plaintext
+ */
+const open = (key, packed, aad) => {
+  const buffer = Buffer.from(packed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean} True for encrypted values
+ */
+const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+};
+
+/**
+ * Get the master key version an encrypted value was written with
+ * @param {string} value - Stored value
+ * @returns {string|null} Key version, or null for plaintext
+ */
+const getKeyVersion = (value) => {
+  return isEncrypted(value) ? value.split(':')[1] : null;
+};
+
+/**
+ * Encrypt a credential. Empty and already encrypted values are returned unchanged.
+ * @param {string} value - Plaintext credential
+ * @returns {string} Encrypted value
+ */
+const encrypt = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) {
+    return value;
+  }
+
+  const { current, keys } = loadKeys();
+
+  if (!current) {
+    throw new Error('CREDENTIAL_ENCRYPTION_KEYS is not configured; refusing to store a credential in plain text');
+  }
+
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const wrappedKey = seal(keys.get(current), dataKey, current);
+  const ciphertext = seal(dataKey, Buffer.from(String(value), 'utf8'), current);
+
+  return [PREFIX, current, wrappedKey, ciphertext].join(':');
+};
+
+/**
+ * Decrypt a stored credential. Plaintext left over from before encryption is returned as is.
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext credential
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, version, wrappedKey, ciphertext] = value.split(':');
+  const key = loadKeys().keys.get(version);
+
+  if (!key) {
+    throw new Error(`Credential was encrypted with unknown key version "${version}"`);
+  }
+
+  const dataKey = open(key, wrappedKey, version);
+
+  return open(dataKey, ciphertext, version).toString('utf8');
+};
+
+/**
+ * Check whether a stored value should be re-encrypted with the current key
+ * @param {*} value - Stored value
+ * @returns {boolean} True for plaintext and values under an older key
+ */
+const needsRotation = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+
+  return getKeyVersion(value) !== loadKeys().current;
+};
+
+/**
+ * Validate the configured keys at startup
+ * @returns {Object} { configured, currentVersion, versions }
+ */
+const validateKeys = () => {
+  const { current, keys } = loadKeys();
+
+  return {
+    configured: !!current,
+    currentVersion: current,
+    versions: [...keys.keys()]
+  };
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  getKeyVersion,
+  needsRotation,
+  validateKeys
+};
@@ -0,0 +1,290 @@
+/**
+ * RULE keywords: boolean expressions over terms, such as
+ * `harga AND (xl OR xxl) NOT reseller`. Operators are written in capitals;
+ * `a NOT b` means `a AND NOT b`. Adjacent words form one phrase, and quotes
+ * allow a phrase that contains an operator word ("ready or not").
+ * NOT binds tighter than AND, which binds tighter than OR.
+ *
+ * A parsed rule is a tree of nodes:
+ *   { type: 'TERM', value }, { type: 'NOT', child },
+ *   { type: 'AND', children }, { type: 'OR', children }
+ */
+
+const RULE_OPERATORS = ['AND', 'OR', 'NOT'];
+const MAX_RULE_TERMS = 20;
+const MAX_RULE_DEPTH = 10;
+
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+/**
+ * Error raised for a rule that cannot be parsed. `position` is the index in
+ * the expression where the problem was found.
+ */
+class KeywordRuleError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'KeywordRuleError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split an expression into parentheses, operators and words
+ * @param {string} expression - Rule expression
+ * @returns {Array} Tokens as { type, value, position }
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const end = expression.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new KeywordRuleError('Quote is never closed', i);
+      }
+
+      const phrase = expression.slice(i + 1, end).trim();
+      if (!phrase) {
+        throw new KeywordRuleError('Quoted phrase is empty', i);
+      }
+
+      tokens.push({ type: 'TERM', value: phrase, position: i, quoted: true });
+      i = end + 1;
+    } else {
+      const start = i;
+      while (i < expression.length && !/[\s()"]/.test(expression[i])) {
+        i++;
+      }
+
+      const word = expression.slice(start, i);
+      tokens.push({
+        type: RULE_OPERATORS.includes(word) ? word : 'TERM',
+        value: word,
+        position: start
+      });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a rule expression into a tree
+ * @param {string} expression - Rule expression
+ * @returns {Object} Root node
+ * @throws {KeywordRuleError} When the expression is not a valid rule
+ */
+const parseRule = (expression) => {
+  const tokens = tokenize(expression || '');
+  let index = 0;
+  let terms = 0;
+
+  const peek = () => tokens[index];
+
+  // Describe where a term was expected but something else was found
+  const expectedTerm = () => {
+    const token = peek();
+
+    if (!token) {
+      throw new KeywordRuleError(
+        tokens.length ? `Rule cannot end with ${tokens[tokens.length - 1].value}` : 'Rule is empty',
+        expression.length
+      );
+    }
+    if (token.type === ')') {
+      throw new KeywordRuleError('Expected a term before )', token.position);
+    }
+    throw new KeywordRuleError(`Expected a term before ${token.value}`, token.position);
+  };
+
+  // Nodes of the same kind are merged, so a AND b AND c has three children
+  const combine = (type, children) => {
+    if (children.length === 1) return children[0];
+
+    return {
+      type,
+      children: children.flatMap(child => (child.type === type ? child.children : [child]))
+    };
+  };
+
+  let parseOr;
+
+  const parsePrimary = (depth) => {
+    const token = peek();
+
+    if (token?.type === '(') {
+      if (depth >= MAX_RULE_DEPTH) {
+        throw new KeywordRuleError(`Rule cannot nest more than ${MAX_RULE_DEPTH} levels deep`, token.position);
+      }
+
+      index++;
+      const node = parseOr(depth + 1);
+
+      if (peek()?.type !== ')') {
+        throw new KeywordRuleError('Parenthesis is never closed', token.position);
+      }
+
+      index++;
+      return node;
+    }
+
+    if (token?.type !== 'TERM') {
+      return expectedTerm();
+    }
+
+    // Unquoted words next to each other are one phrase
+    const words = [token.value];
+    index++;
+    while (!token.quoted && peek()?.type === 'TERM' && !peek().quoted) {
+      words.push(peek().value);
+      index++;
+    }
+
+    if (++terms > MAX_RULE_TERMS) {
+      throw new KeywordRuleError(`Rule cannot have more than ${MAX_RULE_TERMS} terms`, token.position);
+    }
+
+    return { type: 'TERM', value: words.join(' ') };
+  };
+
+  const parseUnary = (depth) => {
+    if (peek()?.type === 'NOT') {
+      index++;
+      return { type: 'NOT', child: parseUnary(depth) };
+    }
+
+    return parsePrimary(depth);
+  };
+
+  const parseAnd = (depth) => {
+    const children = [parseUnary(depth)];
+
+    for (;;) {
+      const token = peek();
+
+      if (token?.type === 'AND') {
+        index++;
+        children.push(parseUnary(depth));
+      } else if (token?.type === 'NOT') {
+        // a NOT b reads as a AND NOT b
+        children.push(parseUnary(depth));
+      } else if (token?.type === '(' || token?.type === 'TERM') {
+        throw new KeywordRuleError(`Expected AND, OR or NOT before ${token.value}`, token.position);
+      } else {
+        return combine('AND', children);
+      }
+    }
+  };
+
+  parseOr = (depth) => {
+    const children = [parseAnd(depth)];
+
+    while (peek()?.type === 'OR') {
+      index++;
+      children.push(parseAnd(depth));
+    }
+
+    return combine('OR', children);
+  };
+
+  const root = parseOr(0);
+
+  if (index < tokens.length) {
+    const token = peek();
+    throw new KeywordRuleError(
+      token.type === ')' ? 'Closing parenthesis has no opening one' : `Unexpected ${token.value}`,
+      token.position
+    );
+  }
+
+  return root;
+};
+
+/**
+ * Evaluate a parsed rule
+ * @param {Object} node - Rule node
+ * @param {Function} hasTerm - Called with a term's text, returns whether the comment contains it
+ * @returns {boolean} Whether the rule holds
+ */
+const evaluateRule = (node, hasTerm) => {
+  switch (node.type) {
+    case 'TERM':
+      return hasTerm(node.value);
+    case 'NOT':
+      return !evaluateRule(node.child, hasTerm);
+    case 'AND':
+      return node.children.every(child => evaluateRule(child, hasTerm));
+    case 'OR':
+      return node.children.some(child => evaluateRule(child, hasTerm));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check a rule expression
+ * @param {string} expression - Rule expression
+ * @returns {Object|null} { message, position } when the rule cannot be used, or null
+ */
+const validateRule = (expression) => {
+  let root;
+  try {
+    root = parseRule(expression);
+  } catch (error) {
+    if (error instanceof KeywordRuleError) {
+      return { message: error.message, position: error.position };
+    }
+    throw error;
+  }
+
+  // A rule like NOT reseller would reply to nearly every comment
+  if (evaluateRule(root, () => false)) {
+    return {
+      message: 'Rule matches comments that contain none of its terms; add a term that must be present',
+      position: 0
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Whether text contains a phrase as whole words, so `xl` does not match `xxl`
+ * @param {string} text - Text to search in
+ * @param {string} phrase - Word or phrase
+ * @returns {boolean} Whether the phrase appears on word boundaries
+ */
+const containsPhrase = (text, phrase) => {
+  if (!phrase) return false;
+
+  let index = text.indexOf(phrase);
+
+  while (index !== -1) {
+    const before = text[index - 1];
+    const after = text[index + phrase.length];
+
+    if ((!before || !WORD_CHARACTER.test(before)) && (!after || !WORD_CHARACTER.test(after))) {
+      return true;
+    }
+
+    index = text.indexOf(phrase, index + 1);
+  }
+
+  return false;
+};
+
+module.exports = {
+  KeywordRuleError,
+  parseRule,
+  evaluateRule,
+  validateRule,
+  containsPhrase
+};
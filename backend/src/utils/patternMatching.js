@@ -0,0 +1,214 @@
+const vm = require('vm');
+const logger = require('../config/logger');
+
+/**
+ * REGEX and WILDCARD keyword match types. Patterns are checked for constructs
+ * that backtrack catastrophically when they are saved, and every regex match
+ * still runs under a time limit in case one slips through.
+ */
+
+const PATTERN_MATCH_TYPES = ['REGEX', 'WILDCARD'];
+const REGEX_TIMEOUT_MS = parseInt(process.env.KEYWORD_REGEX_TIMEOUT_MS) || 50;
+const MAX_TEXT_LENGTH = 2200; // Longest Instagram comment; anything beyond is not matched against
+
+// Regex tests run in their own context so the timeout can interrupt them
+const regexContext = vm.createContext({});
+const regexTest = new vm.Script('regex.test(text)');
+const regexCache = new Map();
+const MAX_CACHED_REGEXES = 1000;
+
+/**
+ * Whether a match type treats its terms as patterns
+ * @param {string} matchType - Keyword match type
+ * @returns {boolean} Whether terms are patterns
+ */
+const isPatternType = (matchType) => PATTERN_MATCH_TYPES.includes(matchType);
+
+/**
+ * Find a construct in a regex that can make matching take exponential time:
+ * backreferences, and repeated groups that contain a quantifier or an
+ * alternation, such as `(a+)+` or `(a|ab)*`
+ * @param {string} pattern - Regex source
+ * @returns {string|null} Why the pattern is unsafe, or null
+ */
+const findUnsafeConstruct = (pattern) => {
+  if (/\\[1-9]|\\k</.test(pattern)) {
+    return 'Backreferences are not allowed in patterns';
+  }
+
+  // For each open group, whether it contains a quantifier or an alternation
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ varies: false });
+    } else if (char === ')') {
+      const group = groups.pop() || { varies: false };
+      const repeated = ['*', '+', '{'].includes(pattern[i + 1]);
+
+      if (group.varies && repeated) {
+        return 'Repeating a group that contains a quantifier or alternation can take too long to match';
+      }
+      if (groups.length > 0 && (group.varies || repeated)) {
+        groups[groups.length - 1].varies = true;
+      }
+    } else if (current && ['*', '+', '{', '|'].includes(char)) {
+      current.varies = true;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Compile a keyword regex, reusing earlier compilations
+ * @param {string} pattern - Regex source
+ * @param {boolean} caseSensitive - Whether case matters
+ * @returns {RegExp} Compiled regex
+ */
+const compileRegex = (pattern, caseSensitive) => {
+  const flags = caseSensitive ? '' : 'i';
+  const cacheKey = `${flags}/${pattern}`;
+  let regex = regexCache.get(cacheKey);
+
+  if (!regex) {
+    regex = new RegExp(pattern, flags);
+    if (regexCache.size >= MAX_CACHED_REGEXES) {
+      regexCache.clear();
+    }
+    regexCache.set(cacheKey, regex);
+  }
+
+  return regex;
+};
+
+/**
+ * Match text against a wildcard pattern covering the whole text, where `*`
+ * stands for any run of characters and `?` for exactly one. Runs in
+ * O(text × pattern) time without backtracking blow-ups.
+ * @param {string} text - Text to match
+ * @param {string} pattern - Wildcard pattern
+ * @returns {boolean} Whether the whole text matches
+ */
+const matchesWildcard = (text, pattern) => {
+  let textIndex = 0;
+  let patternIndex = 0;
+  let starIndex = -1;
+  let starTextIndex = 0;
+
+  while (textIndex < text.length) {
+    const char = pattern[patternIndex];
+
+    if (char === '?' || (char !== undefined && char !== '*' && char === text[textIndex])) {
+      textIndex++;
+      patternIndex++;
+    } else if (char === '*') {
+      starIndex = patternIndex++;
+      starTextIndex = textIndex;
+    } else if (starIndex !== -1) {
+      // Let the last `*` swallow one more character and retry from there
+      patternIndex = starIndex + 1;
+      textIndex = ++starTextIndex;
+    } else {
+      return false;
+    }
+  }
+
+  while (pattern[patternIndex] === '*') {
+    patternIndex++;
+  }
+
+  return patternIndex === pattern.length;
+};
+
+/**
+ * Check a keyword term for its match type
+ * @param {string} term - Keyword or synonym
+ * @param {string} matchType - Keyword match type
+ * @returns {string|null} Why the term cannot be used, or null when it is valid
+ */
+const validatePattern = (term, matchType) => {
+  if (matchType === 'WILDCARD') {
+    return /^[*?\s]*$/.test(term) ? 'Wildcard pattern must contain some text besides * and ?' : null;
+  }
+
+  if (matchType !== 'REGEX') return null;
+
+  let regex;
+  try {
+    regex = new RegExp(term);
+  } catch (error) {
+    return `Invalid regular expression (${error.message.split(': ').pop()})`;
+  }
+
+  const unsafe = findUnsafeConstruct(term);
+  if (unsafe) return unsafe;
+
+  if (regex.test('')) {
+    return 'Pattern matches empty text, so it would match every comment';
+  }
+
+  return null;
+};
+
+/**
+ * Match text against a REGEX or WILDCARD term. A regex that runs out of
+ * time counts as no match.
+ * @param {string} text - Text to match
+ * @param {string} term - Pattern
+ * @param {string} matchType - REGEX or WILDCARD
+ * @param {Object} options - { caseSensitive }
+ * @returns {boolean} Whether the text matches
+ */
+const matchesPattern = (text, term, matchType, { caseSensitive = false } = {}) => {
+  const subject = text.slice(0, MAX_TEXT_LENGTH);
+
+  if (matchType === 'WILDCARD') {
+    return caseSensitive
+      ? matchesWildcard(subject, term)
+      : matchesWildcard(subject.toLowerCase(), term.toLowerCase());
+  }
+
+  let regex;
+  try {
+    regex = compileRegex(term, caseSensitive);
+  } catch (error) {
+    logger.warn(`Skipping invalid keyword pattern /${term}/: ${error.message}`);
+    return false;
+  }
+
+  regexContext.regex = regex;
+  regexContext.text = subject;
+
+  try {
+    return regexTest.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      logger.warn(`Keyword pattern /${term}/ timed out after ${REGEX_TIMEOUT_MS}ms`);
+      return false;
+    }
+    throw error;
+  } finally {
+    regexContext.regex = null;
+    regexContext.text = null;
+  }
+};
+
+module.exports = {
+  PATTERN_MATCH_TYPES,
+  isPatternType,
+  findUnsafeConstruct,
+  matchesWildcard,
+  validatePattern,
+  matchesPattern
+};
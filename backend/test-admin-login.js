@@ -46,7 +46,8 @@ async function testAdminAuthentication() {
         console.log('   🔑 Role:', profileResponse.data.data.user.role);
         console.log('   ✅ Active:', profileResponse.data.data.user.isActive);
         console.log('   📅 Created:', profileResponse.data.data.user.createdAt);
-        console.log('   📱 Instagram Connected:', profileResponse.data.data.user.instagramAccount.isConnected);
+        console.log('   🏢 Workspace:', profileResponse.data.data.user.workspace.name, `(${profileResponse.data.data.user.workspace.role})`);
+        console.log('   📱 Instagram Accounts:', profileResponse.data.data.user.instagramAccounts.length);
         console.log('');
       }
 
@@ -9,6 +9,7 @@ const { initializeWebhookServices, processWebhookEvent } = require('./src/contro
 
 // Import models
 const User = require('./src/models/User');
+const Workspace = require('./src/models/Workspace');
 const Post = require('./src/models/Post');
 const Keyword = require('./src/models/Keyword');
 const Activity = require('./src/models/Activity');
@@ -21,7 +22,7 @@ const Activity = require('./src/models/Activity');
  * 3. Error handling and retry logic
  */
 
-let testUser, testPost, testKeywords;
+let testUser, testWorkspace, testPost, testKeywords;
 
 async function setupTestData() {
   console.log('\n=== Setting up test data ===');
@@ -36,9 +37,12 @@ async function setupTestData() {
     });
     console.log('✓ Test user created');
 
+    testWorkspace = await Workspace.createPersonal(testUser);
+
     // Create test post
     testPost = await Post.create({
       userId: testUser._id,
+      workspaceId: testWorkspace._id,
       title: 'Test Product Post',
       description: 'Testing our amazing product',
       instagramPostId: 'test_post_123',
@@ -133,7 +137,7 @@ async function testEventQueueService() {
   
   try {
     // Initialize service
-    eventQueueService.initialize();
+    await eventQueueService.initialize();
     console.log('✓ Event Queue Service initialized');
 
     // Test adding events to queue
@@ -161,7 +165,7 @@ async function testEventQueueService() {
     await new Promise(resolve => setTimeout(resolve, 1000));
 
     // Check queue status
-    const status = eventQueueService.getStatus();
+    const status = await eventQueueService.getStatus();
     console.log('✓ Queue status:', {
       isProcessing: status.isProcessing,
       queueSize: status.queueSize,
@@ -245,7 +249,7 @@ async function testWebhookIntegration() {
     await new Promise(resolve => setTimeout(resolve, 5000));
 
     // Check final queue status
-    const finalStatus = eventQueueService.getStatus();
+    const finalStatus = await eventQueueService.getStatus();
     console.log('✓ Final queue status:', {
       queueSize: finalStatus.queueSize,
       totalProcessed: finalStatus.statistics.totalProcessed,
@@ -308,7 +312,7 @@ async function testErrorHandlingAndRetry() {
     await new Promise(resolve => setTimeout(resolve, 3000));
 
     // Check event status
-    const eventStatus = eventQueueService.getEvent(eventId);
+    const eventStatus = await eventQueueService.getEvent(eventId);
     if (eventStatus) {
       console.log('✓ Event status after retries:', {
         status: eventStatus.status,
@@ -318,9 +322,16 @@ async function testErrorHandlingAndRetry() {
     }
 
     // Test timeout scenario
-    const timeoutProcessor = async (data) => {
+    const timeoutProcessor = async (data, { signal }) => {
       console.log('Starting long-running process...');
-      await new Promise(resolve => setTimeout(resolve, 8000)); // Longer than timeout
+      // Longer than timeout; the queue cancels it through the abort signal
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, 8000);
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        });
+      });
       return { success: true };
     };
 
@@ -340,7 +351,7 @@ async function testErrorHandlingAndRetry() {
     // Wait for timeout
     await new Promise(resolve => setTimeout(resolve, 4000));
 
-    const timeoutStatus = eventQueueService.getEvent(timeoutEventId);
+    const timeoutStatus = await eventQueueService.getEvent(timeoutEventId);
     if (timeoutStatus) {
       console.log('✓ Timeout event status:', {
         status: timeoutStatus.status,
@@ -362,6 +373,7 @@ async function cleanupTestData() {
     await Activity.deleteMany({ postId: testPost._id });
     await Keyword.deleteMany({ postId: testPost._id });
     await Post.findByIdAndDelete(testPost._id);
+    await Workspace.findByIdAndDelete(testWorkspace._id);
     await User.findByIdAndDelete(testUser._id);
     
     console.log('✓ Test data cleaned up');
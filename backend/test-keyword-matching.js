@@ -3,6 +3,7 @@ const keywordMatchingService = require('./src/services/KeywordMatchingService');
 const Keyword = require('./src/models/Keyword');
 const Post = require('./src/models/Post');
 const User = require('./src/models/User');
+const Workspace = require('./src/models/Workspace');
 
 // Test configuration
 const TEST_CONFIG = {
@@ -17,6 +18,7 @@ class KeywordMatchingTest {
   constructor() {
     this.testResults = [];
     this.testUser = null;
+    this.testWorkspace = null;
     this.testPost = null;
     this.testKeywords = [];
   }
@@ -47,9 +49,12 @@ class KeywordMatchingTest {
       });
       console.log('✅ Test user created');
 
+      this.testWorkspace = await Workspace.createPersonal(this.testUser);
+
       // Create test post
       this.testPost = await Post.create({
         userId: this.testUser._id,
+        workspaceId: this.testWorkspace._id,
         instagramPostId: 'test_post_123',
         instagramMediaId: 'test_media_123',
         postType: 'IMAGE',
@@ -162,6 +167,7 @@ class KeywordMatchingTest {
     for (const config of keywordConfigs) {
       const keyword = await Keyword.create({
         userId: this.testUser._id,
+        workspaceId: this.testWorkspace._id,
         postId: this.testPost._id,
         ...config
       });
@@ -641,6 +647,8 @@ class KeywordMatchingTest {
    */
   async cleanup() {
     try {
+      const users = await User.find({ email: 'test@example.com' });
+      await Workspace.deleteMany({ createdBy: { $in: users.map(user => user._id) } });
       await User.deleteMany({ email: 'test@example.com' });
       await Post.deleteMany({ instagramPostId: 'test_post_123' });
       await Keyword.deleteMany({ keyword: { $in: ['harga', 'stok', 'pengiriman', 'warna', 'inactive_keyword'] } });
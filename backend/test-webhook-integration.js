@@ -4,6 +4,7 @@ const { processWebhookEvent } = require('./src/controllers/webhookController');
 const Keyword = require('./src/models/Keyword');
 const Post = require('./src/models/Post');
 const User = require('./src/models/User');
+const Workspace = require('./src/models/Workspace');
 const Activity = require('./src/models/Activity');
 
 // Test configuration
@@ -19,6 +20,7 @@ class WebhookIntegrationTest {
   constructor() {
     this.testResults = [];
     this.testUser = null;
+    this.testWorkspace = null;
     this.testPost = null;
     this.testKeywords = [];
   }
@@ -49,9 +51,12 @@ class WebhookIntegrationTest {
       });
       console.log('✅ Test user created');
 
+      this.testWorkspace = await Workspace.createPersonal(this.testUser);
+
       // Create test post
       this.testPost = await Post.create({
         userId: this.testUser._id,
+        workspaceId: this.testWorkspace._id,
         instagramPostId: 'webhook_test_post_123',
         instagramMediaId: 'webhook_test_media_123',
         postType: 'IMAGE',
@@ -149,6 +154,7 @@ class WebhookIntegrationTest {
     for (const config of keywordConfigs) {
       const keyword = await Keyword.create({
         userId: this.testUser._id,
+        workspaceId: this.testWorkspace._id,
         postId: this.testPost._id,
         ...config
       });
@@ -594,6 +600,8 @@ class WebhookIntegrationTest {
    */
   async cleanup() {
     try {
+      const users = await User.find({ email: 'webhook-test@example.com' });
+      await Workspace.deleteMany({ createdBy: { $in: users.map(user => user._id) } });
       await User.deleteMany({ email: 'webhook-test@example.com' });
       await Post.deleteMany({ instagramPostId: 'webhook_test_post_123' });
       await Keyword.deleteMany({ 
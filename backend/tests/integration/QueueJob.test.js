@@ -0,0 +1,137 @@
+const QueueJob = require('../../src/models/QueueJob')
+
+const VISIBILITY_TIMEOUT = 60000
+let sequence = 0
+
+// Jobs get increasing createdAt values so arrival order is explicit
+const createJob = async (fields = {}) => {
+  sequence++
+
+  const job = new QueueJob({
+    jobId: `evt_test_${sequence}`,
+    processor: 'processWebhookEvent',
+    eventData: { type: 'comment', text: `event ${sequence}` },
+    createdAt: new Date(Date.UTC(2026, 0, 1, 0, 0, sequence)),
+    updatedAt: new Date(),
+    availableAt: new Date(Date.now() - 1000),
+    ...fields
+  })
+
+  await job.save({ timestamps: false })
+  return job
+}
+
+const claim = (options) => QueueJob.claimNext('worker-a', VISIBILITY_TIMEOUT, options)
+
+describe('QueueJob', () => {
+  describe('claimNext', () => {
+    it('leases the next pending job to the worker', async () => {
+      const created = await createJob()
+
+      const job = await claim()
+
+      expect(job.jobId).toBe(created.jobId)
+      expect(job.status).toBe('PROCESSING')
+      expect(job.lease.owner).toBe('worker-a')
+      expect(job.lease.expiresAt.getTime()).toBeGreaterThan(Date.now())
+      expect(await claim()).toBeNull()
+    })
+
+    it('prefers higher priority among jobs that are free to run', async () => {
+      await createJob({ priority: 1 })
+      const urgent = await createJob({ priority: 10 })
+
+      const job = await claim()
+
+      expect(job.jobId).toBe(urgent.jobId)
+    })
+
+    it('waits for availableAt before claiming a retry', async () => {
+      await createJob({ availableAt: new Date(Date.now() + 60000) })
+
+      expect(await claim()).toBeNull()
+    })
+
+    it('runs jobs sharing an ordering key one at a time in arrival order', async () => {
+      const first = await createJob({ orderingKeys: ['post:1', 'commenter:a'] })
+      const second = await createJob({ orderingKeys: ['post:1', 'commenter:b'] })
+      const other = await createJob({ orderingKeys: ['post:2', 'commenter:c'] })
+
+      expect((await claim()).jobId).toBe(first.jobId)
+      expect((await claim()).jobId).toBe(other.jobId)
+      expect(await claim()).toBeNull()
+
+      await QueueJob.updateOne({ _id: first._id }, { $set: { status: 'SUCCESS' } })
+
+      expect((await claim()).jobId).toBe(second.jobId)
+    })
+
+    it('keeps a younger job behind an older one waiting for its retry', async () => {
+      await createJob({
+        orderingKeys: ['commenter:a'],
+        retryCount: 1,
+        availableAt: new Date(Date.now() + 60000)
+      })
+      await createJob({ orderingKeys: ['commenter:a'] })
+
+      expect(await claim()).toBeNull()
+    })
+
+    it('skips jobs of paused accounts', async () => {
+      await createJob({ accountKey: 'ig_paused' })
+      const active = await createJob({ accountKey: 'ig_active' })
+
+      const job = await claim({ pausedAccounts: ['ig_paused'] })
+
+      expect(job.jobId).toBe(active.jobId)
+      expect(await claim({ pausedAccounts: ['ig_paused'] })).toBeNull()
+    })
+
+    it('still claims other jobs behind a backlog on one busy post', async () => {
+      // The oldest job on the post waits for a retry, holding back everything after it
+      await createJob({ orderingKeys: ['post:viral'], availableAt: new Date(Date.now() + 60000) })
+      for (let i = 0; i < 30; i++) {
+        await createJob({ orderingKeys: ['post:viral', `commenter:${i}`] })
+      }
+      const other = await createJob({ orderingKeys: ['post:quiet', 'commenter:z'] })
+
+      const job = await claim({ batchSize: 10 })
+
+      expect(job.jobId).toBe(other.jobId)
+    })
+
+    it('still claims other jobs behind a backlog of a paused account and future retries', async () => {
+      for (let i = 0; i < 15; i++) {
+        await createJob({ accountKey: 'ig_paused', orderingKeys: [`post:p${i}`] })
+        await createJob({ availableAt: new Date(Date.now() + 60000), orderingKeys: [`post:r${i}`] })
+      }
+      const other = await createJob({ accountKey: 'ig_active', orderingKeys: ['post:a'] })
+
+      const job = await claim({ batchSize: 10, pausedAccounts: ['ig_paused'] })
+
+      expect(job.jobId).toBe(other.jobId)
+    })
+  })
+
+  describe('recoverExpiredLeases', () => {
+    it('returns jobs with expired leases to the queue and counts the attempt', async () => {
+      const job = await createJob({
+        status: 'PROCESSING',
+        lease: { owner: 'worker-b', expiresAt: new Date(Date.now() - 1000) }
+      })
+      await createJob({
+        status: 'PROCESSING',
+        lease: { owner: 'worker-c', expiresAt: new Date(Date.now() + 60000) }
+      })
+
+      const result = await QueueJob.recoverExpiredLeases()
+      const recovered = await QueueJob.findById(job._id)
+
+      expect(result.modifiedCount).toBe(1)
+      expect(recovered.status).toBe('PENDING')
+      expect(recovered.retryCount).toBe(1)
+      expect(recovered.lease?.owner).toBeUndefined()
+      expect(recovered.errorHistory).toHaveLength(1)
+    })
+  })
+})
@@ -0,0 +1,168 @@
+// One request count per key, as the ApiKey collection would hold it for every process
+const mockCounts = new Map()
+
+jest.mock('../../src/models/ApiKey', () => ({
+  countRequest: jest.fn(async (id, windowStart) => {
+    const current = mockCounts.get(String(id))
+    const sameWindow = current && current.windowStart.getTime() === windowStart.getTime()
+    const next = { windowStart, count: sameWindow ? current.count + 1 : 1 }
+
+    mockCounts.set(String(id), next)
+    return { _id: id, rateWindowCount: next.count }
+  }),
+  create: jest.fn(async fields => ({ _id: 'key_new', ...fields }))
+}))
+
+const ApiKey = require('../../src/models/ApiKey')
+const apiKeyService = require('../../src/services/ApiKeyService')
+const { authorize, isAllowed, rejectApiKeys } = require('../../src/middleware/auth')
+
+// Another server process, with its own service instance
+const loadProcess = () => {
+  let service
+  jest.isolateModules(() => {
+    service = require('../../src/services/ApiKeyService')
+  })
+  return service
+}
+
+const NOW = new Date('2026-03-02T10:15:20Z').getTime()
+
+describe('ApiKeyService.consume', () => {
+  const apiKey = { _id: 'key_1', rateLimitPerMinute: 3 }
+
+  beforeEach(() => {
+    mockCounts.clear()
+    jest.useFakeTimers({ now: NOW })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('reports the remaining requests until the end of the minute', async () => {
+    const usage = await apiKeyService.consume(apiKey)
+
+    expect(usage).toEqual({ limit: 3, remaining: 2, resetAt: new Date('2026-03-02T10:16:00Z').getTime() })
+  })
+
+  it('refuses requests over the limit with the time left in the minute', async () => {
+    for (let i = 0; i < 3; i++) await apiKeyService.consume(apiKey)
+
+    const error = await apiKeyService.consume(apiKey).catch(e => e)
+
+    expect(error).toBeInstanceOf(apiKeyService.ApiKeyError)
+    expect(error.code).toBe('RATE_LIMITED')
+    expect(error.retryAfter).toBe(40 * 1000)
+  })
+
+  it('shares the limit between server processes', async () => {
+    const otherProcess = loadProcess()
+
+    await apiKeyService.consume(apiKey)
+    await otherProcess.consume(apiKey)
+    await apiKeyService.consume(apiKey)
+
+    await expect(otherProcess.consume(apiKey)).rejects.toMatchObject({ code: 'RATE_LIMITED' })
+  })
+
+  it('starts a new count in the next minute', async () => {
+    for (let i = 0; i < 3; i++) await apiKeyService.consume(apiKey)
+    jest.setSystemTime(NOW + 40 * 1000)
+
+    await expect(apiKeyService.consume(apiKey)).resolves.toMatchObject({ remaining: 2 })
+  })
+
+  it('falls back to the default limit', async () => {
+    const usage = await apiKeyService.consume({ _id: 'key_2' })
+
+    expect(usage.limit).toBe(apiKeyService.defaultRateLimit)
+  })
+
+  it('refuses a key revoked while the request was in flight', async () => {
+    ApiKey.countRequest.mockResolvedValueOnce(null)
+
+    await expect(apiKeyService.consume(apiKey)).rejects.toMatchObject({ code: 'INVALID_KEY' })
+  })
+})
+
+describe('API key scopes', () => {
+  const user = { _id: 'user_1', email: 'editor@example.com', role: 'user' }
+  const workspace = { _id: 'workspace_1' }
+
+  const middlewareResult = (middleware, req) => {
+    const res = { status: jest.fn(), json: jest.fn() }
+    res.status.mockReturnValue(res)
+    const next = jest.fn()
+
+    middleware({ headers: {}, ...req }, res, next)
+
+    return { status: next.mock.calls.length ? 'next' : res.status.mock.calls[0][0], body: res.json.mock.calls[0]?.[0] }
+  }
+
+  beforeEach(() => {
+    ApiKey.create.mockClear()
+  })
+
+  it('creates a key with the scopes the creator holds, deduplicated', async () => {
+    const { apiKey, key } = await apiKeyService.createKey(user, { workspace, role: 'editor' }, {
+      name: 'Sheets export',
+      scopes: ['activities:read', 'activities:export', 'activities:read']
+    })
+
+    expect(apiKeyService.isApiKey(key)).toBe(true)
+    expect(apiKey.scopes).toEqual(['activities:read', 'activities:export'])
+    expect(apiKey.keyHash).toBe(apiKeyService.hashKey(key))
+    expect(apiKey.prefix).toBe(key.slice(0, apiKey.prefix.length))
+  })
+
+  it('refuses a scope the creator does not hold', async () => {
+    const create = apiKeyService.createKey(user, { workspace, role: 'viewer' }, {
+      name: 'Auto reply',
+      scopes: ['posts:read', 'keywords:write']
+    })
+
+    await expect(create).rejects.toMatchObject({ code: 'INVALID_SCOPE', message: 'Your workspace role does not allow keywords:write' })
+    expect(ApiKey.create).not.toHaveBeenCalled()
+  })
+
+  describe('authorize', () => {
+    const keyRequest = scopes => ({ user, workspaceRole: 'editor', apiKey: { scopes } })
+
+    it('lets a key use a permission it is scoped to', () => {
+      expect(middlewareResult(authorize('activities:read'), keyRequest(['activities:read'])).status).toBe('next')
+    })
+
+    it('refuses a permission the role allows but the key is not scoped to', () => {
+      const req = keyRequest(['activities:read'])
+
+      expect(isAllowed(req, 'keywords:write')).toBe(false)
+      expect(middlewareResult(authorize('activities:read', 'keywords:write'), req)).toEqual({
+        status: 403,
+        body: { success: false, error: 'Access denied. This API key is not scoped to keywords:write.' }
+      })
+    })
+
+    it('never lets a key pass a system role check', () => {
+      const req = { ...keyRequest(['audit:read']), user: { ...user, role: 'admin' } }
+
+      expect(middlewareResult(authorize('admin'), req).status).toBe(403)
+    })
+
+    it('refuses a scope the creator lost after the key was made', () => {
+      const req = { ...keyRequest(['keywords:write']), workspaceRole: 'viewer' }
+
+      expect(middlewareResult(authorize('keywords:write'), req).body.error).toBe(
+        'Access denied. Your workspace role does not allow keywords:write.'
+      )
+    })
+  })
+
+  it.each([
+    ['an API key', `Bearer ${apiKeyService.keyPrefix}abc`, 403],
+    ['a session token', 'Bearer eyJhbGciOiJIUzI1NiJ9.e30.x', 'next'],
+    ['no credentials', undefined, 'next']
+  ])('keeps people-only routes away from %s', (_, authorization, status) => {
+    expect(middlewareResult(rejectApiKeys, { headers: { authorization } }).status).toBe(status)
+  })
+})
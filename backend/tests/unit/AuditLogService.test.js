@@ -0,0 +1,137 @@
+const mongoose = require('mongoose')
+const AuditLog = require('../../src/models/AuditLog')
+const Keyword = require('../../src/models/Keyword')
+const auditLogService = require('../../src/services/AuditLogService')
+
+const workspaceId = new mongoose.Types.ObjectId()
+const actor = { _id: new mongoose.Types.ObjectId(), email: 'editor@example.com' }
+
+const request = (fields = {}) => ({
+  user: actor,
+  ip: '203.0.113.7',
+  get: header => (header === 'user-agent' ? 'Mozilla/5.0' : undefined),
+  ...fields
+})
+
+describe('AuditLogService.diff', () => {
+  it('lists changed fields by dotted path and leaves bookkeeping out', () => {
+    const before = { _id: 'k1', updatedAt: new Date('2026-01-01'), keyword: 'harga', settings: { priority: 1, exactMatch: false } }
+    const after = { _id: 'k1', updatedAt: new Date('2026-01-02'), keyword: 'harga', settings: { priority: 3, exactMatch: false } }
+
+    expect(auditLogService.diff(before, after)).toEqual([
+      { path: 'settings.priority', before: 1, after: 3 }
+    ])
+  })
+
+  it('records a creation and a deletion against nothing', () => {
+    expect(auditLogService.diff(null, { keyword: 'ongkir' })).toEqual([{ path: 'keyword', before: undefined, after: 'ongkir' }])
+    expect(auditLogService.diff({ keyword: 'ongkir' }, null)).toEqual([{ path: 'keyword', before: 'ongkir', after: undefined }])
+  })
+
+  it('keeps secrets out of the log but shows that they changed', () => {
+    const changes = auditLogService.diff(
+      { password: 'hash-1', twoFactor: { secret: 'AAAA', enabled: false } },
+      { password: 'hash-2', twoFactor: { secret: 'BBBB', enabled: true } }
+    )
+
+    expect(changes).toEqual([
+      { path: 'password', before: '[redacted]', after: '[redacted]' },
+      { path: 'twoFactor.enabled', before: false, after: true },
+      { path: 'twoFactor.secret', before: '[redacted]', after: '[redacted]' }
+    ])
+    expect(JSON.stringify(changes)).not.toMatch(/hash-|AAAA|BBBB/)
+  })
+
+  it('compares IDs and dates by value', () => {
+    const id = new mongoose.Types.ObjectId()
+
+    expect(auditLogService.diff(
+      { accountId: id, lastEditedAt: new Date('2026-02-01T00:00:00Z') },
+      { accountId: new mongoose.Types.ObjectId(id.toString()), lastEditedAt: new Date('2026-02-01T00:00:00Z') }
+    )).toEqual([])
+  })
+})
+
+describe('AuditLogService.record', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks()
+    jest.spyOn(AuditLog, 'create').mockImplementation(async fields => new AuditLog(fields))
+  })
+
+  it('writes who changed a keyword, from where, and what changed', async () => {
+    const before = new Keyword({
+      keyword: 'harga',
+      postId: new mongoose.Types.ObjectId(),
+      response: { dmMessage: 'Cek DM ya kak', fallbackComment: 'Sudah kami DM' }
+    })
+    const after = new Keyword(before.toObject())
+    after.response.dmMessage = 'Harga ada di bio ya kak'
+
+    const entry = await auditLogService.record(request({ impersonatedBy: new mongoose.Types.ObjectId() }), {
+      action: 'keyword.update',
+      entityType: 'Keyword',
+      entityLabel: 'harga',
+      workspaceId,
+      before,
+      after
+    })
+
+    expect(entry.validateSync()).toBeUndefined()
+    expect(entry).toMatchObject({
+      actorId: actor._id,
+      actorEmail: 'editor@example.com',
+      entityId: before._id,
+      ipAddress: '203.0.113.7',
+      userAgent: 'Mozilla/5.0'
+    })
+    expect(entry.impersonatedBy).toBeDefined()
+    expect(entry.changes.map(change => change.path)).toEqual(['response.dmMessage'])
+  })
+
+  it('skips updates that changed nothing but reply counters', async () => {
+    const entry = await auditLogService.record(request(), {
+      action: 'keyword.update',
+      entityType: 'Keyword',
+      before: { keyword: 'harga', statistics: { totalMatches: 4 } },
+      after: { keyword: 'harga', statistics: { totalMatches: 5 } }
+    })
+
+    expect(entry).toBeNull()
+    expect(AuditLog.create).not.toHaveBeenCalled()
+  })
+
+  it('never fails the change it is auditing', async () => {
+    AuditLog.create.mockRejectedValueOnce(new Error('connection reset'))
+
+    await expect(auditLogService.record(request(), {
+      action: 'keyword.delete',
+      entityType: 'Keyword',
+      before: { _id: 'k1', keyword: 'harga' }
+    })).resolves.toBeNull()
+  })
+})
+
+describe('AuditLog entries are append-only', () => {
+  const stored = () => AuditLog.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    action: 'keyword.update',
+    entityType: 'Keyword',
+    changes: [{ path: 'reply', before: 'a', after: 'b' }]
+  })
+
+  it('refuses to save an existing entry again', async () => {
+    const entry = stored()
+    entry.action = 'keyword.create'
+
+    await expect(entry.save()).rejects.toThrow('Audit log entries cannot be modified')
+  })
+
+  it('refuses to delete an entry', async () => {
+    await expect(stored().deleteOne()).rejects.toThrow('Audit log entries cannot be modified')
+  })
+
+  it.each(['updateOne', 'updateMany', 'deleteMany', 'findOneAndDelete'])('refuses %s queries', async (operation) => {
+    await expect(AuditLog[operation]({ workspaceId }, { $set: { action: 'x' } }).exec())
+      .rejects.toThrow('Audit log entries cannot be modified')
+  })
+})
@@ -0,0 +1,105 @@
+jest.mock('../../src/models/Activity', () => ({ countDocuments: jest.fn() }))
+
+const Activity = require('../../src/models/Activity')
+const cooldownService = require('../../src/services/CooldownService')
+
+const post = (cooldown = {}) => ({
+  _id: 'post_1',
+  userId: 'user_1',
+  accountId: 'account_1',
+  automationSettings: { cooldown }
+})
+
+// Earlier replies to the commenter, by the scope CooldownService counts in
+const repliesSoFar = ({ onPost = 0, onAccount = 0 }) => {
+  Activity.countDocuments.mockImplementation(async filter => (filter.postId ? onPost : onAccount))
+}
+
+describe('CooldownService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('resolveRules', () => {
+    it('lets post settings override the owner, and the owner override the defaults', () => {
+      const owner = {
+        settings: {
+          cooldown: {
+            perPost: { maxReplies: 5, windowMinutes: 30 },
+            perAccount: { maxReplies: 3 },
+            repeatMessage: 'Sudah kami balas ya kak'
+          }
+        }
+      }
+
+      const rules = cooldownService.resolveRules(post({ maxReplies: 1 }), owner)
+
+      expect(rules).toEqual({
+        isEnabled: true,
+        perPost: { maxReplies: 1, windowMinutes: 30 },
+        perAccount: { maxReplies: 3, windowMinutes: 24 * 60 },
+        repeatMessage: 'Sudah kami balas ya kak'
+      })
+    })
+  })
+
+  describe('evaluate', () => {
+    const owner = { settings: { cooldown: { repeatMessage: 'Cek DM ya kak' } } }
+
+    it.each([
+      ['a first-time commenter', 'REPLY', { onPost: 0, onAccount: 0 }],
+      ['a repeat asker under the limit', 'REPEAT', { onPost: 1, onAccount: 1 }],
+      ['a commenter at the post limit', 'SUPPRESS', { onPost: 2, onAccount: 2 }],
+      ['a commenter at the account limit', 'SUPPRESS', { onPost: 0, onAccount: 10 }]
+    ])('answers %s with %s', async (_, action, replies) => {
+      repliesSoFar(replies)
+
+      const decision = await cooldownService.evaluate({ post: post(), owner, fromUserId: 'ig_user' })
+
+      expect(decision.action).toBe(action)
+    })
+
+    it('names the rule that suppressed the reply', async () => {
+      repliesSoFar({ onPost: 0, onAccount: 10 })
+
+      const decision = await cooldownService.evaluate({ post: post(), owner, fromUserId: 'ig_user' })
+
+      expect(decision).toMatchObject({ rule: 'ACCOUNT', priorReplies: 10, maxReplies: 10, windowMinutes: 1440 })
+      expect(decision.reason).toContain('on this account')
+    })
+
+    it('sends the repeat message only when one is configured', async () => {
+      repliesSoFar({ onPost: 1, onAccount: 1 })
+
+      const withMessage = await cooldownService.evaluate({ post: post(), owner, fromUserId: 'ig_user' })
+      const withoutMessage = await cooldownService.evaluate({ post: post(), owner: null, fromUserId: 'ig_user' })
+
+      expect(withMessage).toMatchObject({ action: 'REPEAT', message: 'Cek DM ya kak' })
+      expect(withoutMessage).toEqual({ action: 'REPLY' })
+    })
+
+    it('skips counting when the cooldown is off for the post', async () => {
+      const decision = await cooldownService.evaluate({ post: post({ isEnabled: false }), owner, fromUserId: 'ig_user' })
+
+      expect(decision).toEqual({ action: 'REPLY' })
+      expect(Activity.countDocuments).not.toHaveBeenCalled()
+    })
+
+    it('counts only answered events from the commenter inside each window', async () => {
+      repliesSoFar({})
+      const now = Date.now()
+
+      await cooldownService.evaluate({ post: post(), owner, fromUserId: 'ig_user' })
+
+      const [postFilter, accountFilter] = Activity.countDocuments.mock.calls.map(([filter]) => filter)
+      expect(postFilter).toMatchObject({
+        postId: 'post_1',
+        'instagramData.fromUserId': 'ig_user',
+        status: { $in: ['SUCCESS', 'FALLBACK'] }
+      })
+      expect(accountFilter.accountId).toBe('account_1')
+      expect(now - postFilter.createdAt.$gte.getTime()).toBeGreaterThanOrEqual(60 * 60 * 1000)
+      expect(now - accountFilter.createdAt.$gte.getTime()).toBeLessThanOrEqual(24 * 60 * 60 * 1000 + 1000)
+    })
+  })
+})
@@ -0,0 +1,283 @@
+const os = require('os')
+
+jest.mock('../../src/models/QueueJob', () => ({
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  insertMany: jest.fn(),
+  recoverExpiredLeases: jest.fn()
+}))
+jest.mock('../../src/models/DeadLetter', () => ({
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}))
+jest.mock('../../src/models/RateLimitBucket', () => ({
+  findPausedAccountKeys: jest.fn(async () => [])
+}))
+
+const QueueJob = require('../../src/models/QueueJob')
+const DeadLetter = require('../../src/models/DeadLetter')
+const eventQueueService = require('../../src/services/EventQueueService')
+
+const { DeferredEventError } = eventQueueService
+
+// A job as claimNext returns it: leased to this worker
+function leasedJob(overrides = {}) {
+  return {
+    _id: 'job_1',
+    jobId: 'evt_1',
+    processor: 'comment',
+    eventData: { commentId: 'c1' },
+    retryCount: 0,
+    errorHistory: [],
+    options: { maxRetries: 3, retryDelay: 3000, timeout: 1000 },
+    lease: { owner: eventQueueService.workerId, expiresAt: new Date(Date.now() + 30000) },
+    ...overrides
+  }
+}
+
+// The update that moved the job to its next status
+function lastUpdate() {
+  const calls = QueueJob.updateOne.mock.calls.filter(([, update]) => update.$set?.status)
+  return calls[calls.length - 1]
+}
+
+describe('EventQueueService job lifecycle', () => {
+  const processor = jest.fn()
+
+  beforeAll(() => {
+    eventQueueService.registerProcessor('comment', processor)
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    QueueJob.updateOne.mockResolvedValue({ matchedCount: 1 })
+    DeadLetter.create.mockImplementation(async fields => ({ _id: 'dead_1', ...fields }))
+  })
+
+  it('completes a job only while this worker still holds its lease', async () => {
+    processor.mockResolvedValueOnce({ replied: true })
+
+    await eventQueueService.processEvent(leasedJob())
+
+    const [filter, update] = lastUpdate()
+    expect(filter).toEqual({ _id: 'job_1', 'lease.owner': eventQueueService.workerId })
+    expect(update.$set).toMatchObject({ status: 'SUCCESS', result: { replied: true } })
+    expect(update.$unset).toEqual({ lease: 1 })
+  })
+
+  it('passes the attempt number and an abort signal to the processor', async () => {
+    processor.mockResolvedValueOnce(null)
+
+    await eventQueueService.processEvent(leasedJob({ retryCount: 2 }))
+
+    expect(processor).toHaveBeenCalledWith(
+      { commentId: 'c1' },
+      { attempt: 3, maxRetries: 3, signal: expect.any(AbortSignal) }
+    )
+  })
+
+  it('returns a failed job to the queue after the retry delay', async () => {
+    processor.mockRejectedValueOnce(new Error('Graph API timeout'))
+    const before = Date.now()
+
+    await eventQueueService.processEvent(leasedJob())
+
+    const [filter, update] = lastUpdate()
+    expect(filter['lease.owner']).toBe(eventQueueService.workerId)
+    expect(update.$set).toMatchObject({ status: 'PENDING', retryCount: 1, error: 'Graph API timeout' })
+    expect(update.$set.availableAt.getTime()).toBeGreaterThanOrEqual(before + 3000)
+    expect(update.$push.errorHistory).toMatchObject({ attempt: 1, error: 'Graph API timeout' })
+    expect(update.$unset).toEqual({ lease: 1, startedAt: 1 })
+    expect(DeadLetter.create).not.toHaveBeenCalled()
+  })
+
+  it('dead-letters a job that used up its retries', async () => {
+    processor.mockRejectedValueOnce(new Error('still failing'))
+
+    await eventQueueService.processEvent(leasedJob({ retryCount: 3 }))
+
+    expect(lastUpdate()[1].$set).toMatchObject({ status: 'FAILED', retryCount: 4 })
+    expect(DeadLetter.create).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'evt_1', attempts: 1, lastError: 'still failing' }))
+    expect(QueueJob.updateOne).toHaveBeenCalledWith({ _id: 'job_1' }, { $set: { deadLetterId: 'dead_1' } })
+  })
+
+  it('never retries a failure marked as not retryable', async () => {
+    processor.mockRejectedValueOnce(Object.assign(new Error('send cut off'), { isRetryable: false }))
+
+    await eventQueueService.processEvent(leasedJob())
+
+    expect(lastUpdate()[1].$set.status).toBe('FAILED')
+    expect(DeadLetter.create).toHaveBeenCalled()
+  })
+
+  it('defers a job without using up a retry', async () => {
+    processor.mockRejectedValueOnce(new DeferredEventError('Out of API budget', { retryAfter: 60000 }))
+
+    await eventQueueService.processEvent(leasedJob())
+
+    const update = lastUpdate()[1]
+    expect(update.$set.status).toBe('PENDING')
+    expect(update.$set.retryCount).toBeUndefined()
+    expect(update.$push).toBeUndefined()
+  })
+
+  describe('while the processor runs', () => {
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    // Resolves the processor on demand, ignoring its abort signal like a slow Mongo write would
+    const slowProcessor = () => {
+      let finish
+      processor.mockImplementationOnce((_, { signal }) => new Promise((resolve) => {
+        finish = () => resolve({ aborted: signal.aborted })
+      }))
+      return () => finish()
+    }
+
+    const renewals = () => QueueJob.updateOne.mock.calls.filter(([, update]) => update.$set['lease.expiresAt'])
+
+    it('keeps renewing the lease past the timeout until the processor returns', async () => {
+      const finish = slowProcessor()
+      const job = leasedJob()
+
+      const running = eventQueueService.processEvent(job)
+      await jest.advanceTimersByTimeAsync(job.options.timeout + eventQueueService.leaseMargin + eventQueueService.leaseRenewInterval)
+
+      expect(renewals().length).toBeGreaterThanOrEqual(4)
+      const [filter, update] = renewals()[renewals().length - 1]
+      expect(filter).toEqual({ _id: 'job_1', 'lease.owner': eventQueueService.workerId, status: 'PROCESSING' })
+      expect(update.$set['lease.expiresAt'].getTime()).toBeGreaterThanOrEqual(Date.now() + eventQueueService.leaseMargin)
+
+      finish()
+      await running
+
+      const count = renewals().length
+      await jest.advanceTimersByTimeAsync(eventQueueService.leaseRenewInterval * 3)
+      expect(renewals()).toHaveLength(count)
+    })
+
+    it('cancels the processor when a renewal finds the lease taken over', async () => {
+      const finish = slowProcessor()
+      QueueJob.updateOne.mockResolvedValueOnce({ matchedCount: 0 })
+
+      const running = eventQueueService.processEvent(leasedJob({ options: { maxRetries: 3, retryDelay: 3000, timeout: 60000 } }))
+      await jest.advanceTimersByTimeAsync(eventQueueService.leaseRenewInterval)
+      finish()
+      await running
+
+      expect(processor.mock.calls[0][1].signal.reason.message).toBe('Queue lease lost')
+    })
+  })
+
+  it('does not report success for a job another worker has taken over', async () => {
+    processor.mockResolvedValueOnce({ replied: true })
+    QueueJob.updateOne.mockResolvedValue({ matchedCount: 0 })
+    const processed = jest.fn()
+    eventQueueService.once('eventProcessed', processed)
+
+    await eventQueueService.processEvent(leasedJob({ deadLetterId: 'dead_1' }))
+
+    expect(DeadLetter.updateOne).not.toHaveBeenCalled()
+    expect(processed).not.toHaveBeenCalled()
+    eventQueueService.removeListener('eventProcessed', processed)
+  })
+
+  it('resolves the dead letter of a replayed job it completed', async () => {
+    processor.mockResolvedValueOnce({ replied: true })
+    const processed = jest.fn()
+    eventQueueService.once('eventProcessed', processed)
+
+    await eventQueueService.processEvent(leasedJob({ deadLetterId: 'dead_1' }))
+
+    expect(DeadLetter.updateOne).toHaveBeenCalledWith({ _id: 'dead_1' }, { $set: expect.objectContaining({ status: 'RESOLVED' }) })
+    expect(processed).toHaveBeenCalledTimes(1)
+  })
+
+  it('leaves a job alone once another worker has taken over its lease', async () => {
+    processor.mockRejectedValueOnce(new Error('boom'))
+    QueueJob.updateOne.mockResolvedValue({ matchedCount: 0 })
+
+    await eventQueueService.processEvent(leasedJob({ retryCount: 3 }))
+
+    expect(DeadLetter.create).not.toHaveBeenCalled()
+  })
+})
+
+describe('EventQueueService.addEvents', () => {
+  beforeAll(() => {
+    eventQueueService.registerProcessor('comment', jest.fn())
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    eventQueueService.isInitialized = true
+    jest.spyOn(eventQueueService, 'processNext').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    eventQueueService.isInitialized = false
+    eventQueueService.processNext.mockRestore()
+  })
+
+  it('persists every event in a single insert and returns their job ids', async () => {
+    QueueJob.insertMany.mockImplementation(async docs => docs)
+
+    const jobIds = await eventQueueService.addEvents([
+      { eventData: { commentId: 'c1' }, processor: 'comment', options: { accountKey: 'ig_1', orderingKeys: ['post:p1', null] } },
+      { eventData: { commentId: 'c2' }, processor: 'comment', options: { priority: 2 } }
+    ])
+
+    expect(QueueJob.insertMany).toHaveBeenCalledTimes(1)
+    const [docs] = QueueJob.insertMany.mock.calls[0]
+    expect(docs).toHaveLength(2)
+    expect(docs[0]).toMatchObject({ processor: 'comment', accountKey: 'ig_1', orderingKeys: ['post:p1'] })
+    expect(docs[1].priority).toBe(2)
+    expect(jobIds).toEqual(docs.map(doc => doc.jobId))
+  })
+
+  it('propagates insert failures to the caller', async () => {
+    QueueJob.insertMany.mockRejectedValue(new Error('not primary'))
+
+    await expect(eventQueueService.addEvents([
+      { eventData: { commentId: 'c1' }, processor: 'comment' }
+    ])).rejects.toThrow('not primary')
+  })
+})
+
+describe('EventQueueService crash recovery', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    QueueJob.recoverExpiredLeases.mockResolvedValue({ modifiedCount: 0 })
+    QueueJob.find.mockImplementation((filter) => {
+      // First the orphan lookup, which selects fields; then the exhausted-retries lookup
+      if (filter['lease.owner']) {
+        return {
+          select: async () => [
+            { jobId: 'evt_1', lease: { owner: `${os.hostname()}:99999999` } },
+            { jobId: 'evt_2', lease: { owner: eventQueueService.workerId } }
+          ]
+        }
+      }
+      return Promise.resolve([])
+    })
+    QueueJob.updateMany.mockResolvedValue({ modifiedCount: 1 })
+  })
+
+  it('requeues jobs leased by stopped workers on this host, counting an attempt', async () => {
+    await eventQueueService.recoverInFlightJobs()
+
+    const [filter, update] = QueueJob.updateMany.mock.calls[0]
+    expect(filter['lease.owner'].$in).toEqual([`${os.hostname()}:99999999`])
+    expect(update.$set.status).toBe('PENDING')
+    expect(update.$inc).toEqual({ retryCount: 1 })
+    expect(QueueJob.recoverExpiredLeases).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,47 @@
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const InstagramAccount = require('../../src/models/InstagramAccount')
+
+const keyEntry = version => `${version}:${crypto.randomBytes(32).toString('base64')}`
+
+describe('InstagramAccount token state', () => {
+  const originalKeys = process.env.CREDENTIAL_ENCRYPTION_KEYS
+
+  afterEach(() => {
+    if (originalKeys === undefined) {
+      delete process.env.CREDENTIAL_ENCRYPTION_KEYS
+    } else {
+      process.env.CREDENTIAL_ENCRYPTION_KEYS = originalKeys
+    }
+  })
+
+  const connectedAccount = (fields = {}) => new InstagramAccount({
+    userId: new mongoose.Types.ObjectId(),
+    workspaceId: new mongoose.Types.ObjectId(),
+    instagramUserId: '17841400000000001',
+    username: 'toko',
+    accessToken: 'page-token',
+    isConnected: true,
+    ...fields
+  })
+
+  it('serializes an account whose token key was rotated out', () => {
+    process.env.CREDENTIAL_ENCRYPTION_KEYS = keyEntry('v1')
+    const account = connectedAccount()
+
+    process.env.CREDENTIAL_ENCRYPTION_KEYS = keyEntry('v2')
+
+    expect(() => account.accessToken).toThrow('unknown key version "v1"')
+    expect(account.toJSON()).toMatchObject({ isTokenExpired: false, username: 'toko' })
+    expect(account.toJSON().accessToken).toBeUndefined()
+    expect(account.hasValidConnection()).toBe(true)
+  })
+
+  it('treats a missing or expired token as expired', () => {
+    process.env.CREDENTIAL_ENCRYPTION_KEYS = keyEntry('v1')
+
+    expect(connectedAccount({ accessToken: undefined }).isTokenExpired).toBe(true)
+    expect(connectedAccount({ tokenExpiresAt: new Date(Date.now() - 1000) }).hasValidConnection()).toBe(false)
+    expect(connectedAccount({ tokenExpiresAt: new Date(Date.now() + 60000) }).isTokenExpired).toBe(false)
+  })
+})
@@ -0,0 +1,215 @@
+const http = require('http')
+
+jest.mock('../../src/services/RateLimitService', () => ({
+  tryAcquire: jest.fn(async () => ({ allowed: true, retryAfter: 0 })),
+  recordUsage: jest.fn(async () => {}),
+  recordRateLimited: jest.fn(async () => {}),
+  getRetryAfter: jest.fn(async () => 60000)
+}))
+
+const rateLimitService = require('../../src/services/RateLimitService')
+const {
+  InstagramGraphClient,
+  InstagramApiError
+} = require('../../src/services/InstagramGraphClient')
+
+const account = {
+  instagramUserId: 'ig_123',
+  accessToken: 'page_token',
+  isConnected: true
+}
+
+// Minimal fake Graph API: records requests and answers with the queued response
+const startFakeGraphServer = async () => {
+  const requests = []
+  const responses = []
+
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => {
+      body += chunk
+    })
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost')
+      requests.push({
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body: body ? JSON.parse(body) : null
+      })
+
+      const next = responses.shift() || { status: 200, body: {} }
+      res.writeHead(next.status, { 'Content-Type': 'application/json', ...next.headers })
+      res.end(JSON.stringify(next.body))
+    })
+  })
+
+  await new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', resolve)
+  })
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    respond: (status, body, headers = {}) => responses.push({ status, body, headers }),
+    close: () => new Promise((resolve) => {
+      server.close(resolve)
+    })
+  }
+}
+
+describe('InstagramGraphClient', () => {
+  let graph
+  let client
+
+  beforeEach(async () => {
+    graph = await startFakeGraphServer()
+    client = new InstagramGraphClient({ baseUrl: graph.url, apiVersion: 'v18.0' })
+    jest.clearAllMocks()
+  })
+
+  afterEach(async () => {
+    await graph.close()
+  })
+
+  it('sends a private reply to the comment author', async () => {
+    graph.respond(200, { recipient_id: 'user_1', message_id: 'mid_1' })
+
+    const result = await client.sendPrivateReply(account, 'comment_1', 'Halo kak!')
+
+    expect(result).toEqual({ responseId: 'mid_1', recipientId: 'user_1' })
+    expect(graph.requests[0]).toMatchObject({
+      method: 'POST',
+      path: '/v18.0/ig_123/messages',
+      query: { access_token: 'page_token' },
+      body: {
+        recipient: { comment_id: 'comment_1' },
+        message: { text: 'Halo kak!' }
+      }
+    })
+    expect(rateLimitService.tryAcquire).toHaveBeenCalledWith('ig_123')
+  })
+
+  it('replies to a comment with the message as a query parameter', async () => {
+    graph.respond(200, { id: 'reply_1' })
+
+    const result = await client.replyToComment(account, 'comment_1', 'Cek DM ya')
+
+    expect(result).toEqual({ responseId: 'reply_1' })
+    expect(graph.requests[0]).toMatchObject({
+      method: 'POST',
+      path: '/v18.0/comment_1/replies',
+      query: { message: 'Cek DM ya', access_token: 'page_token' }
+    })
+  })
+
+  it('maps Graph error codes onto activity error codes', async () => {
+    graph.respond(400, {
+      error: {
+        message: 'This message is sent outside of allowed window.',
+        code: 10,
+        error_subcode: 2534022,
+        fbtrace_id: 'trace_1'
+      }
+    })
+
+    const error = await client.sendDirectMessage(account, 'user_1', 'Hi').catch(e => e)
+
+    expect(error).toBeInstanceOf(InstagramApiError)
+    expect(error.code).toBe('MESSAGING_WINDOW_CLOSED')
+    expect(error.isRetryable).toBe(false)
+    expect(error.toActivityError().details).toMatchObject({
+      statusCode: 400,
+      graphCode: 10,
+      graphSubcode: 2534022,
+      fbtraceId: 'trace_1'
+    })
+  })
+
+  it('marks server errors as retryable', async () => {
+    graph.respond(503, {})
+
+    const error = await client.replyToComment(account, 'comment_1', 'Hi').catch(e => e)
+
+    expect(error.code).toBe('API_UNAVAILABLE')
+    expect(error.isRetryable).toBe(true)
+  })
+
+  it('pauses the account when Instagram rate limits the call', async () => {
+    graph.respond(400, { error: { message: 'Application request limit reached', code: 4 } })
+
+    const error = await client.replyToComment(account, 'comment_1', 'Hi').catch(e => e)
+
+    expect(error.code).toBe('RATE_LIMITED')
+    expect(rateLimitService.recordRateLimited).toHaveBeenCalledWith('ig_123')
+    expect(error.retryAfter).toBe(60000)
+  })
+
+  it('passes usage headers to the rate limiter', async () => {
+    graph.respond(200, { id: 'reply_1' }, { 'x-app-usage': '{"call_count":42}' })
+
+    await client.replyToComment(account, 'comment_1', 'Hi')
+
+    expect(rateLimitService.recordUsage).toHaveBeenCalledWith(
+      'ig_123',
+      expect.objectContaining({ 'x-app-usage': '{"call_count":42}' })
+    )
+  })
+
+  it('does not call Instagram when the account budget is exhausted', async () => {
+    rateLimitService.tryAcquire.mockResolvedValueOnce({ allowed: false, retryAfter: 5000 })
+
+    const error = await client.replyToComment(account, 'comment_1', 'Hi').catch(e => e)
+
+    expect(error.code).toBe('BUDGET_EXHAUSTED')
+    expect(error.retryAfter).toBe(5000)
+    expect(graph.requests).toHaveLength(0)
+  })
+
+  it('lists business accounts with their page tokens', async () => {
+    graph.respond(200, {
+      data: [
+        {
+          id: 'page_1',
+          name: 'Toko Satu',
+          access_token: 'page_token_1',
+          instagram_business_account: { id: 'ig_1', username: 'tokosatu' }
+        },
+        { id: 'page_2', name: 'No Instagram', access_token: 'page_token_2' },
+        { id: 'page_3', name: 'No Task', instagram_business_account: { id: 'ig_3', username: 'notask' } }
+      ]
+    })
+
+    const accounts = await client.getBusinessAccounts('user_token')
+
+    expect(accounts).toEqual([{
+      pageId: 'page_1',
+      pageName: 'Toko Satu',
+      accessToken: 'page_token_1',
+      instagramUserId: 'ig_1',
+      username: 'tokosatu'
+    }])
+    expect(graph.requests[0]).toMatchObject({
+      method: 'GET',
+      path: '/v18.0/me/accounts',
+      query: { access_token: 'user_token' }
+    })
+    expect(graph.requests[0].query.fields).toContain('access_token')
+  })
+
+  it('rejects accounts that are not connected', async () => {
+    const error = await client.replyToComment({ ...account, isConnected: false }, 'c', 'Hi').catch(e => e)
+
+    expect(error.code).toBe('ACCOUNT_NOT_CONNECTED')
+    expect(graph.requests).toHaveLength(0)
+  })
+
+  it('reports network failures as retryable', async () => {
+    const offline = new InstagramGraphClient({ baseUrl: 'http://127.0.0.1:1', apiVersion: 'v18.0' })
+
+    const error = await offline.replyToComment(account, 'comment_1', 'Hi').catch(e => e)
+
+    expect(error.code).toBe('NETWORK_ERROR')
+    expect(error.isRetryable).toBe(true)
+  })
+})
@@ -0,0 +1,113 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret'
+
+jest.mock('../../src/models/AccountToken', () => {
+  const tokens = []
+
+  return {
+    tokens,
+    invalidateForUser: jest.fn(async (userId, type) => {
+      tokens
+        .filter(token => token.userId === userId && token.type === type && !token.usedAt)
+        .forEach((token) => { token.usedAt = new Date() })
+    }),
+    create: jest.fn(async (fields) => {
+      tokens.push({ ...fields, usedAt: null })
+    }),
+    consume: jest.fn(async (tokenHash, type) => {
+      const token = tokens.find(t => t.tokenHash === tokenHash && t.type === type && !t.usedAt && t.expiresAt > new Date())
+      if (!token) return null
+
+      token.usedAt = new Date()
+      return token
+    })
+  }
+})
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }))
+jest.mock('../../src/models/Workspace', () => ({ findOne: jest.fn() }))
+jest.mock('../../src/models/InstagramAccount', () => ({ findByInstagramUserId: jest.fn() }))
+jest.mock('../../src/services/InstagramGraphClient', () => ({
+  apiVersion: 'v19.0',
+  getAppCredentials: () => ({ appId: 'app_1' })
+}))
+
+const AccountToken = require('../../src/models/AccountToken')
+const User = require('../../src/models/User')
+const Workspace = require('../../src/models/Workspace')
+const instagramOAuthService = require('../../src/services/InstagramOAuthService')
+
+const { InstagramOAuthError } = instagramOAuthService
+
+const user = { _id: 'user_1', isActive: true }
+const workspace = { _id: 'workspace_1', getRole: () => 'owner' }
+
+const startConnection = async () => {
+  const { authorizationUrl, nonce } = await instagramOAuthService.getAuthorizationUrl(user, workspace)
+  return { state: new URL(authorizationUrl).searchParams.get('state'), nonce }
+}
+
+const rejection = promise => promise.then(() => null, error => error)
+
+describe('InstagramOAuthService state', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    AccountToken.tokens.length = 0
+    User.findById.mockReturnValue({ select: async () => user })
+    Workspace.findOne.mockResolvedValue(workspace)
+  })
+
+  it('keeps the nonce out of the authorization URL', async () => {
+    const { authorizationUrl, nonce } = await instagramOAuthService.getAuthorizationUrl(user, workspace)
+
+    expect(nonce).toEqual(expect.any(String))
+    expect(authorizationUrl).not.toContain(nonce)
+    expect(AccountToken.tokens[0].tokenHash).not.toBe(new URL(authorizationUrl).searchParams.get('state'))
+  })
+
+  it('resolves the user and workspace for the browser that started the connection', async () => {
+    const { state, nonce } = await startConnection()
+
+    await expect(instagramOAuthService.resolveState(state, nonce)).resolves.toEqual({ user, workspace })
+  })
+
+  it.each([
+    ['without the nonce cookie', null],
+    ['with a nonce from another connection', 'someone-elses-nonce']
+  ])('refuses a callback %s', async (_, nonce) => {
+    const { state } = await startConnection()
+
+    const error = await rejection(instagramOAuthService.resolveState(state, nonce))
+
+    expect(error).toBeInstanceOf(InstagramOAuthError)
+    expect(error.code).toBe('STATE_MISMATCH')
+    expect(User.findById).not.toHaveBeenCalledWith('user_1')
+  })
+
+  it('refuses a replayed state', async () => {
+    const { state, nonce } = await startConnection()
+    await instagramOAuthService.resolveState(state, nonce)
+
+    const error = await rejection(instagramOAuthService.resolveState(state, nonce))
+
+    expect(error.code).toBe('INVALID_STATE')
+    expect(error.message).toMatch(/already used/)
+  })
+
+  it('replaces a connection the user left unfinished', async () => {
+    const first = await startConnection()
+    const second = await startConnection()
+
+    expect((await rejection(instagramOAuthService.resolveState(first.state, first.nonce))).code).toBe('INVALID_STATE')
+    await expect(instagramOAuthService.resolveState(second.state, second.nonce)).resolves.toMatchObject({ user })
+  })
+})
+
+describe('InstagramOAuthService.readNonce', () => {
+  it('finds the nonce cookie among others', () => {
+    expect(instagramOAuthService.readNonce('theme=dark; ig_connect_nonce=abc%2Ddef; lang=id')).toBe('abc-def')
+  })
+
+  it('returns null without a Cookie header', () => {
+    expect(instagramOAuthService.readNonce(undefined)).toBeNull()
+    expect(instagramOAuthService.readNonce('theme=dark')).toBeNull()
+  })
+})
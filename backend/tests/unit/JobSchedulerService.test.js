@@ -0,0 +1,148 @@
+jest.mock('../../src/models/JobLock', () => {
+  // One lock document per job name, updated the way the real statics update it
+  const locks = new Map()
+
+  return {
+    locks,
+    acquire: jest.fn(async (name, owner, ttlMs, windowAt = null) => {
+      const now = Date.now()
+      const lock = locks.get(name)
+
+      if (lock && lock.lockedUntil > now) return null
+      if (windowAt && lock?.lastWindowAt && lock.lastWindowAt >= windowAt) return null
+
+      const acquired = { name, owner, lockedUntil: now + ttlMs, lastWindowAt: windowAt || lock?.lastWindowAt || null }
+      locks.set(name, acquired)
+      return acquired
+    }),
+    renew: jest.fn(async () => true),
+    release: jest.fn(async (name, owner) => {
+      const lock = locks.get(name)
+      if (lock && lock.owner === owner) lock.lockedUntil = Date.now()
+    }),
+    findHeld: jest.fn(async () => [...locks.values()].filter(lock => lock.lockedUntil > Date.now()))
+  }
+})
+jest.mock('../../src/models/JobRun', () => ({
+  create: jest.fn(async fields => ({ _id: `run_${fields.jobName}`, startedAt: new Date(), ...fields })),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(async () => ({ modifiedCount: 0 }))
+}))
+
+const JobLock = require('../../src/models/JobLock')
+const JobRun = require('../../src/models/JobRun')
+const jobSchedulerService = require('../../src/services/JobSchedulerService')
+
+// Each PM2 instance has its own scheduler
+const JobSchedulerService = jobSchedulerService.constructor
+
+const WINDOW = new Date('2026-04-01T03:30:00Z')
+
+const finishRun = async scheduler => {
+  await Promise.all([...scheduler.runningJobs.values()].map(item => item.promise))
+}
+
+describe('JobSchedulerService', () => {
+  let first
+  let second
+  let run
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    JobLock.locks.clear()
+    run = jest.fn(async () => ({ refreshed: 2 }))
+
+    first = new JobSchedulerService()
+    second = new JobSchedulerService()
+    first.workerId = 'host-a:1'
+    second.workerId = 'host-b:1'
+
+    const job = { name: 'tokenRefresh', description: 'Refresh tokens', schedule: '30 3 * * *', run }
+    first.registerJob(job)
+    second.registerJob(job)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('runs a scheduled job on only one instance per window', async () => {
+    const results = await Promise.all([
+      first.startJob('tokenRefresh', { windowAt: WINDOW }),
+      second.startJob('tokenRefresh', { windowAt: WINDOW })
+    ])
+
+    expect(results.map(result => result.started)).toEqual([true, false])
+    expect(results[1].reason).toBe('LOCKED')
+
+    await finishRun(first)
+    expect(run).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not run a window again once it finished', async () => {
+    await first.startJob('tokenRefresh', { windowAt: WINDOW })
+    await finishRun(first)
+
+    // A slow instance firing the same tick after the lock was released
+    const late = await second.startJob('tokenRefresh', { windowAt: WINDOW })
+
+    expect(late).toEqual({ started: false, reason: 'LOCKED' })
+    expect(JobLock.locks.get('tokenRefresh').lockedUntil).toBeLessThanOrEqual(Date.now())
+  })
+
+  it('lets a manual run start whenever the job is not running', async () => {
+    await first.startJob('tokenRefresh', { windowAt: WINDOW })
+    await finishRun(first)
+
+    const manual = await second.startJob('tokenRefresh', { trigger: 'MANUAL', triggeredBy: 'admin_1' })
+    await finishRun(second)
+
+    expect(manual.started).toBe(true)
+    expect(JobRun.create).toHaveBeenLastCalledWith(expect.objectContaining({ trigger: 'MANUAL', triggeredBy: 'admin_1', workerId: 'host-b:1' }))
+  })
+
+  it('records the result of a run in the job history', async () => {
+    await first.startJob('tokenRefresh')
+    await finishRun(first)
+
+    const [filter, update] = JobRun.updateOne.mock.calls[0]
+    expect(filter).toEqual({ _id: 'run_tokenRefresh', status: 'RUNNING' })
+    expect(update.$set).toMatchObject({ status: 'SUCCESS', result: { refreshed: 2 }, durationMs: expect.any(Number) })
+  })
+
+  it('records a failed run with its error code', async () => {
+    run.mockRejectedValueOnce(Object.assign(new Error('Graph API down'), { code: 503 }))
+
+    await first.startJob('tokenRefresh')
+    await finishRun(first)
+
+    expect(JobRun.updateOne.mock.calls[0][1].$set).toMatchObject({
+      status: 'FAILED',
+      error: { message: 'Graph API down', code: '503' }
+    })
+  })
+
+  it('reports unknown jobs', async () => {
+    await expect(first.startJob('nope')).resolves.toEqual({ started: false, reason: 'NOT_FOUND' })
+  })
+
+  it('only fails interrupted runs of jobs whose lock is no longer held', async () => {
+    JobLock.locks.set('postSync', { name: 'postSync', owner: 'host-c:9', lockedUntil: Date.now() + 60000 })
+
+    await first.recoverInterruptedRuns()
+
+    expect(JobRun.updateMany).toHaveBeenCalledWith(
+      { jobName: { $nin: ['postSync'] }, status: 'RUNNING' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'FAILED' }) })
+    )
+  })
+
+  it.each([
+    ['30 3 * * *', '2026-04-01T03:30:00.000Z'],
+    ['*/10 * * * * *', '2026-04-01T03:30:41.000Z']
+  ])('truncates the window of %s to its smallest unit', (schedule, expected) => {
+    jest.spyOn(Date, 'now').mockReturnValueOnce(new Date('2026-04-01T03:30:41.734Z').getTime())
+
+    expect(first.getWindowStart({ schedule }).toISOString()).toBe(expected)
+  })
+})
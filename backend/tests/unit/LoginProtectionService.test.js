@@ -0,0 +1,168 @@
+jest.mock('../../src/models/User', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  findByCredentials: jest.fn()
+}))
+
+const User = require('../../src/models/User')
+const loginProtectionService = require('../../src/services/LoginProtectionService')
+
+const { LoginProtectionError } = loginProtectionService
+
+const NOW = new Date('2026-01-01T00:00:00Z').getTime()
+const MINUTE = 60 * 1000
+
+// Applies the lockout.* updates the service sends
+const applyUpdate = (record, update) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => {
+    record.lockout[path.split('.')[1]] = value
+  })
+  Object.entries(update.$inc || {}).forEach(([path, value]) => {
+    record.lockout[path.split('.')[1]] += value
+  })
+  Object.keys(update.$unset || {}).forEach((path) => {
+    delete record.lockout[path.split('.')[1]]
+  })
+}
+
+describe('LoginProtectionService', () => {
+  let stored
+
+  const copy = () => ({ ...stored, lockout: { ...stored.lockout } })
+
+  const failLogins = async (count) => {
+    const results = []
+    for (let i = 0; i < count; i++) {
+      results.push(await loginProtectionService.authenticate('Owner@Example.com', 'wrong').catch(e => e))
+    }
+    return results
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    jest.useFakeTimers({ now: NOW })
+    loginProtectionService.recentFailures = []
+    loginProtectionService.alertedAt.clear()
+
+    stored = {
+      _id: 'user_1',
+      email: 'owner@example.com',
+      isActive: true,
+      lockout: { failedAttempts: 0, lockCount: 0 }
+    }
+
+    // Query fakes that behave like MongoDB against the single stored user
+    User.findOne.mockImplementation(filter => ({
+      select: async () => {
+        const lockUntil = stored.lockout.lockUntil
+        const matches = filter.email === stored.email && lockUntil && lockUntil > filter['lockout.lockUntil'].$gt
+        return matches ? copy() : null
+      }
+    }))
+    User.findOneAndUpdate.mockImplementation((filter, update) => ({
+      select: async () => {
+        if (filter.email !== stored.email || !stored.isActive) return null
+
+        applyUpdate(stored, update)
+        return copy()
+      }
+    }))
+    User.updateOne.mockImplementation(async (filter, update) => {
+      const minimum = filter['lockout.failedAttempts']?.$gte
+      if (minimum !== undefined && stored.lockout.failedAttempts < minimum) return { modifiedCount: 0 }
+
+      applyUpdate(stored, update)
+      return { modifiedCount: 1 }
+    })
+    User.findByCredentials.mockImplementation(async (email, password) => {
+      if (password !== 'correct') throw new Error('Invalid login credentials')
+      return copy()
+    })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('locks the account at the failed attempt limit', async () => {
+    const results = await failLogins(5)
+
+    expect(results.every(error => error.message === 'Invalid login credentials')).toBe(true)
+    expect(stored.lockout).toMatchObject({ failedAttempts: 0, lockCount: 1 })
+    expect(stored.lockout.lockUntil).toEqual(new Date(NOW + 15 * MINUTE))
+  })
+
+  it('refuses a locked account before checking the password', async () => {
+    await failLogins(5)
+    User.findByCredentials.mockClear()
+
+    const error = await loginProtectionService.authenticate('owner@example.com', 'correct').catch(e => e)
+
+    expect(error).toBeInstanceOf(LoginProtectionError)
+    expect(error.code).toBe('ACCOUNT_LOCKED')
+    expect(error.message).toContain('Try again in 15 minutes')
+    expect(User.findByCredentials).not.toHaveBeenCalled()
+  })
+
+  it('accepts the password again once the lock expires', async () => {
+    await failLogins(5)
+    jest.setSystemTime(NOW + 15 * MINUTE + 1)
+
+    const user = await loginProtectionService.authenticate('owner@example.com', 'correct')
+
+    expect(user.email).toBe('owner@example.com')
+  })
+
+  it('doubles each lockout since the last successful login, up to the maximum', async () => {
+    await failLogins(5)
+    jest.setSystemTime(NOW + 16 * MINUTE)
+    await failLogins(5)
+
+    expect(stored.lockout.lockCount).toBe(2)
+    expect(stored.lockout.lockUntil).toEqual(new Date(NOW + 16 * MINUTE + 30 * MINUTE))
+    expect(loginProtectionService.getLockoutMinutes(10)).toBe(1440)
+  })
+
+  it('resets the lockout progression after a completed login', async () => {
+    await failLogins(5)
+    jest.setSystemTime(NOW + 16 * MINUTE)
+    await failLogins(2)
+
+    await loginProtectionService.recordSuccess(copy())
+
+    expect(stored.lockout).toMatchObject({ failedAttempts: 0, lockCount: 0 })
+    expect(stored.lockout.lockUntil).toBeUndefined()
+  })
+
+  it('locks only once when failures at the limit arrive concurrently', async () => {
+    stored.lockout.failedAttempts = 4
+
+    const locks = await Promise.all([
+      loginProtectionService.recordFailure('owner@example.com'),
+      loginProtectionService.recordFailure('owner@example.com')
+    ])
+
+    expect(locks.filter(Boolean)).toHaveLength(1)
+    expect(stored.lockout.lockCount).toBe(1)
+  })
+
+  it('tracks failures for unknown emails without locking anything', async () => {
+    const lockUntil = await loginProtectionService.recordFailure('nobody@example.com', { ipAddress: '10.0.0.1' })
+
+    expect(lockUntil).toBeNull()
+    expect(loginProtectionService.recentFailures).toHaveLength(1)
+    expect(User.updateOne).not.toHaveBeenCalled()
+  })
+
+  it('raises an alert when one IP fails logins for many accounts', async () => {
+    const raiseAlert = jest.spyOn(loginProtectionService, 'raiseAlert')
+
+    for (let i = 0; i < 12; i++) {
+      await loginProtectionService.recordFailure(`user${i}@example.com`, { ipAddress: '10.0.0.9' })
+    }
+
+    expect(raiseAlert).toHaveBeenCalledWith('ip:10.0.0.9', expect.stringContaining('10 different accounts'))
+    raiseAlert.mockRestore()
+  })
+})
@@ -0,0 +1,39 @@
+const mailerService = require('../../src/services/MailerService')
+
+describe('MailerService', () => {
+  const env = { ...process.env }
+
+  afterEach(() => {
+    process.env = { ...env }
+  })
+
+  it('falls back to the console transport outside production', () => {
+    delete process.env.MAIL_TRANSPORT
+    process.env.NODE_ENV = 'development'
+
+    expect(mailerService.getTransport()).toBe(mailerService.transports.get('console'))
+  })
+
+  it('refuses to send account emails in production without a transport', async () => {
+    delete process.env.MAIL_TRANSPORT
+    process.env.NODE_ENV = 'production'
+
+    await expect(mailerService.send({
+      to: 'owner@example.com',
+      subject: 'Reset your Tanggapin password',
+      text: 'https://app.example.com/reset-password?token=secret'
+    })).rejects.toThrow('MAIL_TRANSPORT is not configured')
+  })
+
+  it('sends through the configured transport in production', async () => {
+    const send = jest.fn(async () => ({ transport: 'test' }))
+    mailerService.registerTransport('test', { send })
+    process.env.MAIL_TRANSPORT = 'test'
+    process.env.NODE_ENV = 'production'
+
+    const result = await mailerService.send({ to: 'owner@example.com', subject: 'Hi', text: 'Hello' })
+
+    expect(result).toEqual({ transport: 'test' })
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'owner@example.com', subject: 'Hi' }))
+  })
+})
@@ -0,0 +1,141 @@
+jest.mock('../../src/models/Post', () => ({
+  findOne: jest.fn(async () => null),
+  create: jest.fn(async () => ({})),
+  updateOne: jest.fn(async () => ({ modifiedCount: 0 })),
+  updateMany: jest.fn(async () => ({ modifiedCount: 0 }))
+}))
+jest.mock('../../src/models/InstagramAccount', () => ({ updateOne: jest.fn() }))
+jest.mock('../../src/services/InstagramGraphClient', () => ({ getMedia: jest.fn() }))
+
+const mongoose = require('mongoose')
+const Post = require('../../src/models/Post')
+const InstagramAccount = require('../../src/models/InstagramAccount')
+const instagramGraphClient = require('../../src/services/InstagramGraphClient')
+const postSyncService = require('../../src/services/PostSyncService')
+
+const media = id => ({
+  id,
+  media_type: 'IMAGE',
+  media_url: `https://cdn.example.com/${id}.jpg`,
+  permalink: `https://instagram.com/p/${id}`,
+  timestamp: '2026-01-01T00:00:00Z'
+})
+
+const page = (ids, nextCursor = null) => ({ media: ids.map(media), nextCursor })
+
+const accountUpdate = () => InstagramAccount.updateOne.mock.calls[0][1]
+
+describe('PostSyncService.syncAccountPosts', () => {
+  const originalMaxPages = postSyncService.maxPages
+  let account
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    postSyncService.maxPages = 2
+    account = { _id: 'account_1', userId: 'user_1', workspaceId: 'workspace_1', username: 'toko' }
+  })
+
+  afterAll(() => {
+    postSyncService.maxPages = originalMaxPages
+  })
+
+  it('stops at the page limit and saves the cursor without archiving anything', async () => {
+    instagramGraphClient.getMedia
+      .mockResolvedValueOnce(page(['m1'], 'c1'))
+      .mockResolvedValueOnce(page(['m2'], 'c2'))
+
+    const result = await postSyncService.syncAccountPosts(account)
+
+    expect(result).toMatchObject({ completed: false, partial: true, newPosts: 2, errors: [] })
+    expect(Post.updateMany).not.toHaveBeenCalled()
+    expect(accountUpdate()).toEqual({ $set: { syncCursor: 'c2', syncStartedAt: expect.any(Date) } })
+  })
+
+  it('resumes from the saved cursor and archives what the whole pass did not see', async () => {
+    const passStartedAt = new Date('2026-01-01T10:00:00Z')
+    Object.assign(account, { syncCursor: 'c2', syncStartedAt: passStartedAt })
+    instagramGraphClient.getMedia.mockResolvedValueOnce(page(['m3']))
+
+    const result = await postSyncService.syncAccountPosts(account)
+
+    expect(instagramGraphClient.getMedia).toHaveBeenCalledWith(account, { after: 'c2', limit: 50 })
+    expect(result).toMatchObject({ completed: true, partial: false })
+
+    // Posts synced since the first run of the pass were seen, including ones that failed
+    const [archiveFilter] = Post.updateMany.mock.calls[0]
+    expect(archiveFilter).toEqual({
+      accountId: 'account_1',
+      status: { $ne: 'ARCHIVED' },
+      lastSyncAt: { $not: { $gte: passStartedAt } },
+      'syncError.timestamp': { $not: { $gte: passStartedAt } }
+    })
+    expect(accountUpdate()).toEqual({
+      $set: { lastSyncAt: expect.any(Date) },
+      $unset: { syncCursor: 1, syncStartedAt: 1 }
+    })
+  })
+
+  it('starts a failed pass over on the next sync', async () => {
+    Object.assign(account, { syncCursor: 'c2', syncStartedAt: new Date('2026-01-01T10:00:00Z') })
+    instagramGraphClient.getMedia.mockRejectedValueOnce(Object.assign(new Error('Invalid cursor'), { code: 'GRAPH_ERROR' }))
+
+    const result = await postSyncService.syncAccountPosts(account)
+
+    expect(result).toMatchObject({ completed: false, partial: false })
+    expect(result.errors[0]).toMatchObject({ code: 'GRAPH_ERROR' })
+    expect(accountUpdate().$unset).toEqual({ syncCursor: 1, syncStartedAt: 1 })
+  })
+})
+
+describe('PostSyncService.upsertMedia', () => {
+  const workspaceId = new mongoose.Types.ObjectId()
+  const account = { _id: 'account_1', userId: 'user_1', workspaceId }
+  let result
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    result = { syncedPosts: 0, newPosts: 0, updatedPosts: 0, errors: [] }
+  })
+
+  it('brings archived media that reappears back without automation', async () => {
+    const post = { workspaceId, status: 'ARCHIVED', set: jest.fn(), save: jest.fn() }
+    Post.findOne.mockResolvedValueOnce(post)
+
+    await postSyncService.upsertMedia(account, media('m1'), result)
+
+    expect(post.status).toBe('INACTIVE')
+    expect(post.save).toHaveBeenCalled()
+    expect(result).toMatchObject({ updatedPosts: 1, syncedPosts: 1 })
+  })
+
+  it('refuses media already linked to another workspace', async () => {
+    Post.findOne.mockResolvedValueOnce({ workspaceId: new mongoose.Types.ObjectId(), set: jest.fn(), save: jest.fn() })
+
+    await postSyncService.upsertMedia(account, media('m1'), result)
+
+    expect(result.syncedPosts).toBe(0)
+    expect(result.errors).toEqual([
+      { instagramPostId: 'm1', code: 'SYNC_FAILED', error: 'Media is already linked to another workspace' }
+    ])
+    expect(Post.updateOne.mock.calls[0][1].$set.syncError).toMatchObject({ code: 'SYNC_FAILED' })
+  })
+})
+
+describe('PostSyncService.mapMedia', () => {
+  it('stores reels as REEL with the video thumbnail', () => {
+    const fields = postSyncService.mapMedia({
+      ...media('r1'),
+      media_type: 'VIDEO',
+      media_product_type: 'REELS',
+      thumbnail_url: 'https://cdn.example.com/r1-thumb.jpg'
+    })
+
+    expect(fields).toMatchObject({
+      instagramPostId: 'r1',
+      postType: 'REEL',
+      caption: '',
+      thumbnailUrl: 'https://cdn.example.com/r1-thumb.jpg',
+      timestamp: new Date('2026-01-01T00:00:00Z')
+    })
+  })
+})
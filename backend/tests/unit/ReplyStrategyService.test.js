@@ -0,0 +1,217 @@
+jest.mock('../../src/models/Activity', () => ({
+  findOneAndUpdate: jest.fn(async (filter, update) => ({ _id: `activity_${filter.type}`, ...update.$set }))
+}))
+
+jest.mock('../../src/services/InstagramGraphClient', () => {
+  const { InstagramApiError } = jest.requireActual('../../src/services/InstagramGraphClient')
+
+  return {
+    InstagramApiError,
+    replyToComment: jest.fn(),
+    sendPrivateReply: jest.fn(),
+    sendDirectMessage: jest.fn()
+  }
+})
+
+const Activity = require('../../src/models/Activity')
+const instagramGraphClient = require('../../src/services/InstagramGraphClient')
+const replyStrategyService = require('../../src/services/ReplyStrategyService')
+
+const { InstagramApiError } = instagramGraphClient
+
+const buildContext = (overrides = {}) => ({
+  event: {
+    type: 'comment',
+    commentId: 'comment_1',
+    fromUserId: 'user_1',
+    fromUsername: 'pembeli',
+    text: 'harga?'
+  },
+  post: {
+    _id: 'post_1',
+    userId: 'owner_1',
+    automationSettings: { replyMode: 'BOTH' },
+    incrementReplyCounter: jest.fn()
+  },
+  keyword: {
+    _id: 'keyword_1',
+    keyword: 'harga',
+    settings: { matchType: 'CONTAINS' },
+    incrementMatch: jest.fn()
+  },
+  match: {
+    matchedTerm: 'harga',
+    responseData: {
+      dmMessage: 'Harganya 100rb kak',
+      fallbackComment: 'Cek DM ya kak',
+      productLink: null
+    }
+  },
+  account: { instagramUserId: 'ig_1', accessToken: 'token', isConnected: true },
+  parentActivity: { _id: 'parent_1' },
+  ...overrides
+})
+
+const windowClosed = () => new InstagramApiError('Outside messaging window', {
+  code: 'MESSAGING_WINDOW_CLOSED'
+})
+
+const unavailable = () => new InstagramApiError('Service unavailable', {
+  code: 'API_UNAVAILABLE',
+  isRetryable: true
+})
+
+describe('ReplyStrategyService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('sends only the DM in BOTH mode when the DM succeeds', async () => {
+    instagramGraphClient.sendPrivateReply.mockResolvedValue({ responseId: 'mid_1' })
+
+    const outcome = await replyStrategyService.execute(buildContext())
+
+    expect(outcome.status).toBe('SUCCESS')
+    expect(outcome.steps.map(step => step.step)).toEqual(['DM'])
+    expect(instagramGraphClient.replyToComment).not.toHaveBeenCalled()
+  })
+
+  it('posts the fallback comment after the DM fails in BOTH mode', async () => {
+    instagramGraphClient.sendPrivateReply.mockRejectedValue(windowClosed())
+    instagramGraphClient.replyToComment.mockResolvedValue({ responseId: 'reply_1' })
+
+    const context = buildContext()
+    const outcome = await replyStrategyService.execute(context)
+
+    expect(outcome.status).toBe('FALLBACK')
+    expect(outcome.fallbackReason).toBe('MESSAGING_WINDOW_CLOSED')
+    expect(outcome.steps.map(step => [step.step, step.success])).toEqual([
+      ['DM', false],
+      ['FALLBACK_COMMENT', true]
+    ])
+    expect(instagramGraphClient.replyToComment).toHaveBeenCalledWith(
+      context.account,
+      'comment_1',
+      'Cek DM ya kak',
+      expect.anything()
+    )
+    expect(context.post.incrementReplyCounter).toHaveBeenCalledWith('fallback')
+  })
+
+  it('never sends a DM in COMMENTS_ONLY mode', async () => {
+    instagramGraphClient.replyToComment.mockResolvedValue({ responseId: 'reply_1' })
+
+    const context = buildContext()
+    context.post.automationSettings.replyMode = 'COMMENTS_ONLY'
+    const outcome = await replyStrategyService.execute(context)
+
+    expect(outcome.status).toBe('SUCCESS')
+    expect(outcome.steps.map(step => step.step)).toEqual(['COMMENT'])
+    expect(instagramGraphClient.sendPrivateReply).not.toHaveBeenCalled()
+  })
+
+  it('falls back to the DM text when a keyword has no comment of its own', async () => {
+    instagramGraphClient.replyToComment.mockResolvedValue({ responseId: 'reply_1' })
+
+    const context = buildContext()
+    context.post.automationSettings.replyMode = 'COMMENTS_ONLY'
+    context.match.responseData.fallbackComment = undefined
+    await replyStrategyService.execute(context)
+
+    expect(instagramGraphClient.replyToComment).toHaveBeenCalledWith(
+      context.account,
+      'comment_1',
+      'Harganya 100rb kak',
+      expect.anything()
+    )
+  })
+
+  it('skips a step that has no reply text', async () => {
+    const context = buildContext()
+    context.post.automationSettings.replyMode = 'COMMENTS_ONLY'
+    context.match.responseData = { dmMessage: '', fallbackComment: ' ' }
+    const outcome = await replyStrategyService.execute(context)
+
+    expect(outcome.status).toBe('FAILED')
+    expect(outcome.response.error).toBe('NO_REPLY_MESSAGE')
+    expect(instagramGraphClient.replyToComment).not.toHaveBeenCalled()
+  })
+
+  it('does not post a fallback comment in DMS_ONLY mode', async () => {
+    instagramGraphClient.sendPrivateReply.mockRejectedValue(windowClosed())
+
+    const context = buildContext()
+    context.post.automationSettings.replyMode = 'DMS_ONLY'
+    const outcome = await replyStrategyService.execute(context)
+
+    expect(outcome.status).toBe('FAILED')
+    expect(outcome.steps.map(step => step.step)).toEqual(['DM'])
+    expect(instagramGraphClient.replyToComment).not.toHaveBeenCalled()
+  })
+
+  it('hands transient failures back to the queue while retries remain', async () => {
+    instagramGraphClient.sendPrivateReply.mockRejectedValue(unavailable())
+
+    const outcome = await replyStrategyService.execute(buildContext({
+      job: { attempt: 1, maxRetries: 3 }
+    }))
+
+    expect(outcome.status).toBe('RETRY')
+    expect(instagramGraphClient.sendPrivateReply).toHaveBeenCalledTimes(1)
+    expect(instagramGraphClient.replyToComment).not.toHaveBeenCalled()
+  })
+
+  it('falls back on the last attempt after transient DM failures', async () => {
+    instagramGraphClient.sendPrivateReply.mockRejectedValue(unavailable())
+    instagramGraphClient.replyToComment.mockResolvedValue({ responseId: 'reply_1' })
+
+    const outcome = await replyStrategyService.execute(buildContext({
+      job: { attempt: 4, maxRetries: 3 }
+    }))
+
+    expect(outcome.status).toBe('FALLBACK')
+  })
+
+  it('sends nothing once the queue has cancelled the attempt', async () => {
+    const abortController = new AbortController()
+    abortController.abort(new Error('Event processing timeout'))
+
+    await expect(replyStrategyService.execute(buildContext({
+      job: { attempt: 1, maxRetries: 3, signal: abortController.signal }
+    }))).rejects.toThrow('Event processing timeout')
+
+    expect(instagramGraphClient.sendPrivateReply).not.toHaveBeenCalled()
+  })
+
+  it('does not let the queue retry a send cut off by cancellation', async () => {
+    const abortController = new AbortController()
+    instagramGraphClient.sendPrivateReply.mockImplementation(async () => {
+      abortController.abort(new Error('Event processing timeout'))
+      throw new InstagramApiError('cancelled', { code: 'ABORTED' })
+    })
+
+    const error = await replyStrategyService.execute(buildContext({
+      job: { attempt: 1, maxRetries: 3, signal: abortController.signal }
+    })).catch(e => e)
+
+    expect(error.isRetryable).toBe(false)
+    expect(instagramGraphClient.replyToComment).not.toHaveBeenCalled()
+  })
+
+  it('records each step on the activity keyed like the unique indexes', async () => {
+    instagramGraphClient.sendPrivateReply.mockResolvedValue({ responseId: 'mid_1' })
+
+    await replyStrategyService.execute(buildContext())
+
+    expect(Activity.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        type: 'DM_SENT',
+        isDuplicate: false,
+        'instagramData.commentId': 'comment_1',
+        'instagramData.fromUserId': 'user_1'
+      },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'SUCCESS', parentActivityId: 'parent_1' }) }),
+      expect.objectContaining({ upsert: true })
+    )
+  })
+})
@@ -0,0 +1,164 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret'
+
+// In-memory Session collection: documents are copies, so a stale read races like a real one
+jest.mock('../../src/models/Session', () => {
+  const mongoose = jest.requireActual('mongoose')
+  const store = new Map()
+
+  const toDocument = (record) => ({
+    ...record,
+    async revoke(reason) {
+      Object.assign(store.get(String(record._id)), { revokedAt: new Date(), revokedReason: reason })
+      return this
+    }
+  })
+
+  return {
+    store,
+    create: jest.fn(async (fields) => {
+      const record = { _id: new mongoose.Types.ObjectId(), revokedAt: null, ...fields }
+      store.set(String(record._id), record)
+      return toDocument(record)
+    }),
+    findById: jest.fn((id) => ({
+      select: async () => (store.has(String(id)) ? toDocument(store.get(String(id))) : null)
+    })),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const record = store.get(String(filter._id))
+
+      if (!record || record.tokenHash !== filter.tokenHash || record.revokedAt) return null
+
+      Object.assign(record, update.$set)
+      return toDocument(record)
+    }),
+    findOne: jest.fn(async (filter) => {
+      const record = store.get(String(filter._id))
+
+      if (!record || record.revokedAt || record.tokenHash !== filter.tokenHash ||
+        record.previousTokenHash !== filter.previousTokenHash || !(record.rotatedAt > filter.rotatedAt.$gt)) return null
+
+      return toDocument(record)
+    })
+  }
+})
+
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn()
+}))
+
+const Session = require('../../src/models/Session')
+const User = require('../../src/models/User')
+const { generateToken } = require('../../src/utils/jwt')
+const sessionService = require('../../src/services/SessionService')
+
+const { SessionError } = sessionService
+
+const buildUser = (overrides = {}) => ({
+  _id: 'user_1',
+  isActive: true,
+  generateAuthToken: sessionId => generateToken({ sub: 'user_1', sid: String(sessionId) }, '15m'),
+  ...overrides
+})
+
+const storedSession = refreshToken => Session.store.get(refreshToken.split('.')[0])
+
+describe('SessionService', () => {
+  let user
+
+  beforeEach(() => {
+    Session.store.clear()
+    jest.clearAllMocks()
+    user = buildUser()
+    User.findById.mockResolvedValue(user)
+  })
+
+  it('rotates the refresh token on every use', async () => {
+    const { refreshToken: first } = await sessionService.createSession(user)
+
+    const second = await sessionService.refresh(first, { ipAddress: '10.0.0.2' })
+    const third = await sessionService.refresh(second.refreshToken)
+
+    expect(second.refreshToken).not.toBe(first)
+    expect(second.refreshToken.split('.')[0]).toBe(first.split('.')[0])
+    expect(third.refreshToken).not.toBe(second.refreshToken)
+    expect(third.token).toEqual(expect.any(String))
+    expect(storedSession(first).ipAddress).toBe('10.0.0.2')
+    expect(storedSession(first).tokenHash).toBe(sessionService.hashSecret(third.refreshToken.split('.')[1]))
+  })
+
+  it('revokes the session when a rotated-away token is presented again after the grace window', async () => {
+    const { refreshToken: first } = await sessionService.createSession(user)
+    const { refreshToken: second } = await sessionService.refresh(first)
+    storedSession(first).rotatedAt = new Date(Date.now() - (sessionService.reuseGraceSeconds + 1) * 1000)
+
+    const reuse = await sessionService.refresh(first).catch(e => e)
+
+    expect(reuse).toBeInstanceOf(SessionError)
+    expect(reuse.code).toBe('TOKEN_REUSED')
+    expect(storedSession(first).revokedReason).toBe('REUSE_DETECTED')
+
+    // The thief's rotation also kills the legitimate holder's token
+    const afterReuse = await sessionService.refresh(second).catch(e => e)
+
+    expect(afterReuse.code).toBe('SESSION_REVOKED')
+  })
+
+  it('gives two concurrent refreshes with the same token the same new refresh token', async () => {
+    const { refreshToken } = await sessionService.createSession(user)
+
+    const [first, second] = await Promise.all([
+      sessionService.refresh(refreshToken),
+      sessionService.refresh(refreshToken)
+    ])
+
+    expect(second.refreshToken).toBe(first.refreshToken)
+    expect(second.token).toEqual(expect.any(String))
+    expect(Session.findOneAndUpdate).toHaveBeenCalledTimes(2)
+    expect(storedSession(refreshToken).revokedAt).toBeNull()
+
+    // Whichever pair the tabs stored, the session keeps rotating
+    const next = await sessionService.refresh(second.refreshToken)
+    expect(next.refreshToken).not.toBe(first.refreshToken)
+  })
+
+  it('still revokes within the grace window for a token two rotations old', async () => {
+    const { refreshToken: first } = await sessionService.createSession(user)
+    const { refreshToken: second } = await sessionService.refresh(first)
+    await sessionService.refresh(second)
+
+    const reuse = await sessionService.refresh(first).catch(e => e)
+
+    expect(reuse.code).toBe('TOKEN_REUSED')
+    expect(storedSession(first).revokedReason).toBe('REUSE_DETECTED')
+  })
+
+  it('rejects malformed and unknown refresh tokens', async () => {
+    const malformed = await sessionService.refresh('not-a-token').catch(e => e)
+    const badId = await sessionService.refresh('abc.secret').catch(e => e)
+    const unknown = await sessionService.refresh('507f1f77bcf86cd799439011.secret').catch(e => e)
+
+    expect(malformed.code).toBe('INVALID_REFRESH_TOKEN')
+    expect(badId.code).toBe('INVALID_REFRESH_TOKEN')
+    expect(unknown.code).toBe('INVALID_REFRESH_TOKEN')
+  })
+
+  it('rejects expired sessions without rotating them', async () => {
+    const { refreshToken } = await sessionService.createSession(user)
+    storedSession(refreshToken).expiresAt = new Date(Date.now() - 1000)
+
+    const error = await sessionService.refresh(refreshToken).catch(e => e)
+
+    expect(error.code).toBe('SESSION_EXPIRED')
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled()
+  })
+
+  it('revokes the session of a deactivated user', async () => {
+    const { refreshToken } = await sessionService.createSession(user)
+    User.findById.mockResolvedValue(buildUser({ isActive: false }))
+
+    const error = await sessionService.refresh(refreshToken).catch(e => e)
+
+    expect(error.code).toBe('SESSION_REVOKED')
+    expect(storedSession(refreshToken).revokedReason).toBe('USER_INACTIVE')
+  })
+})
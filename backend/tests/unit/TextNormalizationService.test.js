@@ -0,0 +1,89 @@
+const textNormalizationService = require('../../src/services/TextNormalizationService')
+
+const settingsWith = normalization => textNormalizationService.resolveSettings({ settings: { normalization } })
+
+describe('TextNormalizationService', () => {
+  describe('normalize', () => {
+    it.each([
+      ['hargaaa 😍', 'harga'],
+      ['👍🏽 mau', 'mau'],
+      ['🇮🇩 kirim', 'kirim'],
+      ['1️⃣ ready ❤️', '1 ready'],
+      ['👨‍👩‍👧 kirim', 'kirim']
+    ])('strips emoji with their modifiers and joiners from %j', (text, expected) => {
+      expect(textNormalizationService.normalize(text)).toBe(expected)
+    })
+
+    it('expands slang, keeping an attached possessive', () => {
+      expect(textNormalizationService.normalize('Brp hrgnya kak??')).toBe('berapa harganya kakak')
+    })
+
+    it('collapses stretched letters but keeps doubles and digits', () => {
+      expect(textNormalizationService.normalize('brpp hargaaa 1000, maaf!!')).toBe('berapa harga 1000 maaf')
+    })
+
+    it.each([
+      ['ada ukuran xxxl?', 'ada ukuran xxxl'],
+      ['xxl ready kak', 'xxl ready kakak'],
+      ['size XXXS habis', 'ukuran xxxs habis']
+    ])('keeps clothing sizes apart in %j', (text, expected) => {
+      expect(textNormalizationService.normalize(text)).toBe(expected)
+      expect(textNormalizationService.normalize(text)).not.toMatch(/\bxl\b|\bxs\b/)
+    })
+
+    it('keeps repeated letters in model codes with digits', () => {
+      expect(textNormalizationService.normalize('baterai AAA3 atau aa2')).toBe('baterai aaa3 atau aa2')
+      expect(textNormalizationService.normalize('tipe zzz100 ready')).toBe('tipe zzz100 ready')
+    })
+
+    it('returns an empty string for empty input', () => {
+      expect(textNormalizationService.normalize('')).toBe('')
+      expect(textNormalizationService.normalize(null)).toBe('')
+    })
+
+    it('only lowercases when normalization is disabled', () => {
+      expect(textNormalizationService.normalize('  HARGA?? 😍 ', settingsWith({ isEnabled: false }))).toBe('harga?? 😍')
+    })
+
+    it('leaves slang alone when expansion is off', () => {
+      expect(textNormalizationService.normalize('hrgnya', settingsWith({ expandSlang: false }))).toBe('hrgnya')
+    })
+
+    it("applies the owner's own slang entries", () => {
+      const settings = settingsWith({ customSlang: [{ term: 'PL', replacement: 'Price List' }] })
+
+      expect(textNormalizationService.normalize('minta pl dong', settings)).toBe('minta price list dong')
+      expect(textNormalizationService.normalize('minta pl dong')).toBe('minta pl dong')
+    })
+
+    it('stems words only when stemming is enabled', () => {
+      expect(textNormalizationService.normalize('Pengirimannya kapan?')).toBe('pengirimannya kapan')
+      expect(textNormalizationService.normalize('Pengirimannya kapan?', settingsWith({ stemming: true }))).toBe('kirim kapan')
+    })
+  })
+
+  describe('stem', () => {
+    it.each([
+      ['pengirimannya', 'kirim'],
+      ['dibelikan', 'beli'],
+      ['membeli', 'beli'],
+      ['memperbaiki', 'baik'],
+      ['pembayaran', 'bayar'],
+      ['harganya', 'harga'],
+      ['kapan', 'kapan'],
+      ['minta', 'minta'],
+      ['12345', '12345']
+    ])('reduces %s to %s', (word, root) => {
+      expect(textNormalizationService.stem(word)).toBe(root)
+    })
+  })
+
+  describe('getSettingsForPost', () => {
+    it('falls back to the defaults for an invalid post ID', async () => {
+      const settings = await textNormalizationService.getSettingsForPost('not-an-id')
+
+      expect(settings).toBe(textNormalizationService.defaultSettings)
+      expect(settings.stemming).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,156 @@
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}))
+
+const User = require('../../src/models/User')
+const totp = require('../../src/utils/totp')
+const twoFactorService = require('../../src/services/TwoFactorService')
+
+const { TwoFactorError } = twoFactorService
+
+const NOW = 1700000000000
+
+// Array with the Mongoose `pull` the service uses on the loaded document
+const withPull = (items) => Object.assign(items, {
+  pull(value) {
+    this.splice(this.indexOf(value), 1)
+  }
+})
+
+describe('TwoFactorService', () => {
+  let secret
+  let stored
+  let user
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    jest.spyOn(Date, 'now').mockReturnValue(NOW)
+
+    secret = totp.generateSecret()
+    stored = {
+      lastUsedStep: null,
+      backupCodes: [twoFactorService.hashBackupCode('abcde-12345')]
+    }
+    user = {
+      _id: 'user_1',
+      email: 'owner@example.com',
+      twoFactor: {
+        isEnabled: true,
+        secret,
+        lastUsedStep: null,
+        backupCodes: withPull([...stored.backupCodes])
+      },
+      save: jest.fn()
+    }
+
+    // Applies the conditional updates the way MongoDB would against the stored user
+    User.updateOne.mockImplementation(async (filter, update) => {
+      if (filter.$or) {
+        const step = update.$set['twoFactor.lastUsedStep']
+        if (stored.lastUsedStep !== null && stored.lastUsedStep >= step) return { modifiedCount: 0 }
+
+        stored.lastUsedStep = step
+        return { modifiedCount: 1 }
+      }
+
+      const hash = filter['twoFactor.backupCodes']
+      if (!stored.backupCodes.includes(hash)) return { modifiedCount: 0 }
+
+      stored.backupCodes = stored.backupCodes.filter(item => item !== hash)
+      return { modifiedCount: 1 }
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('accepts the current authenticator code and records its step', async () => {
+    const result = await twoFactorService.verify(user, totp.generateCode(secret))
+
+    expect(result).toEqual({ method: 'totp', backupCodesRemaining: 1 })
+    expect(stored.lastUsedStep).toBe(totp.getTimeStep(NOW))
+    expect(user.twoFactor.lastUsedStep).toBe(totp.getTimeStep(NOW))
+  })
+
+  it('rejects a code that was already used', async () => {
+    const code = totp.generateCode(secret)
+    await twoFactorService.verify(user, code)
+
+    const replay = await twoFactorService.verify(user, code).catch(e => e)
+
+    expect(replay).toBeInstanceOf(TwoFactorError)
+    expect(replay.code).toBe('INVALID_CODE')
+  })
+
+  it('rejects an older code once a newer one was used', async () => {
+    const step = totp.getTimeStep(NOW)
+    await twoFactorService.verify(user, totp.generateCode(secret, step))
+
+    const older = await twoFactorService.verify(user, totp.generateCode(secret, step - 1)).catch(e => e)
+
+    expect(older.code).toBe('INVALID_CODE')
+  })
+
+  it('accepts the same code only once when verified concurrently', async () => {
+    const code = totp.generateCode(secret)
+
+    const results = await Promise.allSettled([
+      twoFactorService.verify(user, code),
+      twoFactorService.verify(user, code)
+    ])
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1)
+  })
+
+  it('consumes a backup code so it works once', async () => {
+    const result = await twoFactorService.verify(user, 'ABCDE 12345')
+    const reuse = await twoFactorService.verify(user, 'abcde-12345').catch(e => e)
+
+    expect(result).toEqual({ method: 'backup_code', backupCodesRemaining: 0 })
+    expect(user.twoFactor.backupCodes).toHaveLength(0)
+    expect(reuse.code).toBe('INVALID_CODE')
+  })
+
+  it('rejects codes from another secret', async () => {
+    const error = await twoFactorService.verify(user, totp.generateCode(totp.generateSecret())).catch(e => e)
+
+    expect(error.code).toBe('INVALID_CODE')
+  })
+
+  it('refuses to verify when two-factor is not enabled', async () => {
+    user.twoFactor.isEnabled = false
+
+    const error = await twoFactorService.verify(user, totp.generateCode(secret)).catch(e => e)
+
+    expect(error.code).toBe('NOT_ENABLED')
+    expect(User.updateOne).not.toHaveBeenCalled()
+  })
+
+  it('enables two-factor with a code from the pending secret and blocks its replay', async () => {
+    user.twoFactor = { isEnabled: false, pendingSecret: secret }
+    const code = totp.generateCode(secret)
+
+    const codes = await twoFactorService.enable(user, code)
+
+    expect(codes).toHaveLength(10)
+    expect(user.twoFactor).toMatchObject({
+      isEnabled: true,
+      secret,
+      pendingSecret: undefined,
+      lastUsedStep: totp.getTimeStep(NOW)
+    })
+    expect(user.twoFactor.backupCodes).toEqual(codes.map(item => twoFactorService.hashBackupCode(item)))
+    expect(user.save).toHaveBeenCalled()
+  })
+
+  it('rejects a wrong code during enrollment', async () => {
+    user.twoFactor = { isEnabled: false, pendingSecret: secret }
+
+    const error = await twoFactorService.enable(user, '000000').catch(e => e)
+
+    expect(error.code).toBe('INVALID_CODE')
+    expect(user.twoFactor.isEnabled).toBe(false)
+  })
+})
@@ -0,0 +1,164 @@
+const crypto = require('crypto')
+
+jest.mock('../../src/models/WebhookSecret', () => ({
+  findValidSecrets: jest.fn(),
+  updateOne: jest.fn(() => Promise.resolve())
+}))
+
+const WebhookSecret = require('../../src/models/WebhookSecret')
+const webhookSignatureService = require('../../src/services/WebhookSignatureService')
+const { verifyWebhookSignature } = require('../../src/middleware/webhookSignature')
+
+const rawBody = Buffer.from(JSON.stringify({ object: 'instagram', entry: [] }))
+
+const sign = (body, secret) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+
+const storedSecret = (secret, overrides = {}) => ({
+  _id: `secret_${secret}`,
+  appId: 'app_1',
+  secret,
+  status: 'ACTIVE',
+  retiresAt: null,
+  ...overrides
+})
+
+describe('WebhookSignatureService', () => {
+  const originalEnv = { ...process.env }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    webhookSignatureService.invalidateCache()
+    delete process.env.INSTAGRAM_APP_SECRET
+    delete process.env.INSTAGRAM_APP_ID
+    delete process.env.INSTAGRAM_WEBHOOK_SKIP_SIGNATURE
+  })
+
+  afterAll(() => {
+    process.env = originalEnv
+  })
+
+  it('accepts a body signed with the active secret', async () => {
+    WebhookSecret.findValidSecrets.mockResolvedValue([storedSecret('active-secret-value')])
+
+    const result = await webhookSignatureService.verify(rawBody, sign(rawBody, 'active-secret-value'))
+
+    expect(result).toEqual({ valid: true, appId: 'app_1', usedRetiringSecret: false })
+  })
+
+  it('keeps accepting a rotated secret inside its grace window', async () => {
+    WebhookSecret.findValidSecrets.mockResolvedValue([
+      storedSecret('new-secret-value'),
+      storedSecret('old-secret-value', {
+        status: 'RETIRING',
+        retiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      })
+    ])
+
+    const result = await webhookSignatureService.verify(rawBody, sign(rawBody, 'old-secret-value'))
+
+    expect(result.valid).toBe(true)
+    expect(result.usedRetiringSecret).toBe(true)
+  })
+
+  it('rejects a secret whose grace window has ended', async () => {
+    WebhookSecret.findValidSecrets.mockResolvedValue([
+      storedSecret('new-secret-value'),
+      storedSecret('old-secret-value', {
+        status: 'RETIRING',
+        retiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      })
+    ])
+    await webhookSignatureService.getValidSecrets()
+
+    // The cached entry expires without a reload
+    webhookSignatureService.cachedSecrets[1].retiresAt = new Date(Date.now() - 1000)
+
+    const result = await webhookSignatureService.verify(rawBody, sign(rawBody, 'old-secret-value'))
+
+    expect(result).toEqual({ valid: false, reason: 'Signature mismatch' })
+  })
+
+  it('rejects a tampered body', async () => {
+    WebhookSecret.findValidSecrets.mockResolvedValue([storedSecret('active-secret-value')])
+    const signature = sign(rawBody, 'active-secret-value')
+
+    const result = await webhookSignatureService.verify(Buffer.from('{"object":"page"}'), signature)
+
+    expect(result.valid).toBe(false)
+  })
+
+  it('rejects missing and malformed headers', async () => {
+    WebhookSecret.findValidSecrets.mockResolvedValue([storedSecret('active-secret-value')])
+
+    expect((await webhookSignatureService.verify(rawBody, undefined)).valid).toBe(false)
+    expect((await webhookSignatureService.verify(rawBody, 'sha1=abc')).valid).toBe(false)
+    expect((await webhookSignatureService.verify(rawBody, 'sha256=abc')).valid).toBe(false)
+  })
+
+  it('falls back to the env secret until one is stored', async () => {
+    WebhookSecret.findValidSecrets.mockResolvedValue([])
+    process.env.INSTAGRAM_APP_ID = 'app_env'
+    process.env.INSTAGRAM_APP_SECRET = 'env-secret-value'
+
+    const result = await webhookSignatureService.verify(rawBody, sign(rawBody, 'env-secret-value'))
+
+    expect(result).toMatchObject({ valid: true, appId: 'app_env' })
+  })
+
+  it('rejects every delivery when no secret is configured', async () => {
+    WebhookSecret.findValidSecrets.mockResolvedValue([])
+
+    const result = await webhookSignatureService.verify(rawBody, sign(rawBody, 'anything'))
+
+    expect(result).toEqual({ valid: false, reason: 'No app secret configured' })
+  })
+
+  describe('verifyWebhookSignature middleware', () => {
+    const buildRes = () => {
+      const res = {}
+      res.status = jest.fn(() => res)
+      res.json = jest.fn(() => res)
+      return res
+    }
+
+    it('passes signed deliveries through', async () => {
+      WebhookSecret.findValidSecrets.mockResolvedValue([storedSecret('active-secret-value')])
+      const req = {
+        rawBody,
+        headers: { 'x-hub-signature-256': sign(rawBody, 'active-secret-value') }
+      }
+      const next = jest.fn()
+
+      await verifyWebhookSignature(req, buildRes(), next)
+
+      expect(next).toHaveBeenCalled()
+      expect(req.webhookAppId).toBe('app_1')
+    })
+
+    it('answers 401 for unsigned deliveries', async () => {
+      WebhookSecret.findValidSecrets.mockResolvedValue([storedSecret('active-secret-value')])
+      const res = buildRes()
+      const next = jest.fn()
+
+      await verifyWebhookSignature({ rawBody, headers: {} }, res, next)
+
+      expect(next).not.toHaveBeenCalled()
+      expect(res.status).toHaveBeenCalledWith(401)
+    })
+
+    it('never skips verification in production', async () => {
+      WebhookSecret.findValidSecrets.mockResolvedValue([storedSecret('active-secret-value')])
+      process.env.INSTAGRAM_WEBHOOK_SKIP_SIGNATURE = 'true'
+      process.env.NODE_ENV = 'production'
+      const res = buildRes()
+      const next = jest.fn()
+
+      await verifyWebhookSignature({ rawBody, headers: {} }, res, next)
+
+      process.env.NODE_ENV = 'test'
+      expect(next).not.toHaveBeenCalled()
+      expect(res.status).toHaveBeenCalledWith(401)
+    })
+  })
+})
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose')
+const Workspace = require('../../src/models/Workspace')
+const User = require('../../src/models/User')
+const workspaceService = require('../../src/services/WorkspaceService')
+
+const { WorkspaceError } = workspaceService
+
+const id = () => new mongoose.Types.ObjectId()
+
+const owner = { _id: id(), email: 'pemilik@example.com' }
+const editor = { _id: id(), email: 'editor@example.com' }
+
+let workspace
+
+beforeEach(() => {
+  jest.restoreAllMocks()
+
+  workspace = new Workspace({
+    name: 'Toko Kita',
+    createdBy: owner._id,
+    members: [
+      { userId: owner._id, role: 'owner' },
+      { userId: editor._id, role: 'editor' }
+    ]
+  })
+  jest.spyOn(workspace, 'save').mockResolvedValue(workspace)
+})
+
+describe('WorkspaceService.resolveForUser', () => {
+  it('resolves a requested workspace with the member role', async () => {
+    jest.spyOn(Workspace, 'findOne').mockResolvedValue(workspace)
+
+    await expect(workspaceService.resolveForUser(editor, workspace._id.toString()))
+      .resolves.toEqual({ workspace, role: 'editor' })
+    expect(Workspace.findOne).toHaveBeenCalledWith({ _id: workspace._id.toString(), isActive: true })
+  })
+
+  it('refuses a workspace the user is not a member of', async () => {
+    jest.spyOn(Workspace, 'findOne').mockResolvedValue(workspace)
+
+    await expect(workspaceService.resolveForUser({ _id: id() }, workspace._id.toString())).resolves.toBeNull()
+  })
+
+  it('refuses a malformed workspace ID without querying', async () => {
+    jest.spyOn(Workspace, 'findOne')
+
+    await expect(workspaceService.resolveForUser(owner, 'toko-kita')).resolves.toBeNull()
+    expect(Workspace.findOne).not.toHaveBeenCalled()
+  })
+
+  it('creates a personal workspace the first time a user has none', async () => {
+    const user = { _id: id(), name: 'Sari', email: 'sari@example.com' }
+    jest.spyOn(Workspace, 'findOne').mockReturnValue({ sort: async () => null })
+    jest.spyOn(Workspace, 'findOneAndUpdate').mockImplementation(async (query, update) =>
+      new Workspace({ ...query, ...update.$setOnInsert }))
+
+    const { workspace: personal, role } = await workspaceService.resolveForUser(user)
+
+    expect(role).toBe('owner')
+    expect(personal).toMatchObject({ name: "Sari's workspace", isPersonal: true })
+
+    const [query, , options] = Workspace.findOneAndUpdate.mock.calls[0]
+    expect(query).toEqual({ createdBy: user._id, isPersonal: true })
+    expect(options).toMatchObject({ upsert: true, new: true })
+  })
+
+  it('re-reads the personal workspace when a parallel request inserted it first', async () => {
+    const user = { _id: id(), name: 'Sari', email: 'sari@example.com' }
+    const existing = new Workspace({
+      name: "Sari's workspace",
+      createdBy: user._id,
+      isPersonal: true,
+      members: [{ userId: user._id, role: 'owner' }]
+    })
+    jest.spyOn(Workspace, 'findOne')
+      .mockReturnValueOnce({ sort: async () => null })
+      .mockResolvedValueOnce(existing)
+    jest.spyOn(Workspace, 'findOneAndUpdate')
+      .mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }))
+
+    await expect(workspaceService.resolveForUser(user)).resolves.toEqual({ workspace: existing, role: 'owner' })
+    expect(Workspace.findOne).toHaveBeenLastCalledWith({ createdBy: user._id, isPersonal: true })
+  })
+
+  it('declares a unique index on the personal workspace of each user', () => {
+    expect(Workspace.schema.indexes()).toContainEqual([
+      { createdBy: 1 },
+      expect.objectContaining({ unique: true, partialFilterExpression: { isPersonal: true } })
+    ])
+  })
+})
+
+describe('WorkspaceService membership', () => {
+  it('adds an existing user with the given role', async () => {
+    const viewer = { _id: id(), email: 'staf@example.com' }
+    jest.spyOn(User, 'findOne').mockResolvedValue(viewer)
+
+    const member = await workspaceService.addMember(workspace, { email: 'Staf@Example.com', role: 'viewer' }, owner)
+
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'staf@example.com', isActive: true })
+    expect(member).toMatchObject({ role: 'viewer', addedBy: owner._id })
+    expect(workspace.getRole(viewer._id)).toBe('viewer')
+  })
+
+  it.each([
+    ['an unknown email', null, 'USER_NOT_FOUND'],
+    ['a current member', editor, 'ALREADY_MEMBER']
+  ])('will not add %s', async (_, found, code) => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(found)
+
+    await expect(workspaceService.addMember(workspace, { email: 'x@example.com', role: 'viewer' }, owner))
+      .rejects.toMatchObject({ code })
+    expect(workspace.save).not.toHaveBeenCalled()
+  })
+
+  it('changes a member role', async () => {
+    await workspaceService.updateMemberRole(workspace, editor._id.toString(), 'support_agent')
+
+    expect(workspace.getRole(editor._id)).toBe('support_agent')
+    expect(workspace.save).toHaveBeenCalled()
+  })
+
+  it('always keeps one owner', async () => {
+    const demote = workspaceService.updateMemberRole(workspace, owner._id.toString(), 'editor')
+    const leave = workspaceService.removeMember(workspace, owner._id.toString())
+
+    await expect(demote).rejects.toEqual(new WorkspaceError('The last owner cannot be demoted', 'LAST_OWNER'))
+    await expect(leave).rejects.toMatchObject({ code: 'LAST_OWNER' })
+    expect(workspace.getRole(owner._id)).toBe('owner')
+  })
+
+  it('lets an owner step down once another owner exists', async () => {
+    await workspaceService.updateMemberRole(workspace, editor._id.toString(), 'owner')
+    await workspaceService.removeMember(workspace, owner._id.toString())
+
+    expect(workspace.getRole(owner._id)).toBeNull()
+    expect(workspace.countOwners()).toBe(1)
+  })
+
+  it('reports members it cannot find', () => {
+    expect(() => workspaceService.findMember(workspace, 'nobody')).toThrow(WorkspaceError)
+    expect(() => workspaceService.findMember(workspace, id().toString())).toThrow('Member not found')
+  })
+})
@@ -0,0 +1,111 @@
+const crypto = require('crypto')
+const {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  getKeyVersion,
+  needsRotation,
+  validateKeys
+} = require('../../src/utils/credentialEncryption')
+
+const v1 = `v1:${crypto.randomBytes(32).toString('base64')}`
+const v2 = `v2:${crypto.randomBytes(32).toString('base64')}`
+
+describe('credentialEncryption', () => {
+  const originalKeys = process.env.CREDENTIAL_ENCRYPTION_KEYS
+
+  const useKeys = (...entries) => {
+    process.env.CREDENTIAL_ENCRYPTION_KEYS = entries.join(',')
+  }
+
+  beforeEach(() => {
+    useKeys(v1)
+  })
+
+  afterEach(() => {
+    if (originalKeys === undefined) {
+      delete process.env.CREDENTIAL_ENCRYPTION_KEYS
+    } else {
+      process.env.CREDENTIAL_ENCRYPTION_KEYS = originalKeys
+    }
+  })
+
+  it('round-trips a credential without storing it in plain text', () => {
+    const stored = encrypt('EAAG-page-token')
+
+    expect(stored).toMatch(/^enc:v1:/)
+    expect(stored).not.toContain('EAAG-page-token')
+    expect(decrypt(stored)).toBe('EAAG-page-token')
+  })
+
+  it('gives the same credential a different ciphertext every time', () => {
+    expect(encrypt('secret')).not.toBe(encrypt('secret'))
+  })
+
+  it('leaves empty, already encrypted and legacy plaintext values alone', () => {
+    const stored = encrypt('secret')
+
+    expect(encrypt(stored)).toBe(stored)
+    expect(encrypt('')).toBe('')
+    expect(encrypt(null)).toBeNull()
+    expect(decrypt('legacy-token')).toBe('legacy-token')
+    expect(isEncrypted('legacy-token')).toBe(false)
+  })
+
+  it('rejects a value that was tampered with', () => {
+    const [prefix, version, wrappedKey, ciphertext] = encrypt('secret').split(':')
+    const flipped = Buffer.from(ciphertext, 'base64')
+    flipped[flipped.length - 1] ^= 1
+
+    expect(() => decrypt([prefix, version, wrappedKey, flipped.toString('base64')].join(':'))).toThrow()
+  })
+
+  it('refuses to store a credential when no key is configured', () => {
+    useKeys()
+
+    expect(() => encrypt('secret')).toThrow('CREDENTIAL_ENCRYPTION_KEYS is not configured')
+    expect(validateKeys()).toEqual({ configured: false, currentVersion: null, versions: [] })
+  })
+
+  describe('key rotation', () => {
+    it('keeps reading values under the old key once a new key is added', () => {
+      const stored = encrypt('secret')
+
+      useKeys(v2, v1)
+
+      expect(decrypt(stored)).toBe('secret')
+      expect(getKeyVersion(encrypt('secret'))).toBe('v2')
+      expect(validateKeys()).toEqual({ configured: true, currentVersion: 'v2', versions: ['v2', 'v1'] })
+    })
+
+    it('flags plaintext and values under an older key for re-encryption', () => {
+      const underV1 = encrypt('secret')
+
+      useKeys(v2, v1)
+
+      expect(needsRotation(underV1)).toBe(true)
+      expect(needsRotation('legacy-token')).toBe(true)
+      expect(needsRotation(encrypt('secret'))).toBe(false)
+      expect(needsRotation(null)).toBe(false)
+    })
+
+    it('names the missing version when the old key was removed too early', () => {
+      const stored = encrypt('secret')
+
+      useKeys(v2)
+
+      expect(() => decrypt(stored)).toThrow('unknown key version "v1"')
+    })
+  })
+
+  it.each([
+    ['a key of the wrong length', `v1:${crypto.randomBytes(16).toString('base64')}`, 'Invalid credential encryption key #1'],
+    ['a key without a version', crypto.randomBytes(32).toString('base64'), 'Invalid credential encryption key #1'],
+    ['a repeated version', `${v1},${v1}`, 'Duplicate credential encryption key version "v1"']
+  ])('rejects %s without echoing the key', (_, entries, message) => {
+    useKeys(entries)
+
+    expect(validateKeys).toThrow(message)
+    expect(validateKeys).not.toThrow(entries.split(':').pop())
+  })
+})
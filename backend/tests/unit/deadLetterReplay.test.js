@@ -0,0 +1,154 @@
+jest.mock('../../src/models/QueueJob', () => ({
+  create: jest.fn(async fields => fields),
+  updateOne: jest.fn(async () => ({ matchedCount: 1 }))
+}))
+
+// Dead letters kept by ID, with the conditional claim MongoDB would apply
+jest.mock('../../src/models/DeadLetter', () => {
+  const letters = new Map()
+  const matches = (letter, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value && value.$in) return value.$in.includes(letter[field])
+    return letter[field] === value
+  })
+
+  return {
+    letters,
+    findById: jest.fn(id => ({ select: async () => letters.get(id) || null })),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const letter = letters.get(filter._id)
+      if (!letter || !matches(letter, filter)) return null
+
+      Object.assign(letter, update.$set)
+      return { ...letter }
+    }),
+    findByIdAndUpdate: jest.fn(async (id, update) => {
+      const letter = letters.get(id)
+      if (!letter) return null
+
+      Object.assign(letter, update.$set)
+      letter.attempts += update.$inc.attempts
+      letter.errorHistory.push(...update.$push.errorHistory.$each)
+      return letter
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      const letter = letters.get(filter._id)
+      if (update.$set) Object.assign(letter, update.$set)
+      if (update.$push) letter.replays.push(update.$push.replays)
+    }),
+    find: jest.fn(query => ({
+      sort: () => ({
+        limit: () => ({
+          select: async () => [...letters.values()]
+            .filter(letter => matches(letter, query))
+            .sort((a, b) => a.failedAt - b.failedAt)
+        })
+      })
+    })),
+    create: jest.fn()
+  }
+})
+jest.mock('../../src/models/RateLimitBucket', () => ({}))
+
+const QueueJob = require('../../src/models/QueueJob')
+const DeadLetter = require('../../src/models/DeadLetter')
+const eventQueueService = require('../../src/services/EventQueueService')
+
+const addLetter = (id, fields = {}) => {
+  DeadLetter.letters.set(id, {
+    _id: id,
+    status: 'DEAD',
+    processor: 'comment',
+    eventData: { type: 'comment', instagramAccountId: 'ig_1', commentId: `comment_${id}` },
+    orderingKeys: ['post:p1'],
+    options: { maxRetries: 3, retryDelay: 3000, timeout: 30000 },
+    attempts: 4,
+    errorHistory: [],
+    replays: [],
+    failedAt: new Date('2026-02-01T10:00:00Z'),
+    ...fields
+  })
+}
+
+describe('dead letter replay', () => {
+  beforeAll(() => {
+    eventQueueService.isInitialized = true
+    eventQueueService.registerProcessor('comment', jest.fn())
+  })
+
+  afterAll(() => {
+    eventQueueService.isInitialized = false
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    DeadLetter.letters.clear()
+  })
+
+  test('re-enqueues the original event linked to its dead letter', async () => {
+    addLetter('d1')
+
+    const result = await eventQueueService.replayDeadLetter('d1', { replayedBy: 'admin_1' })
+
+    expect(result).toEqual({ replayed: true, jobId: expect.stringMatching(/.+/) })
+    expect(QueueJob.create).toHaveBeenCalledWith(expect.objectContaining({
+      eventData: expect.objectContaining({ commentId: 'comment_d1' }),
+      accountKey: 'ig_1',
+      orderingKeys: ['post:p1'],
+      deadLetterId: 'd1'
+    }))
+    expect(DeadLetter.letters.get('d1')).toMatchObject({
+      status: 'REPLAYED',
+      replays: [{ jobId: result.jobId, replayedAt: expect.any(Date), replayedBy: 'admin_1' }]
+    })
+  })
+
+  test('enqueues a dead letter once when it is replayed twice at the same time', async () => {
+    addLetter('d1')
+
+    const results = await Promise.all([
+      eventQueueService.replayDeadLetter('d1'),
+      eventQueueService.replayDeadLetter('d1')
+    ])
+
+    expect(results.filter(result => result.replayed)).toHaveLength(1)
+    expect(results.find(result => !result.replayed).reason).toBe('ALREADY_REPLAYED')
+    expect(QueueJob.create).toHaveBeenCalledTimes(1)
+  })
+
+  test('puts the dead letter back when the event cannot be enqueued', async () => {
+    addLetter('d1')
+    QueueJob.create.mockRejectedValueOnce(new Error('not primary'))
+
+    await expect(eventQueueService.replayDeadLetter('d1')).rejects.toThrow('not primary')
+    expect(DeadLetter.letters.get('d1').status).toBe('DEAD')
+  })
+
+  test('reports dead letters it cannot replay', async () => {
+    addLetter('d2', { processor: 'removedProcessor' })
+
+    await expect(eventQueueService.replayDeadLetter('missing')).resolves.toEqual({ replayed: false, reason: 'NOT_FOUND' })
+    await expect(eventQueueService.replayDeadLetter('d2')).resolves.toEqual({ replayed: false, reason: 'PROCESSOR_NOT_REGISTERED' })
+  })
+
+  test('keeps one dead letter per event when a replay fails again', async () => {
+    addLetter('d1', { status: 'REPLAYED' })
+    const job = { _id: 'job_9', jobId: 'evt_9', deadLetterId: 'd1', retryCount: 0, errorHistory: [] }
+
+    await eventQueueService.storeDeadLetter(job, [{ attempt: 1, error: 'still broken' }])
+
+    expect(DeadLetter.create).not.toHaveBeenCalled()
+    expect(DeadLetter.letters.get('d1')).toMatchObject({ status: 'DEAD', attempts: 5, lastError: 'still broken' })
+  })
+
+  test('replays in bulk in the order the events failed', async () => {
+    addLetter('later', { failedAt: new Date('2026-02-01T12:00:00Z') })
+    addLetter('earlier', { failedAt: new Date('2026-02-01T08:00:00Z') })
+    addLetter('resolved', { status: 'RESOLVED' })
+
+    const { replayed, skipped } = await eventQueueService.replayDeadLetters({ processor: 'comment' })
+
+    expect(replayed.map(item => item.id)).toEqual(['earlier', 'later'])
+    expect(skipped).toEqual([])
+    expect(QueueJob.create.mock.calls.map(([fields]) => fields.deadLetterId)).toEqual(['earlier', 'later'])
+  })
+})
@@ -0,0 +1,104 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret'
+
+const jwt = require('jsonwebtoken')
+const mongoose = require('mongoose')
+const User = require('../../src/models/User')
+const Session = require('../../src/models/Session')
+const sessionService = require('../../src/services/SessionService')
+const userManagementService = require('../../src/services/UserManagementService')
+
+const { SessionError } = sessionService
+const { UserManagementError } = userManagementService
+
+const START = new Date('2026-05-04T09:00:00Z')
+const MINUTE = 60 * 1000
+
+const admin = new User({ name: 'Admin', email: 'admin@example.com', password: 'Rahasia123!', role: 'admin' })
+const customer = new User({ name: 'Sari', email: 'sari@example.com', password: 'Rahasia123!' })
+
+describe('admin impersonation', () => {
+  let sessions
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] })
+    sessions = new Map()
+
+    // Sessions live in memory as real documents
+    jest.spyOn(Session, 'create').mockImplementation(async fields => {
+      const session = new Session(fields)
+      sessions.set(String(session._id), session)
+      return session
+    })
+    jest.spyOn(Session, 'findById').mockImplementation(id => ({ select: async () => sessions.get(String(id)) || null }))
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async ({ _id }, { $set }) => {
+      const session = sessions.get(String(_id))
+      return session ? session.set($set) : null
+    })
+    jest.spyOn(User, 'findById').mockImplementation(async id => [admin, customer].find(user => user._id.equals(id)) || null)
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    jest.restoreAllMocks()
+    customer.isActive = true
+  })
+
+  const impersonate = () => userManagementService.impersonate(admin, customer._id.toString(), { rememberMe: true })
+
+  it('issues a session that ends after the impersonation window, even with remember me', async () => {
+    const { token, refreshToken } = await impersonate()
+
+    const session = sessions.get(refreshToken.split('.')[0])
+    expect(session.expiresAt).toEqual(new Date(START.getTime() + sessionService.impersonationMinutes * MINUTE))
+    expect(session.impersonatedBy).toEqual(admin._id)
+    expect(jwt.decode(token)).toMatchObject({ id: String(customer._id), impersonatedBy: String(admin._id) })
+  })
+
+  it('keeps the admin on refreshed tokens without extending the window', async () => {
+    const { refreshToken } = await impersonate()
+    jest.setSystemTime(START.getTime() + (sessionService.impersonationMinutes - 15) * MINUTE)
+
+    const refreshed = await sessionService.refresh(refreshToken)
+
+    expect(jwt.decode(refreshed.token).impersonatedBy).toBe(String(admin._id))
+    expect(refreshed.session.expiresAt).toEqual(new Date(START.getTime() + sessionService.impersonationMinutes * MINUTE))
+  })
+
+  it('cannot be refreshed once the window has passed', async () => {
+    const { refreshToken } = await impersonate()
+    jest.setSystemTime(START.getTime() + (sessionService.impersonationMinutes + 1) * MINUTE)
+
+    await expect(sessionService.refresh(refreshToken)).rejects.toEqual(new SessionError('Session has expired', 'SESSION_EXPIRED'))
+  })
+
+  it('honours IMPERSONATION_EXPIRES_MINUTES', async () => {
+    const original = process.env.IMPERSONATION_EXPIRES_MINUTES
+    process.env.IMPERSONATION_EXPIRES_MINUTES = '15'
+    const shortService = new sessionService.constructor()
+    if (original === undefined) {
+      delete process.env.IMPERSONATION_EXPIRES_MINUTES
+    } else {
+      process.env.IMPERSONATION_EXPIRES_MINUTES = original
+    }
+
+    const { session } = await shortService.createSession(customer, { impersonatedBy: admin._id })
+
+    expect(session.expiresAt - START).toBe(15 * MINUTE)
+  })
+
+  it.each([
+    ['another admin', () => admin, 'CANNOT_IMPERSONATE'],
+    ['an inactive user', () => Object.assign(customer, { isActive: false }), 'USER_INACTIVE']
+  ])('refuses to impersonate %s', async (_, target, code) => {
+    const promise = userManagementService.impersonate(admin, target()._id.toString())
+
+    await expect(promise).rejects.toBeInstanceOf(UserManagementError)
+    await expect(promise).rejects.toMatchObject({ code })
+    expect(Session.create).not.toHaveBeenCalled()
+  })
+
+  it('refuses an unknown user', async () => {
+    await expect(userManagementService.impersonate(admin, new mongoose.Types.ObjectId().toString()))
+      .rejects.toMatchObject({ code: 'USER_NOT_FOUND' })
+  })
+})
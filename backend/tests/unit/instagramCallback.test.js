@@ -0,0 +1,189 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret'
+
+const mockSaved = []
+
+jest.mock('../../src/models/InstagramAccount', () => {
+  class InstagramAccount {
+    constructor(fields) {
+      Object.assign(this, fields)
+    }
+
+    set(fields) {
+      Object.assign(this, fields)
+    }
+
+    async save() {
+      mockSaved.push(this)
+      return this
+    }
+  }
+
+  InstagramAccount.findByInstagramUserId = jest.fn(async () => null)
+  return InstagramAccount
+})
+jest.mock('../../src/models/AccountToken', () => ({
+  invalidateForUser: jest.fn(),
+  create: jest.fn(),
+  consume: jest.fn(async () => ({ usedAt: new Date() }))
+}))
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }))
+jest.mock('../../src/models/Workspace', () => ({ findOne: jest.fn() }))
+jest.mock('../../src/services/InstagramGraphClient', () => ({
+  apiVersion: 'v19.0',
+  getAppCredentials: () => ({ appId: 'app_1' }),
+  exchangeCode: jest.fn(async () => ({ accessToken: 'short-lived' })),
+  exchangeLongLivedToken: jest.fn(async () => ({ accessToken: 'long-lived' })),
+  getBusinessAccounts: jest.fn()
+}))
+jest.mock('../../src/models/Post', () => ({ updateMany: jest.fn(async () => ({ modifiedCount: 0 })) }))
+jest.mock('../../src/services/AuditLogService', () => ({ record: jest.fn() }))
+jest.mock('../../src/services/PostSyncService', () => ({ syncAccountPosts: jest.fn(async () => ({})) }))
+
+const mongoose = require('mongoose')
+const InstagramAccount = require('../../src/models/InstagramAccount')
+const User = require('../../src/models/User')
+const Post = require('../../src/models/Post')
+const Workspace = require('../../src/models/Workspace')
+const instagramGraphClient = require('../../src/services/InstagramGraphClient')
+const auditLogService = require('../../src/services/AuditLogService')
+const postSyncService = require('../../src/services/PostSyncService')
+const instagramOAuthService = require('../../src/services/InstagramOAuthService')
+const { instagramCallback } = require('../../src/controllers/authController')
+
+const user = { _id: new mongoose.Types.ObjectId(), isActive: true }
+const workspace = { _id: new mongoose.Types.ObjectId(), getRole: () => 'owner' }
+
+const businessAccount = (instagramUserId, username) => ({
+  instagramUserId,
+  username,
+  pageId: `page_${username}`,
+  pageName: username,
+  accessToken: `page-token-${username}`
+})
+
+// Starts a connection the way the Connect Instagram screen does and returns the callback request
+async function callbackRequest() {
+  const { authorizationUrl, nonce } = await instagramOAuthService.getAuthorizationUrl(user, workspace)
+
+  return {
+    query: { code: 'auth-code', state: new URL(authorizationUrl).searchParams.get('state') },
+    headers: { cookie: `${instagramOAuthService.nonceCookieName}=${nonce}` }
+  }
+}
+
+async function followCallback(req) {
+  const res = { redirect: jest.fn(), clearCookie: jest.fn() }
+  await instagramCallback(req, res)
+
+  const location = new URL(res.redirect.mock.calls[0][0])
+  return { res, params: Object.fromEntries(location.searchParams) }
+}
+
+describe('Instagram OAuth callback', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockSaved.length = 0
+    User.findById.mockReturnValue({ select: async () => user })
+    Workspace.findOne.mockResolvedValue(workspace)
+  })
+
+  it('connects every business account to the workspace with its page token', async () => {
+    instagramGraphClient.getBusinessAccounts.mockResolvedValue([
+      businessAccount('ig_1', 'toko_satu'),
+      businessAccount('ig_2', 'toko_dua')
+    ])
+
+    const { res, params } = await followCallback(await callbackRequest())
+
+    expect(params).toEqual({ status: 'connected', usernames: 'toko_satu,toko_dua' })
+    expect(instagramGraphClient.exchangeCode).toHaveBeenCalledWith('auth-code', instagramOAuthService.redirectUri)
+    expect(instagramGraphClient.getBusinessAccounts).toHaveBeenCalledWith('long-lived')
+    expect(mockSaved).toEqual([
+      expect.objectContaining({ instagramUserId: 'ig_1', accessToken: 'page-token-toko_satu', workspaceId: workspace._id, isConnected: true }),
+      expect.objectContaining({ instagramUserId: 'ig_2', accessToken: 'page-token-toko_dua', userId: user._id })
+    ])
+    expect(auditLogService.record).toHaveBeenCalledTimes(2)
+    expect(postSyncService.syncAccountPosts).toHaveBeenCalledTimes(2)
+    expect(res.clearCookie).toHaveBeenCalledWith(instagramOAuthService.nonceCookieName, expect.objectContaining({ httpOnly: true }))
+  })
+
+  it('skips accounts another workspace has connected but claims disconnected ones', async () => {
+    const otherWorkspace = new mongoose.Types.ObjectId()
+    InstagramAccount.findByInstagramUserId.mockImplementation(async (id) => {
+      if (id === 'ig_taken') return new InstagramAccount({ instagramUserId: id, isConnected: true, workspaceId: otherWorkspace })
+      if (id === 'ig_free') return new InstagramAccount({ instagramUserId: id, isConnected: false, workspaceId: otherWorkspace })
+      return null
+    })
+    instagramGraphClient.getBusinessAccounts.mockResolvedValue([
+      businessAccount('ig_taken', 'diambil'),
+      businessAccount('ig_free', 'bebas')
+    ])
+
+    const { params } = await followCallback(await callbackRequest())
+
+    expect(params).toEqual({ status: 'connected', usernames: 'bebas', skipped: 'diambil' })
+    expect(mockSaved).toHaveLength(1)
+    expect(mockSaved[0].workspaceId).toBe(workspace._id)
+  })
+
+  it('archives the previous workspace posts of a reclaimed account', async () => {
+    const previousWorkspace = new mongoose.Types.ObjectId()
+    const reclaimed = new InstagramAccount({ _id: new mongoose.Types.ObjectId(), instagramUserId: 'ig_free', isConnected: false, workspaceId: previousWorkspace })
+    InstagramAccount.findByInstagramUserId.mockResolvedValue(reclaimed)
+    instagramGraphClient.getBusinessAccounts.mockResolvedValue([businessAccount('ig_free', 'bebas')])
+
+    await followCallback(await callbackRequest())
+
+    expect(Post.updateMany).toHaveBeenCalledTimes(1)
+    const [filter, update] = Post.updateMany.mock.calls[0]
+    expect(filter).toMatchObject({ accountId: reclaimed._id, workspaceId: previousWorkspace })
+    expect(update.$set).toMatchObject({ status: 'ARCHIVED', 'automationSettings.isEnabled': false })
+  })
+
+  it('leaves the posts alone when an account reconnects to the same workspace', async () => {
+    InstagramAccount.findByInstagramUserId.mockResolvedValue(
+      new InstagramAccount({ instagramUserId: 'ig_1', isConnected: false, workspaceId: workspace._id })
+    )
+    instagramGraphClient.getBusinessAccounts.mockResolvedValue([businessAccount('ig_1', 'toko_satu')])
+
+    const { params } = await followCallback(await callbackRequest())
+
+    expect(params.status).toBe('connected')
+    expect(Post.updateMany).not.toHaveBeenCalled()
+  })
+
+  it.each([
+    ['no business account is linked', [], 'NO_BUSINESS_ACCOUNT'],
+    ['every account belongs to another workspace', [businessAccount('ig_taken', 'diambil')], 'ACCOUNT_IN_USE']
+  ])('redirects with an error when %s', async (_, accounts, reason) => {
+    InstagramAccount.findByInstagramUserId.mockResolvedValue(
+      new InstagramAccount({ isConnected: true, workspaceId: new mongoose.Types.ObjectId() })
+    )
+    instagramGraphClient.getBusinessAccounts.mockResolvedValue(accounts)
+
+    const { params } = await followCallback(await callbackRequest())
+
+    expect(params).toEqual({ status: 'error', reason })
+    expect(mockSaved).toHaveLength(0)
+  })
+
+  it('refuses a callback that arrives in another browser before exchanging the code', async () => {
+    const req = await callbackRequest()
+    req.headers = {}
+
+    const { res, params } = await followCallback(req)
+
+    expect(params).toEqual({ status: 'error', reason: 'STATE_MISMATCH' })
+    expect(instagramGraphClient.exchangeCode).not.toHaveBeenCalled()
+    expect(res.clearCookie).toHaveBeenCalled()
+  })
+
+  it('reports a cancelled dialog as access denied', async () => {
+    const { params } = await followCallback({
+      query: { error: 'access_denied', error_reason: 'user_denied' },
+      headers: {}
+    })
+
+    expect(params).toEqual({ status: 'error', reason: 'ACCESS_DENIED' })
+  })
+})
@@ -0,0 +1,127 @@
+const {
+  KeywordRuleError,
+  parseRule,
+  evaluateRule,
+  validateRule,
+  containsPhrase
+} = require('../../src/utils/keywordRules')
+
+const term = value => ({ type: 'TERM', value })
+
+// hasTerm for evaluateRule backed by whole-word search in a comment
+const commentHas = comment => phrase => containsPhrase(comment, phrase)
+
+describe('keywordRules', () => {
+  describe('parseRule', () => {
+    it('parses AND, OR, NOT and parentheses into a tree', () => {
+      expect(parseRule('harga AND (xl OR xxl) NOT reseller')).toEqual({
+        type: 'AND',
+        children: [
+          term('harga'),
+          { type: 'OR', children: [term('xl'), term('xxl')] },
+          { type: 'NOT', child: term('reseller') }
+        ]
+      })
+    })
+
+    it('binds AND tighter than OR', () => {
+      expect(parseRule('a OR b AND c')).toEqual({
+        type: 'OR',
+        children: [term('a'), { type: 'AND', children: [term('b'), term('c')] }]
+      })
+    })
+
+    it('merges chains of the same operator', () => {
+      expect(parseRule('a AND b AND c')).toEqual({ type: 'AND', children: [term('a'), term('b'), term('c')] })
+    })
+
+    it('joins adjacent words and quoted text into phrases', () => {
+      expect(parseRule('harga ongkir jakarta')).toEqual(term('harga ongkir jakarta'))
+      expect(parseRule('"ready or not" OR stok')).toEqual({
+        type: 'OR',
+        children: [term('ready or not'), term('stok')]
+      })
+    })
+
+    it('unwraps redundant parentheses', () => {
+      expect(parseRule('(a)')).toEqual(term('a'))
+      expect(parseRule('NOT (a OR b)')).toEqual({
+        type: 'NOT',
+        child: { type: 'OR', children: [term('a'), term('b')] }
+      })
+    })
+
+    it.each([
+      ['', 'Rule is empty', 0],
+      ['a AND', 'Rule cannot end with AND', 5],
+      ['AND a', 'Expected a term before AND', 0],
+      ['a OR OR b', 'Expected a term before OR', 5],
+      ['(a', 'Parenthesis is never closed', 0],
+      ['a)', 'Closing parenthesis has no opening one', 1],
+      ['a (b)', 'Expected AND, OR or NOT before (', 2],
+      ['"abc', 'Quote is never closed', 0],
+      ['"  "', 'Quoted phrase is empty', 0]
+    ])('rejects %j with its position', (expression, message, position) => {
+      let error
+      try {
+        parseRule(expression)
+      } catch (e) {
+        error = e
+      }
+
+      expect(error).toBeInstanceOf(KeywordRuleError)
+      expect(error.message).toBe(message)
+      expect(error.position).toBe(position)
+    })
+
+    it('limits nesting depth and the number of terms', () => {
+      const nested = `${'('.repeat(11)}a${')'.repeat(11)}`
+      const manyTerms = Array.from({ length: 21 }, (_, i) => `t${i}`).join(' OR ')
+
+      expect(() => parseRule(nested)).toThrow('Rule cannot nest more than 10 levels deep')
+      expect(() => parseRule(manyTerms)).toThrow('Rule cannot have more than 20 terms')
+    })
+  })
+
+  describe('evaluateRule', () => {
+    const rule = parseRule('harga AND (xl OR xxl) NOT reseller')
+
+    it.each([
+      ['harga size xl berapa', true],
+      ['harga xxl kak', true],
+      ['harga xl buat reseller', false],
+      ['size xl ready?', false],
+      ['harga size m', false]
+    ])('evaluates %j as %s', (comment, expected) => {
+      expect(evaluateRule(rule, commentHas(comment))).toBe(expected)
+    })
+
+    it('matches terms as whole words', () => {
+      expect(containsPhrase('ada size xxl', 'xl')).toBe(false)
+      expect(containsPhrase('ready, kak', 'ready')).toBe(true)
+      expect(evaluateRule(parseRule('xl'), commentHas('ada size xxl'))).toBe(false)
+    })
+
+    it('treats unknown node types as no match', () => {
+      expect(evaluateRule({ type: 'XOR', children: [] }, () => true)).toBe(false)
+    })
+  })
+
+  describe('validateRule', () => {
+    it('accepts rules that need at least one term present', () => {
+      expect(validateRule('harga NOT reseller')).toBeNull()
+      expect(validateRule('harga AND (xl OR xxl)')).toBeNull()
+    })
+
+    it('reports parse errors with their position', () => {
+      expect(validateRule('a AND')).toEqual({ message: 'Rule cannot end with AND', position: 5 })
+    })
+
+    it.each(['NOT reseller', 'a OR NOT b'])('rejects %j, which matches comments without any of its terms', (expression) => {
+      expect(validateRule(expression)).toEqual({
+        message: expect.stringContaining('contain none of its terms'),
+        position: 0
+      })
+    })
+  })
+})
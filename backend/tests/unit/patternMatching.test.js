@@ -0,0 +1,97 @@
+const {
+  findUnsafeConstruct,
+  matchesWildcard,
+  validatePattern,
+  matchesPattern
+} = require('../../src/utils/patternMatching')
+
+describe('patternMatching', () => {
+  describe('findUnsafeConstruct', () => {
+    it.each([
+      '(a+)+',
+      '(a|ab)*',
+      '(a*)*',
+      '((a+))+',
+      '(a{2,3}){2}',
+      '(?:\\w+\\s?)+$'
+    ])('rejects the repeated varying group in %s', (pattern) => {
+      expect(findUnsafeConstruct(pattern)).toMatch(/Repeating a group/)
+    })
+
+    it.each([
+      '(a)\\1',
+      '(?<word>a)\\k<word>'
+    ])('rejects the backreference in %s', (pattern) => {
+      expect(findUnsafeConstruct(pattern)).toMatch(/Backreferences/)
+    })
+
+    it.each([
+      'harga',
+      '(ab)+',
+      '(?:harga|price)',
+      '(?:a|b)c+',
+      '(a)+b+',
+      '[(a+)]+',
+      '\\(a+\\)+',
+      'ongkir\\s*(ke)?\\s*\\w+'
+    ])('accepts %s', (pattern) => {
+      expect(findUnsafeConstruct(pattern)).toBeNull()
+    })
+  })
+
+  describe('matchesWildcard', () => {
+    it.each([
+      ['harga berapa', 'harga*', true],
+      ['harga', 'harg?', true],
+      ['harga', 'h*a', true],
+      ['aab', '*ab', true],
+      ['', '*', true],
+      ['', '', true],
+      ['harga', 'h?a', false],
+      ['harga berapa', 'harga', false],
+      ['abc', '', false],
+      ['ab', 'a?b', false]
+    ])('matches %j against %j: %s', (text, pattern, expected) => {
+      expect(matchesWildcard(text, pattern)).toBe(expected)
+    })
+
+    it('stays fast on patterns that would backtrack as a regex', () => {
+      const startedAt = Date.now()
+
+      expect(matchesWildcard('a'.repeat(2200), '*a*a*a*a*b')).toBe(false)
+      expect(Date.now() - startedAt).toBeLessThan(1000)
+    })
+  })
+
+  describe('validatePattern', () => {
+    it('explains why a term cannot be saved', () => {
+      expect(validatePattern('(harga', 'REGEX')).toMatch(/^Invalid regular expression/)
+      expect(validatePattern('(a+)+', 'REGEX')).toMatch(/Repeating a group/)
+      expect(validatePattern('a*', 'REGEX')).toMatch(/matches empty text/)
+      expect(validatePattern('* ?', 'WILDCARD')).toMatch(/besides \* and \?/)
+    })
+
+    it('accepts usable terms and ignores other match types', () => {
+      expect(validatePattern('harga\\s+\\d+', 'REGEX')).toBeNull()
+      expect(validatePattern('harga*', 'WILDCARD')).toBeNull()
+      expect(validatePattern('(a+)+', 'CONTAINS')).toBeNull()
+    })
+  })
+
+  describe('matchesPattern', () => {
+    it('ignores case unless asked not to', () => {
+      expect(matchesPattern('HARGA berapa?', 'harga\\s+\\w+', 'REGEX')).toBe(true)
+      expect(matchesPattern('HARGA berapa?', 'harga', 'REGEX', { caseSensitive: true })).toBe(false)
+      expect(matchesPattern('Harga Kak', 'harga*', 'WILDCARD')).toBe(true)
+      expect(matchesPattern('Harga Kak', 'harga*', 'WILDCARD', { caseSensitive: true })).toBe(false)
+    })
+
+    it('treats a regex that runs out of time as no match', () => {
+      expect(matchesPattern(`${'a'.repeat(40)}!`, '(a+)+$', 'REGEX')).toBe(false)
+    })
+
+    it('treats an invalid stored regex as no match', () => {
+      expect(matchesPattern('harga', '(harga', 'REGEX')).toBe(false)
+    })
+  })
+})
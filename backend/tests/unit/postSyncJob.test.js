@@ -0,0 +1,85 @@
+jest.mock('../../src/models/InstagramAccount', () => ({ find: jest.fn() }))
+jest.mock('../../src/services/PostSyncService', () => ({ syncAccountPosts: jest.fn() }))
+
+const InstagramAccount = require('../../src/models/InstagramAccount')
+const postSyncService = require('../../src/services/PostSyncService')
+const postSyncJob = require('../../src/jobs/postSyncJob')
+
+const syncResult = fields => ({
+  newPosts: 0,
+  updatedPosts: 0,
+  archivedPosts: 0,
+  errors: [],
+  completed: false,
+  partial: false,
+  ...fields
+})
+
+const account = (username, fields = {}) => ({
+  _id: `id_${username}`,
+  username,
+  workspaceId: { isActive: true },
+  hasValidConnection: () => true,
+  depopulate: jest.fn(),
+  ...fields
+})
+
+const accountsDue = (accounts) => {
+  InstagramAccount.find.mockReturnValue({
+    sort: () => ({ populate: async () => accounts })
+  })
+}
+
+describe('postSync job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('counts a sync that stopped at the page limit as partial, not failed', async () => {
+    accountsDue([account('small'), account('large'), account('broken')])
+    postSyncService.syncAccountPosts
+      .mockResolvedValueOnce(syncResult({ completed: true, newPosts: 3, archivedPosts: 1 }))
+      .mockResolvedValueOnce(syncResult({ partial: true, newPosts: 2000 }))
+      .mockResolvedValueOnce(syncResult({ errors: [{ code: 'TOKEN_EXPIRED', error: 'Token expired' }] }))
+
+    const result = await postSyncJob.run()
+
+    expect(result).toMatchObject({
+      accountsChecked: 3,
+      accountsSynced: 1,
+      accountsPartial: 1,
+      accountsFailed: 1,
+      newPosts: 2003,
+      archivedPosts: 1
+    })
+    expect(result.errors).toEqual([
+      { accountId: 'id_broken', username: 'broken', code: 'TOKEN_EXPIRED', error: 'Token expired' }
+    ])
+  })
+
+  it('skips accounts of deactivated workspaces and accounts without a usable token', async () => {
+    accountsDue([
+      account('paused', { workspaceId: { isActive: false } }),
+      account('revoked', { hasValidConnection: () => false })
+    ])
+
+    const result = await postSyncJob.run()
+
+    expect(result.accountsChecked).toBe(1)
+    expect(postSyncService.syncAccountPosts).not.toHaveBeenCalled()
+  })
+
+  it('syncs with the plain workspace ID and only accounts due for a sync', async () => {
+    const due = account('toko')
+    accountsDue([due])
+    postSyncService.syncAccountPosts.mockResolvedValueOnce(syncResult({ completed: true }))
+
+    await postSyncJob.run()
+
+    expect(due.depopulate).toHaveBeenCalledWith('workspaceId')
+    expect(InstagramAccount.find.mock.calls[0][0]).toMatchObject({
+      isConnected: true,
+      $or: [{ lastSyncAt: { $lt: expect.any(Date) } }, { lastSyncAt: null }]
+    })
+  })
+})
@@ -0,0 +1,102 @@
+jest.mock('../../src/services/AuditLogService', () => ({ record: jest.fn() }))
+
+const mongoose = require('mongoose')
+const Post = require('../../src/models/Post')
+const InstagramAccount = require('../../src/models/InstagramAccount')
+const { getPosts, createPost, getPostsOverview } = require('../../src/controllers/postsController')
+
+const workspace = { _id: new mongoose.Types.ObjectId() }
+const accountId = new mongoose.Types.ObjectId().toString()
+
+// A query that resolves to `result` however it is chained
+const chain = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  }
+  for (const method of ['sort', 'limit', 'skip', 'populate', 'select']) {
+    query[method] = () => query
+  }
+  return query
+}
+
+const response = () => {
+  const res = {}
+  res.status = jest.fn(() => res)
+  res.json = jest.fn(() => res)
+  return res
+}
+
+const request = (fields) => ({
+  user: { _id: new mongoose.Types.ObjectId(), email: 'agen@example.com' },
+  workspace,
+  query: {},
+  ...fields
+})
+
+describe('postsController account filter', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks()
+    jest.spyOn(Post, 'find').mockReturnValue(chain([]))
+    jest.spyOn(Post, 'countDocuments').mockResolvedValue(0)
+    jest.spyOn(Post, 'aggregate').mockResolvedValue([])
+  })
+
+  it('lists only the selected account of the workspace', async () => {
+    await getPosts(request({ query: { accountId } }), response())
+
+    expect(Post.find).toHaveBeenCalledWith({ workspaceId: workspace._id, accountId })
+    expect(Post.countDocuments).toHaveBeenCalledWith({ workspaceId: workspace._id, accountId })
+  })
+
+  it('lists every account when none is selected', async () => {
+    await getPosts(request(), response())
+
+    expect(Post.find).toHaveBeenCalledWith({ workspaceId: workspace._id })
+  })
+
+  it.each([
+    ['getPosts', getPosts],
+    ['getPostsOverview', getPostsOverview]
+  ])('%s rejects a malformed account ID', async (_, handler) => {
+    const res = response()
+
+    await handler(request({ query: { accountId: 'toko-satu' } }), res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Invalid account ID' })
+    expect(Post.find).not.toHaveBeenCalled()
+  })
+
+  it('scopes the overview statistics and recent posts to the account', async () => {
+    const res = response()
+
+    await getPostsOverview(request({ query: { accountId } }), res)
+
+    const [[match]] = Post.aggregate.mock.calls[0]
+    expect(match.$match.workspaceId.equals(workspace._id)).toBe(true)
+    expect(match.$match.accountId.toString()).toBe(accountId)
+    expect(Post.find).toHaveBeenCalledWith({ workspaceId: workspace._id, accountId })
+    expect(res.json.mock.calls[0][0].data.overview).toMatchObject({ totalPosts: 0, successRate: 0 })
+  })
+
+  it('will not attach a post to an account of another workspace', async () => {
+    jest.spyOn(Post, 'findOne').mockResolvedValue(null)
+    jest.spyOn(InstagramAccount, 'exists').mockResolvedValue(null)
+    const res = response()
+
+    await createPost(request({
+      body: {
+        accountId,
+        instagramPostId: 'media_1',
+        instagramMediaId: 'media_1',
+        postType: 'IMAGE',
+        permalink: 'https://instagram.com/p/media_1',
+        timestamp: '2026-01-01T00:00:00Z'
+      }
+    }), res)
+
+    expect(InstagramAccount.exists).toHaveBeenCalledWith({ _id: accountId, workspaceId: workspace._id })
+    expect(res.status).toHaveBeenCalledWith(404)
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Instagram account not found' })
+  })
+})
@@ -0,0 +1,57 @@
+const totp = require('../../src/utils/totp')
+
+// RFC 6238 appendix B seed for HMAC-SHA1, truncated to six digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'))
+
+describe('totp', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('round-trips secrets through base32', () => {
+    const bytes = Buffer.from('0123456789abcdefghij')
+
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+    expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes)
+    expect(totp.base32Decode('gezd gnbv gy3t qojq====')).toEqual(Buffer.from('1234567890'))
+    expect(() => totp.base32Decode('GEZD1')).toThrow('Invalid base32 character')
+  })
+
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 test vector at %i', (seconds, code) => {
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(seconds * 1000))).toBe(code)
+  })
+
+  it('accepts codes one step either side of the current one and returns their step', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1234567890 * 1000)
+    const step = totp.getTimeStep()
+
+    expect(totp.verifyCode(RFC_SECRET, '005924')).toBe(step)
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1))).toBe(step - 1)
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1))).toBe(step + 1)
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2))).toBeNull()
+  })
+
+  it('ignores spaces and rejects anything that is not six digits', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1234567890 * 1000)
+
+    expect(totp.verifyCode(RFC_SECRET, '005 924')).not.toBeNull()
+    expect(totp.verifyCode(RFC_SECRET, '5924')).toBeNull()
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef')).toBeNull()
+    expect(totp.verifyCode(RFC_SECRET, undefined)).toBeNull()
+  })
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const url = new URL(totp.buildOtpAuthUrl({ secret: RFC_SECRET, accountName: 'a@b.id', issuer: 'Tanggapin' }))
+
+    expect(url.protocol).toBe('otpauth:')
+    expect(url.host).toBe('totp')
+    expect(decodeURIComponent(url.pathname)).toBe('/Tanggapin:a@b.id')
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET)
+    expect(url.searchParams.get('period')).toBe('30')
+  })
+})
@@ -0,0 +1,101 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret'
+
+jest.mock('../../src/services/LoginProtectionService', () => {
+  class LoginProtectionError extends Error {}
+
+  return Object.assign({ authenticate: jest.fn(), recordSuccess: jest.fn() }, { LoginProtectionError })
+})
+jest.mock('../../src/services/SessionService', () => {
+  class SessionError extends Error {}
+
+  return Object.assign({ createSession: jest.fn() }, { SessionError })
+})
+jest.mock('../../src/services/WorkspaceService', () => ({
+  resolveForUser: jest.fn(),
+  listForUser: jest.fn(async () => [])
+}))
+
+const User = require('../../src/models/User')
+const loginProtectionService = require('../../src/services/LoginProtectionService')
+const sessionService = require('../../src/services/SessionService')
+const { login } = require('../../src/controllers/authController')
+const { authenticateEnrollment } = require('../../src/middleware/auth')
+
+const mockResponse = () => {
+  const res = {}
+  res.status = jest.fn(() => res)
+  res.json = jest.fn(() => res)
+  return res
+}
+
+const loginRequest = {
+  body: { email: 'admin@example.com', password: 'correct-horse', rememberMe: true },
+  ip: '10.0.0.1',
+  get: () => 'jest'
+}
+
+describe('two-factor enforcement at login', () => {
+  const originalRoles = process.env.TWO_FACTOR_REQUIRED_ROLES
+  let admin
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    admin = new User({ email: 'admin@example.com', name: 'Admin', password: 'x', role: 'admin' })
+    admin.updateLastLogin = jest.fn()
+
+    loginProtectionService.authenticate.mockResolvedValue(admin)
+    sessionService.createSession.mockResolvedValue({ token: 'access', refreshToken: 'refresh', expiresIn: 900 })
+    jest.spyOn(User, 'findById').mockResolvedValue(admin)
+  })
+
+  afterEach(() => {
+    if (originalRoles === undefined) {
+      delete process.env.TWO_FACTOR_REQUIRED_ROLES
+    } else {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = originalRoles
+    }
+  })
+
+  it('does not require 2FA from any role by default', async () => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES
+    const res = mockResponse()
+
+    await login(loginRequest, res)
+
+    expect(admin.requiresTwoFactor()).toBe(false)
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ token: 'access', refreshToken: 'refresh' })
+  })
+
+  it('sends a listed role without 2FA to enrollment instead of starting a session', async () => {
+    process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin, owner'
+    const res = mockResponse()
+
+    await login(loginRequest, res)
+
+    const { data } = res.json.mock.calls[0][0]
+    expect(data.twoFactorSetupRequired).toBe(true)
+    expect(data.token).toBeUndefined()
+    expect(sessionService.createSession).not.toHaveBeenCalled()
+
+    // The challenge token from the response authenticates the enrollment requests
+    const req = { body: { challengeToken: data.challengeToken }, headers: {} }
+    const next = jest.fn()
+
+    await authenticateEnrollment(req, mockResponse(), next)
+
+    expect(next).toHaveBeenCalled()
+    expect(req.user).toBe(admin)
+    expect(req.enrollment).toEqual({ rememberMe: true })
+  })
+
+  it('leaves roles that are not listed alone', async () => {
+    process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin'
+    admin.role = 'user'
+    const res = mockResponse()
+
+    await login(loginRequest, res)
+
+    expect(res.json.mock.calls[0][0].data.twoFactorSetupRequired).toBeUndefined()
+    expect(sessionService.createSession).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,202 @@
+jest.mock('../../src/models/Post', () => ({ findOne: jest.fn(), countDocuments: jest.fn() }))
+jest.mock('../../src/models/InstagramAccount', () => ({ findByInstagramUserId: jest.fn() }))
+jest.mock('../../src/models/Activity', () => {
+  const Activity = jest.requireActual('../../src/models/Activity')
+
+  // Validate like MongoDB would, but keep the record in memory
+  Activity.create = jest.fn(async (fields) => {
+    const activity = new Activity(fields)
+    await activity.validate()
+    return activity
+  })
+  Activity.findOneAndUpdate = jest.fn(async () => null)
+  Activity.countDocuments = jest.fn(async () => 0)
+
+  return Activity
+})
+jest.mock('../../src/services/WebhookDeduplicationService', () => ({
+  findOriginal: jest.fn(async () => null),
+  findUnanswered: jest.fn(async () => null),
+  getStatistics: jest.fn(() => ({}))
+}))
+jest.mock('../../src/services/RateLimitService', () => ({
+  getRetryAfter: jest.fn(async () => 0),
+  getStatistics: jest.fn()
+}))
+
+const mongoose = require('mongoose')
+const Activity = require('../../src/models/Activity')
+const Post = require('../../src/models/Post')
+const InstagramAccount = require('../../src/models/InstagramAccount')
+const rateLimitService = require('../../src/services/RateLimitService')
+const eventQueueService = require('../../src/services/EventQueueService')
+const { processWebhookEvent, getWebhookStatus, handleWebhook } = require('../../src/controllers/webhookController')
+
+const account = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  workspaceId: new mongoose.Types.ObjectId()
+}
+
+const commentEvent = {
+  type: 'comment',
+  instagramAccountId: 'ig_1',
+  postId: 'media_unknown',
+  commentId: 'comment_1',
+  fromUserId: 'user_1',
+  fromUsername: 'pembeli',
+  text: 'harga?',
+  deliveryId: 'delivery_1'
+}
+
+describe('webhookController.processWebhookEvent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    Post.findOne.mockResolvedValue(null)
+  })
+
+  it('records a comment on an unknown post as ignored for the account owner without failing the job', async () => {
+    InstagramAccount.findByInstagramUserId.mockResolvedValue(account)
+
+    const result = await processWebhookEvent(commentEvent, { attempt: 1, maxRetries: 3 })
+
+    expect(result).toEqual({ success: false, reason: 'Post not found or automation disabled' })
+    expect(Activity.create).toHaveBeenCalledTimes(1)
+
+    const activity = await Activity.create.mock.results[0].value
+    expect(activity).toMatchObject({
+      status: 'IGNORED',
+      type: 'COMMENT_RECEIVED',
+      userId: account.userId,
+      accountId: account._id,
+      postId: null
+    })
+  })
+
+  it('does not persist anything when the entry account is unknown too', async () => {
+    InstagramAccount.findByInstagramUserId.mockResolvedValue(null)
+
+    const result = await processWebhookEvent(commentEvent)
+
+    expect(result.reason).toBe('Post not found or automation disabled')
+    expect(Activity.create).not.toHaveBeenCalled()
+  })
+
+  it('looks the post up under the account the entry was delivered for, in its current workspace', async () => {
+    InstagramAccount.findByInstagramUserId.mockResolvedValue(account)
+
+    await processWebhookEvent(commentEvent)
+
+    expect(InstagramAccount.findByInstagramUserId).toHaveBeenCalledWith('ig_1')
+    expect(Post.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      instagramPostId: 'media_unknown',
+      accountId: account._id,
+      workspaceId: account.workspaceId
+    }))
+  })
+
+  it('still completes when the ignored activity cannot be written', async () => {
+    InstagramAccount.findByInstagramUserId.mockResolvedValue(account)
+    Activity.create.mockRejectedValueOnce(new Error('connection reset'))
+
+    await expect(processWebhookEvent(commentEvent)).resolves.toMatchObject({ success: false })
+  })
+
+  it('rethrows real processing failures so the queue retries them', async () => {
+    InstagramAccount.findByInstagramUserId.mockResolvedValue(account)
+    Post.findOne.mockRejectedValue(new Error('connection reset'))
+
+    await expect(processWebhookEvent(commentEvent)).rejects.toThrow('connection reset')
+
+    const activity = await Activity.create.mock.results[0].value
+    expect(activity).toMatchObject({ status: 'ERROR', userId: account.userId, accountId: account._id })
+  })
+})
+
+describe('webhookController.handleWebhook', () => {
+  const delivery = {
+    object: 'instagram',
+    entry: [{
+      id: 'ig_1',
+      time: 1700000000,
+      changes: [
+        { field: 'comments', value: { id: 'comment_1', text: 'harga?', media: { id: 'media_1' }, from: { id: 'user_1', username: 'pembeli' }, created_time: 1700000000 } },
+        { field: 'messages', value: { from: { id: 'user_2', username: 'tanya' }, message: { mid: 'mid_1', text: 'info' }, timestamp: 1700000000000 } }
+      ]
+    }]
+  }
+
+  const mockRes = () => {
+    const res = { status: jest.fn(), send: jest.fn() }
+    res.status.mockReturnValue(res)
+    return res
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('persists every change in one write before acknowledging', async () => {
+    const order = []
+    jest.spyOn(eventQueueService, 'addEvents').mockImplementation(async (events) => {
+      order.push('persist')
+      return events.map((_, i) => `job_${i}`)
+    })
+    const res = mockRes()
+    res.status.mockImplementation(() => {
+      order.push('ack')
+      return res
+    })
+
+    await handleWebhook({ body: delivery }, res)
+
+    expect(order).toEqual(['persist', 'ack'])
+    expect(res.status).toHaveBeenCalledWith(200)
+    const [events] = eventQueueService.addEvents.mock.calls[0]
+    expect(events.map((event) => event.eventData.type)).toEqual(['comment', 'message'])
+    expect(events[0].options).toMatchObject({ accountKey: 'ig_1', orderingKeys: ['post:media_1', 'commenter:user_1'] })
+  })
+
+  it('does not acknowledge the delivery when the queue write fails', async () => {
+    jest.spyOn(eventQueueService, 'addEvents').mockRejectedValue(new Error('not primary'))
+    const res = mockRes()
+
+    await handleWebhook({ body: delivery }, res)
+
+    expect(res.status).not.toHaveBeenCalledWith(200)
+    expect(res.status).toHaveBeenCalledWith(500)
+  })
+})
+
+describe('webhookController.getWebhookStatus', () => {
+  it('reports the rate-limit budget of each account', async () => {
+    const rateLimits = { accounts: [{ accountKey: 'ig_1', tokens: 12, capacity: 200 }] }
+    rateLimitService.getStatistics.mockResolvedValue(rateLimits)
+    Post.countDocuments.mockResolvedValue(3)
+    const res = { json: jest.fn(), status: jest.fn().mockReturnThis() }
+
+    await getWebhookStatus({}, res)
+
+    expect(res.status).not.toHaveBeenCalled()
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      rateLimits,
+      statistics: { activePosts: 3 }
+    })
+  })
+})
+
+describe('Activity postId requirement', () => {
+  const base = {
+    userId: new mongoose.Types.ObjectId(),
+    type: 'COMMENT_RECEIVED',
+    instagramData: { commentId: 'c1', fromUserId: 'u1', fromUsername: 'u', originalText: 'hi' }
+  }
+
+  it.each(['IGNORED', 'ERROR'])('is optional for %s events', (status) => {
+    expect(new Activity({ ...base, status }).validateSync()?.errors?.postId).toBeUndefined()
+  })
+
+  it('is required for handled events', () => {
+    expect(new Activity({ ...base, status: 'SUCCESS' }).validateSync().errors.postId).toBeDefined()
+  })
+})
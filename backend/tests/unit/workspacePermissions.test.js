@@ -0,0 +1,69 @@
+const { ROLE_PERMISSIONS, PERMISSIONS, hasPermission } = require('../../src/config/permissions')
+const { authorize } = require('../../src/middleware/auth')
+
+const run = (middleware, req) => {
+  const res = { status: jest.fn(), json: jest.fn() }
+  res.status.mockReturnValue(res)
+  const next = jest.fn()
+
+  middleware(req, res, next)
+
+  return { res, next }
+}
+
+describe('workspace roles', () => {
+  it('gives the owner every permission', () => {
+    expect(ROLE_PERMISSIONS.owner).toEqual(PERMISSIONS)
+  })
+
+  // role, permission, granted
+  it.each([
+    ['editor', 'keywords:write', true],
+    ['editor', 'accounts:manage', false],
+    ['editor', 'members:manage', false],
+    ['support_agent', 'activities:export', true],
+    ['support_agent', 'posts:write', false],
+    ['viewer', 'posts:read', true],
+    ['viewer', 'activities:export', false],
+    ['viewer', 'audit:read', false],
+    [undefined, 'posts:read', false],
+    ['superuser', 'posts:read', false]
+  ])('%s has %s: %s', (role, permission, granted) => {
+    expect(hasPermission(role, permission)).toBe(granted)
+  })
+})
+
+describe('authorize', () => {
+  const user = { _id: 'user_1', role: 'user' }
+
+  it('lets a role through that grants every required permission', () => {
+    const { next } = run(authorize('posts:read', 'posts:write'), { user, workspaceRole: 'editor' })
+
+    expect(next).toHaveBeenCalled()
+  })
+
+  it('names the first permission the workspace role lacks', () => {
+    const { res, next } = run(authorize('posts:read', 'posts:write'), { user, workspaceRole: 'viewer' })
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.status).toHaveBeenCalledWith(403)
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Access denied. Your workspace role does not allow posts:write.'
+    })
+  })
+
+  it('checks system roles separately from workspace permissions', () => {
+    const admin = { ...user, role: 'admin' }
+
+    expect(run(authorize('admin'), { user: admin, workspaceRole: 'viewer' }).next).toHaveBeenCalled()
+    expect(run(authorize('admin'), { user, workspaceRole: 'owner' }).res.status).toHaveBeenCalledWith(403)
+    expect(run(authorize('admin', 'audit:read'), { user: admin, workspaceRole: 'viewer' }).next).not.toHaveBeenCalled()
+  })
+
+  it('requires authentication first', () => {
+    const { res } = run(authorize('posts:read'), {})
+
+    expect(res.status).toHaveBeenCalledWith(401)
+  })
+})
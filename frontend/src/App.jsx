@@ -3,9 +3,17 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import { AuthProvider } from './context/AuthContext'
 import Layout from './components/Layout'
 import Login from './pages/Login'
+import ForgotPassword from './pages/ForgotPassword'
+import ResetPassword from './pages/ResetPassword'
+import VerifyEmail from './pages/VerifyEmail'
 import Dashboard from './pages/Dashboard'
 import Posts from './pages/Posts'
 import Activities from './pages/Activities'
+import ConnectInstagram from './pages/ConnectInstagram'
+import AdminUsers from './pages/AdminUsers'
+import AuditLog from './pages/AuditLog'
+import ApiKeys from './pages/ApiKeys'
+import KeywordRules from './pages/KeywordRules'
 import ProtectedRoute from './components/ProtectedRoute'
 
 function App() {
@@ -15,6 +23,9 @@ function App() {
         <div className="min-h-screen bg-gray-50">
           <Routes>
             <Route path="/login" element={<Login />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
             <Route path="/" element={
               <ProtectedRoute>
                 <Layout>
@@ -22,6 +33,13 @@ function App() {
                 </Layout>
               </ProtectedRoute>
             } />
+            <Route path="/keyword-rules" element={
+              <ProtectedRoute>
+                <Layout>
+                  <KeywordRules />
+                </Layout>
+              </ProtectedRoute>
+            } />
             <Route path="/posts" element={
               <ProtectedRoute>
                 <Layout>
@@ -36,6 +54,34 @@ function App() {
                 </Layout>
               </ProtectedRoute>
             } />
+            <Route path="/connect-instagram" element={
+              <ProtectedRoute>
+                <Layout>
+                  <ConnectInstagram />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            <Route path="/admin/users" element={
+              <ProtectedRoute>
+                <Layout>
+                  <AdminUsers />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            <Route path="/audit" element={
+              <ProtectedRoute>
+                <Layout>
+                  <AuditLog />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            <Route path="/api-keys" element={
+              <ProtectedRoute>
+                <Layout>
+                  <ApiKeys />
+                </Layout>
+              </ProtectedRoute>
+            } />
           </Routes>
         </div>
       </Router>
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react'
+import { ClipboardDocumentListIcon } from '@heroicons/react/24/outline'
+import { auditService } from '../services/auditService'
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString()
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// Newest-first list of audit entries matching `filters`, e.g. { entityType, entityId }
+const AuditTimeline = ({ filters = {}, onSelectEntity }) => {
+  const [entries, setEntries] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  // Re-query from the first page whenever the filters change
+  const filterKey = JSON.stringify(filters)
+  useEffect(() => {
+    setPage(1)
+  }, [filterKey])
+
+  useEffect(() => {
+    let cancelled = false
+    const params = { page, limit: 20 }
+    Object.entries(JSON.parse(filterKey)).forEach(([key, value]) => {
+      if (value) params[key] = value
+    })
+
+    setLoading(true)
+    auditService.getAuditLogs(params)
+      .then((data) => {
+        if (cancelled) return
+        setEntries(prev => (page === 1 ? data.entries : [...prev, ...data.entries]))
+        setPagination(data.pagination)
+        setError('')
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [filterKey, page])
+
+  if (error) {
+    return <div className="p-3 rounded-md bg-red-50 text-sm text-red-700">{error}</div>
+  }
+
+  if (!loading && entries.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <ClipboardDocumentListIcon className="mx-auto h-10 w-10 text-gray-400" />
+        <p className="mt-2 text-sm text-gray-500">No changes recorded yet.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <ol className="relative border-l border-gray-200 ml-2">
+        {entries.map((entry) => (
+          <li key={entry.id} className="mb-6 ml-4">
+            <div className="absolute w-3 h-3 bg-primary-200 rounded-full -left-1.5 mt-1.5 border border-white" />
+            <div className="flex flex-wrap items-baseline gap-x-2">
+              <span className="text-sm font-medium text-gray-900">{entry.action}</span>
+              {onSelectEntity && entry.entityId ? (
+                <button
+                  onClick={() => onSelectEntity(entry)}
+                  className="text-sm text-primary-600 hover:text-primary-700"
+                >
+                  {entry.entityLabel || entry.entityType}
+                </button>
+              ) : (
+                <span className="text-sm text-gray-600">{entry.entityLabel}</span>
+              )}
+            </div>
+            <p className="text-xs text-gray-500">
+              {formatTime(entry.createdAt)} · {entry.actorEmail || 'system'}
+              {entry.impersonatedBy && ` (by ${entry.impersonatedBy.email})`}
+              {entry.apiKeyId && ` (API key ${entry.apiKeyId.name})`}
+              {entry.ipAddress && ` · ${entry.ipAddress}`}
+            </p>
+            {entry.changes.length > 0 && (
+              <table className="mt-2 text-xs">
+                <tbody>
+                  {entry.changes.map((change) => (
+                    <tr key={change.path} className="align-top">
+                      <td className="pr-3 py-0.5 font-mono text-gray-600">{change.path}</td>
+                      <td className="pr-2 py-0.5 text-red-700 line-through break-all">{formatValue(change.before)}</td>
+                      <td className="py-0.5 text-green-700 break-all">{formatValue(change.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+        </div>
+      ) : pagination?.hasNextPage && (
+        <button onClick={() => setPage(page + 1)} className="btn-secondary">
+          Load older changes
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default AuditTimeline
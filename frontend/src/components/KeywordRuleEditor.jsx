@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react'
+import { keywordService } from '../services/keywordService'
+
+const VALIDATE_DELAY_MS = 400
+
+// Writes a parsed rule back out with every grouping made explicit
+const describeRule = (node, parent = null) => {
+  if (node.type === 'TERM') return `"${node.value}"`
+  if (node.type === 'NOT') return `NOT ${describeRule(node.child, node)}`
+
+  const text = node.children.map(child => describeRule(child, node)).join(` ${node.type} `)
+  return parent ? `(${text})` : text
+}
+
+/**
+ * Input for a RULE keyword expression. The expression is checked by the
+ * server while typing; `onValidated` receives whether it can be saved.
+ * Pass a stable `onValidated` (a state setter or a useCallback), since a new
+ * function on every render would restart the check.
+ */
+const KeywordRuleEditor = ({ value, onChange, onValidated }) => {
+  const [result, setResult] = useState(null)
+  const [checking, setChecking] = useState(false)
+  const [requestError, setRequestError] = useState('')
+
+  useEffect(() => {
+    setResult(null)
+    setRequestError('')
+    setChecking(false)
+    onValidated(false)
+
+    if (!value.trim()) return
+
+    let cancelled = false
+    setChecking(true)
+
+    const timer = setTimeout(() => {
+      keywordService.validateRule(value)
+        .then((data) => {
+          if (cancelled) return
+          setResult(data)
+          onValidated(data.valid)
+        })
+        .catch((err) => !cancelled && setRequestError(err.message))
+        .finally(() => !cancelled && setChecking(false))
+    }, VALIDATE_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [value, onValidated])
+
+  const error = result?.error
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">Rule</label>
+      <input
+        type="text"
+        placeholder='harga AND (xl OR xxl) NOT reseller'
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={`input-field font-mono ${error ? 'border-red-300 focus:ring-red-500' : ''}`}
+        maxLength={100}
+        spellCheck={false}
+      />
+      <p className="text-xs text-gray-500">
+        Combine words with AND, OR and NOT in capitals, group with parentheses, and quote phrases
+        that contain an operator word. Each term must appear as whole words.
+      </p>
+
+      {checking && <p className="text-xs text-gray-500">Checking rule…</p>}
+
+      {requestError && <p className="text-xs text-red-600">{requestError}</p>}
+
+      {error && (
+        <div className="p-2 rounded-md bg-red-50 text-xs text-red-700 space-y-1">
+          <p>{error.message}</p>
+          <pre className="font-mono whitespace-pre overflow-x-auto">
+            {value}
+            {'\n'}
+            {' '.repeat(error.position)}^
+          </pre>
+        </div>
+      )}
+
+      {result?.valid && (
+        <p className="p-2 rounded-md bg-green-50 text-xs text-green-800">
+          Replies when the comment matches: <span className="font-mono">{describeRule(result.rule)}</span>
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default KeywordRuleEditor
@@ -1,27 +1,61 @@
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import { Link, useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
+import { workspaceService } from '../services/workspaceService'
 import {
   HomeIcon,
   DocumentTextIcon,
   ClockIcon,
+  LinkIcon,
+  UsersIcon,
+  ClipboardDocumentListIcon,
+  KeyIcon,
+  FunnelIcon,
   ArrowRightOnRectangleIcon,
 } from '@heroicons/react/24/outline'
 
 const Layout = ({ children }) => {
   const location = useLocation()
   const navigate = useNavigate()
-  const { user, logout } = useAuth()
+  const { user, logout, impersonator, stopImpersonation } = useAuth()
+  const [workspaces, setWorkspaces] = useState([])
+  const [currentWorkspaceId, setCurrentWorkspaceId] = useState('')
+
+  useEffect(() => {
+    workspaceService.getWorkspaces()
+      .then((data) => {
+        setWorkspaces(data.workspaces)
+        setCurrentWorkspaceId(data.currentWorkspaceId)
+      })
+      .catch((error) => console.error(error.message))
+  }, [])
+
+  const handleWorkspaceChange = (event) => {
+    workspaceService.setCurrentWorkspace(event.target.value)
+    // Reload so every page fetches the new workspace's data
+    window.location.reload()
+  }
 
   const handleLogout = () => {
     logout()
     navigate('/login')
   }
 
+  const handleStopImpersonation = async () => {
+    await stopImpersonation()
+    // Reload so every page fetches the admin's own data again
+    window.location.assign('/admin/users')
+  }
+
   const navigation = [
     { name: 'Dashboard', href: '/', icon: HomeIcon },
     { name: 'Posts', href: '/posts', icon: DocumentTextIcon },
+    { name: 'Keyword Rules', href: '/keyword-rules', icon: FunnelIcon },
     { name: 'Activities', href: '/activities', icon: ClockIcon },
+    { name: 'Instagram', href: '/connect-instagram', icon: LinkIcon },
+    { name: 'Audit Log', href: '/audit', icon: ClipboardDocumentListIcon },
+    { name: 'API Keys', href: '/api-keys', icon: KeyIcon },
+    ...(user?.role === 'admin' ? [{ name: 'Users', href: '/admin/users', icon: UsersIcon }] : []),
   ]
 
   return (
@@ -31,6 +65,26 @@ const Layout = ({ children }) => {
         <div className="flex h-16 items-center justify-center border-b border-gray-200">
           <h1 className="text-xl font-bold text-gradient">Tanggapin</h1>
         </div>
+
+        {workspaces.length > 1 && (
+          <div className="mt-6 px-4">
+            <label htmlFor="workspace" className="block text-xs font-medium text-gray-500 mb-1">
+              Workspace
+            </label>
+            <select
+              id="workspace"
+              value={currentWorkspaceId}
+              onChange={handleWorkspaceChange}
+              className="input-field"
+            >
+              {workspaces.map((workspace) => (
+                <option key={workspace.id} value={workspace.id}>
+                  {workspace.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
         
         <nav className="mt-8 px-4">
           <ul className="space-y-2">
@@ -81,6 +135,16 @@ const Layout = ({ children }) => {
 
       {/* Main content */}
       <div className="pl-64">
+        {impersonator && (
+          <div className="flex items-center justify-between px-8 py-2 bg-yellow-100 border-b border-yellow-300 text-sm text-yellow-800">
+            <span>
+              You are acting as <strong>{user?.email}</strong>. Signed in as {impersonator.email}.
+            </span>
+            <button onClick={handleStopImpersonation} className="font-medium underline">
+              Switch back
+            </button>
+          </div>
+        )}
         <main className="py-8 px-8">
           {children}
         </main>
@@ -7,24 +7,27 @@ const AuthContext = createContext()
 const TOKEN_KEY = 'tanggapin_token'
 const USER_KEY = 'tanggapin_user'
 const TOKEN_EXPIRY_KEY = 'tanggapin_token_expiry'
+const REFRESH_TOKEN_KEY = 'tanggapin_refresh_token'
+const WORKSPACE_KEY = 'tanggapin_workspace'
+const IMPERSONATOR_KEY = 'tanggapin_impersonator'
 
 const tokenStorage = {
-  setToken: (token, expiresIn = 24 * 60 * 60 * 1000) => { // Default 24 hours
+  setToken: (token, expiresIn = 15 * 60 * 1000) => { // Default 15 minutes
     const expiryTime = Date.now() + expiresIn
     localStorage.setItem(TOKEN_KEY, token)
     localStorage.setItem(TOKEN_EXPIRY_KEY, expiryTime.toString())
   },
+
+  setRefreshToken: (refreshToken) => {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken)
+  },
   
+  // An expired access token is still returned; the api client refreshes it on 401
   getToken: () => {
     const token = localStorage.getItem(TOKEN_KEY)
-    const expiry = localStorage.getItem(TOKEN_EXPIRY_KEY)
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY)
     
-    if (!token || !expiry) return null
-    
-    if (Date.now() > parseInt(expiry)) {
-      tokenStorage.clearToken()
-      return null
-    }
+    if (!token || !refreshToken) return null
     
     return token
   },
@@ -32,7 +35,10 @@ const tokenStorage = {
   clearToken: () => {
     localStorage.removeItem(TOKEN_KEY)
     localStorage.removeItem(TOKEN_EXPIRY_KEY)
+    localStorage.removeItem(REFRESH_TOKEN_KEY)
     localStorage.removeItem(USER_KEY)
+    localStorage.removeItem(WORKSPACE_KEY)
+    localStorage.removeItem(IMPERSONATOR_KEY)
   },
   
   setUser: (user) => {
@@ -44,6 +50,46 @@ const tokenStorage = {
     return user ? JSON.parse(user) : null
   },
   
+  // The admin's own session, put aside while they act as another user
+  saveImpersonator: () => {
+    const impersonator = {
+      token: localStorage.getItem(TOKEN_KEY),
+      tokenExpiry: localStorage.getItem(TOKEN_EXPIRY_KEY),
+      refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY),
+      user: tokenStorage.getUser(),
+      workspace: localStorage.getItem(WORKSPACE_KEY)
+    }
+    localStorage.setItem(IMPERSONATOR_KEY, JSON.stringify(impersonator))
+    localStorage.removeItem(WORKSPACE_KEY)
+  },
+
+  getImpersonator: () => {
+    const impersonator = localStorage.getItem(IMPERSONATOR_KEY)
+    return impersonator ? JSON.parse(impersonator) : null
+  },
+
+  restoreImpersonator: () => {
+    const impersonator = tokenStorage.getImpersonator()
+    const entries = [
+      [TOKEN_KEY, impersonator.token],
+      [TOKEN_EXPIRY_KEY, impersonator.tokenExpiry],
+      [REFRESH_TOKEN_KEY, impersonator.refreshToken],
+      [USER_KEY, JSON.stringify(impersonator.user)],
+      [WORKSPACE_KEY, impersonator.workspace]
+    ]
+
+    entries.forEach(([key, value]) => {
+      if (value) {
+        localStorage.setItem(key, value)
+      } else {
+        localStorage.removeItem(key)
+      }
+    })
+    localStorage.removeItem(IMPERSONATOR_KEY)
+
+    return impersonator.user
+  },
+  
   isTokenExpiring: (thresholdMinutes = 5) => {
     const expiry = localStorage.getItem(TOKEN_EXPIRY_KEY)
     if (!expiry) return true
@@ -218,23 +264,32 @@ export const AuthProvider = ({ children }) => {
     return () => document.removeEventListener('visibilitychange', handleVisibilityChange)
   }, [state.isAuthenticated, checkTokenExpiry])
 
+  // Store a session returned by login, two-factor verification or enrollment
+  const completeLogin = (response) => {
+    tokenStorage.setToken(response.token, response.expiresIn)
+    tokenStorage.setRefreshToken(response.refreshToken)
+    tokenStorage.setUser(response.user)
+    
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: response
+    })
+  }
+
   const login = async (credentials, rememberMe = false) => {
     dispatch({ type: 'LOGIN_START' })
     
     try {
-      const response = await authService.login(credentials)
-      
-      // Set token expiry based on remember me option
-      const expiresIn = rememberMe ? 30 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000 // 30 days or 1 day
-      
-      tokenStorage.setToken(response.token, expiresIn)
-      tokenStorage.setUser(response.user)
-      
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: response
-      })
+      // Remember me keeps the server-side session for 30 days instead of 1
+      const response = await authService.login({ ...credentials, rememberMe })
+
+      // Two-factor step pending: the Login page continues with the challenge token
+      if (response.challengeToken) {
+        dispatch({ type: 'SET_LOADING', payload: false })
+        return response
+      }
       
+      completeLogin(response)
       return response
     } catch (error) {
       dispatch({
@@ -260,6 +315,23 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  // Act as another user with the session returned by the admin impersonate endpoint
+  const startImpersonation = (response) => {
+    tokenStorage.saveImpersonator()
+    completeLogin(response)
+  }
+
+  // End the impersonation session and switch back to the admin's own
+  const stopImpersonation = async () => {
+    await authService.logout()
+
+    const user = tokenStorage.restoreImpersonator()
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: { user, token: tokenStorage.getToken() }
+    })
+  }
+
   const updateUser = (userData) => {
     const updatedUser = { ...state.user, ...userData }
     tokenStorage.setUser(updatedUser)
@@ -298,6 +370,10 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    completeLogin,
+    startImpersonation,
+    stopImpersonation,
+    impersonator: tokenStorage.getImpersonator()?.user || null,
     logout,
     updateUser,
     clearError,
@@ -0,0 +1,383 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { MagnifyingGlassIcon, UserPlusIcon, UsersIcon } from '@heroicons/react/24/outline'
+import { useAuth } from '../context/AuthContext'
+import { userService } from '../services/userService'
+import AuditTimeline from '../components/AuditTimeline'
+
+const emptyNewUser = { name: '', email: '', password: '', role: 'user' }
+
+const AdminUsers = () => {
+  const navigate = useNavigate()
+  const { user: currentUser, startImpersonation } = useAuth()
+
+  const [users, setUsers] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [filters, setFilters] = useState({ search: '', role: '', status: '' })
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  const [showCreate, setShowCreate] = useState(false)
+  const [newUser, setNewUser] = useState(emptyNewUser)
+  const [selectedId, setSelectedId] = useState(null)
+  const [editForm, setEditForm] = useState({ name: '', email: '' })
+  const [newPassword, setNewPassword] = useState('')
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true)
+    try {
+      const params = { page }
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value
+      })
+
+      const data = await userService.getUsers(params)
+      setUsers(data.users)
+      setPagination(data.pagination)
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [filters, page])
+
+  useEffect(() => {
+    if (currentUser?.role === 'admin') loadUsers()
+  }, [currentUser, loadUsers])
+
+  if (currentUser?.role !== 'admin') {
+    return (
+      <div className="card text-center py-12">
+        <h3 className="text-sm font-medium text-gray-900">Admins only</h3>
+        <p className="mt-1 text-sm text-gray-500">You do not have access to user management.</p>
+      </div>
+    )
+  }
+
+  const handleFilterChange = (e) => {
+    setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }))
+    setPage(1)
+  }
+
+  // Run an action, replace the changed user in the list and report the outcome
+  const runAction = async (action, successMessage) => {
+    setError('')
+    setNotice('')
+    try {
+      const result = await action()
+      if (result?.id) {
+        setUsers(prev => prev.map(user => (user.id === result.id ? result : user)))
+      }
+      setNotice(typeof result === 'string' ? result : successMessage)
+      return result
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const created = await runAction(() => userService.createUser(newUser), 'User created')
+    if (created) {
+      setNewUser(emptyNewUser)
+      setShowCreate(false)
+      loadUsers()
+    }
+  }
+
+  const selectUser = (user) => {
+    if (selectedId === user.id) {
+      setSelectedId(null)
+      return
+    }
+    setSelectedId(user.id)
+    setEditForm({ name: user.name, email: user.email })
+    setNewPassword('')
+  }
+
+  const handleUpdate = (e, user) => {
+    e.preventDefault()
+    const changes = {}
+    if (editForm.name !== user.name) changes.name = editForm.name
+    if (editForm.email !== user.email) changes.email = editForm.email
+    if (Object.keys(changes).length === 0) return
+
+    runAction(() => userService.updateUser(user.id, changes), 'User updated')
+  }
+
+  const handleSetPassword = async (e, user) => {
+    e.preventDefault()
+    const message = await runAction(() => userService.resetPassword(user.id, newPassword))
+    if (message) setNewPassword('')
+  }
+
+  const handleToggleActive = (user) => {
+    if (user.isActive && !window.confirm(`Deactivate ${user.email}? They will be logged out everywhere.`)) return
+
+    runAction(
+      () => userService.setActive(user.id, !user.isActive),
+      user.isActive ? 'User deactivated' : 'User activated'
+    )
+  }
+
+  const handleImpersonate = async (user) => {
+    if (!window.confirm(`Act as ${user.email}? You can switch back from the banner at the top.`)) return
+
+    const session = await runAction(() => userService.impersonate(user.id))
+    if (session) {
+      startImpersonation(session)
+      navigate('/')
+    }
+  }
+
+  const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Never')
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Users</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Manage accounts, roles and access
+          </p>
+        </div>
+        <button onClick={() => setShowCreate(!showCreate)} className="btn-primary flex items-center">
+          <UserPlusIcon className="h-5 w-5 mr-2" />
+          New user
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">{error}</div>
+      )}
+      {notice && (
+        <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">{notice}</div>
+      )}
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="card grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <input
+            type="text"
+            placeholder="Name"
+            value={newUser.name}
+            onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+            className="input-field"
+            required
+          />
+          <input
+            type="email"
+            placeholder="Email"
+            value={newUser.email}
+            onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+            className="input-field"
+            required
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            value={newUser.password}
+            onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+            className="input-field"
+            minLength={6}
+            autoComplete="new-password"
+            required
+          />
+          <select
+            value={newUser.role}
+            onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+            className="input-field"
+          >
+            <option value="user">User</option>
+            <option value="admin">Admin</option>
+          </select>
+          <button type="submit" className="btn-primary">Create</button>
+        </form>
+      )}
+
+      {/* Filters and Search */}
+      <div className="flex flex-col sm:flex-row gap-4">
+        <div className="flex-1 relative">
+          <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+          <input
+            type="text"
+            name="search"
+            placeholder="Search by name or email..."
+            value={filters.search}
+            onChange={handleFilterChange}
+            className="input-field pl-10"
+          />
+        </div>
+        <select name="role" value={filters.role} onChange={handleFilterChange} className="input-field w-auto">
+          <option value="">All roles</option>
+          <option value="admin">Admins</option>
+          <option value="user">Users</option>
+        </select>
+        <select name="status" value={filters.status} onChange={handleFilterChange} className="input-field w-auto">
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+          <option value="locked">Locked</option>
+        </select>
+      </div>
+
+      {/* Users List */}
+      <div className="card">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : users.length === 0 ? (
+          <div className="text-center py-12">
+            <UsersIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No users found</h3>
+            <p className="mt-1 text-sm text-gray-500">Try adjusting your search or filter criteria.</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {users.map((user) => {
+              const isSelf = user.id === currentUser.id
+
+              return (
+                <div key={user.id} className="py-4">
+                  <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900">
+                        {user.name} {isSelf && <span className="text-gray-400">(you)</span>}
+                      </p>
+                      <p className="text-sm text-gray-500">{user.email}</p>
+                      <div className="mt-1 flex flex-wrap gap-2">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${user.isActive ? 'status-success' : 'status-error'}`}>
+                          {user.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                        {user.isLocked && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium status-error">
+                            Locked until {formatTime(user.lockedUntil)}
+                          </span>
+                        )}
+                        {!user.emailVerified && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium status-pending">Unverified email</span>
+                        )}
+                        {user.twoFactorEnabled && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">2FA</span>
+                        )}
+                      </div>
+                      <p className="mt-1 text-xs text-gray-500">Last login: {formatTime(user.lastLoginAt)}</p>
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-2">
+                      <select
+                        value={user.role}
+                        onChange={(e) => runAction(() => userService.changeRole(user.id, e.target.value), 'Role updated')}
+                        className="input-field w-auto"
+                        disabled={isSelf}
+                      >
+                        <option value="user">User</option>
+                        <option value="admin">Admin</option>
+                      </select>
+                      {user.isLocked && (
+                        <button onClick={() => runAction(() => userService.unlockUser(user.id), 'Account unlocked')} className="btn-secondary">
+                          Unlock
+                        </button>
+                      )}
+                      {!isSelf && (
+                        <button onClick={() => handleToggleActive(user)} className="btn-secondary">
+                          {user.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                      )}
+                      {!isSelf && user.role !== 'admin' && user.isActive && (
+                        <button onClick={() => handleImpersonate(user)} className="btn-secondary">
+                          Impersonate
+                        </button>
+                      )}
+                      <button onClick={() => selectUser(user)} className="btn-secondary">
+                        {selectedId === user.id ? 'Close' : 'Edit'}
+                      </button>
+                    </div>
+                  </div>
+
+                  {selectedId === user.id && (
+                    <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6 p-4 bg-gray-50 rounded-lg">
+                      <form onSubmit={(e) => handleUpdate(e, user)} className="space-y-3">
+                        <h4 className="text-sm font-medium text-gray-900">Profile</h4>
+                        <input
+                          type="text"
+                          value={editForm.name}
+                          onChange={(e) => setEditForm({ ...editForm, name: e.target.value })}
+                          className="input-field"
+                          required
+                        />
+                        <input
+                          type="email"
+                          value={editForm.email}
+                          onChange={(e) => setEditForm({ ...editForm, email: e.target.value })}
+                          className="input-field"
+                          required
+                        />
+                        <button type="submit" className="btn-primary">Save</button>
+                      </form>
+
+                      <form onSubmit={(e) => handleSetPassword(e, user)} className="space-y-3">
+                        <h4 className="text-sm font-medium text-gray-900">Password</h4>
+                        <p className="text-xs text-gray-500">
+                          Email the user a reset link, or set a new password. Either way they are logged out everywhere once it changes.
+                        </p>
+                        <input
+                          type="password"
+                          placeholder="New password"
+                          value={newPassword}
+                          onChange={(e) => setNewPassword(e.target.value)}
+                          className="input-field"
+                          minLength={6}
+                          autoComplete="new-password"
+                        />
+                        <div className="flex gap-2">
+                          <button type="submit" className="btn-primary" disabled={!newPassword}>Set password</button>
+                          <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => runAction(() => userService.resetPassword(user.id))}
+                            disabled={!user.isActive}
+                          >
+                            Email reset link
+                          </button>
+                        </div>
+                      </form>
+
+                      <div className="md:col-span-2 space-y-3">
+                        <h4 className="text-sm font-medium text-gray-900">History</h4>
+                        <AuditTimeline filters={{ scope: 'all', entityType: 'User', entityId: user.id }} />
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalUsers} users)
+          </p>
+          <div className="flex gap-2">
+            <button onClick={() => setPage(page - 1)} className="btn-secondary" disabled={!pagination.hasPrevPage}>
+              Previous
+            </button>
+            <button onClick={() => setPage(page + 1)} className="btn-secondary" disabled={!pagination.hasNextPage}>
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdminUsers
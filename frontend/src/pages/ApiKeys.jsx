@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react'
+import { KeyIcon, PlusIcon } from '@heroicons/react/24/outline'
+import { apiKeyService } from '../services/apiKeyService'
+
+const emptyNewKey = { name: '', scopes: [], rateLimitPerMinute: '', expiresAt: '' }
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Never')
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([])
+  const [availableScopes, setAvailableScopes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showCreate, setShowCreate] = useState(false)
+  const [newKey, setNewKey] = useState(emptyNewKey)
+  const [createdKey, setCreatedKey] = useState('')
+
+  useEffect(() => {
+    apiKeyService.getApiKeys()
+      .then((data) => {
+        setApiKeys(data.apiKeys)
+        setAvailableScopes(data.availableScopes)
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const toggleScope = (scope) => {
+    setNewKey(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(item => item !== scope)
+        : [...prev.scopes, scope],
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    const data = { name: newKey.name, scopes: newKey.scopes }
+    if (newKey.rateLimitPerMinute) data.rateLimitPerMinute = Number(newKey.rateLimitPerMinute)
+    if (newKey.expiresAt) data.expiresAt = new Date(newKey.expiresAt).toISOString()
+
+    try {
+      const { apiKey, key } = await apiKeyService.createApiKey(data)
+      setApiKeys(prev => [apiKey, ...prev])
+      setCreatedKey(key)
+      setNewKey(emptyNewKey)
+      setShowCreate(false)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Integrations using it stop working immediately.`)) return
+
+    setError('')
+    try {
+      const revoked = await apiKeyService.revokeApiKey(apiKey.id)
+      setApiKeys(prev => prev.map(item => (item.id === revoked.id ? { ...item, ...revoked } : item)))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">API Keys</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Let other systems manage keywords and read activities in this workspace
+          </p>
+        </div>
+        <button onClick={() => setShowCreate(!showCreate)} className="btn-primary flex items-center">
+          <PlusIcon className="h-5 w-5 mr-2" />
+          New Key
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-md bg-red-50 text-sm text-red-700">{error}</div>
+      )}
+
+      {createdKey && (
+        <div className="card bg-green-50 border-green-200 space-y-2">
+          <p className="text-sm font-medium text-green-800">Copy this key now. It will not be shown again.</p>
+          <code className="block p-2 bg-white rounded border border-green-200 text-sm break-all">{createdKey}</code>
+          <button onClick={() => setCreatedKey('')} className="btn-secondary">Done</button>
+        </div>
+      )}
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="card space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              type="text"
+              placeholder="Name, e.g. Order system"
+              value={newKey.name}
+              onChange={(e) => setNewKey({ ...newKey, name: e.target.value })}
+              className="input-field"
+              required
+            />
+            <input
+              type="number"
+              placeholder="Requests per minute (default 60)"
+              value={newKey.rateLimitPerMinute}
+              onChange={(e) => setNewKey({ ...newKey, rateLimitPerMinute: e.target.value })}
+              className="input-field"
+              min={1}
+              max={1000}
+            />
+            <input
+              type="date"
+              value={newKey.expiresAt}
+              onChange={(e) => setNewKey({ ...newKey, expiresAt: e.target.value })}
+              className="input-field"
+              title="Expiry (optional)"
+            />
+          </div>
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Scopes</h4>
+            <div className="flex flex-wrap gap-3">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={newKey.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    className="mr-1"
+                  />
+                  {scope}
+                </label>
+              ))}
+            </div>
+          </div>
+          <button type="submit" className="btn-primary" disabled={newKey.scopes.length === 0}>
+            Create key
+          </button>
+        </form>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : apiKeys.length === 0 ? (
+          <div className="text-center py-12">
+            <KeyIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No API keys</h3>
+            <p className="mt-1 text-sm text-gray-500">Create a key to connect another system.</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {apiKeys.map((apiKey) => (
+              <div key={apiKey.id} className="py-4 flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {apiKey.name} <span className="font-mono text-gray-500">{apiKey.prefix}…</span>
+                  </p>
+                  <div className="mt-1 flex flex-wrap gap-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${apiKey.isActive ? 'status-success' : 'status-error'}`}>
+                      {apiKey.revokedAt ? 'Revoked' : apiKey.isActive ? 'Active' : 'Expired'}
+                    </span>
+                    {apiKey.scopes.map((scope) => (
+                      <span key={scope} className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                        {scope}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {apiKey.rateLimitPerMinute} requests/min · Last used: {formatTime(apiKey.lastUsedAt)}
+                    {apiKey.lastUsedIp && ` from ${apiKey.lastUsedIp}`}
+                    {apiKey.expiresAt && ` · Expires: ${formatTime(apiKey.expiresAt)}`}
+                  </p>
+                </div>
+                {apiKey.isActive && (
+                  <button onClick={() => handleRevoke(apiKey)} className="btn-secondary">
+                    Revoke
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ApiKeys
@@ -0,0 +1,94 @@
+import React from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { FunnelIcon } from '@heroicons/react/24/outline'
+import { useAuth } from '../context/AuthContext'
+import AuditTimeline from '../components/AuditTimeline'
+
+const ENTITY_TYPES = ['Post', 'Keyword', 'InstagramAccount', 'ApiKey', 'User']
+// Same shape the API accepts; half-typed actions are not sent
+const ACTION_PATTERN = /^[a-z_]+(\.[a-z_]+)*(\.\*)?$/
+
+const AuditLog = () => {
+  const { user } = useAuth()
+  // Filters live in the URL so a single entity's timeline can be linked to
+  const [searchParams, setSearchParams] = useSearchParams()
+
+  const filters = {
+    scope: searchParams.get('scope') || 'workspace',
+    entityType: searchParams.get('entityType') || '',
+    entityId: searchParams.get('entityId') || '',
+    action: searchParams.get('action') || '',
+  }
+
+  const updateFilters = (changes) => {
+    const next = { ...filters, ...changes }
+    setSearchParams(Object.fromEntries(Object.entries(next).filter(([, value]) => value)))
+  }
+
+  const handleFilterChange = (e) => {
+    const changes = { [e.target.name]: e.target.value }
+    // A new entity type or scope no longer matches the selected entity
+    if (e.target.name !== 'action') changes.entityId = ''
+    updateFilters(changes)
+  }
+
+  const showEntity = (entry) => {
+    updateFilters({ entityType: entry.entityType, entityId: entry.entityId })
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Who changed posts, keywords, accounts and users, and what they changed
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-4">
+        <div className="flex items-center space-x-4">
+          <FunnelIcon className="h-5 w-5 text-gray-400" />
+          <select name="scope" value={filters.scope} onChange={handleFilterChange} className="input-field w-auto">
+            <option value="workspace">This workspace</option>
+            <option value="account">My account</option>
+            {user?.role === 'admin' && <option value="all">Everything</option>}
+          </select>
+        </div>
+        <select name="entityType" value={filters.entityType} onChange={handleFilterChange} className="input-field w-auto">
+          <option value="">All entities</option>
+          {ENTITY_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          name="action"
+          placeholder="Action, e.g. keyword.* or post.update"
+          value={filters.action}
+          onChange={handleFilterChange}
+          className="input-field flex-1"
+        />
+      </div>
+
+      {filters.entityId && (
+        <div className="flex items-center justify-between p-3 rounded-md bg-blue-50 text-sm text-blue-800">
+          <span>Showing the history of one {filters.entityType || 'entity'}</span>
+          <button onClick={() => updateFilters({ entityId: '' })} className="text-blue-700 hover:text-blue-900 font-medium">
+            Show all
+          </button>
+        </div>
+      )}
+
+      <div className="card">
+        <AuditTimeline
+          filters={{ ...filters, action: ACTION_PATTERN.test(filters.action) ? filters.action : '' }}
+          onSelectEntity={showEntity}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default AuditLog
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { format } from 'date-fns'
+import { LinkIcon, CheckCircleIcon } from '@heroicons/react/24/outline'
+import { instagramService } from '../services/instagramService'
+
+// Reasons passed back by the OAuth callback redirect
+const ERROR_MESSAGES = {
+  ACCESS_DENIED: 'You cancelled the Instagram connection.',
+  INVALID_STATE: 'The connection link expired. Please try again.',
+  STATE_MISMATCH: 'The connection was started in another browser. Please try again from here.',
+  NO_BUSINESS_ACCOUNT: 'No Instagram business or creator account is linked to your Facebook pages.',
+  ACCOUNT_IN_USE: 'These Instagram accounts are already connected to another workspace.',
+  APP_NOT_CONFIGURED: 'Instagram connection is not configured on the server.',
+}
+
+const ConnectInstagram = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [accounts, setAccounts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setAccounts(await instagramService.getAccounts())
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadStatus()
+  }, [loadStatus])
+
+  // Show the result the OAuth callback redirect passed in, once, then drop it from the URL
+  useEffect(() => {
+    const status = searchParams.get('status')
+
+    if (status === 'connected') {
+      const usernames = searchParams.get('usernames')?.split(',').map((name) => `@${name}`).join(', ')
+      const skipped = searchParams.get('skipped')?.split(',').map((name) => `@${name}`).join(', ')
+
+      setNotice(
+        `Connected ${usernames}. Your posts are being synced.` +
+        (skipped ? ` Skipped ${skipped}: already connected to another workspace.` : '')
+      )
+    } else if (status === 'error') {
+      setError(ERROR_MESSAGES[searchParams.get('reason')] || 'Instagram connection failed. Please try again.')
+    }
+
+    if (status) {
+      setSearchParams({}, { replace: true })
+    }
+  }, [searchParams, setSearchParams])
+
+  const handleConnect = async () => {
+    setWorking(true)
+    setError(null)
+
+    try {
+      // Facebook Login redirects back to the API, which sends the browser here again
+      window.location.href = await instagramService.getConnectUrl()
+    } catch (err) {
+      setError(err.message)
+      setWorking(false)
+    }
+  }
+
+  const handleDisconnect = async (account) => {
+    if (!window.confirm(`Disconnect @${account.username}? Auto-replies on its posts stop until you connect it again.`)) {
+      return
+    }
+
+    setWorking(true)
+    setError(null)
+    setNotice(null)
+
+    try {
+      await instagramService.disconnect(account.id)
+      await loadStatus()
+      setNotice(`@${account.username} disconnected.`)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const connectedAccounts = accounts.filter((account) => account.isConnected)
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Instagram</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Connect the Instagram business accounts Tanggapin replies from
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {notice && (
+        <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">
+          {notice}
+        </div>
+      )}
+
+      <div className="card max-w-2xl">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : connectedAccounts.length > 0 ? (
+          <div className="space-y-6">
+            <ul className="divide-y divide-gray-200">
+              {connectedAccounts.map((account) => (
+                <li key={account.id} className="flex items-center py-4 first:pt-0">
+                  <CheckCircleIcon className={`h-10 w-10 ${account.isTokenExpired ? 'text-gray-300' : 'text-green-500'}`} />
+                  <div className="ml-4">
+                    <h3 className="text-lg font-medium text-gray-900">@{account.username}</h3>
+                    <p className="text-sm text-gray-500">
+                      {account.accountType === 'CREATOR' ? 'Creator' : 'Business'} account
+                      {account.pageName && ` · ${account.pageName}`}
+                    </p>
+                    {account.isTokenExpired ? (
+                      <p className="text-sm text-red-600">Access expired. Reconnect to keep replying.</p>
+                    ) : account.tokenExpiresAt && (
+                      <p className="text-sm text-gray-600">
+                        Access renews automatically before {format(new Date(account.tokenExpiresAt), 'd MMM yyyy')}.
+                      </p>
+                    )}
+                  </div>
+                  <div className="ml-auto flex items-center space-x-3">
+                    <span className={account.isTokenExpired ? 'status-error' : 'status-success'}>
+                      {account.isTokenExpired ? 'Expired' : 'Connected'}
+                    </span>
+                    <button
+                      onClick={() => handleDisconnect(account)}
+                      className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                      disabled={working}
+                    >
+                      Disconnect
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            <div className="border-t border-gray-200 pt-6">
+              <p className="text-sm text-gray-500 mb-4">
+                Accounts linked to the Facebook pages you pick are added here; existing ones are reconnected.
+              </p>
+              <button
+                onClick={handleConnect}
+                className="btn-instagram disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={working}
+              >
+                {working ? 'Redirecting...' : 'Connect another account'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-col items-center text-center py-8">
+            <LinkIcon className="h-12 w-12 text-gray-400 mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">
+              {accounts.length > 0 ? 'Reconnect Instagram' : 'Connect Instagram'}
+            </h3>
+            <p className="text-sm text-gray-500 mb-6 max-w-md">
+              Sign in with the Facebook account that manages your Instagram business or creator accounts.
+            </p>
+            <button
+              onClick={handleConnect}
+              className="btn-instagram disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={working}
+            >
+              {working ? 'Redirecting...' : 'Connect Instagram'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ConnectInstagram
@@ -1,85 +1,115 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { formatDistanceToNow } from 'date-fns'
 import {
   ChatBubbleLeftRightIcon,
   DocumentTextIcon,
   ClockIcon,
   CheckCircleIcon,
 } from '@heroicons/react/24/outline'
+import { dashboardService } from '../services/dashboardService'
+import { instagramService } from '../services/instagramService'
+
+// How each activity type reads in the recent activity list
+const ACTIVITY_LABELS = {
+  COMMENT_RECEIVED: 'Comment',
+  MESSAGE_RECEIVED: 'Message',
+  DM_SENT: 'Sent DM',
+  COMMENT_REPLIED: 'Replied to comment',
+  FALLBACK_COMMENT: 'Fallback comment',
+}
+
+const ACTIVITY_STATUS = {
+  SUCCESS: 'success',
+  FALLBACK: 'warning',
+  FAILED: 'error',
+  ERROR: 'error',
+}
 
 const Dashboard = () => {
-  // Mock data for now - will be replaced with real API calls
+  const [accounts, setAccounts] = useState([])
+  const [accountId, setAccountId] = useState('')
+  const [overview, setOverview] = useState(null)
+  const [recentActivities, setRecentActivities] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    instagramService.getAccounts()
+      .then((list) => setAccounts(list.filter((account) => account.isConnected)))
+      .catch((err) => setError(err.message))
+  }, [])
+
+  useEffect(() => {
+    setError(null)
+
+    Promise.all([
+      dashboardService.getOverview(accountId),
+      dashboardService.getRecentActivities(accountId),
+    ])
+      .then(([data, activities]) => {
+        setOverview(data)
+        setRecentActivities(activities)
+      })
+      .catch((err) => setError(err.message))
+  }, [accountId])
+
+  const averageResponseTime = overview?.activities.averageResponseTime || 0
+
   const stats = [
     {
       name: 'Total Replies',
-      value: '1,234',
+      value: overview ? overview.posts.totalReplies.toLocaleString() : '-',
       icon: ChatBubbleLeftRightIcon,
-      change: '+12%',
-      changeType: 'positive',
     },
     {
       name: 'Active Posts',
-      value: '23',
+      value: overview ? overview.posts.activePosts.toLocaleString() : '-',
       icon: DocumentTextIcon,
-      change: '+3',
-      changeType: 'positive',
     },
     {
       name: 'Response Time',
-      value: '2.3s',
+      value: overview ? `${(averageResponseTime / 1000).toFixed(1)}s` : '-',
       icon: ClockIcon,
-      change: '-0.5s',
-      changeType: 'positive',
     },
     {
       name: 'Success Rate',
-      value: '94%',
+      value: overview ? `${overview.posts.successRate}%` : '-',
       icon: CheckCircleIcon,
-      change: '+2%',
-      changeType: 'positive',
-    },
-  ]
-
-  const recentActivities = [
-    {
-      id: 1,
-      type: 'reply',
-      message: 'Auto-replied to comment on "Summer Collection"',
-      time: '2 minutes ago',
-      status: 'success',
-    },
-    {
-      id: 2,
-      type: 'dm',
-      message: 'Sent DM to @user123 about product inquiry',
-      time: '5 minutes ago',
-      status: 'success',
-    },
-    {
-      id: 3,
-      type: 'fallback',
-      message: 'Fallback comment posted on "New Arrivals"',
-      time: '10 minutes ago',
-      status: 'warning',
-    },
-    {
-      id: 4,
-      type: 'reply',
-      message: 'Auto-replied to comment on "Flash Sale"',
-      time: '15 minutes ago',
-      status: 'success',
     },
   ]
 
   return (
     <div className="space-y-8">
       {/* Header */}
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
-        <p className="mt-1 text-sm text-gray-600">
-          Overview of your Instagram auto-reply performance
-        </p>
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Overview of your Instagram auto-reply performance
+          </p>
+        </div>
+
+        {accounts.length > 1 && (
+          <select
+            value={accountId}
+            onChange={(e) => setAccountId(e.target.value)}
+            className="input-field w-auto"
+            aria-label="Instagram account"
+          >
+            <option value="">All accounts</option>
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>@{account.username}</option>
+            ))}
+          </select>
+        )}
       </div>
 
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
       {/* Stats Grid */}
       <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4">
         {stats.map((stat) => (
@@ -97,11 +127,6 @@ const Dashboard = () => {
                     <div className="text-2xl font-semibold text-gray-900">
                       {stat.value}
                     </div>
-                    <div className={`ml-2 flex items-baseline text-sm font-semibold ${
-                      stat.changeType === 'positive' ? 'text-green-600' : 'text-red-600'
-                    }`}>
-                      {stat.change}
-                    </div>
                   </dd>
                 </dl>
               </div>
@@ -114,30 +139,44 @@ const Dashboard = () => {
       <div className="card">
         <div className="flex items-center justify-between mb-6">
           <h2 className="text-lg font-medium text-gray-900">Recent Activities</h2>
-          <button className="text-sm text-primary-600 hover:text-primary-700">
+          <Link to="/activities" className="text-sm text-primary-600 hover:text-primary-700">
             View all
-          </button>
+          </Link>
         </div>
         
         <div className="space-y-4">
-          {recentActivities.map((activity) => (
-            <div key={activity.id} className="flex items-center space-x-4">
-              <div className={`flex-shrink-0 w-2 h-2 rounded-full ${
-                activity.status === 'success' ? 'bg-green-400' :
-                activity.status === 'warning' ? 'bg-yellow-400' : 'bg-red-400'
-              }`} />
-              <div className="flex-1 min-w-0">
-                <p className="text-sm text-gray-900">{activity.message}</p>
-                <p className="text-xs text-gray-500">{activity.time}</p>
-              </div>
-              <div className={`flex-shrink-0 ${
-                activity.status === 'success' ? 'status-success' :
-                activity.status === 'warning' ? 'status-pending' : 'status-error'
-              }`}>
-                {activity.status}
+          {recentActivities.length === 0 && (
+            <p className="text-sm text-gray-500">No activity yet.</p>
+          )}
+          {recentActivities.map((activity) => {
+            const status = ACTIVITY_STATUS[activity.status] || 'pending'
+
+            return (
+              <div key={activity.id} className="flex items-center space-x-4">
+                <div className={`flex-shrink-0 w-2 h-2 rounded-full ${
+                  status === 'success' ? 'bg-green-400' :
+                  status === 'error' ? 'bg-red-400' : 'bg-yellow-400'
+                }`} />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-gray-900 truncate">
+                    {ACTIVITY_LABELS[activity.type] || activity.type}
+                    {activity.instagramData?.fromUsername && ` from @${activity.instagramData.fromUsername}`}
+                    {activity.instagramData?.originalText && `: "${activity.instagramData.originalText}"`}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatDistanceToNow(new Date(activity.createdAt), { addSuffix: true })}
+                    {!accountId && activity.accountId?.username && ` · @${activity.accountId.username}`}
+                  </p>
+                </div>
+                <div className={`flex-shrink-0 ${
+                  status === 'success' ? 'status-success' :
+                  status === 'error' ? 'status-error' : 'status-pending'
+                }`}>
+                  {activity.status.toLowerCase()}
+                </div>
               </div>
-            </div>
-          ))}
+            )
+          })}
         </div>
       </div>
 
@@ -146,9 +185,9 @@ const Dashboard = () => {
         <div className="card">
           <h3 className="text-lg font-medium text-gray-900 mb-4">Quick Setup</h3>
           <div className="space-y-3">
-            <button className="w-full btn-instagram">
-              Connect Instagram Account
-            </button>
+            <Link to="/connect-instagram" className="block w-full text-center btn-instagram">
+              {accounts.length > 0 ? 'Connect Another Account' : 'Connect Instagram Account'}
+            </Link>
             <button className="w-full btn-primary">
               Add New Post
             </button>
@@ -163,7 +202,9 @@ const Dashboard = () => {
           <div className="space-y-3">
             <div className="flex items-center justify-between">
               <span className="text-sm text-gray-600">Instagram Connection</span>
-              <span className="status-success">Connected</span>
+              <span className={accounts.length > 0 ? 'status-success' : 'status-error'}>
+                {accounts.length > 0 ? `${accounts.length} connected` : 'Not connected'}
+              </span>
             </div>
             <div className="flex items-center justify-between">
               <span className="text-sm text-gray-600">Webhook Status</span>
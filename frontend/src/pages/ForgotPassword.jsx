@@ -0,0 +1,77 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { authService } from '../services/authService'
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setLoading(true)
+
+    try {
+      setMessage(await authService.forgotPassword(email))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100">
+      <div className="bg-white shadow-lg rounded-xl p-8 max-w-md w-full">
+        <div className="text-center mb-6">
+          <h1 className="text-2xl font-bold">Forgot your password?</h1>
+          <p className="text-gray-500">We will email you a link to choose a new one</p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {message ? (
+          <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">
+            {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="mb-6">
+              <label className="block text-gray-700 mb-2">Your Email Address</label>
+              <input
+                type="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Your Email Address"
+                className="input-field"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={loading || !email}
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-gray-500 mt-6">
+          <Link to="/login" className="text-blue-500 hover:text-blue-600">Back to sign in</Link>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
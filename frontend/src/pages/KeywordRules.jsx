@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react'
+import { FunnelIcon, PlusIcon } from '@heroicons/react/24/outline'
+import KeywordRuleEditor from '../components/KeywordRuleEditor'
+import { keywordService } from '../services/keywordService'
+
+const emptyRule = { expression: '', dmMessage: '', fallbackComment: '', priority: 1 }
+
+const describePost = (post) => (post.caption ? post.caption.slice(0, 60) : post.instagramPostId)
+
+const KeywordRules = () => {
+  const [posts, setPosts] = useState([])
+  const [postId, setPostId] = useState('')
+  const [rules, setRules] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showCreate, setShowCreate] = useState(false)
+  const [newRule, setNewRule] = useState(emptyRule)
+  const [isRuleValid, setIsRuleValid] = useState(false)
+
+  useEffect(() => {
+    keywordService.getPosts()
+      .then((data) => {
+        setPosts(data)
+        if (data.length > 0) setPostId(data[0].id)
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false))
+  }, [])
+
+  useEffect(() => {
+    if (!postId) return
+
+    setLoading(true)
+    keywordService.getKeywordsByPost(postId)
+      .then((keywords) => setRules(keywords.filter(keyword => keyword.settings.matchType === 'RULE')))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false))
+  }, [postId])
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    try {
+      const keyword = await keywordService.createKeyword({
+        postId,
+        keyword: newRule.expression,
+        response: {
+          dmMessage: newRule.dmMessage,
+          fallbackComment: newRule.fallbackComment,
+          includeProductLink: false,
+        },
+        settings: { matchType: 'RULE', priority: Number(newRule.priority) },
+      })
+      setRules(prev => [keyword, ...prev])
+      setNewRule(emptyRule)
+      setShowCreate(false)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.keyword}"?`)) return
+
+    setError('')
+    try {
+      await keywordService.deleteKeyword(rule.id)
+      setRules(prev => prev.filter(item => item.id !== rule.id))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Keyword Rules</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Reply differently depending on which words a comment combines
+          </p>
+        </div>
+        <button
+          onClick={() => setShowCreate(!showCreate)}
+          className="btn-primary flex items-center"
+          disabled={!postId}
+        >
+          <PlusIcon className="h-5 w-5 mr-2" />
+          New Rule
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-md bg-red-50 text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="card">
+        <label className="block text-sm font-medium text-gray-700 mb-2">Post</label>
+        <select
+          value={postId}
+          onChange={(e) => setPostId(e.target.value)}
+          className="input-field"
+          disabled={posts.length === 0}
+        >
+          {posts.map((post) => (
+            <option key={post.id} value={post.id}>{describePost(post)}</option>
+          ))}
+        </select>
+      </div>
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="card space-y-4">
+          <KeywordRuleEditor
+            value={newRule.expression}
+            onChange={(expression) => setNewRule(prev => ({ ...prev, expression }))}
+            onValidated={setIsRuleValid}
+          />
+          <textarea
+            placeholder="Direct message sent when the rule matches"
+            value={newRule.dmMessage}
+            onChange={(e) => setNewRule({ ...newRule, dmMessage: e.target.value })}
+            className="input-field"
+            rows={3}
+            maxLength={1000}
+            required
+          />
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <input
+              type="text"
+              placeholder="Comment reply when the DM cannot be sent"
+              value={newRule.fallbackComment}
+              onChange={(e) => setNewRule({ ...newRule, fallbackComment: e.target.value })}
+              className="input-field md:col-span-3"
+              maxLength={300}
+              required
+            />
+            <input
+              type="number"
+              value={newRule.priority}
+              onChange={(e) => setNewRule({ ...newRule, priority: e.target.value })}
+              className="input-field"
+              title="Priority (1-10); the highest matching rule replies"
+              min={1}
+              max={10}
+            />
+          </div>
+          <button type="submit" className="btn-primary" disabled={!isRuleValid}>
+            Save rule
+          </button>
+        </form>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : rules.length === 0 ? (
+          <div className="text-center py-12">
+            <FunnelIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No rules</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              {postId ? 'Create a rule such as harga AND (xl OR xxl) NOT reseller.' : 'Sync your posts to add rules.'}
+            </p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {rules.map((rule) => (
+              <div key={rule.id} className="py-4 flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-mono text-gray-900 break-all">{rule.keyword}</p>
+                  <div className="mt-1 flex flex-wrap gap-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${rule.settings.isActive ? 'status-success' : 'status-error'}`}>
+                      {rule.settings.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                      Priority {rule.settings.priority}
+                    </span>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500 truncate">{rule.response.dmMessage}</p>
+                </div>
+                <button onClick={() => handleDelete(rule)} className="btn-secondary">
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default KeywordRules
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -9,8 +10,16 @@ const Login = () => {
   });
   const [rememberMe, setRememberMe] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+
+  // Second step: { mode: 'verify' | 'setup', challengeToken } once the password checked out
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [code, setCode] = useState('');
+  const [setupSecret, setSetupSecret] = useState(null);
+  const [enrolledSession, setEnrolledSession] = useState(null);
+  const [stepError, setStepError] = useState('');
+  const [stepLoading, setStepLoading] = useState(false);
   
-  const { login, loading, error, isAuthenticated, clearError } = useAuth();
+  const { login, completeLogin, loading, error, isAuthenticated, clearError } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -52,14 +61,139 @@ const Login = () => {
     }
 
     try {
-      await login(formData, rememberMe);
+      const response = await login(formData, rememberMe);
       // Navigation will be handled by the useEffect above
+
+      if (response?.twoFactorRequired) {
+        setTwoFactor({ mode: 'verify', challengeToken: response.challengeToken });
+      } else if (response?.twoFactorSetupRequired) {
+        setTwoFactor({ mode: 'setup', challengeToken: response.challengeToken });
+        authService.setupTwoFactor(response.challengeToken)
+          .then(setSetupSecret)
+          .catch((err) => setStepError(err.message));
+      }
     } catch (err) {
       // Error is handled by the auth context
       console.error('Login failed:', err);
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setStepError('');
+    setStepLoading(true);
+
+    try {
+      if (twoFactor.mode === 'verify') {
+        completeLogin(await authService.verifyTwoFactor(twoFactor.challengeToken, code));
+      } else {
+        // Show the backup codes once before the session starts
+        setEnrolledSession(await authService.enableTwoFactor(code, twoFactor.challengeToken));
+      }
+    } catch (err) {
+      setStepError(err.message);
+      setCode('');
+    } finally {
+      setStepLoading(false);
+    }
+  };
+
+  const handleBackToLogin = () => {
+    setTwoFactor(null);
+    setSetupSecret(null);
+    setCode('');
+    setStepError('');
+  };
+
+  const renderTwoFactorStep = () => {
+    if (enrolledSession) {
+      return (
+        <div>
+          <p className="text-gray-700 mb-4">
+            Two-factor authentication is on. Save these backup codes somewhere safe; each one can be used once if you lose access to your authenticator app.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 mb-6 font-mono text-sm bg-gray-50 border border-gray-200 rounded-lg p-4">
+            {enrolledSession.backupCodes.map((backupCode) => (
+              <li key={backupCode}>{backupCode}</li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            className="btn-primary w-full"
+            onClick={() => completeLogin(enrolledSession)}
+          >
+            I have saved my backup codes
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleCodeSubmit}>
+        {twoFactor.mode === 'setup' && (
+          <div className="mb-4">
+            <p className="text-gray-700 mb-3">
+              Your account requires two-factor authentication. Scan the setup link with your authenticator app or enter the key manually, then type the 6-digit code it shows.
+            </p>
+            {setupSecret ? (
+              <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+                <p className="font-mono text-sm break-all mb-2">
+                  {setupSecret.secret.match(/.{1,4}/g).join(' ')}
+                </p>
+                <a href={setupSecret.otpauthUrl} className="text-blue-500 hover:text-blue-600 text-sm">
+                  Open in authenticator app
+                </a>
+              </div>
+            ) : (
+              <div className="flex justify-center py-4">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {twoFactor.mode === 'verify' && (
+          <p className="text-gray-700 mb-4">
+            Enter the 6-digit code from your authenticator app, or one of your backup codes.
+          </p>
+        )}
+
+        <div className="mb-6">
+          <label className="block text-gray-700 mb-2">Verification code</label>
+          <input
+            type="text"
+            name="code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={twoFactor.mode === 'verify' ? '123456 or backup code' : '123456'}
+            className="input-field"
+            autoComplete="one-time-code"
+            autoFocus
+            required
+            disabled={stepLoading}
+          />
+        </div>
+
+        <button
+          type="submit"
+          className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+          disabled={stepLoading || !code || (twoFactor.mode === 'setup' && !setupSecret)}
+        >
+          {stepLoading ? 'Verifying...' : 'Verify'}
+        </button>
+
+        <button
+          type="button"
+          className="btn-secondary w-full mt-3"
+          onClick={handleBackToLogin}
+          disabled={stepLoading}
+        >
+          Back to sign in
+        </button>
+      </form>
+    );
+  };
+
   return (
     <div className="flex items-center justify-center min-h-screen bg-gray-100">
       <div className="bg-white shadow-lg rounded-xl p-8 max-w-md w-full">
@@ -81,94 +215,106 @@ const Login = () => {
               }}
             />
           </div>
-          <h1 className="text-2xl font-bold">Welcome back</h1>
-          <p className="text-gray-500">Please enter your details to sign in</p>
+          <h1 className="text-2xl font-bold">
+            {twoFactor ? 'Two-factor authentication' : 'Welcome back'}
+          </h1>
+          <p className="text-gray-500">
+            {twoFactor ? 'One more step to sign in' : 'Please enter your details to sign in'}
+          </p>
         </div>
 
-        {error && (
-          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
-            {error}
+        {location.state?.message && !twoFactor && !(stepError || error) && (
+          <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">
+            {location.state.message}
           </div>
         )}
 
-        <form onSubmit={handleSubmit}>
-          <div className="mb-4">
-            <label className="block text-gray-700 mb-2">Your Email Address</label>
-            <input
-              type="email"
-              name="email"
-              value={formData.email}
-              onChange={handleInputChange}
-              placeholder="Your Email Address"
-              className="input-field"
-              required
-              disabled={loading}
-            />
+        {(stepError || error) && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            {stepError || error}
           </div>
+        )}
 
-          <div className="mb-4">
-            <label className="block text-gray-700 mb-2">Password</label>
-            <div className="relative">
+        {twoFactor ? renderTwoFactorStep() : (
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Your Email Address</label>
               <input
-                type={showPassword ? 'text' : 'password'}
-                name="password"
-                value={formData.password}
+                type="email"
+                name="email"
+                value={formData.email}
                 onChange={handleInputChange}
-                placeholder="Password"
-                className="input-field-with-icon"
+                placeholder="Your Email Address"
+                className="input-field"
                 required
                 disabled={loading}
               />
-              <button
-                type="button"
-                className="password-toggle"
-                onClick={() => setShowPassword(!showPassword)}
-                disabled={loading}
-                aria-label={showPassword ? 'Hide password' : 'Show password'}
-              >
-                {showPassword ? (
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.878 9.878L3 3m6.878 6.878L21 21" />
-                  </svg>
-                ) : (
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                  </svg>
-                )}
-              </button>
             </div>
-          </div>
 
-          <div className="flex items-center justify-between mb-6">
-            <label className="flex items-center">
-              <input 
-                type="checkbox" 
-                className="mr-2"
-                checked={rememberMe}
-                onChange={(e) => setRememberMe(e.target.checked)}
-                disabled={loading}
-              />
-              <span className="text-gray-700">Remember me</span>
-            </label>
-            <a href="#" className="text-blue-500 hover:text-blue-600">Forgot password?</a>
-          </div>
-
-          <button 
-            type="submit"
-            className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
-            disabled={loading || !formData.email || !formData.password}
-          >
-            {loading ? (
-              <div className="flex items-center justify-center">
-                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                Signing in...
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Password</label>
+              <div className="relative">
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  name="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  placeholder="Password"
+                  className="input-field-with-icon"
+                  required
+                  disabled={loading}
+                />
+                <button
+                  type="button"
+                  className="password-toggle"
+                  onClick={() => setShowPassword(!showPassword)}
+                  disabled={loading}
+                  aria-label={showPassword ? 'Hide password' : 'Show password'}
+                >
+                  {showPassword ? (
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.878 9.878L3 3m6.878 6.878L21 21" />
+                    </svg>
+                  ) : (
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                    </svg>
+                  )}
+                </button>
               </div>
-            ) : (
-              'Sign in'
-            )}
-          </button>
-        </form>
+            </div>
+
+            <div className="flex items-center justify-between mb-6">
+              <label className="flex items-center">
+                <input 
+                  type="checkbox" 
+                  className="mr-2"
+                  checked={rememberMe}
+                  onChange={(e) => setRememberMe(e.target.checked)}
+                  disabled={loading}
+                />
+                <span className="text-gray-700">Remember me</span>
+              </label>
+              <Link to="/forgot-password" className="text-blue-500 hover:text-blue-600">Forgot password?</Link>
+            </div>
+
+            <button 
+              type="submit"
+              className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={loading || !formData.email || !formData.password}
+            >
+              {loading ? (
+                <div className="flex items-center justify-center">
+                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+                  Signing in...
+                </div>
+              ) : (
+                'Sign in'
+              )}
+            </button>
+          </form>
+        )}
 
         <p className="text-center text-gray-500 mt-6">
           Don't have an account? <a href="#" className="text-blue-500 hover:text-blue-600">Sign up</a>
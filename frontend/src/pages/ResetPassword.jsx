@@ -0,0 +1,104 @@
+import React, { useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { authService } from '../services/authService'
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const token = searchParams.get('token')
+
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const message = await authService.resetPassword(token, password)
+      navigate('/login', { replace: true, state: { message } })
+    } catch (err) {
+      setError(err.message)
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100">
+      <div className="bg-white shadow-lg rounded-xl p-8 max-w-md w-full">
+        <div className="text-center mb-6">
+          <h1 className="text-2xl font-bold">Choose a new password</h1>
+          <p className="text-gray-500">You will be signed out of all devices</p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {!token ? (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            This reset link is incomplete. Please request a new one.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">New Password</label>
+              <input
+                type="password"
+                name="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="At least 6 characters"
+                className="input-field"
+                minLength={6}
+                autoComplete="new-password"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <div className="mb-6">
+              <label className="block text-gray-700 mb-2">Confirm Password</label>
+              <input
+                type="password"
+                name="confirmPassword"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Repeat the new password"
+                className="input-field"
+                autoComplete="new-password"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={loading || !password || !confirmPassword}
+            >
+              {loading ? 'Saving...' : 'Reset password'}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-gray-500 mt-6">
+          <Link to="/forgot-password" className="text-blue-500 hover:text-blue-600">Request a new link</Link>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
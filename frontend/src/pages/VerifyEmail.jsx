@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { authService } from '../services/authService'
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+
+  const [status, setStatus] = useState(token ? 'pending' : 'error')
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.')
+
+  useEffect(() => {
+    if (!token) return
+
+    // Tokens are single-use, so the request must not be repeated on re-render
+    let cancelled = false
+
+    authService.verifyEmail(token)
+      .then((result) => {
+        if (cancelled) return
+        setStatus('success')
+        setMessage(result)
+      })
+      .catch((err) => {
+        if (cancelled) return
+        setStatus('error')
+        setMessage(err.message)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [token])
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100">
+      <div className="bg-white shadow-lg rounded-xl p-8 max-w-md w-full text-center">
+        <h1 className="text-2xl font-bold mb-6">Email verification</h1>
+
+        {status === 'pending' && (
+          <div className="flex justify-center py-4">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+
+        {status === 'success' && (
+          <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">
+            {message}
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+            {message}
+          </div>
+        )}
+
+        <p className="text-gray-500 mt-6">
+          <Link to="/login" className="text-blue-500 hover:text-blue-600">Go to sign in</Link>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmail
@@ -5,7 +5,10 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api'
 // Token storage keys
 const TOKEN_KEY = 'tanggapin_token'
 const TOKEN_EXPIRY_KEY = 'tanggapin_token_expiry'
+const REFRESH_TOKEN_KEY = 'tanggapin_refresh_token'
 const USER_KEY = 'tanggapin_user'
+const WORKSPACE_KEY = 'tanggapin_workspace'
+const IMPERSONATOR_KEY = 'tanggapin_impersonator'
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -15,38 +18,60 @@ const api = axios.create({
   },
 })
 
-// Helper function to get valid token
-const getValidToken = () => {
-  const token = localStorage.getItem(TOKEN_KEY)
-  const expiry = localStorage.getItem(TOKEN_EXPIRY_KEY)
-  
-  if (!token || !expiry) return null
-  
-  if (Date.now() > parseInt(expiry)) {
-    // Token expired, clear storage
-    localStorage.removeItem(TOKEN_KEY)
-    localStorage.removeItem(TOKEN_EXPIRY_KEY)
-    localStorage.removeItem(USER_KEY)
-    return null
-  }
-  
-  return token
-}
-
 // Helper function to clear auth data
 const clearAuthData = () => {
   localStorage.removeItem(TOKEN_KEY)
   localStorage.removeItem(TOKEN_EXPIRY_KEY)
+  localStorage.removeItem(REFRESH_TOKEN_KEY)
   localStorage.removeItem(USER_KEY)
+  localStorage.removeItem(WORKSPACE_KEY)
+  localStorage.removeItem(IMPERSONATOR_KEY)
+}
+
+// Refresh in flight, shared by every request that hit a 401 meanwhile
+let refreshPromise = null
+
+// Exchange the refresh token for a new token pair. The server rotates refresh
+// tokens; other tabs refreshing the same one at once get the same pair back,
+// but requests in this tab still share one refresh to avoid the extra calls.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY)
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken, expiresIn } = response.data.data
+
+        localStorage.setItem(TOKEN_KEY, token)
+        localStorage.setItem(TOKEN_EXPIRY_KEY, (Date.now() + expiresIn).toString())
+        localStorage.setItem(REFRESH_TOKEN_KEY, nextRefreshToken)
+
+        return response.data.data
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+
+  return refreshPromise
 }
 
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = getValidToken()
+    const token = localStorage.getItem(TOKEN_KEY)
     if (token) {
       config.headers.Authorization = `Bearer ${token}`
     }
+
+    // Act in the selected workspace; the backend falls back to the personal one
+    const workspaceId = localStorage.getItem(WORKSPACE_KEY)
+    if (workspaceId) {
+      config.headers['X-Workspace-Id'] = workspaceId
+    }
     return config
   },
   (error) => {
@@ -61,34 +86,22 @@ api.interceptors.response.use(
   },
   async (error) => {
     const originalRequest = error.config
-    
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    const isAuthRequest = ['/auth/login', '/auth/refresh'].includes(originalRequest?.url)
+
+    if (error.response?.status === 401 && !originalRequest._retry && !isAuthRequest) {
       originalRequest._retry = true
       
-      // Try to refresh token
+      // Access tokens are short-lived; refresh silently and retry once
       try {
-        const refreshResponse = await axios.post(`${API_BASE_URL}/auth/refresh`, {}, {
-          headers: {
-            Authorization: `Bearer ${getValidToken()}`
-          }
-        })
-        
-        if (refreshResponse.data.token) {
-          const { token, expiresIn = 24 * 60 * 60 * 1000 } = refreshResponse.data
-          const expiryTime = Date.now() + expiresIn
-          
-          localStorage.setItem(TOKEN_KEY, token)
-          localStorage.setItem(TOKEN_EXPIRY_KEY, expiryTime.toString())
-          
-          // Retry original request with new token
-          originalRequest.headers.Authorization = `Bearer ${token}`
-          return api(originalRequest)
-        }
+        const { token } = await refreshSession()
+
+        originalRequest.headers.Authorization = `Bearer ${token}`
+        return api(originalRequest)
       } catch (refreshError) {
         console.error('Token refresh failed:', refreshError)
       }
       
-      // If refresh fails or no token, clear auth and redirect
+      // Session ended or was revoked: clear auth and redirect
       clearAuthData()
       
       // Only redirect if not already on login page
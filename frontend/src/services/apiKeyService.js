@@ -0,0 +1,31 @@
+import api from './api'
+
+// API keys of the current workspace
+export const apiKeyService = {
+  async getApiKeys() {
+    try {
+      const response = await api.get('/api-keys')
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to load API keys')
+    }
+  },
+
+  async createApiKey(data) {
+    try {
+      const response = await api.post('/api-keys', data)
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to create API key')
+    }
+  },
+
+  async revokeApiKey(keyId) {
+    try {
+      const response = await api.delete(`/api-keys/${keyId}`)
+      return response.data.data.apiKey
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to revoke API key')
+    }
+  },
+}
@@ -0,0 +1,13 @@
+import api from './api'
+
+// Audit log of configuration changes
+export const auditService = {
+  async getAuditLogs(params = {}) {
+    try {
+      const response = await api.get('/audit', { params })
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to load audit log')
+    }
+  },
+}
@@ -1,16 +1,67 @@
-import api from './api'
+import api, { refreshSession } from './api'
 
 export const authService = {
   async login(credentials) {
     try {
+      // Either a session, or a challenge token for the two-factor step
       const response = await api.post('/auth/login', credentials)
-      return {
-        user: response.data.user,
-        token: response.data.token,
-        expiresIn: response.data.expiresIn || 24 * 60 * 60 * 1000 // Default 24 hours
-      }
+      return response.data.data
     } catch (error) {
-      throw new Error(error.response?.data?.message || 'Login failed')
+      throw new Error(error.response?.data?.error || 'Login failed')
+    }
+  },
+
+  async forgotPassword(email) {
+    try {
+      const response = await api.post('/auth/password/forgot', { email })
+      return response.data.message
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to send reset link')
+    }
+  },
+
+  async resetPassword(token, password) {
+    try {
+      const response = await api.post('/auth/password/reset', { token, password })
+      return response.data.message
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to reset password')
+    }
+  },
+
+  async verifyEmail(token) {
+    try {
+      const response = await api.post('/auth/email/verify', { token })
+      return response.data.message
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to verify email')
+    }
+  },
+
+  async verifyTwoFactor(challengeToken, code) {
+    try {
+      const response = await api.post('/auth/2fa/verify', { challengeToken, code })
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Verification failed')
+    }
+  },
+
+  async setupTwoFactor(challengeToken) {
+    try {
+      const response = await api.post('/auth/2fa/setup', { challengeToken })
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to start two-factor setup')
+    }
+  },
+
+  async enableTwoFactor(code, challengeToken) {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code, challengeToken })
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to enable two-factor authentication')
     }
   },
 
@@ -21,7 +72,7 @@ export const authService = {
           Authorization: `Bearer ${token}`
         }
       })
-      return response.data.user
+      return response.data.data.user
     } catch (error) {
       throw new Error('Token verification failed')
     }
@@ -29,14 +80,11 @@ export const authService = {
 
   async refreshToken() {
     try {
-      const response = await api.post('/auth/refresh')
-      return {
-        user: response.data.user,
-        token: response.data.token,
-        expiresIn: response.data.expiresIn || 24 * 60 * 60 * 1000
-      }
+      // Shares the api client's refresh so a rotated token is never sent twice
+      const { user, token, refreshToken, expiresIn } = await refreshSession()
+      return { user, token, refreshToken, expiresIn }
     } catch (error) {
-      throw new Error(error.response?.data?.message || 'Token refresh failed')
+      throw new Error(error.response?.data?.error || 'Token refresh failed')
     }
   },
 
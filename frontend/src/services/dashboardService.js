@@ -0,0 +1,31 @@
+import api from './api'
+
+export const dashboardService = {
+  async getOverview(accountId) {
+    try {
+      const params = accountId ? { accountId } : {}
+      const [posts, activities] = await Promise.all([
+        api.get('/posts/stats/overview', { params }),
+        api.get('/activities/stats', { params }),
+      ])
+
+      return {
+        posts: posts.data.data.overview,
+        activities: activities.data.data.stats,
+      }
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to load dashboard')
+    }
+  },
+
+  async getRecentActivities(accountId) {
+    try {
+      const response = await api.get('/activities', {
+        params: { limit: 5, ...(accountId && { accountId }) },
+      })
+      return response.data.data.activities
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to load recent activities')
+    }
+  }
+}
@@ -0,0 +1,31 @@
+import api from './api'
+
+export const instagramService = {
+  async getAccounts() {
+    try {
+      const response = await api.get('/auth/instagram')
+      return response.data.data.instagramAccounts
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to load Instagram accounts')
+    }
+  },
+
+  async getConnectUrl() {
+    try {
+      // Credentials let the server set the cookie the OAuth callback checks
+      const response = await api.get('/auth/instagram/connect', { withCredentials: true })
+      return response.data.data.authorizationUrl
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to start Instagram connection')
+    }
+  },
+
+  async disconnect(accountId) {
+    try {
+      const response = await api.post(`/auth/instagram/${accountId}/disconnect`)
+      return response.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to disconnect Instagram')
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import api from './api'
+
+// Keywords and the posts they belong to
+export const keywordService = {
+  async getPosts() {
+    try {
+      const response = await api.get('/posts', { params: { limit: 100 } })
+      return response.data.data.posts
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to load posts')
+    }
+  },
+
+  async getKeywordsByPost(postId) {
+    try {
+      const response = await api.get(`/keywords/post/${postId}`)
+      return response.data.data.keywords
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to load keywords')
+    }
+  },
+
+  async createKeyword(data) {
+    try {
+      const response = await api.post('/keywords', data)
+      return response.data.data.keyword
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to create keyword')
+    }
+  },
+
+  async deleteKeyword(keywordId) {
+    try {
+      const response = await api.delete(`/keywords/${keywordId}`)
+      return response.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to delete keyword')
+    }
+  },
+
+  // Returns { valid, error: { message, position }, rule } without saving anything
+  async validateRule(expression) {
+    try {
+      const response = await api.post('/keywords/validate-rule', { expression })
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to check rule')
+    }
+  },
+}
@@ -0,0 +1,77 @@
+import api from './api'
+
+// Admin user management
+export const userService = {
+  async getUsers(params = {}) {
+    try {
+      const response = await api.get('/users', { params })
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to load users')
+    }
+  },
+
+  async createUser(data) {
+    try {
+      const response = await api.post('/auth/users', data)
+      return response.data.data.user
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to create user')
+    }
+  },
+
+  async updateUser(userId, data) {
+    try {
+      const response = await api.put(`/users/${userId}`, data)
+      return response.data.data.user
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to update user')
+    }
+  },
+
+  async changeRole(userId, role) {
+    try {
+      const response = await api.put(`/users/${userId}/role`, { role })
+      return response.data.data.user
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to change role')
+    }
+  },
+
+  async setActive(userId, isActive) {
+    try {
+      const response = await api.post(`/users/${userId}/${isActive ? 'activate' : 'deactivate'}`)
+      return response.data.data.user
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to update user status')
+    }
+  },
+
+  // Without a password the user is emailed a reset link
+  async resetPassword(userId, password) {
+    try {
+      const response = await api.post(`/users/${userId}/password`, password ? { password } : {})
+      return response.data.message
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to reset password')
+    }
+  },
+
+  async unlockUser(userId) {
+    try {
+      const response = await api.post(`/users/${userId}/unlock`)
+      return response.data.data.user
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to unlock user')
+    }
+  },
+
+  async impersonate(userId) {
+    try {
+      const response = await api.post(`/users/${userId}/impersonate`)
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to impersonate user')
+    }
+  }
+}
@@ -0,0 +1,23 @@
+import api from './api'
+
+// Selected workspace, sent as X-Workspace-Id by the api client
+const WORKSPACE_KEY = 'tanggapin_workspace'
+
+export const workspaceService = {
+  async getWorkspaces() {
+    try {
+      const response = await api.get('/workspaces')
+      return response.data.data
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to load workspaces')
+    }
+  },
+
+  getCurrentWorkspaceId() {
+    return localStorage.getItem(WORKSPACE_KEY)
+  },
+
+  setCurrentWorkspace(workspaceId) {
+    localStorage.setItem(WORKSPACE_KEY, workspaceId)
+  }
+}